@@ -1492,6 +1492,30 @@ function getDeities() {
     return DEITY_DATABASE;
 }
 
+// Tokens card effects create, by token id (same ids and stats as engine/tokens.ts).
+// Tokens have no printed art of their own, so they show the card back.
+const TOKEN_DEFINITIONS = {
+    GLOW_BEAST: {
+        name: 'Glow Beast Token',
+        type: 'Avatar',
+        aspects: ['Glow', 'Beast'],
+        attack: 2,
+        health: 2,
+        effect: 'Guardian',
+        keywords: ['Guardian', 'Beast'],
+        image: CARD_BACK_IMAGE
+    },
+    VOID_BEAST: {
+        name: 'Void Beast Token',
+        type: 'Avatar',
+        aspects: ['Void', 'Beast'],
+        attack: 3,
+        health: 3,
+        keywords: ['Beast'],
+        image: CARD_BACK_IMAGE
+    }
+};
+
 // Helper function to get all non-deity cards
 function getPlayableCards() {
     return CARD_DATABASE;
@@ -1504,5 +1528,5 @@ function getCardById(id) {
 
 // Export for use in game
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { CARD_DATABASE, DEITY_DATABASE, CARD_BACK_IMAGE, ALL_CARDS, getDeities, getPlayableCards, getCardById };
+    module.exports = { CARD_DATABASE, DEITY_DATABASE, CARD_BACK_IMAGE, TOKEN_DEFINITIONS, ALL_CARDS, getDeities, getPlayableCards, getCardById };
 }
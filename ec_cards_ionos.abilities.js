@@ -0,0 +1,1479 @@
+// Essence Crown: Shard Wars - Compiled card abilities
+// Generated by scripts/compile-card-effects.js from ec_cards_ionos.js. Do not edit by hand.
+// 20 fully compiled, 57 partially, 139 not at all (see ec_cards_ionos.abilities-report.md)
+
+const CARD_ABILITIES = {
+    "EC-004": [
+        {
+            "id": "EC-004#1",
+            "label": "On Play",
+            "description": "On Play: Deal 1 Essence damage to target Deity.",
+            "trigger": "ON_PLAY",
+            "targets": [
+                {
+                    "kind": "PLAYER"
+                }
+            ],
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "TARGET",
+                        "index": 0
+                    },
+                    "kind": "DEAL_DAMAGE",
+                    "amount": 1
+                }
+            ]
+        }
+    ],
+    "EC-005": [
+        {
+            "id": "EC-005#1",
+            "label": "On Play",
+            "description": "On Play: You gain +1 KL this turn.",
+            "trigger": "ON_PLAY",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "GAIN_KL",
+                    "amount": 1
+                }
+            ]
+        }
+    ],
+    "EC-006": [
+        {
+            "id": "EC-006#1",
+            "label": "On Essence Damage",
+            "description": "Whenever Abyssal Crownfeeder deals Essence damage to a Deity, you gain 1 Essence.",
+            "trigger": "ON_DEAL_ESSENCE_DAMAGE",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "GAIN_ESSENCE",
+                    "amount": 1
+                }
+            ]
+        }
+    ],
+    "EC-007": [
+        {
+            "id": "GUARDIAN",
+            "label": "Guardian",
+            "description": "Guardian."
+        }
+    ],
+    "EC-011": [
+        {
+            "id": "EC-011#1",
+            "label": "On Play",
+            "description": "On Play: Restore 2 Essence to your Deity.",
+            "trigger": "ON_PLAY",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "GAIN_ESSENCE",
+                    "amount": 2
+                }
+            ]
+        }
+    ],
+    "EC-012": [
+        {
+            "id": "EC-012#1",
+            "label": "Spell",
+            "description": "Deal 3 Essence damage to target Deity.",
+            "trigger": "SPELL",
+            "targets": [
+                {
+                    "kind": "PLAYER"
+                }
+            ],
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "TARGET",
+                        "index": 0
+                    },
+                    "kind": "DEAL_DAMAGE",
+                    "amount": 3
+                }
+            ]
+        }
+    ],
+    "EC-013": [
+        {
+            "id": "EC-013#1",
+            "label": "Spell",
+            "description": "Both Deities gain 2 Essence. Draw a card.",
+            "trigger": "SPELL",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "EACH_PLAYER"
+                    },
+                    "kind": "GAIN_ESSENCE",
+                    "amount": 2
+                },
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "DRAW",
+                    "count": 1
+                }
+            ]
+        }
+    ],
+    "EC-021": [
+        {
+            "id": "EC-021#1",
+            "label": "On Essence Damage",
+            "description": "Whenever Nullblade Stalker deals Essence damage to a Deity, that Deity's controller loses 1 KL.",
+            "trigger": "ON_DEAL_ESSENCE_DAMAGE",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "EVENT_PLAYER"
+                    },
+                    "kind": "LOSE_KL",
+                    "amount": 1
+                }
+            ]
+        }
+    ],
+    "EC-022": [
+        {
+            "id": "EC-022#1",
+            "label": "On Play",
+            "description": "On Play: Target opponent loses 1 KL.",
+            "trigger": "ON_PLAY",
+            "targets": [
+                {
+                    "kind": "PLAYER",
+                    "controller": "OPPONENT"
+                }
+            ],
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "TARGET",
+                        "index": 0
+                    },
+                    "kind": "LOSE_KL",
+                    "amount": 1
+                }
+            ]
+        }
+    ],
+    "EC-026": [
+        {
+            "id": "EC-026#1",
+            "label": "On Play",
+            "description": "On Play: Each opponent loses 2 Essence.",
+            "trigger": "ON_PLAY",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "EACH_OPPONENT"
+                    },
+                    "kind": "LOSE_ESSENCE",
+                    "amount": 2
+                }
+            ]
+        }
+    ],
+    "EC-027": [
+        {
+            "id": "GUARDIAN",
+            "label": "Guardian",
+            "description": "Guardian."
+        }
+    ],
+    "EC-030": [
+        {
+            "id": "EC-030#1",
+            "label": "Spell",
+            "description": "Target opponent loses 2 Essence. You lose 1 Essence.",
+            "trigger": "SPELL",
+            "targets": [
+                {
+                    "kind": "PLAYER",
+                    "controller": "OPPONENT"
+                }
+            ],
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "TARGET",
+                        "index": 0
+                    },
+                    "kind": "LOSE_ESSENCE",
+                    "amount": 2
+                },
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "LOSE_ESSENCE",
+                    "amount": 1
+                }
+            ]
+        }
+    ],
+    "EC-034": [
+        {
+            "id": "EC-034#1",
+            "label": "Spell",
+            "description": "Destroy target Avatar with cost 4 or more. Each Deity loses 1 Essence.",
+            "trigger": "SPELL",
+            "targets": [
+                {
+                    "kind": "AVATAR",
+                    "minCost": 4
+                }
+            ],
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "TARGET",
+                        "index": 0
+                    },
+                    "kind": "DESTROY"
+                },
+                {
+                    "subject": {
+                        "ref": "EACH_PLAYER"
+                    },
+                    "kind": "LOSE_ESSENCE",
+                    "amount": 1
+                }
+            ]
+        }
+    ],
+    "EC-044": [
+        {
+            "id": "GUARDIAN",
+            "label": "Guardian",
+            "description": "Guardian."
+        },
+        {
+            "id": "EC-044#2",
+            "label": "On Play",
+            "description": "When Crown Halo Escort enters New Earth, restore 1 Essence to your Deity.",
+            "trigger": "ON_PLAY",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "GAIN_ESSENCE",
+                    "amount": 1
+                }
+            ]
+        }
+    ],
+    "EC-046": [
+        {
+            "id": "EC-046#1",
+            "label": "On Play",
+            "description": "On Play: Restore 3 Essence to your Deity.",
+            "trigger": "ON_PLAY",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "GAIN_ESSENCE",
+                    "amount": 3
+                }
+            ]
+        }
+    ],
+    "EC-050": [
+        {
+            "id": "GUARDIAN",
+            "label": "Guardian",
+            "description": "Guardian."
+        },
+        {
+            "id": "EC-050#2",
+            "label": "On Play",
+            "description": "On Play: You may destroy target Avatar with cost 2 or less.",
+            "trigger": "ON_PLAY",
+            "targets": [
+                {
+                    "kind": "AVATAR",
+                    "maxCost": 2,
+                    "optional": true
+                }
+            ],
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "TARGET",
+                        "index": 0
+                    },
+                    "kind": "DESTROY"
+                }
+            ]
+        }
+    ],
+    "EC-054": [
+        {
+            "id": "GUARDIAN",
+            "label": "Guardian",
+            "description": "Guardian."
+        }
+    ],
+    "EC-057": [
+        {
+            "id": "EC-057#1",
+            "label": "On Play",
+            "description": "When Null Rift Hound enters New Earth, target opponent loses 1 Essence.",
+            "trigger": "ON_PLAY",
+            "targets": [
+                {
+                    "kind": "PLAYER",
+                    "controller": "OPPONENT"
+                }
+            ],
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "TARGET",
+                        "index": 0
+                    },
+                    "kind": "LOSE_ESSENCE",
+                    "amount": 1
+                }
+            ]
+        },
+        {
+            "id": "EC-057#2",
+            "label": "On Destroyed",
+            "description": "When Null Rift Hound dies, you may drain 1 KL from target opponent.",
+            "trigger": "ON_DESTROYED",
+            "targets": [
+                {
+                    "kind": "PLAYER",
+                    "controller": "OPPONENT",
+                    "optional": true
+                }
+            ],
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "TARGET",
+                        "index": 0
+                    },
+                    "kind": "LOSE_KL",
+                    "amount": 1
+                }
+            ]
+        }
+    ],
+    "EC-058": [
+        {
+            "id": "EC-058#1",
+            "label": "On Play",
+            "description": "On Play: Destroy target Avatar with cost 2 or less.",
+            "trigger": "ON_PLAY",
+            "targets": [
+                {
+                    "kind": "AVATAR",
+                    "maxCost": 2
+                }
+            ],
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "TARGET",
+                        "index": 0
+                    },
+                    "kind": "DESTROY"
+                }
+            ]
+        },
+        {
+            "id": "EC-058#2",
+            "label": "On Attack",
+            "description": "Whenever Shardline Reaper attacks, each player loses 1 Essence.",
+            "trigger": "ON_ATTACK",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "EACH_PLAYER"
+                    },
+                    "kind": "LOSE_ESSENCE",
+                    "amount": 1
+                }
+            ]
+        }
+    ],
+    "EC-061": [
+        {
+            "id": "EC-061#1",
+            "label": "On Play",
+            "description": "On Play: Each player restores 1 Essence.",
+            "trigger": "ON_PLAY",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "EACH_PLAYER"
+                    },
+                    "kind": "GAIN_ESSENCE",
+                    "amount": 1
+                }
+            ]
+        }
+    ],
+    "EC-063": [
+        {
+            "id": "EC-063#1",
+            "label": "On Play",
+            "description": "On Play: Restore 1 Essence to each Deity.",
+            "trigger": "ON_PLAY",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "EACH_PLAYER"
+                    },
+                    "kind": "GAIN_ESSENCE",
+                    "amount": 1
+                }
+            ]
+        }
+    ],
+    "EC-067": [
+        {
+            "id": "GUARDIAN",
+            "label": "Guardian",
+            "description": "Guardian."
+        }
+    ],
+    "EC-084": [
+        {
+            "id": "GUARDIAN",
+            "label": "Guardian",
+            "description": "Guardian."
+        }
+    ],
+    "EC-087": [
+        {
+            "id": "EC-087#1",
+            "label": "On Essence Damage",
+            "description": "Whenever Second Sun Street Brawler deals Essence damage to a Deity, you gain +1 KL this turn.",
+            "trigger": "ON_DEAL_ESSENCE_DAMAGE",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "GAIN_KL",
+                    "amount": 1
+                }
+            ]
+        }
+    ],
+    "EC-088": [
+        {
+            "id": "EC-088#1",
+            "label": "On Play",
+            "description": "On Play: Until end of turn, Avatars you control get +1 Power.",
+            "trigger": "ON_PLAY",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "ALL_AVATARS",
+                        "controller": "SELF"
+                    },
+                    "kind": "MODIFY_STATS",
+                    "power": 1,
+                    "duration": "END_OF_TURN"
+                }
+            ]
+        }
+    ],
+    "EC-089": [
+        {
+            "id": "GUARDIAN",
+            "label": "Guardian",
+            "description": "Guardian."
+        }
+    ],
+    "EC-111": [
+        {
+            "id": "EC-111#1",
+            "label": "On Play",
+            "description": "On Play: Each player loses 1 Essence.",
+            "trigger": "ON_PLAY",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "EACH_PLAYER"
+                    },
+                    "kind": "LOSE_ESSENCE",
+                    "amount": 1
+                }
+            ]
+        }
+    ],
+    "EC-125": [
+        {
+            "id": "EC-125#1",
+            "label": "Attach",
+            "description": "Attach to a Deity or Avatar.",
+            "attach": {
+                "kinds": [
+                    "DEITY",
+                    "AVATAR"
+                ]
+            }
+        }
+    ],
+    "EC-126": [
+        {
+            "id": "EC-126#1",
+            "label": "Attach",
+            "description": "Attach to an Avatar.",
+            "attach": {
+                "kinds": [
+                    "AVATAR"
+                ]
+            }
+        },
+        {
+            "id": "EC-126#2",
+            "label": "Static",
+            "description": "The bearer gets +2 Essence and +1 attack.",
+            "trigger": "STATIC",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "BEARER"
+                    },
+                    "kind": "MODIFY_STATS",
+                    "guard": 2,
+                    "power": 1
+                }
+            ]
+        }
+    ],
+    "EC-127": [
+        {
+            "id": "EC-127#1",
+            "label": "Attach",
+            "description": "Attach to an Avatar.",
+            "attach": {
+                "kinds": [
+                    "AVATAR"
+                ]
+            }
+        }
+    ],
+    "EC-129": [
+        {
+            "id": "EC-129#2",
+            "label": "Static",
+            "description": "Your Avatars get +1 Essence while you control 3 or more Shards.",
+            "trigger": "STATIC",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "ALL_AVATARS",
+                        "controller": "SELF"
+                    },
+                    "kind": "MODIFY_STATS",
+                    "guard": 1,
+                    "condition": {
+                        "kind": "CONTROLS",
+                        "atLeast": 3,
+                        "typeLine": "SHARD"
+                    }
+                }
+            ]
+        }
+    ],
+    "EC-133": [
+        {
+            "id": "EC-133#1",
+            "label": "On Claim",
+            "description": "When you claim Radiant Core Shard, gain 3 Essence.",
+            "trigger": "ON_CLAIM",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "GAIN_ESSENCE",
+                    "amount": 3
+                }
+            ]
+        },
+        {
+            "id": "CROWNBOUND",
+            "label": "Crownbound",
+            "description": "Crownbound."
+        }
+    ],
+    "EC-134": [
+        {
+            "id": "CROWNBOUND",
+            "label": "Crownbound",
+            "description": "Crownbound."
+        }
+    ],
+    "EC-135": [
+        {
+            "id": "CROWNBOUND",
+            "label": "Crownbound",
+            "description": "Crownbound."
+        }
+    ],
+    "EC-136": [
+        {
+            "id": "CROWNBOUND",
+            "label": "Crownbound",
+            "description": "Crownbound."
+        }
+    ],
+    "EC-138": [
+        {
+            "id": "EC-138#1",
+            "label": "Spell",
+            "description": "Each player chooses 1 Avatar they control and sacrifices the rest. Then each player loses 1 Essence for each Avatar they sacrificed this way.",
+            "trigger": "SPELL",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "EACH_PLAYER"
+                    },
+                    "kind": "SACRIFICE_UNCHOSEN",
+                    "keep": 1
+                },
+                {
+                    "subject": {
+                        "ref": "EACH_PLAYER"
+                    },
+                    "kind": "LOSE_ESSENCE",
+                    "amount": 1,
+                    "perSacrificed": true
+                }
+            ]
+        }
+    ],
+    "EC-144": [
+        {
+            "id": "GUARDIAN",
+            "label": "Guardian",
+            "description": "Guardian."
+        }
+    ],
+    "EC-145": [
+        {
+            "id": "EC-145#2",
+            "label": "Activated",
+            "description": "Once per Cycle, you may exhaust this: generate 2 Sun Essence usable only to cast Avatars aligned with Shattered Sun.",
+            "trigger": "ACTIVATED",
+            "cost": {
+                "tapSelf": true
+            },
+            "oncePerTurn": true,
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "ADD_KL",
+                    "amount": 2,
+                    "label": "Sun Essence",
+                    "restriction": {
+                        "typeLines": [
+                            "AVATAR"
+                        ],
+                        "domainTag": "Shattered Sun"
+                    }
+                }
+            ]
+        }
+    ],
+    "EC-146": [
+        {
+            "id": "EC-146#1",
+            "label": "Activated",
+            "description": "Once per Cycle, you may lose 1 Essence: add 2 Void Essence usable only to cast Spells or Rites.",
+            "trigger": "ACTIVATED",
+            "cost": {
+                "essence": 1
+            },
+            "oncePerTurn": true,
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "ADD_KL",
+                    "amount": 2,
+                    "label": "Void Essence",
+                    "restriction": {
+                        "typeLines": [
+                            "SPELL",
+                            "RITE"
+                        ]
+                    }
+                }
+            ]
+        }
+    ],
+    "EC-149": [
+        {
+            "id": "EC-149#1",
+            "label": "Attach",
+            "description": "Attach to an Avatar you control.",
+            "attach": {
+                "kinds": [
+                    "AVATAR"
+                ],
+                "controller": "SELF"
+            }
+        },
+        {
+            "id": "EC-149#2",
+            "label": "Static",
+            "description": "That Avatar gets +1 Essence.",
+            "trigger": "STATIC",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "BEARER"
+                    },
+                    "kind": "MODIFY_STATS",
+                    "guard": 1
+                }
+            ]
+        }
+    ],
+    "EC-150": [
+        {
+            "id": "EC-150#1",
+            "label": "Attach",
+            "description": "Attach to a Deity or Avatar.",
+            "attach": {
+                "kinds": [
+                    "DEITY",
+                    "AVATAR"
+                ]
+            }
+        }
+    ],
+    "EC-151": [
+        {
+            "id": "EC-151#1",
+            "label": "Attach",
+            "description": "Attach to an Avatar.",
+            "attach": {
+                "kinds": [
+                    "AVATAR"
+                ]
+            }
+        }
+    ],
+    "EC-152": [
+        {
+            "id": "EC-152#1",
+            "label": "Attach",
+            "description": "Attach to a Deity.",
+            "attach": {
+                "kinds": [
+                    "DEITY"
+                ]
+            }
+        }
+    ],
+    "EC-157": [
+        {
+            "id": "EC-157#1",
+            "label": "Attach",
+            "description": "Attach to a Deity.",
+            "attach": {
+                "kinds": [
+                    "DEITY"
+                ]
+            }
+        }
+    ],
+    "EC-158": [
+        {
+            "id": "EC-158#1",
+            "label": "Attach",
+            "description": "Attach to an Avatar.",
+            "attach": {
+                "kinds": [
+                    "AVATAR"
+                ]
+            }
+        },
+        {
+            "id": "EC-158#2",
+            "label": "Static",
+            "description": "The bearer gets +3 Essence.",
+            "trigger": "STATIC",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "BEARER"
+                    },
+                    "kind": "MODIFY_STATS",
+                    "guard": 3
+                }
+            ]
+        }
+    ],
+    "EC-159": [
+        {
+            "id": "EC-159#1",
+            "label": "Attach",
+            "description": "Attach to an opposing Avatar.",
+            "attach": {
+                "kinds": [
+                    "AVATAR"
+                ],
+                "controller": "OPPONENT"
+            }
+        }
+    ],
+    "EC-160": [
+        {
+            "id": "EC-160#1",
+            "label": "Attach",
+            "description": "Attach to a Deity.",
+            "attach": {
+                "kinds": [
+                    "DEITY"
+                ]
+            }
+        }
+    ],
+    "EC-165": [
+        {
+            "id": "CROWNBOUND",
+            "label": "Crownbound",
+            "description": "Crownbound."
+        }
+    ],
+    "EC-166": [
+        {
+            "id": "CROWNBOUND",
+            "label": "Crownbound",
+            "description": "Crownbound."
+        }
+    ],
+    "EC-167": [
+        {
+            "id": "CROWNBOUND",
+            "label": "Crownbound",
+            "description": "Crownbound."
+        }
+    ],
+    "EC-168": [
+        {
+            "id": "CROWNBOUND",
+            "label": "Crownbound",
+            "description": "Crownbound."
+        }
+    ],
+    "EC-177": [
+        {
+            "id": "EC-177#1",
+            "label": "Activated",
+            "description": "Once per Cycle, you may exhaust this: add 2 Essence usable only to cast Avatars aligned with Shattered Sun.",
+            "trigger": "ACTIVATED",
+            "cost": {
+                "tapSelf": true
+            },
+            "oncePerTurn": true,
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "ADD_KL",
+                    "amount": 2,
+                    "label": "Essence",
+                    "restriction": {
+                        "typeLines": [
+                            "AVATAR"
+                        ],
+                        "domainTag": "Shattered Sun"
+                    }
+                }
+            ]
+        }
+    ],
+    "EC-178": [
+        {
+            "id": "EC-178#2",
+            "label": "Activated",
+            "description": "Once per Cycle, you may exhaust this to add 1 Essence usable for any card type.",
+            "trigger": "ACTIVATED",
+            "cost": {
+                "tapSelf": true
+            },
+            "oncePerTurn": true,
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "ADD_KL",
+                    "amount": 1,
+                    "label": "Essence"
+                }
+            ]
+        }
+    ],
+    "EC-179": [
+        {
+            "id": "EC-179#1",
+            "label": "Activated",
+            "description": "Once per Cycle, you may lose 1 Essence: add 2 Essence that can only be used to cast Spells or Rites.",
+            "trigger": "ACTIVATED",
+            "cost": {
+                "essence": 1
+            },
+            "oncePerTurn": true,
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "ADD_KL",
+                    "amount": 2,
+                    "label": "Essence",
+                    "restriction": {
+                        "typeLines": [
+                            "SPELL",
+                            "RITE"
+                        ]
+                    }
+                }
+            ]
+        }
+    ],
+    "EC-181": [
+        {
+            "id": "EC-181#1",
+            "label": "Attach",
+            "description": "Attach to an Avatar you control.",
+            "attach": {
+                "kinds": [
+                    "AVATAR"
+                ],
+                "controller": "SELF"
+            }
+        },
+        {
+            "id": "EC-181#2",
+            "label": "Static",
+            "description": "Attached Avatar gets +1 Essence.",
+            "trigger": "STATIC",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "BEARER"
+                    },
+                    "kind": "MODIFY_STATS",
+                    "guard": 1
+                }
+            ]
+        }
+    ],
+    "EC-182": [
+        {
+            "id": "EC-182#1",
+            "label": "Attach",
+            "description": "Attach to a Deity.",
+            "attach": {
+                "kinds": [
+                    "DEITY"
+                ]
+            }
+        },
+        {
+            "id": "EC-182#3",
+            "label": "Shard Claimed",
+            "description": "When you claim a Shard, heal 1 Essence to your Deity.",
+            "trigger": "ON_CLAIM",
+            "triggerSource": "SELF",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "GAIN_ESSENCE",
+                    "amount": 1
+                }
+            ]
+        }
+    ],
+    "EC-183": [
+        {
+            "id": "EC-183#1",
+            "label": "Attach",
+            "description": "Attach to an Avatar.",
+            "attach": {
+                "kinds": [
+                    "AVATAR"
+                ]
+            }
+        }
+    ],
+    "EC-184": [
+        {
+            "id": "EC-184#1",
+            "label": "Attach",
+            "description": "Attach to an Avatar or Deity.",
+            "attach": {
+                "kinds": [
+                    "AVATAR",
+                    "DEITY"
+                ]
+            }
+        }
+    ],
+    "EC-189": [
+        {
+            "id": "EC-189#1",
+            "label": "Attach",
+            "description": "Attach to an Avatar.",
+            "attach": {
+                "kinds": [
+                    "AVATAR"
+                ]
+            }
+        }
+    ],
+    "EC-190": [
+        {
+            "id": "EC-190#1",
+            "label": "Attach",
+            "description": "Attach to an opposing Avatar.",
+            "attach": {
+                "kinds": [
+                    "AVATAR"
+                ],
+                "controller": "OPPONENT"
+            }
+        }
+    ],
+    "EC-191": [
+        {
+            "id": "EC-191#1",
+            "label": "Attach",
+            "description": "Attach to a Deity.",
+            "attach": {
+                "kinds": [
+                    "DEITY"
+                ]
+            }
+        }
+    ],
+    "EC-192": [
+        {
+            "id": "EC-192#1",
+            "label": "Attach",
+            "description": "Attach to a Deity or Avatar.",
+            "attach": {
+                "kinds": [
+                    "DEITY",
+                    "AVATAR"
+                ]
+            }
+        }
+    ],
+    "EC-197": [
+        {
+            "id": "CROWNBOUND",
+            "label": "Crownbound",
+            "description": "Crownbound."
+        }
+    ],
+    "EC-198": [
+        {
+            "id": "EC-198#1",
+            "label": "On Claim",
+            "description": "When you claim Deepwake Crown Shard, heal 2 Essence to your Deity.",
+            "trigger": "ON_CLAIM",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "GAIN_ESSENCE",
+                    "amount": 2
+                }
+            ]
+        },
+        {
+            "id": "CROWNBOUND",
+            "label": "Crownbound",
+            "description": "Crownbound."
+        }
+    ],
+    "EC-199": [
+        {
+            "id": "CROWNBOUND",
+            "label": "Crownbound",
+            "description": "Crownbound."
+        }
+    ],
+    "EC-200": [
+        {
+            "id": "CROWNBOUND",
+            "label": "Crownbound",
+            "description": "Crownbound."
+        }
+    ],
+    "EC-208": [
+        {
+            "id": "GUARDIAN",
+            "label": "Guardian",
+            "description": "Guardian."
+        }
+    ],
+    "EC-210": [
+        {
+            "id": "EC-210#2",
+            "label": "Activated",
+            "description": "Once per Cycle, exhaust this: add 1 Essence of any type.",
+            "trigger": "ACTIVATED",
+            "cost": {
+                "tapSelf": true
+            },
+            "oncePerTurn": true,
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "ADD_KL",
+                    "amount": 1,
+                    "label": "Essence"
+                }
+            ]
+        }
+    ],
+    "EC-213": [
+        {
+            "id": "EC-213#1",
+            "label": "Attach",
+            "description": "Attach to an Avatar.",
+            "attach": {
+                "kinds": [
+                    "AVATAR"
+                ]
+            }
+        },
+        {
+            "id": "EC-213#2",
+            "label": "Static",
+            "description": "Attached Avatar gets +1 Essence.",
+            "trigger": "STATIC",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "BEARER"
+                    },
+                    "kind": "MODIFY_STATS",
+                    "guard": 1
+                }
+            ]
+        }
+    ],
+    "EC-214": [
+        {
+            "id": "EC-214#1",
+            "label": "Attach",
+            "description": "Attach to a Deity or Avatar.",
+            "attach": {
+                "kinds": [
+                    "DEITY",
+                    "AVATAR"
+                ]
+            }
+        }
+    ],
+    "EC-215": [
+        {
+            "id": "EC-215#1",
+            "label": "Attach",
+            "description": "Attach to a Deity.",
+            "attach": {
+                "kinds": [
+                    "DEITY"
+                ]
+            }
+        }
+    ],
+    "EC-216": [
+        {
+            "id": "EC-216#1",
+            "label": "Attach",
+            "description": "Attach to an Avatar.",
+            "attach": {
+                "kinds": [
+                    "AVATAR"
+                ]
+            }
+        }
+    ],
+    "EC-001": [
+        {
+            "id": "EC-001#1",
+            "label": "Solar Flow",
+            "description": "At the start of your turn, if you control at least one Glow Avatar, gain +1 KL this turn.",
+            "trigger": "ON_TURN_START",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "GAIN_KL",
+                    "amount": 1,
+                    "condition": {
+                        "kind": "CONTROLS",
+                        "atLeast": 1,
+                        "typeLine": "AVATAR",
+                        "subtype": "Glow"
+                    }
+                }
+            ]
+        },
+        {
+            "id": "EC-001#2",
+            "label": "Crown of the Second Sun",
+            "description": "God Code - Crown of the Second Sun (once per game): When your KL would go above 13, instead set it to 13 and your Avatars gain +2 Power until end of turn. Target opponent loses 4 Essence.",
+            "trigger": "GOD_CODE",
+            "cost": {
+                "godCharges": 1
+            },
+            "oncePerGame": true,
+            "targets": [
+                {
+                    "kind": "PLAYER",
+                    "controller": "OPPONENT"
+                }
+            ],
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "ALL_AVATARS",
+                        "controller": "SELF"
+                    },
+                    "kind": "MODIFY_STATS",
+                    "power": 2,
+                    "duration": "END_OF_TURN"
+                },
+                {
+                    "subject": {
+                        "ref": "TARGET",
+                        "index": 0
+                    },
+                    "kind": "LOSE_ESSENCE",
+                    "amount": 4
+                }
+            ]
+        }
+    ],
+    "EC-002": [
+        {
+            "id": "EC-002#1",
+            "label": "Grid Drain",
+            "description": "Whenever an enemy Avatar is destroyed, you may drain 1 KL from that Avatar's controller.",
+            "trigger": "ON_DESTROYED",
+            "triggerSource": "OPPONENT",
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "EVENT_PLAYER"
+                    },
+                    "kind": "LOSE_KL",
+                    "amount": 1
+                }
+            ]
+        },
+        {
+            "id": "EC-002#2",
+            "label": "Crown of Absolute Zero",
+            "description": "God Code - Crown of Absolute Zero (once per game): When your KL would go above 13, instead set it to 13 and target opponent loses 3 KL and 3 Essence. Then you may destroy up to one Avatar they control with cost 3 or less.",
+            "trigger": "GOD_CODE",
+            "cost": {
+                "godCharges": 1
+            },
+            "oncePerGame": true,
+            "targets": [
+                {
+                    "kind": "PLAYER",
+                    "controller": "OPPONENT"
+                },
+                {
+                    "kind": "AVATAR",
+                    "maxCost": 3,
+                    "controller": "OPPONENT",
+                    "optional": true
+                }
+            ],
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "TARGET",
+                        "index": 0
+                    },
+                    "kind": "LOSE_KL",
+                    "amount": 3
+                },
+                {
+                    "subject": {
+                        "ref": "TARGET",
+                        "index": 0
+                    },
+                    "kind": "LOSE_ESSENCE",
+                    "amount": 3
+                },
+                {
+                    "subject": {
+                        "ref": "TARGET",
+                        "index": 1
+                    },
+                    "kind": "DESTROY"
+                }
+            ]
+        }
+    ],
+    "EC-036": [
+        {
+            "id": "EC-036#2",
+            "label": "Final Arbitration",
+            "description": "God Code - Final Arbitration (once per game): When your KL would go above 13, instead set it to 13 and activate this. Set each Deity's Essence to the lower of the two values, then you gain 3 Essence.",
+            "trigger": "GOD_CODE",
+            "cost": {
+                "godCharges": 1
+            },
+            "oncePerGame": true,
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "EACH_PLAYER"
+                    },
+                    "kind": "SET_ESSENCE_TO_LOWEST"
+                },
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "GAIN_ESSENCE",
+                    "amount": 3
+                }
+            ]
+        }
+    ],
+    "EC-037": [
+        {
+            "id": "EC-037#2",
+            "label": "Call of the Crown Pride",
+            "description": "God Code - Call of the Crown Pride (once per game): Create up to three 2/2 Glow Beast Avatars with Guardian on New Earth. Restore 3 Essence to your Deity.",
+            "trigger": "GOD_CODE",
+            "cost": {
+                "godCharges": 1
+            },
+            "oncePerGame": true,
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "CREATE_TOKEN",
+                    "tokenId": "GLOW_BEAST",
+                    "count": 3
+                },
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "GAIN_ESSENCE",
+                    "amount": 3
+                }
+            ]
+        }
+    ],
+    "EC-041": [
+        {
+            "id": "EC-041#2",
+            "label": "Sanctuary Eclipse",
+            "description": "God Code - Sanctuary Eclipse (once per game): Destroy up to two non-Beast Avatars. For each Avatar destroyed this way, you may create a 3/3 Void Beast Avatar.",
+            "trigger": "GOD_CODE",
+            "cost": {
+                "godCharges": 1
+            },
+            "oncePerGame": true,
+            "targets": [
+                {
+                    "kind": "AVATAR",
+                    "excludeSubtype": "Beast",
+                    "optional": true
+                },
+                {
+                    "kind": "AVATAR",
+                    "excludeSubtype": "Beast",
+                    "optional": true
+                }
+            ],
+            "effects": [
+                {
+                    "subject": {
+                        "ref": "TARGET",
+                        "index": 0
+                    },
+                    "kind": "DESTROY"
+                },
+                {
+                    "subject": {
+                        "ref": "TARGET",
+                        "index": 1
+                    },
+                    "kind": "DESTROY"
+                },
+                {
+                    "subject": {
+                        "ref": "CONTROLLER"
+                    },
+                    "kind": "CREATE_TOKEN",
+                    "tokenId": "VOID_BEAST",
+                    "count": 1,
+                    "perDestroyed": true
+                }
+            ]
+        }
+    ],
+};
+
+// God Charge rules from engine/resources.ts: GOD_THRESHOLD_KL, MAX_GOD_CHARGES,
+// MIN_TURN_FOR_GOD_CHARGE_SPEND and STARTING_GOD_CHARGES
+const GOD_CODE_RULES = {
+    "thresholdKl": 13,
+    "maxCharges": 3,
+    "minTurnToSpend": 4,
+    "startingCharges": 1
+};
+
+// CommonJS export for Node/testing (ignored in browser)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CARD_ABILITIES, GOD_CODE_RULES };
+}
@@ -0,0 +1,1006 @@
+import type { GameState } from "./gameState";
+import type { Player } from "./player";
+import type {
+  Card,
+  CardAbility,
+  AbilityCondition,
+  AbilityTrigger,
+  ControllerFilter,
+  Effect,
+  EffectSubject,
+  TargetSpec,
+} from "./card";
+import { Zone } from "./zones";
+import {
+  addToChain,
+  addTriggerToChain,
+  checkAddToChain,
+  ABILITY_LINK_KIND,
+  SPELL_LINK_KIND,
+  type ChainLink,
+  type ChainResolver,
+  type ChainTarget,
+} from "./chain";
+import { drawCard } from "./turn";
+import { markDamage, isDead } from "./combat";
+import { sendToCrypt } from "./movement";
+import { createToken } from "./tokens";
+import { addModifier } from "./modifiers";
+import { hasKeyword } from "./keywords";
+import { getBearer } from "./attachments";
+import { ABSOLUTE_KL_CAP, MIN_KL, checkGodThreshold } from "./resources";
+import { addPooledKl } from "./klPool";
+import type { PendingChoice } from "./choices";
+import { checkStateBasedActions } from "./stateBased";
+import { areTeammates, getOpponents, getTeam } from "./format";
+import { throwIfViolated, violation, type RuleViolation } from "./violations";
+import {
+  emitEngineEvent,
+  orderTriggersByActivePlayer,
+  type EngineEvent,
+} from "./events";
+
+export { ABILITY_LINK_KIND };
+
+function getPlayer(state: GameState, playerId: string): Player {
+  const player = state.players.find((p) => p.id === playerId);
+  if (!player) {
+    throw new Error(`Player with id ${playerId} not found in GameState.`);
+  }
+  return player;
+}
+
+function getBattlefieldCards(player: Player): Card[] {
+  return [
+    ...player.avatarLine,
+    ...player.shardRow,
+    ...player.relicSupportZone,
+    ...(player.domainZone ? [player.domainZone] : []),
+  ];
+}
+
+function findOnBattlefield(
+  state: GameState,
+  instanceId: string
+): { player: Player; card: Card } | null {
+  for (const player of state.players) {
+    const card = getBattlefieldCards(player).find((c) => c.instanceId === instanceId);
+    if (card) return { player, card };
+  }
+  return null;
+}
+
+/**
+ * OPPONENT means anyone not on the controller's team; teammates are neither
+ * SELF nor OPPONENT.
+ */
+function matchesController(
+  state: GameState,
+  filter: ControllerFilter | undefined,
+  controllerId: string,
+  playerId: string
+): boolean {
+  switch (filter ?? "ANY") {
+    case "SELF":
+      return playerId === controllerId;
+    case "OPPONENT":
+      return !areTeammates(state, controllerId, playerId);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Abilities of a card with the given trigger.
+ */
+export function getAbilities(card: Card, trigger: AbilityTrigger): CardAbility[] {
+  return card.abilities.filter((a) => a.trigger === trigger);
+}
+
+/**
+ * Is `target` a legal choice for `spec`, from `controllerId`'s point of view?
+ * Opponents' cards with Stealth can't be targeted.
+ */
+export function isLegalTarget(
+  state: GameState,
+  controllerId: string,
+  spec: TargetSpec,
+  target: ChainTarget
+): boolean {
+  if (!matchesController(state, spec.controller, controllerId, target.playerId)) {
+    return false;
+  }
+
+  if (spec.kind === "PLAYER") {
+    return (
+      target.instanceId === undefined &&
+      state.players.some((p) => p.id === target.playerId && p.lossReason === null)
+    );
+  }
+
+  if (target.instanceId === undefined) return false;
+  const found = findOnBattlefield(state, target.instanceId);
+  if (!found || found.player.id !== target.playerId) return false;
+  if (spec.kind === "AVATAR" && found.card.zone !== Zone.AVATAR_LINE) return false;
+  if (!areTeammates(state, controllerId, found.player.id) && hasKeyword(found.card, "STEALTH")) {
+    return false;
+  }
+
+  const cost = found.card.klCost ?? 0;
+  if (spec.minCost !== undefined && cost < spec.minCost) return false;
+  if (spec.maxCost !== undefined && cost > spec.maxCost) return false;
+  if (spec.excludeSubtype !== undefined && found.card.subtypes.includes(spec.excludeSubtype)) return false;
+  return true;
+}
+
+/**
+ * INVALID_TARGET unless `targets` line up with `specs`: one target per spec,
+ * in order, optional specs may be left off the end.
+ */
+export function checkTargets(
+  state: GameState,
+  controllerId: string,
+  specs: TargetSpec[],
+  targets: ChainTarget[]
+): RuleViolation | null {
+  const required = specs.filter((s) => !s.optional).length;
+  if (targets.length < required || targets.length > specs.length) {
+    return violation(
+      "INVALID_TARGET",
+      `Expected ${required === specs.length ? required : `${required}-${specs.length}`} target(s), got ${targets.length}.`,
+      { required, allowed: specs.length, given: targets.length }
+    );
+  }
+  for (const [i, target] of targets.entries()) {
+    if (!isLegalTarget(state, controllerId, specs[i], target)) {
+      return violation(
+        "INVALID_TARGET",
+        `Target ${i + 1} (${target.instanceId ?? `player ${target.playerId}`}) is not a legal ${specs[i].kind}.`,
+        { index: i, target: { ...target }, kind: specs[i].kind }
+      );
+    }
+  }
+  return null;
+}
+
+/**
+ * Throws unless `targets` line up with `specs` (see checkTargets).
+ */
+export function validateTargets(
+  state: GameState,
+  controllerId: string,
+  specs: TargetSpec[],
+  targets: ChainTarget[]
+): void {
+  throwIfViolated(checkTargets(state, controllerId, specs, targets));
+}
+
+/**
+ * Evaluate a condition for an ability controlled by `controllerId`.
+ */
+export function checkCondition(
+  state: GameState,
+  controllerId: string,
+  condition: AbilityCondition | undefined,
+  targets: (ChainTarget | null)[] = []
+): boolean {
+  if (!condition) return true;
+
+  // Battlefield cards of a player matching the condition's type and subtype.
+  const countControlled = (player: Player, typeLine?: string, subtype?: string) =>
+    getBattlefieldCards(player).filter(
+      (c) =>
+        (typeLine === undefined || c.typeLine === typeLine) &&
+        (subtype === undefined || c.subtypes.includes(subtype))
+    ).length;
+
+  switch (condition.kind) {
+    case "CONTROLS":
+      return countControlled(getPlayer(state, controllerId), condition.typeLine, condition.subtype) >= condition.atLeast;
+    case "CONTROLS_FEWER_THAN_OPPONENT": {
+      const own = countControlled(getPlayer(state, controllerId), condition.typeLine, condition.subtype);
+      return getOpponents(state, controllerId).some(
+        (p) => countControlled(p, condition.typeLine, condition.subtype) > own
+      );
+    }
+    case "ESSENCE_AT_MOST": {
+      const playerId =
+        condition.player === "CONTROLLER"
+          ? controllerId
+          : targets[condition.targetIndex ?? 0]?.playerId;
+      const player = state.players.find((p) => p.id === playerId);
+      return !!player && player.essence <= condition.amount;
+    }
+  }
+}
+
+/**
+ * A STATIC effect that changes a player (not a card), with where it comes from.
+ */
+export interface StaticPlayerEffect<K extends Effect["kind"]> {
+  effect: Extract<Effect, { kind: K }>;
+  ability: CardAbility;
+  source: Card;
+  controllerId: string;
+}
+
+/**
+ * Every STATIC effect of this kind that covers playerId: on any in-game
+ * player's Deity or battlefield, with the ability's and the effect's
+ * conditions met, and a subject of CONTROLLER, EACH_OPPONENT or EACH_PLAYER
+ * that includes them. Other subjects cover nobody.
+ */
+export function getStaticPlayerEffects<K extends Effect["kind"]>(
+  state: GameState,
+  playerId: string,
+  kind: K
+): StaticPlayerEffect<K>[] {
+  getPlayer(state, playerId);
+  const found: StaticPlayerEffect<K>[] = [];
+
+  for (const controller of state.players) {
+    if (controller.lossReason !== null) continue;
+    for (const source of [controller.deity, ...getBattlefieldCards(controller)]) {
+      for (const ability of getAbilities(source, "STATIC")) {
+        if (!checkCondition(state, controller.id, ability.condition)) continue;
+
+        for (const effect of ability.effects ?? []) {
+          if (effect.kind !== kind) continue;
+          if (!subjectCoversPlayer(state, effect.subject, controller.id, playerId)) continue;
+          if (!checkCondition(state, controller.id, effect.condition)) continue;
+          found.push({
+            effect: effect as Extract<Effect, { kind: K }>,
+            ability,
+            source,
+            controllerId: controller.id,
+          });
+        }
+      }
+    }
+  }
+  return found;
+}
+
+function subjectCoversPlayer(
+  state: GameState,
+  subject: EffectSubject,
+  controllerId: string,
+  playerId: string
+): boolean {
+  switch (subject.ref) {
+    case "CONTROLLER":
+      return playerId === controllerId;
+    case "EACH_OPPONENT":
+      return !areTeammates(state, controllerId, playerId);
+    case "EACH_PLAYER":
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Turn an effect subject into concrete players/cards.
+ * Targets that became illegal are passed as null and resolve to nothing.
+ */
+function resolveSubject(
+  state: GameState,
+  controllerId: string,
+  sourceInstanceId: string,
+  subject: EffectSubject,
+  targets: (ChainTarget | null)[],
+  event?: EngineEvent
+): ChainTarget[] {
+  switch (subject.ref) {
+    case "TARGET": {
+      const target = targets[subject.index ?? 0];
+      return target ? [target] : [];
+    }
+    case "TARGET_CONTROLLER": {
+      const target = targets[subject.index ?? 0];
+      return target ? [{ playerId: target.playerId }] : [];
+    }
+    case "SELF": {
+      const found = findOnBattlefield(state, sourceInstanceId);
+      return found ? [{ playerId: found.player.id, instanceId: found.card.instanceId }] : [];
+    }
+    case "CONTROLLER":
+      return [{ playerId: controllerId }];
+    case "EACH_OPPONENT":
+      return getOpponents(state, controllerId).map((p) => ({ playerId: p.id }));
+    case "EACH_PLAYER":
+      return state.players
+        .filter((p) => p.lossReason === null)
+        .map((p) => ({ playerId: p.id }));
+    case "ALL_AVATARS":
+      return state.players
+        .filter((p) => matchesController(state, subject.controller, controllerId, p.id))
+        .flatMap((p) => p.avatarLine.map((c) => ({ playerId: p.id, instanceId: c.instanceId })));
+    case "EVENT_PLAYER":
+      return event ? [{ playerId: event.playerId }] : [];
+    case "BEARER": {
+      const found = findOnBattlefield(state, sourceInstanceId);
+      const bearer = found ? getBearer(state, found.card) : null;
+      return bearer ? [bearer] : [];
+    }
+  }
+}
+
+function loseEssence(
+  state: GameState,
+  player: Player,
+  amount: number,
+  sourceInstanceId: string,
+  damage: boolean
+): void {
+  if (amount <= 0) return;
+  player.essence = Math.max(0, player.essence - amount);
+  emitEngineEvent(state, {
+    type: "ON_ESSENCE_LOSS",
+    playerId: player.id,
+    sourceInstanceId,
+    amount,
+    damage,
+  });
+}
+
+/**
+ * What an effect can see of the ability resolving around it: the choices made
+ * for it, how many Avatars each player sacrificed to earlier effects ("for
+ * each Avatar they sacrificed this way") and how many Avatars earlier effects
+ * destroyed ("for each Avatar destroyed this way").
+ */
+interface EffectContext {
+  choices: PendingChoice[];
+  sacrificed: Map<string, number>;
+  destroyed: number;
+}
+
+function applyEffect(
+  state: GameState,
+  controllerId: string,
+  sourceInstanceId: string,
+  effect: Effect,
+  subjects: ChainTarget[],
+  context: EffectContext
+): void {
+  for (const subject of subjects) {
+    const player = getPlayer(state, subject.playerId);
+    const card = subject.instanceId
+      ? getBattlefieldCards(player).find((c) => c.instanceId === subject.instanceId)
+      : undefined;
+
+    switch (effect.kind) {
+      case "DEAL_DAMAGE":
+        if (subject.instanceId) {
+          if (!card) break;
+          markDamage(card, effect.amount);
+          if (isDead(state, card)) {
+            sendToCrypt(state, player.id, card.instanceId);
+          }
+        } else {
+          loseEssence(state, player, effect.amount, sourceInstanceId, true);
+        }
+        break;
+      case "LOSE_ESSENCE": {
+        const times = effect.perSacrificed ? context.sacrificed.get(player.id) ?? 0 : 1;
+        if (times > 0) loseEssence(state, player, effect.amount * times, sourceInstanceId, false);
+        break;
+      }
+      case "GAIN_ESSENCE":
+        player.essence += effect.amount;
+        emitEngineEvent(state, {
+          type: "ON_ESSENCE_GAIN",
+          playerId: player.id,
+          sourceInstanceId,
+          amount: effect.amount,
+        });
+        break;
+      case "DRAW":
+        for (let i = 0; i < effect.count; i++) {
+          drawCard(state, player);
+        }
+        break;
+      case "DESTROY":
+        if (card) {
+          sendToCrypt(state, player.id, card.instanceId);
+          context.destroyed += 1;
+        }
+        break;
+      case "CREATE_TOKEN": {
+        if (subject.instanceId) break;
+        const count = effect.perDestroyed ? effect.count * context.destroyed : effect.count;
+        createToken(state, player.id, effect.tokenId, count);
+        break;
+      }
+      case "SET_ESSENCE_TO_LOWEST": {
+        if (subject.instanceId) break;
+        // Only ever lowered, so the lowest stays the same as the loop goes on.
+        const lowest = Math.min(...subjects.map((s) => getPlayer(state, s.playerId).essence));
+        loseEssence(state, player, player.essence - lowest, sourceInstanceId, false);
+        break;
+      }
+      case "SACRIFICE_UNCHOSEN": {
+        if (subject.instanceId) break;
+        // Without a choice (nothing to choose, or resolved off the chain) the oldest Avatars stay.
+        const kept =
+          context.choices.find((c) => c.playerId === player.id)?.chosen ??
+          player.avatarLine.slice(0, effect.keep).map((c) => c.instanceId);
+        const sacrificed = player.avatarLine.filter((c) => !kept.includes(c.instanceId));
+        for (const avatar of sacrificed) {
+          sendToCrypt(state, player.id, avatar.instanceId);
+        }
+        context.sacrificed.set(player.id, (context.sacrificed.get(player.id) ?? 0) + sacrificed.length);
+        break;
+      }
+      case "GAIN_KL": {
+        const oldKl = player.currentKl;
+        player.currentKl = Math.min(ABSOLUTE_KL_CAP, player.currentKl + effect.amount);
+        checkGodThreshold(player, oldKl, player.currentKl);
+        break;
+      }
+      case "LOSE_KL":
+        player.currentKl = Math.max(MIN_KL, player.currentKl - effect.amount);
+        break;
+      case "MODIFY_STATS":
+        if (card) {
+          addModifier(card, {
+            sourceInstanceId,
+            controllerId,
+            power: effect.power,
+            guard: effect.guard,
+            duration: effect.duration ?? "END_OF_TURN",
+          });
+          if (isDead(state, card)) {
+            sendToCrypt(state, player.id, card.instanceId);
+          }
+        }
+        break;
+      case "MODIFY_HAND_SIZE":
+        // Only means something on a STATIC ability; see getMaxHandSize.
+        break;
+      case "MODIFY_KL":
+        // Only means something on a STATIC ability; see getKlBreakdown.
+        break;
+      case "ADD_KL":
+        addPooledKl(player, {
+          label: effect.label ?? "KL",
+          amount: effect.amount,
+          sourceInstanceId,
+          restriction: effect.restriction,
+          expires: effect.expires ?? "END_OF_TURN",
+        });
+        break;
+    }
+  }
+}
+
+/**
+ * Run one ability's effects in order. Targets are aligned with ability.targets;
+ * illegal ones are null. Skips everything if the ability's own condition fails.
+ * `event` is the event that fired a triggered ability; `choices` are the
+ * choices players made for it as its chain link resolved (see choices.ts).
+ */
+export function executeAbility(
+  state: GameState,
+  controllerId: string,
+  sourceInstanceId: string,
+  ability: CardAbility,
+  targets: (ChainTarget | null)[],
+  event?: EngineEvent,
+  choices: PendingChoice[] = []
+): void {
+  if (!checkCondition(state, controllerId, ability.condition, targets)) {
+    return;
+  }
+  const context: EffectContext = { choices: [], sacrificed: new Map(), destroyed: 0 };
+  for (const [effectIndex, effect] of (ability.effects ?? []).entries()) {
+    if (!checkCondition(state, controllerId, effect.condition, targets)) {
+      continue;
+    }
+    const subjects = resolveSubject(
+      state,
+      controllerId,
+      sourceInstanceId,
+      effect.subject,
+      targets,
+      event
+    );
+    context.choices = choices.filter((c) => c.abilityId === ability.id && c.effectIndex === effectIndex);
+    applyEffect(state, controllerId, sourceInstanceId, effect, subjects, context);
+  }
+}
+
+/**
+ * The choices players have to make before this ability resolves on chain
+ * link `linkId`: one for each player covered by a SACRIFICE_UNCHOSEN effect
+ * who has more Avatars than it keeps. Empty if the ability won't do anything.
+ */
+export function getAbilityChoices(
+  state: GameState,
+  linkId: number,
+  controllerId: string,
+  sourceInstanceId: string,
+  ability: CardAbility,
+  targets: (ChainTarget | null)[]
+): PendingChoice[] {
+  if (!checkCondition(state, controllerId, ability.condition, targets)) {
+    return [];
+  }
+  const choices: PendingChoice[] = [];
+  for (const [effectIndex, effect] of (ability.effects ?? []).entries()) {
+    if (effect.kind !== "SACRIFICE_UNCHOSEN") continue;
+    if (!checkCondition(state, controllerId, effect.condition, targets)) continue;
+    for (const subject of resolveSubject(state, controllerId, sourceInstanceId, effect.subject, targets)) {
+      const player = getPlayer(state, subject.playerId);
+      if (subject.instanceId || player.avatarLine.length <= effect.keep) continue;
+      choices.push({
+        playerId: player.id,
+        linkId,
+        abilityId: ability.id,
+        effectIndex,
+        count: effect.keep,
+        options: player.avatarLine.map((c) => c.instanceId),
+        chosen: null,
+      });
+    }
+  }
+  return choices;
+}
+
+/**
+ * A Spell's targets, in order, across all of its SPELL abilities.
+ */
+export function getSpellTargetSpecs(card: Card): TargetSpec[] {
+  return getAbilities(card, "SPELL").flatMap((a) => a.targets ?? []);
+}
+
+function getLinkAbility(link: ChainLink): CardAbility {
+  const ability = link.data?.ability as CardAbility | undefined;
+  if (!ability) {
+    throw new Error(`Chain link ${link.id} has no ability to resolve.`);
+  }
+  return ability;
+}
+
+// The choices made while the link waited to resolve (see choices.ts).
+function getLinkChoices(link: ChainLink): PendingChoice[] {
+  return (link.data?.choices as PendingChoice[] | undefined) ?? [];
+}
+
+function alignTargets(link: ChainLink, legalTargets: ChainTarget[]): (ChainTarget | null)[] {
+  return link.targets.map((t) => (legalTargets.includes(t) ? t : null));
+}
+
+const spellResolver: ChainResolver = {
+  validate: (state, link) => {
+    if (link.card) {
+      validateTargets(state, link.controllerId, getSpellTargetSpecs(link.card), link.targets);
+    }
+  },
+  isTargetLegal: (state, link, target) => {
+    const spec = link.card
+      ? getSpellTargetSpecs(link.card)[link.targets.indexOf(target)]
+      : undefined;
+    return spec ? isLegalTarget(state, link.controllerId, spec, target) : true;
+  },
+  getChoices: (state, link, legalTargets) => {
+    if (!link.card) return [];
+    const aligned = alignTargets(link, legalTargets);
+    let offset = 0;
+    return getAbilities(link.card, "SPELL").flatMap((ability) => {
+      const count = ability.targets?.length ?? 0;
+      const targets = aligned.slice(offset, offset + count);
+      offset += count;
+      return getAbilityChoices(state, link.id, link.controllerId, link.sourceInstanceId, ability, targets);
+    });
+  },
+  resolve: (state, link, legalTargets) => {
+    if (!link.card) return;
+    const aligned = alignTargets(link, legalTargets);
+    let offset = 0;
+    for (const ability of getAbilities(link.card, "SPELL")) {
+      const count = ability.targets?.length ?? 0;
+      executeAbility(
+        state,
+        link.controllerId,
+        link.sourceInstanceId,
+        ability,
+        aligned.slice(offset, offset + count),
+        undefined,
+        getLinkChoices(link)
+      );
+      offset += count;
+    }
+  },
+};
+
+const abilityResolver: ChainResolver = {
+  validate: (state, link) => {
+    const ability = getLinkAbility(link as ChainLink);
+    validateTargets(state, link.controllerId, ability.targets ?? [], link.targets);
+  },
+  isTargetLegal: (state, link, target) => {
+    const spec = getLinkAbility(link).targets?.[link.targets.indexOf(target)];
+    return spec ? isLegalTarget(state, link.controllerId, spec, target) : true;
+  },
+  getChoices: (state, link, legalTargets) =>
+    getAbilityChoices(
+      state,
+      link.id,
+      link.controllerId,
+      link.sourceInstanceId,
+      getLinkAbility(link),
+      alignTargets(link, legalTargets)
+    ),
+  resolve: (state, link, legalTargets) => {
+    executeAbility(
+      state,
+      link.controllerId,
+      link.sourceInstanceId,
+      getLinkAbility(link),
+      alignTargets(link, legalTargets),
+      link.data?.event as EngineEvent | undefined,
+      getLinkChoices(link)
+    );
+  },
+};
+
+/**
+ * The engine's own resolvers: a Spell runs its abilities, an ability link
+ * runs the ability it carries. A game's rules may replace either (see
+ * registerChainResolver).
+ */
+export function getBuiltInChainResolver(kind: string): ChainResolver | undefined {
+  switch (kind) {
+    case SPELL_LINK_KIND:
+      return spellResolver;
+    case ABILITY_LINK_KIND:
+      return abilityResolver;
+    default:
+      return undefined;
+  }
+}
+
+// Activated abilities live on the player's battlefield cards or their Deity.
+function findAbilitySource(player: Player, instanceId: string): Card | undefined {
+  return player.deity.instanceId === instanceId
+    ? player.deity
+    : getBattlefieldCards(player).find((c) => c.instanceId === instanceId);
+}
+
+/**
+ * An activated ability that only adds pooled KL ("exhaust this: add 2 Sun
+ * Essence"). It has fast timing but doesn't use the Shard Chain: it resolves
+ * as soon as it is activated, so the KL can pay for what comes next.
+ */
+export function isKlAbility(ability: CardAbility): boolean {
+  const effects = ability.effects ?? [];
+  return (
+    ability.trigger === "ACTIVATED" &&
+    (ability.targets ?? []).length === 0 &&
+    effects.length > 0 &&
+    effects.every((e) => e.kind === "ADD_KL")
+  );
+}
+
+/**
+ * Could the player activate this ability now, with these targets?
+ * Returns the first rule it breaks, without paying anything.
+ */
+export function checkActivateAbility(
+  state: GameState,
+  playerId: string,
+  instanceId: string,
+  abilityId: string,
+  targets: ChainTarget[] = []
+): RuleViolation | null {
+  const player = getPlayer(state, playerId);
+  const card = findAbilitySource(player, instanceId);
+  if (!card) {
+    return violation(
+      "NOT_ON_BATTLEFIELD",
+      `Card ${instanceId} is not on the battlefield under player ${playerId}.`,
+      { instanceId }
+    );
+  }
+
+  const ability = card.abilities.find((a) => a.id === abilityId);
+  if (!ability || ability.trigger !== "ACTIVATED") {
+    return violation("ABILITY_UNAVAILABLE", `Card ${instanceId} has no activated ability ${abilityId}.`, {
+      instanceId,
+      abilityId,
+    });
+  }
+  if (ability.oncePerTurn && card.abilitiesUsedThisTurn?.includes(abilityId)) {
+    return violation(
+      "ABILITY_UNAVAILABLE",
+      `Ability ${abilityId} of ${instanceId} has already been used this turn.`,
+      { instanceId, abilityId, oncePerTurn: true }
+    );
+  }
+  if (ability.oncePerGame && card.abilitiesUsedThisGame?.includes(abilityId)) {
+    return violation(
+      "ABILITY_UNAVAILABLE",
+      `Ability ${abilityId} of ${instanceId} has already been used this game.`,
+      { instanceId, abilityId, oncePerGame: true }
+    );
+  }
+  if (!checkCondition(state, playerId, ability.condition)) {
+    return violation(
+      "ABILITY_UNAVAILABLE",
+      `The condition for ability ${abilityId} of ${instanceId} is not met.`,
+      { instanceId, abilityId, condition: ability.condition }
+    );
+  }
+
+  const cost = ability.cost ?? {};
+  if ((cost.kl ?? 0) > player.currentKl) {
+    return violation("INSUFFICIENT_KL", `Player ${playerId} cannot pay ${cost.kl} KL for ${abilityId}.`, {
+      cost: cost.kl,
+      available: player.currentKl,
+    });
+  }
+  if ((cost.essence ?? 0) > player.essence) {
+    return violation(
+      "INSUFFICIENT_ESSENCE",
+      `Player ${playerId} cannot pay ${cost.essence} Essence for ${abilityId}.`,
+      { cost: cost.essence, available: player.essence }
+    );
+  }
+  if (cost.tapSelf && card.tapped) {
+    return violation("TAPPED", `Card ${instanceId} is already tapped.`, { instanceId });
+  }
+
+  return checkAddToChain(
+    state,
+    { kind: ABILITY_LINK_KIND, controllerId: playerId, sourceInstanceId: instanceId, targets, data: { ability } },
+    true
+  );
+}
+
+/**
+ * Activate an ACTIVATED ability of a card the player controls (or their Deity).
+ * Checks condition, once-per-turn and once-per-game, pays the cost, and puts the ability on
+ * the Shard Chain at fast speed. A KL ability (see isKlAbility) resolves
+ * right away instead, and null is returned.
+ */
+export function activateAbility(
+  state: GameState,
+  playerId: string,
+  instanceId: string,
+  abilityId: string,
+  targets: ChainTarget[] = []
+): ChainLink | null {
+  throwIfViolated(checkActivateAbility(state, playerId, instanceId, abilityId, targets));
+
+  const player = getPlayer(state, playerId);
+  const card = findAbilitySource(player, instanceId)!;
+  const ability = card.abilities.find((a) => a.id === abilityId)!;
+  const cost = ability.cost ?? {};
+
+  const link = isKlAbility(ability)
+    ? null
+    : addToChain(
+        state,
+        {
+          kind: ABILITY_LINK_KIND,
+          controllerId: playerId,
+          sourceInstanceId: instanceId,
+          targets,
+          data: { ability },
+        },
+        true
+      );
+
+  player.currentKl -= cost.kl ?? 0;
+  player.essence -= cost.essence ?? 0;
+  if (cost.tapSelf) card.tapped = true;
+  if (ability.oncePerTurn) {
+    card.abilitiesUsedThisTurn = [...(card.abilitiesUsedThisTurn ?? []), abilityId];
+  }
+  if (ability.oncePerGame) {
+    card.abilitiesUsedThisGame = [...(card.abilitiesUsedThisGame ?? []), abilityId];
+  }
+  if (!link) {
+    executeAbility(state, playerId, instanceId, ability, []);
+  }
+
+  return link;
+}
+
+/**
+ * Every ACTIVATED ability the player could activate now with some choice of
+ * targets, on their Deity and battlefield cards (see checkActivateAbility).
+ */
+export function getActivatableAbilities(
+  state: GameState,
+  playerId: string
+): { instanceId: string; abilityId: string }[] {
+  const player = getPlayer(state, playerId);
+  return [player.deity, ...getBattlefieldCards(player)].flatMap((card) =>
+    getAbilities(card, "ACTIVATED")
+      .filter((ability) => {
+        const targets = suggestTriggerTargets(state, playerId, ability);
+        return targets !== null && checkActivateAbility(state, playerId, card.instanceId, ability.id, targets) === null;
+      })
+      .map((ability) => ({ instanceId: card.instanceId, abilityId: ability.id }))
+  );
+}
+
+// Effects a target is glad to get; see helpsTarget.
+const HELPFUL_EFFECTS: Effect["kind"][] = ["GAIN_ESSENCE", "DRAW", "GAIN_KL", "ADD_KL", "CREATE_TOKEN"];
+
+/**
+ * Does the ability only do its target good (Essence, cards, KL, a
+ * Power/Guard boost) through target `index`? Such targets are suggested from
+ * the controller's own side first.
+ */
+function helpsTarget(ability: CardAbility, index: number): boolean {
+  const onTarget = (ability.effects ?? []).filter(
+    (e) =>
+      (e.subject.ref === "TARGET" || e.subject.ref === "TARGET_CONTROLLER") &&
+      (e.subject.index ?? 0) === index
+  );
+  return (
+    onTarget.length > 0 &&
+    onTarget.every((e) =>
+      e.kind === "MODIFY_STATS" ? (e.power ?? 0) + (e.guard ?? 0) > 0 : HELPFUL_EFFECTS.includes(e.kind)
+    )
+  );
+}
+
+/**
+ * Every legal target for target `index` of a triggered ability, suggested
+ * ones first: opponents (in turn order), then teammates, then the controller;
+ * the other way round when the ability helps its target.
+ */
+function getTriggerTargetOptions(
+  state: GameState,
+  controllerId: string,
+  ability: CardAbility,
+  index: number
+): ChainTarget[] {
+  const spec = (ability.targets ?? [])[index];
+  const team = getTeam(state, controllerId);
+  const byPreference = [
+    ...getOpponents(state, controllerId),
+    ...state.players.filter((p) => team.includes(p.id) && p.id !== controllerId),
+    ...state.players.filter((p) => p.id === controllerId),
+  ];
+  if (helpsTarget(ability, index)) byPreference.reverse();
+
+  const candidates: ChainTarget[] = byPreference.flatMap((p) =>
+    spec.kind === "PLAYER"
+      ? [{ playerId: p.id }]
+      : getBattlefieldCards(p).map((c) => ({ playerId: p.id, instanceId: c.instanceId }))
+  );
+  return candidates.filter((t) => isLegalTarget(state, controllerId, spec, t));
+}
+
+/**
+ * Suggested targets for a triggered or activated ability, or a Spell's
+ * ability (for AIs and "choose for me"):
+ * the first legal option for each target (see getTriggerTargetOptions), never
+ * the same one twice. Returns null if a required target has no legal choice;
+ * the trigger is then skipped.
+ */
+export function suggestTriggerTargets(
+  state: GameState,
+  controllerId: string,
+  ability: CardAbility
+): ChainTarget[] | null {
+  const specs = ability.targets ?? [];
+  const targets: ChainTarget[] = [];
+  for (const [i, spec] of specs.entries()) {
+    const choice = getTriggerTargetOptions(state, controllerId, ability, i).find(
+      (t) => !targets.some((chosen) => chosen.playerId === t.playerId && chosen.instanceId === t.instanceId)
+    );
+    if (!choice) {
+      if (spec.optional) break;
+      return null;
+    }
+    targets.push(choice);
+  }
+  return targets;
+}
+
+/**
+ * DECISION_PENDING while a trigger waits for its controller to choose targets.
+ */
+export function checkNoPendingTriggerTargets(state: GameState, actionName: string): RuleViolation | null {
+  const pending = state.pendingTriggerTargets;
+  if (pending) {
+    return violation(
+      "DECISION_PENDING",
+      `Cannot ${actionName} until ${pending.trigger.controllerId} has chosen targets for ${pending.trigger.ability.id}.`,
+      { waitingFor: [pending.trigger.controllerId] }
+    );
+  }
+  return null;
+}
+
+/**
+ * Can the player give the trigger waiting on them these targets? One legal
+ * target per TargetSpec, as for a Spell (see checkTargets).
+ */
+export function checkChooseTriggerTargets(
+  state: GameState,
+  playerId: string,
+  targets: ChainTarget[]
+): RuleViolation | null {
+  const pending = state.pendingTriggerTargets;
+  if (!pending || pending.trigger.controllerId !== playerId) {
+    return violation("NO_PENDING_DECISION", `Player ${playerId} has no triggered ability to choose targets for.`);
+  }
+  return checkTargets(state, playerId, pending.trigger.ability.targets ?? [], targets);
+}
+
+/**
+ * Choose the targets of the trigger waiting on the player and put it on the
+ * Shard Chain. The triggers queued after it follow with the next
+ * putTriggersOnChain.
+ */
+export function chooseTriggerTargets(state: GameState, playerId: string, targets: ChainTarget[]): ChainLink {
+  throwIfViolated(checkChooseTriggerTargets(state, playerId, targets));
+  const { trigger } = state.pendingTriggerTargets!;
+  state.pendingTriggerTargets = null;
+  return addTriggerToChain(state, {
+    kind: ABILITY_LINK_KIND,
+    controllerId: trigger.controllerId,
+    sourceInstanceId: trigger.sourceInstanceId,
+    targets: targets.map((t) => ({ ...t })),
+    data: { ability: trigger.ability, event: trigger.event },
+  });
+}
+
+/**
+ * Move everything in state.pendingTriggers onto the Shard Chain, active
+ * player's first. Called once an action is over, so triggers from one
+ * action are ordered together. Returns the links added.
+ * State-based actions are checked first; a finished game gets no triggers.
+ * While a resolving link waits for choices the triggers wait too, so they go
+ * on the chain above what is left of it once that link has resolved.
+ * A trigger with a real choice of targets stops here and waits for its
+ * controller (state.pendingTriggerTargets, see chooseTriggerTargets); one
+ * with a single way to target goes on with it.
+ */
+export function putTriggersOnChain(state: GameState): ChainLink[] {
+  const added: ChainLink[] = [];
+  if (checkStateBasedActions(state) || state.pendingChoices.length > 0 || state.pendingTriggerTargets) {
+    return added;
+  }
+
+  const pending = orderTriggersByActivePlayer(state, state.pendingTriggers);
+  state.pendingTriggers = [];
+
+  for (const [i, trigger] of pending.entries()) {
+    if (!checkCondition(state, trigger.controllerId, trigger.ability.condition)) {
+      continue;
+    }
+    const targets = suggestTriggerTargets(state, trigger.controllerId, trigger.ability);
+    if (!targets) continue;
+
+    const specs = trigger.ability.targets ?? [];
+    const options = specs.map((_, index) =>
+      getTriggerTargetOptions(state, trigger.controllerId, trigger.ability, index)
+    );
+    if (specs.some((spec, index) => options[index].length > 1 || (spec.optional && options[index].length > 0))) {
+      state.pendingTriggerTargets = { trigger, options };
+      state.pendingTriggers = pending.slice(i + 1);
+      break;
+    }
+
+    added.push(
+      addTriggerToChain(state, {
+        kind: ABILITY_LINK_KIND,
+        controllerId: trigger.controllerId,
+        sourceInstanceId: trigger.sourceInstanceId,
+        targets,
+        data: { ability: trigger.ability, event: trigger.event },
+      })
+    );
+  }
+
+  return added;
+}
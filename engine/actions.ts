@@ -0,0 +1,496 @@
+import type { GameState } from "./gameState";
+import type { Player } from "./player";
+import type { ChainLinkResult, ChainTarget } from "./chain";
+import type { Phase } from "./phases";
+import { startTurn, advancePhase, checkAdvancePhase } from "./turn";
+import {
+  playDomain,
+  playShard,
+  playAvatar,
+  playRelicOrSupport,
+  playEssence,
+  castSpell,
+  checkPlayFromHand,
+} from "./movement";
+import { checkPassPriority, passPriority } from "./chain";
+import {
+  declareAttackers,
+  assignBlockers,
+  orderBlockers,
+  checkDeclareAttackers,
+  checkAssignBlockers,
+  checkOrderBlockers,
+  type AttackDeclaration,
+  type BlockDeclaration,
+  type CombatResult,
+  type DamageAssignmentOrder,
+} from "./combat";
+import {
+  activateAbility,
+  checkActivateAbility,
+  checkChooseTriggerTargets,
+  checkNoPendingTriggerTargets,
+  chooseTriggerTargets,
+  putTriggersOnChain,
+} from "./abilities";
+import { activateGodCode, checkActivateGodCode, getGodCode, getGodCodeChargeCost } from "./godCode";
+import { checkGameInProgress, checkStateBasedActions, concede, type GameResult } from "./stateBased";
+import { throwIfViolated, violation, type RuleViolation } from "./violations";
+import {
+  checkKeepOpeningHand,
+  checkMulligan,
+  checkOpeningComplete,
+  keepOpeningHand,
+  mulligan,
+} from "./opening";
+import { checkDiscardToHandSize, checkNoPendingDiscards, discardToHandSize } from "./handSize";
+import type { KlPayment } from "./klPool";
+import { checkMakeChoice, checkNoPendingChoices, makeChoice, resumeAfterChoices } from "./choices";
+
+/**
+ * Everything a player (or the match host) can do, as plain data.
+ * A match is fully described by its initial GameState plus the list of
+ * Actions applied to it, so this is what gets recorded, replayed and sent
+ * between machines.
+ */
+export type Action =
+  | { type: "KEEP_HAND"; playerId: string }
+  | { type: "MULLIGAN"; playerId: string; bottomInstanceIds?: string[] } // PUT_TO_BOTTOM only
+  | { type: "START_GAME" }
+  | { type: "ADVANCE_PHASE"; playerId: string }
+  | { type: "DISCARD"; playerId: string; instanceIds: string[] } // down to the maximum hand size
+  | { type: "CHOOSE"; playerId: string; instanceIds: string[] } // a resolving link's choice, see choices.ts
+  | { type: "CHOOSE_TARGETS"; playerId: string; targets: ChainTarget[] } // a waiting trigger's targets
+  | {
+      type: "PLAY_CARD";
+      playerId: string;
+      instanceId: string;
+      targets?: ChainTarget[]; // Spells and Rites; for a Relic or Support that attaches, [bearer]
+      payment?: KlPayment; // how to pay from the KL pool and currentKl; default: the cheapest legal way
+    }
+  | {
+      type: "DECLARE_ATTACKERS";
+      playerId: string;
+      defendingPlayerId: string;
+      attacks: AttackDeclaration[];
+    }
+  | {
+      type: "ASSIGN_BLOCKERS";
+      playerId: string;
+      blocks: BlockDeclaration[];
+    }
+  | {
+      type: "ORDER_BLOCKERS";
+      playerId: string;
+      orders: DamageAssignmentOrder[];
+    }
+  | { type: "PASS_PRIORITY"; playerId: string }
+  | {
+      type: "ACTIVATE_ABILITY";
+      playerId: string;
+      instanceId: string;
+      abilityId: string;
+      targets?: ChainTarget[];
+    }
+  | { type: "ACTIVATE_GOD_CODE"; playerId: string; targets?: ChainTarget[] } // costs and does what the Deity's God Code says
+  | { type: "CONCEDE"; playerId: string };
+
+export type ActionType = Action["type"];
+
+/**
+ * What happened as a result of an Action, in order.
+ * Events are derived output for UIs, logs and network peers; they are
+ * never needed to rebuild the state (the Actions are).
+ */
+export type GameEvent =
+  | { type: "HAND_KEPT"; playerId: string }
+  | { type: "MULLIGAN_TAKEN"; playerId: string; cardCount: number }
+  | { type: "TURN_STARTED"; playerId: string; turnNumber: number }
+  | { type: "PHASE_CHANGED"; playerId: string; phase: Phase }
+  | { type: "CARDS_DISCARDED"; playerId: string; instanceIds: string[] }
+  | { type: "CHOICE_MADE"; playerId: string; instanceIds: string[] }
+  | { type: "TRIGGER_TARGETS_CHOSEN"; playerId: string; instanceId: string; targets: ChainTarget[] }
+  | { type: "CARD_PLAYED"; playerId: string; instanceId: string; cardId: string; typeLine: string }
+  | { type: "CHAIN_LINK_ADDED"; playerId: string; linkId: number; instanceId: string }
+  | { type: "ABILITY_RESOLVED"; playerId: string; instanceId: string; abilityId: string } // KL abilities skip the chain
+  | { type: "PRIORITY_PASSED"; playerId: string }
+  | { type: "CHAIN_LINK_RESOLVED"; linkId: number; instanceId: string; fizzled: boolean }
+  | {
+      type: "ATTACKERS_DECLARED";
+      playerId: string;
+      defendingPlayerId: string;
+      attacks: AttackDeclaration[];
+    }
+  | {
+      type: "BLOCKERS_ASSIGNED";
+      playerId: string;
+      blocks: BlockDeclaration[];
+    }
+  | {
+      type: "BLOCKERS_ORDERED";
+      playerId: string;
+      orders: DamageAssignmentOrder[];
+    }
+  | { type: "ESSENCE_DAMAGE"; playerId: string; amount: number }
+  | { type: "CARD_DESTROYED"; playerId: string; instanceId: string }
+  | { type: "GOD_CHARGES_SPENT"; playerId: string; charges: number }
+  | { type: "PLAYER_CONCEDED"; playerId: string }
+  | { type: "GAME_OVER"; result: GameResult };
+
+function getPlayer(state: GameState, playerId: string): Player {
+  const player = state.players.find((p) => p.id === playerId);
+  if (!player) {
+    throw new Error(`Player with id ${playerId} not found in GameState.`);
+  }
+  return player;
+}
+
+function checkActivePlayer(state: GameState, playerId: string, actionName: string): RuleViolation | null {
+  if (state.activePlayerId !== playerId) {
+    return violation(
+      "NOT_YOUR_TURN",
+      `Only the active player (${state.activePlayerId}) can ${actionName}, not ${playerId}.`,
+      { activePlayerId: state.activePlayerId }
+    );
+  }
+  return null;
+}
+
+function turnEvents(state: GameState, turnBefore: number): GameEvent[] {
+  const events: GameEvent[] = [];
+  if (state.turnNumber !== turnBefore) {
+    events.push({
+      type: "TURN_STARTED",
+      playerId: state.activePlayerId,
+      turnNumber: state.turnNumber,
+    });
+  }
+  events.push({ type: "PHASE_CHANGED", playerId: state.activePlayerId, phase: state.phase });
+  return events;
+}
+
+function playCard(
+  state: GameState,
+  action: Extract<Action, { type: "PLAY_CARD" }>
+): GameEvent[] {
+  const player = getPlayer(state, action.playerId);
+  const card = player.hand.find((c) => c.instanceId === action.instanceId)!;
+
+  const played: GameEvent = {
+    type: "CARD_PLAYED",
+    playerId: player.id,
+    instanceId: card.instanceId,
+    cardId: card.cardId,
+    typeLine: card.typeLine,
+  };
+
+  const payment = action.payment;
+  switch (card.typeLine) {
+    case "DOMAIN":
+      playDomain(state, player.id, card.instanceId, payment);
+      return [played];
+    case "SHARD":
+      playShard(state, player.id, card.instanceId, payment);
+      return [played];
+    case "AVATAR":
+      playAvatar(state, player.id, card.instanceId, payment);
+      return [played];
+    case "RELIC":
+    case "SUPPORT":
+      playRelicOrSupport(state, player.id, card.instanceId, action.targets?.[0], payment);
+      return [played];
+    case "ESSENCE":
+      playEssence(state, player.id, card.instanceId, payment);
+      return [played];
+    case "SPELL":
+    case "RITE": {
+      const link = castSpell(
+        state,
+        player.id,
+        card.instanceId,
+        action.targets ?? [],
+        undefined,
+        undefined,
+        payment
+      );
+      return [
+        played,
+        { type: "CHAIN_LINK_ADDED", playerId: player.id, linkId: link.id, instanceId: card.instanceId },
+      ];
+    }
+    default:
+      throw new Error(`Cards of type ${card.typeLine} cannot be played from hand.`);
+  }
+}
+
+/**
+ * Is this Action legal right now? Returns the first rule it breaks, or null.
+ * Nothing is changed, so UIs can explain a rejected move and the AI can
+ * filter candidate moves without copying the state.
+ */
+export function validateAction(state: GameState, action: Action): RuleViolation | null {
+  const over = checkGameInProgress(state, `apply ${action.type}`);
+  if (over) return over;
+  if (action.type !== "DISCARD" && action.type !== "CONCEDE") {
+    const discarding = checkNoPendingDiscards(state, `apply ${action.type}`);
+    if (discarding) return discarding;
+  }
+  if (action.type !== "CHOOSE" && action.type !== "CONCEDE") {
+    const choosing = checkNoPendingChoices(state, `apply ${action.type}`);
+    if (choosing) return choosing;
+  }
+  if (action.type !== "CHOOSE_TARGETS" && action.type !== "CONCEDE") {
+    const targeting = checkNoPendingTriggerTargets(state, `apply ${action.type}`);
+    if (targeting) return targeting;
+  }
+
+  switch (action.type) {
+    case "KEEP_HAND":
+      return checkKeepOpeningHand(state, action.playerId);
+    case "MULLIGAN":
+      return checkMulligan(state, action.playerId, action.bottomInstanceIds ?? []);
+    case "START_GAME":
+      return state.turnNumber !== 0
+        ? violation("GAME_ALREADY_STARTED", "The game has already started.")
+        : checkOpeningComplete(state, "start the game");
+    case "ADVANCE_PHASE":
+      return checkAdvancePhase(state) ?? checkActivePlayer(state, action.playerId, "advance the phase");
+    case "DISCARD":
+      return checkDiscardToHandSize(state, action.playerId, action.instanceIds);
+    case "CHOOSE":
+      return checkMakeChoice(state, action.playerId, action.instanceIds);
+    case "CHOOSE_TARGETS":
+      return checkChooseTriggerTargets(state, action.playerId, action.targets);
+    case "PLAY_CARD":
+      return checkPlayFromHand(
+        state,
+        action.playerId,
+        action.instanceId,
+        action.targets ?? [],
+        action.payment
+      );
+    case "DECLARE_ATTACKERS":
+      return checkDeclareAttackers(state, action.playerId, action.defendingPlayerId, action.attacks);
+    case "ASSIGN_BLOCKERS":
+      return checkAssignBlockers(state, action.playerId, action.blocks);
+    case "ORDER_BLOCKERS":
+      return checkOrderBlockers(state, action.playerId, action.orders);
+    case "PASS_PRIORITY":
+      return checkPassPriority(state, action.playerId);
+    case "ACTIVATE_ABILITY":
+      return checkActivateAbility(
+        state,
+        action.playerId,
+        action.instanceId,
+        action.abilityId,
+        action.targets ?? []
+      );
+    case "ACTIVATE_GOD_CODE":
+      return checkActivateGodCode(state, action.playerId, action.targets ?? []);
+    case "CONCEDE":
+      getPlayer(state, action.playerId);
+      return null;
+  }
+}
+
+/**
+ * Apply one Action to the state (mutating it) and return the resulting events.
+ * The Action is checked with validateAction first, so an illegal one throws a
+ * RuleViolationError before anything changes.
+ * Card triggers fired along the way are put on the Shard Chain at the end,
+ * after the state-based action check; GAME_OVER is the last event of a match.
+ */
+export function applyAction(state: GameState, action: Action): GameEvent[] {
+  throwIfViolated(validateAction(state, action));
+  const events = applyActionRules(state, action);
+  for (const link of putTriggersOnChain(state)) {
+    events.push({
+      type: "CHAIN_LINK_ADDED",
+      playerId: link.controllerId,
+      linkId: link.id,
+      instanceId: link.sourceInstanceId,
+    });
+  }
+  if (state.result) {
+    events.push({ type: "GAME_OVER", result: state.result });
+  }
+  return events;
+}
+
+/**
+ * Events for resolved combat damage; none while combat is still waiting
+ * for a damage assignment order.
+ */
+function combatResultEvents(defendingPlayerId: string, result: CombatResult | null): GameEvent[] {
+  if (!result) return [];
+  const events: GameEvent[] = [];
+  if (result.essenceDamage > 0) {
+    events.push({
+      type: "ESSENCE_DAMAGE",
+      playerId: defendingPlayerId,
+      amount: result.essenceDamage,
+    });
+  }
+  for (const dead of result.destroyed) {
+    events.push({ type: "CARD_DESTROYED", playerId: dead.playerId, instanceId: dead.instanceId });
+  }
+  return events;
+}
+
+function resolvedEvents(results: ChainLinkResult[]): GameEvent[] {
+  return results.map(
+    (r): GameEvent => ({
+      type: "CHAIN_LINK_RESOLVED",
+      linkId: r.linkId,
+      instanceId: r.sourceInstanceId,
+      fizzled: r.fizzled,
+    })
+  );
+}
+
+function applyActionRules(state: GameState, action: Action): GameEvent[] {
+  switch (action.type) {
+    case "KEEP_HAND": {
+      keepOpeningHand(state, action.playerId);
+      return [{ type: "HAND_KEPT", playerId: action.playerId }];
+    }
+
+    case "MULLIGAN": {
+      const cardCount = mulligan(state, action.playerId, action.bottomInstanceIds ?? []);
+      const events: GameEvent[] = [{ type: "MULLIGAN_TAKEN", playerId: action.playerId, cardCount }];
+      if (!state.opening?.undecidedPlayerIds.includes(action.playerId)) {
+        events.push({ type: "HAND_KEPT", playerId: action.playerId });
+      }
+      return events;
+    }
+
+    case "START_GAME": {
+      startTurn(state);
+      return turnEvents(state, 0);
+    }
+
+    case "ADVANCE_PHASE": {
+      const turnBefore = state.turnNumber;
+      advancePhase(state);
+      return turnEvents(state, turnBefore);
+    }
+
+    case "DISCARD": {
+      const turnBefore = state.turnNumber;
+      discardToHandSize(state, action.playerId, action.instanceIds);
+      const discarded: GameEvent = {
+        type: "CARDS_DISCARDED",
+        playerId: action.playerId,
+        instanceIds: [...action.instanceIds],
+      };
+      return state.turnNumber !== turnBefore ? [discarded, ...turnEvents(state, turnBefore)] : [discarded];
+    }
+
+    case "CHOOSE": {
+      const results = makeChoice(state, action.playerId, action.instanceIds);
+      return [
+        { type: "CHOICE_MADE", playerId: action.playerId, instanceIds: [...action.instanceIds] },
+        ...resolvedEvents(results),
+      ];
+    }
+
+    case "CHOOSE_TARGETS": {
+      const link = chooseTriggerTargets(state, action.playerId, action.targets);
+      return [
+        {
+          type: "TRIGGER_TARGETS_CHOSEN",
+          playerId: action.playerId,
+          instanceId: link.sourceInstanceId,
+          targets: action.targets.map((t) => ({ ...t })),
+        },
+        { type: "CHAIN_LINK_ADDED", playerId: action.playerId, linkId: link.id, instanceId: link.sourceInstanceId },
+      ];
+    }
+
+    case "PLAY_CARD":
+      return playCard(state, action);
+
+    case "DECLARE_ATTACKERS": {
+      declareAttackers(
+        state,
+        action.playerId,
+        action.defendingPlayerId,
+        action.attacks
+      );
+      return [
+        {
+          type: "ATTACKERS_DECLARED",
+          playerId: action.playerId,
+          defendingPlayerId: action.defendingPlayerId,
+          attacks: action.attacks.map((a) => ({ ...a })),
+        },
+      ];
+    }
+
+    case "ASSIGN_BLOCKERS": {
+      const result = assignBlockers(state, action.playerId, action.blocks);
+      return [
+        { type: "BLOCKERS_ASSIGNED", playerId: action.playerId, blocks: action.blocks.map((b) => ({ ...b })) },
+        ...combatResultEvents(action.playerId, result),
+      ];
+    }
+
+    case "ORDER_BLOCKERS": {
+      const defendingPlayerId = state.combat?.defendingPlayerId ?? "";
+      const result = orderBlockers(state, action.playerId, action.orders);
+      return [
+        {
+          type: "BLOCKERS_ORDERED",
+          playerId: action.playerId,
+          orders: action.orders.map((o) => ({ ...o, blockerInstanceIds: [...o.blockerInstanceIds] })),
+        },
+        ...combatResultEvents(defendingPlayerId, result),
+      ];
+    }
+
+    case "PASS_PRIORITY": {
+      const results = passPriority(state, action.playerId);
+      return [{ type: "PRIORITY_PASSED", playerId: action.playerId }, ...resolvedEvents(results)];
+    }
+
+    case "ACTIVATE_ABILITY": {
+      const link = activateAbility(
+        state,
+        action.playerId,
+        action.instanceId,
+        action.abilityId,
+        action.targets ?? []
+      );
+      if (!link) {
+        return [
+          {
+            type: "ABILITY_RESOLVED",
+            playerId: action.playerId,
+            instanceId: action.instanceId,
+            abilityId: action.abilityId,
+          },
+        ];
+      }
+      return [
+        { type: "CHAIN_LINK_ADDED", playerId: action.playerId, linkId: link.id, instanceId: action.instanceId },
+      ];
+    }
+
+    case "ACTIVATE_GOD_CODE": {
+      const deity = getPlayer(state, action.playerId).deity;
+      const charges = getGodCodeChargeCost(getGodCode(deity)!);
+      const link = activateGodCode(state, action.playerId, action.targets ?? []);
+      return [
+        { type: "GOD_CHARGES_SPENT", playerId: action.playerId, charges },
+        { type: "CHAIN_LINK_ADDED", playerId: action.playerId, linkId: link.id, instanceId: deity.instanceId },
+      ];
+    }
+
+    case "CONCEDE": {
+      concede(state, action.playerId);
+      // The others may only have been waiting on the conceding player's choice.
+      const results = checkStateBasedActions(state) ? [] : resumeAfterChoices(state);
+      return [{ type: "PLAYER_CONCEDED", playerId: action.playerId }, ...resolvedEvents(results)];
+    }
+  }
+}
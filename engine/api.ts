@@ -1,39 +1,93 @@
-import type { Card } from "./card";
+import type { Card, CardData } from "./card";
 import type { Player } from "./player";
 import type { GameState } from "./gameState";
 
-import { startTurn as coreStartTurn } from "./turn";
+import {
+  startTurn as coreStartTurn,
+  advancePhase as coreAdvancePhase,
+} from "./turn";
+import { Phase } from "./phases";
+import {
+  createEmptyChain,
+  passPriority as corePassPriority,
+  type ChainLink,
+  type ChainLinkResult,
+  type ChainTarget,
+} from "./chain";
+import { createRng } from "./rng";
+import {
+  getLegalActions as coreGetLegalActions,
+  type LegalAction,
+} from "./legal";
 import {
   playDomain as corePlayDomain,
   playShard as corePlayShard,
   playAvatar as corePlayAvatar,
   playRelicOrSupport as corePlayRelicOrSupport,
+  playEssence as corePlayEssence,
   sendToCrypt as coreSendToCrypt,
   sendToNull as coreSendToNull,
+  castSpell as coreCastSpell,
+  shuffleDeck as coreShuffleDeck,
 } from "./movement";
+import {
+  activateAbility as coreActivateAbility,
+  chooseTriggerTargets as coreChooseTriggerTargets,
+  putTriggersOnChain,
+} from "./abilities";
 import {
   resolveCombat as coreResolveCombat,
+  declareAttackers as coreDeclareAttackers,
+  assignBlockers as coreAssignBlockers,
+  orderBlockers as coreOrderBlockers,
+  type AttackDeclaration,
+  type BlockDeclaration,
+  type DamageAssignmentOrder,
   type CombatAssignment,
+  type CombatResult,
+  type PendingCombat,
 } from "./combat";
+import { checkStateBasedActions, concede as coreConcede } from "./stateBased";
+import { createCardInstance } from "./instances";
+import { dealOpeningHands } from "./opening";
+import { discardToHandSize as coreDiscardToHandSize } from "./handSize";
+import { makeChoice as coreMakeChoice, resumeAfterChoices } from "./choices";
+import { activateGodCode as coreActivateGodCode } from "./godCode";
+import type { KlPayment } from "./klPool";
+import { createToken as coreCreateToken } from "./tokens";
+import { STARTING_GOD_CHARGES } from "./resources";
+import { setGameRules, type GameRules } from "./rules";
+import {
+  getOpponents as coreGetOpponents,
+  validateFormat,
+  type GameFormat,
+} from "./format";
 
 /**
  * Shape for setting up a player from outside the engine.
  * You give the Deity card and a veiled deck (already in the right owner/controller).
+ * Cards are plain card data; the engine gives each one its own instanceId.
  */
 export interface PlayerSetup {
   id: string;
-  deity: Card;
-  veiledDeck: Card[];
+  deity: CardData;
+  veiledDeck: CardData[];
 }
 
 /**
  * Create an engine Player from a PlayerSetup.
+ * - every card becomes an instance through `instantiate` (see createCardInstance)
  * - essence comes from deity.startingEssence (or 0)
- * - baseKl and currentKl from deity.baseKl (or 0)
+ * - baseKl and currentKl from deity.baseKl (or 0); the KL pool starts empty
  * - zones start empty except veiledDeck
  */
-export function createPlayerFromSetup(setup: PlayerSetup): Player {
-  const { id, deity, veiledDeck } = setup;
+export function createPlayerFromSetup(
+  setup: PlayerSetup,
+  instantiate: (data: CardData) => Card
+): Player {
+  const id = setup.id;
+  const deity = instantiate(setup.deity);
+  const veiledDeck = setup.veiledDeck.map(instantiate);
 
   const startingEssence = deity.startingEssence ?? 0;
   const baseKl = deity.baseKl ?? 0;
@@ -44,11 +98,12 @@ export function createPlayerFromSetup(setup: PlayerSetup): Player {
     essence: startingEssence,
     baseKl,
     currentKl: baseKl,
-    godCharges: 0,
+    klPool: [],
+    godCharges: STARTING_GOD_CHARGES,
     klThresholdTriggeredThisTurn: false,
 
     hand: [],
-    veiledDeck: [...veiledDeck],
+    veiledDeck,
     crypt: [],
     nullZone: [],
     domainZone: null,
@@ -57,6 +112,11 @@ export function createPlayerFromSetup(setup: PlayerSetup): Player {
     relicSupportZone: [],
 
     turnsTaken: 0,
+    domainsPlayedThisTurn: 0,
+
+    drewFromEmptyDeck: false,
+    conceded: false,
+    lossReason: null,
   };
 }
 
@@ -65,24 +125,57 @@ export function createPlayerFromSetup(setup: PlayerSetup): Player {
  * - Converts each setup into a Player
  * - firstPlayerId defaults to players[0].id if not provided
  * - turnNumber starts at 0, activePlayerId is empty until first startTurn()
+ * - phase is DAWN; nothing phase-restricted is legal until turn 1 starts
+ * - rng is seeded from `seed` (random if omitted); reuse the seed to replay the match
+ * - every card gets a unique instanceId ("EC-003#12"); all other engine calls take it
+ * - format defaults to a DUEL for 2 players and FREE_FOR_ALL for more; seats
+ *   follow the order of `setups`
+ * - decks are shuffled and opening hands dealt (see dealOpeningHands); with
+ *   mulligans allowed, every player keeps or mulligans before START_GAME
+ * - `rules` holds this game's phase hooks, event listeners, victory conditions
+ *   and token definitions (see GameRules); a fresh, empty set if omitted
  */
 export function createGameFromSetups(
   setups: PlayerSetup[],
-  firstPlayerId?: string
+  firstPlayerId?: string,
+  seed?: number,
+  format?: GameFormat,
+  rules?: GameRules
 ): GameState {
   if (setups.length === 0) {
     throw new Error("createGameFromSetups requires at least one PlayerSetup.");
   }
 
-  const players: Player[] = setups.map(createPlayerFromSetup);
+  const counter = { nextInstanceId: 1 };
+  const players: Player[] = setups.map((setup) =>
+    createPlayerFromSetup(setup, (data) => createCardInstance(counter, data))
+  );
   const resolvedFirstPlayerId = firstPlayerId ?? players[0].id;
+  const resolvedFormat: GameFormat =
+    format ?? (players.length === 2 ? { kind: "DUEL" } : { kind: "FREE_FOR_ALL" });
+  validateFormat(resolvedFormat, players.map((p) => p.id));
 
-  return {
+  const state: GameState = {
     players,
+    format: resolvedFormat,
     activePlayerId: "",
     firstPlayerId: resolvedFirstPlayerId,
     turnNumber: 0,
+    phase: Phase.DAWN,
+    chain: createEmptyChain(),
+    rng: createRng(seed),
+    combat: null,
+    pendingTriggers: [],
+    pendingTriggerTargets: null,
+    nextInstanceId: counter.nextInstanceId,
+    result: null,
+    opening: null,
+    pendingDiscards: [],
+    pendingChoices: [],
   };
+  if (rules) setGameRules(state, rules);
+  dealOpeningHands(state);
+  return state;
 }
 
 /**
@@ -99,96 +192,468 @@ export function getActivePlayer(state: GameState): Player {
 }
 
 /**
- * Convenience: in a 2-player game, get the opponent of a given player.
+ * Opponents of a player still in the game (not teammates), in seat order
+ * starting after them. In multiplayer, attacks and "target opponent" effects
+ * pick one of these.
+ */
+export function getOpponents(state: GameState, playerId: string): Player[] {
+  return coreGetOpponents(state, playerId);
+}
+
+/**
+ * Convenience: the opponent of a given player when there is exactly one
+ * (a duel, or the last two players of a free-for-all).
+ * Throws when there is a choice to make; use getOpponents then.
  */
 export function getOpponent(state: GameState, playerId: string): Player {
-  if (state.players.length !== 2) {
+  const opponents = coreGetOpponents(state, playerId);
+  if (opponents.length !== 1) {
     throw new Error(
-      "getOpponent is only valid for 2-player games at the moment."
+      `Player ${playerId} has ${opponents.length} opponents in the game; choose one from getOpponents.`
     );
   }
-  const opponent = state.players.find((p) => p.id !== playerId);
-  if (!opponent) {
-    throw new Error(
-      `Opponent of player ${playerId} not found in GameState (2-player assumption).`
-    );
-  }
-  return opponent;
+  return opponents[0];
+}
+
+/**
+ * Everything a player may do right now (phase, KL, Domain limit, summoning
+ * sickness, Guardian and Shard Chain priority all applied).
+ * One source of truth for UI highlighting, AI move generation and input checks.
+ */
+export function getLegalActions(state: GameState, playerId: string): LegalAction[] {
+  return coreGetLegalActions(state, playerId);
 }
 
 /**
  * Wrapper around the core startTurn.
  * External callers always use this instead of importing from ./turn directly.
+ *
+ * Every wrapper that can fire card triggers puts them on the Shard Chain
+ * before returning, active player's first.
  */
 export function startTurn(state: GameState): void {
   coreStartTurn(state);
+  putTriggersOnChain(state);
 }
 
 /**
- * Movement wrappers
+ * Move to the next phase (Dawn → Draw → Main → Clash → Twilight → next turn).
+ * Returns the phase the game is now in; still TWILIGHT if a player has to
+ * discard down to their maximum hand size first (state.pendingDiscards).
+ */
+export function advancePhase(state: GameState): Phase {
+  const phase = coreAdvancePhase(state);
+  putTriggersOnChain(state);
+  return phase;
+}
+
+/**
+ * Discard the chosen cards for the hand size limit. The last discard owed
+ * ends the turn.
+ */
+export function discardToHandSize(state: GameState, playerId: string, instanceIds: string[]): void {
+  coreDiscardToHandSize(state, playerId, instanceIds);
+  putTriggersOnChain(state);
+}
+
+/**
+ * Movement wrappers. `payment` says how to pay the KL cost from the KL pool
+ * and currentKl; without it, the cheapest legal way (see klPool.ts).
  */
 export function playDomain(
   state: GameState,
   playerId: string,
-  cardId: string
+  instanceId: string,
+  payment?: KlPayment
 ): void {
-  corePlayDomain(state, playerId, cardId);
+  corePlayDomain(state, playerId, instanceId, payment);
+  putTriggersOnChain(state);
 }
 
 export function playShard(
   state: GameState,
   playerId: string,
-  cardId: string
+  instanceId: string,
+  payment?: KlPayment
 ): void {
-  corePlayShard(state, playerId, cardId);
+  corePlayShard(state, playerId, instanceId, payment);
+  putTriggersOnChain(state);
 }
 
 export function playAvatar(
   state: GameState,
   playerId: string,
-  cardId: string
+  instanceId: string,
+  payment?: KlPayment
 ): void {
-  corePlayAvatar(state, playerId, cardId);
+  corePlayAvatar(state, playerId, instanceId, payment);
+  putTriggersOnChain(state);
 }
 
 export function playRelicOrSupport(
   state: GameState,
   playerId: string,
-  cardId: string
+  instanceId: string,
+  bearer?: ChainTarget,
+  payment?: KlPayment
 ): void {
-  corePlayRelicOrSupport(state, playerId, cardId);
+  corePlayRelicOrSupport(state, playerId, instanceId, bearer, payment);
+  putTriggersOnChain(state);
+}
+
+export function playEssence(
+  state: GameState,
+  playerId: string,
+  instanceId: string,
+  payment?: KlPayment
+): void {
+  corePlayEssence(state, playerId, instanceId, payment);
+  putTriggersOnChain(state);
+}
+
+export function shuffleDeck(state: GameState, playerId: string): void {
+  coreShuffleDeck(state, playerId);
 }
 
 export function sendToCrypt(
   state: GameState,
   playerId: string,
-  cardId: string
+  instanceId: string
 ): void {
-  coreSendToCrypt(state, playerId, cardId);
+  coreSendToCrypt(state, playerId, instanceId);
+  putTriggersOnChain(state);
 }
 
 export function sendToNull(
   state: GameState,
   playerId: string,
-  cardId: string
+  instanceId: string
 ): void {
-  coreSendToNull(state, playerId, cardId);
+  coreSendToNull(state, playerId, instanceId);
+  putTriggersOnChain(state);
+}
+
+/**
+ * Create `count` tokens registered as `tokenId` on the player's battlefield
+ * (see tokens.ts). Returns the tokens created; a full Avatar Line gets fewer.
+ */
+export function createToken(state: GameState, playerId: string, tokenId: string, count: number): Card[] {
+  const created = coreCreateToken(state, playerId, tokenId, count);
+  putTriggersOnChain(state);
+  return created;
 }
 
 /**
- * Combat wrapper
+ * Shard Chain wrappers
+ */
+export function castSpell(
+  state: GameState,
+  playerId: string,
+  instanceId: string,
+  targets: ChainTarget[] = [],
+  kind?: string,
+  data?: Record<string, unknown>,
+  payment?: KlPayment
+): ChainLink {
+  const link = coreCastSpell(state, playerId, instanceId, targets, kind, data, payment);
+  putTriggersOnChain(state);
+  return link;
+}
+
+export function passPriority(
+  state: GameState,
+  playerId: string
+): ChainLinkResult[] {
+  const results = corePassPriority(state, playerId);
+  putTriggersOnChain(state);
+  return results;
+}
+
+/**
+ * Choose the targets of the triggered ability waiting on the player and put
+ * it on the Shard Chain; the triggers queued after it follow (and the next one
+ * with a choice of targets waits in turn).
+ */
+export function chooseTriggerTargets(state: GameState, playerId: string, targets: ChainTarget[]): ChainLink {
+  const link = coreChooseTriggerTargets(state, playerId, targets);
+  putTriggersOnChain(state);
+  return link;
+}
+
+/**
+ * Make the player's open choice for a resolving link (see choices.ts).
+ * Returns what resolved once the last choice is in.
+ */
+export function makeChoice(state: GameState, playerId: string, instanceIds: string[]): ChainLinkResult[] {
+  const results = coreMakeChoice(state, playerId, instanceIds);
+  putTriggersOnChain(state);
+  return results;
+}
+
+/**
+ * Activate an ACTIVATED ability; it goes on the Shard Chain at fast speed.
+ * KL abilities resolve at once and return null (see isKlAbility).
+ */
+export function activateAbility(
+  state: GameState,
+  playerId: string,
+  instanceId: string,
+  abilityId: string,
+  targets: ChainTarget[] = []
+): ChainLink | null {
+  const link = coreActivateAbility(state, playerId, instanceId, abilityId, targets);
+  putTriggersOnChain(state);
+  return link;
+}
+
+/**
+ * Activate the player's God Code, spending its God Charges; it goes on the
+ * Shard Chain at fast speed.
+ */
+export function activateGodCode(
+  state: GameState,
+  playerId: string,
+  targets: ChainTarget[] = []
+): ChainLink {
+  const link = coreActivateGodCode(state, playerId, targets);
+  putTriggersOnChain(state);
+  return link;
+}
+
+/**
+ * Combat wrappers
  */
 export function resolveCombat(
   state: GameState,
   attackingPlayerId: string,
   defendingPlayerId: string,
   assignments: CombatAssignment[]
-): void {
-  coreResolveCombat(state, attackingPlayerId, defendingPlayerId, assignments);
+): CombatResult {
+  const result = coreResolveCombat(state, attackingPlayerId, defendingPlayerId, assignments);
+  putTriggersOnChain(state);
+  return result;
 }
 
+export function declareAttackers(
+  state: GameState,
+  attackingPlayerId: string,
+  defendingPlayerId: string,
+  attacks: AttackDeclaration[]
+): PendingCombat {
+  const pending = coreDeclareAttackers(state, attackingPlayerId, defendingPlayerId, attacks);
+  putTriggersOnChain(state);
+  return pending;
+}
+
+export function assignBlockers(
+  state: GameState,
+  defendingPlayerId: string,
+  blocks: BlockDeclaration[]
+): CombatResult | null {
+  const result = coreAssignBlockers(state, defendingPlayerId, blocks);
+  putTriggersOnChain(state);
+  return result;
+}
+
+export function orderBlockers(
+  state: GameState,
+  attackingPlayerId: string,
+  orders: DamageAssignmentOrder[]
+): CombatResult {
+  const result = coreOrderBlockers(state, attackingPlayerId, orders);
+  putTriggersOnChain(state);
+  return result;
+}
+
+/**
+ * A player concedes. The match ends right away when only one player is left;
+ * state.result says who won. A link that was only waiting on their choice
+ * resolves.
+ */
+export function concede(state: GameState, playerId: string): void {
+  coreConcede(state, playerId);
+  if (!checkStateBasedActions(state)) resumeAfterChoices(state);
+  putTriggersOnChain(state);
+}
+
+export { Phase, PHASE_ORDER, registerPhaseHooks } from "./phases";
+export type { PhaseHooks } from "./phases";
+export { createGameRules, getGameRules } from "./rules";
+export type { GameRules } from "./rules";
+export {
+  registerChainResolver,
+  isFastSpell,
+  canAddToChain,
+  SPELL_LINK_KIND,
+} from "./chain";
+export { createRng, generateSeed, nextRandom, randomInt, shuffleInPlace } from "./rng";
+export type { RngState } from "./rng";
+export type {
+  ChainLink,
+  ChainLinkResult,
+  ChainResolver,
+  ChainTarget,
+  ShardChain,
+} from "./chain";
+
+export {
+  ABILITY_LINK_KIND,
+  isKlAbility,
+  suggestTriggerTargets,
+  checkChooseTriggerTargets,
+  checkNoPendingTriggerTargets,
+  getAbilities,
+  getSpellTargetSpecs,
+  isLegalTarget,
+  checkCondition,
+  getStaticPlayerEffects,
+} from "./abilities";
+export type { StaticPlayerEffect } from "./abilities";
+
+export { onEngineEvent } from "./events";
+export type {
+  EngineEvent,
+  EngineEventType,
+  EngineEventHandler,
+  PendingTrigger,
+  PendingTriggerTargets,
+} from "./events";
+
+export type { LegalAction } from "./legal";
+export { createCardInstance, findCardByInstanceId } from "./instances";
+export {
+  serialize,
+  deserialize,
+  migrateState,
+  validateState,
+  SAVE_SCHEMA_VERSION,
+} from "./serialization";
+export type { SavedGame, SaveMigration } from "./serialization";
+export {
+  DUEL_FORMAT,
+  validateFormat,
+  getTeam,
+  areTeammates,
+  getTurnPlayers,
+  isTurnPlayer,
+  getNextTurnPlayerId,
+  getFormatRules,
+  DEFAULT_FORMAT_RULES,
+} from "./format";
+export type { GameFormat, FormatRules, MulliganRule } from "./format";
+export {
+  dealOpeningHands,
+  keepOpeningHand,
+  mulligan,
+  getMulligansLeft,
+  checkMulligan,
+  checkKeepOpeningHand,
+} from "./opening";
+export type { OpeningState } from "./opening";
+export { getMaxHandSize, getHandSizeExcess, checkDiscardToHandSize } from "./handSize";
+export type { PendingDiscard } from "./handSize";
+export { getOpenChoice, checkMakeChoice, checkNoPendingChoices } from "./choices";
+export type { PendingChoice } from "./choices";
+export {
+  getGodCode,
+  getGodCodeChargeCost,
+  isGodCodeSpent,
+  canActivateGodCode,
+  checkActivateGodCode,
+} from "./godCode";
+export {
+  getAttachSpec,
+  getBearer,
+  getAttachedCards,
+  getLegalBearers,
+  checkAttach,
+} from "./attachments";
+export { GOD_THRESHOLD_KL, MAX_GOD_CHARGES, MIN_TURN_FOR_GOD_CHARGE_SPEND, STARTING_GOD_CHARGES } from "./resources";
+export { getKlBreakdown, describeKlBreakdown, isStartOfTurnKlAbility } from "./resources";
+export type { KlBonus, KlBreakdown } from "./resources";
+export {
+  matchesKlRestriction,
+  getUsablePooledKl,
+  getAvailableKl,
+  getDefaultKlPayment,
+  hasKlPaymentChoice,
+  checkKlPayment,
+} from "./klPool";
+export type { PooledKl, KlPayment } from "./klPool";
+export { AVATAR_LINE_LIMIT, getTokenDefinition, registerTokenDefinition } from "./tokens";
+export type { TokenDefinition } from "./tokens";
+export {
+  checkStateBasedActions,
+  registerVictoryCondition,
+  isGameOver,
+  getPlayersInGame,
+} from "./stateBased";
+export type {
+  GameResult,
+  LossReason,
+  PlayerLoss,
+  VictoryClaim,
+  VictoryCondition,
+} from "./stateBased";
+export {
+  getEffectivePower,
+  getEffectiveGuard,
+  addModifier,
+  removeModifiersFrom,
+  isModifierActive,
+} from "./modifiers";
+export {
+  hasKeyword,
+  addKeyword,
+  removeKeyword,
+  isKeyword,
+  getPrintedKeywords,
+  KEYWORDS,
+} from "./keywords";
+export type { Keyword } from "./keywords";
+export { applyAction, validateAction } from "./actions";
+export { checkPlayFromHand } from "./movement";
+export { checkDeclareAttackers, checkAssignBlockers, checkOrderBlockers } from "./combat";
+export { checkPassPriority, checkAddToChain } from "./chain";
+export { checkActivateAbility, checkTargets } from "./abilities";
+export { RuleViolationError } from "./violations";
+export type { RuleViolation, RuleViolationCode } from "./violations";
+export type { Action, ActionType, GameEvent } from "./actions";
+export {
+  createMatchLog,
+  dispatch,
+  replayMatch,
+  undoLastAction,
+  cloneState,
+} from "./matchLog";
+export type { MatchLog } from "./matchLog";
+
 // Re-export type so callers can import it from the API surface.
-export type { CombatAssignment } from "./combat";
+export type {
+  AttackDeclaration,
+  BlockDeclaration,
+  CombatAssignment,
+  CombatResult,
+  DamageAssignmentOrder,
+  PendingCombat,
+} from "./combat";
+export { assignAttackerDamage } from "./combat";
 export type { GameState } from "./gameState";
 export type { Player } from "./player";
-export type { Card } from "./card";
+export type {
+  Card,
+  CardData,
+  CardAbility,
+  AbilityTrigger,
+  AbilityCondition,
+  AbilityCost,
+  ControllerFilter,
+  TargetSpec,
+  AttachSpec,
+  KlRestriction,
+  KlExpiry,
+  EffectSubject,
+  Effect,
+  ModifierDuration,
+  StatModifier,
+} from "./card";
@@ -0,0 +1,140 @@
+import type { GameState } from "./gameState";
+import type { Player } from "./player";
+import type { AttachSpec, Card, CardType } from "./card";
+import type { ChainTarget } from "./chain";
+import { isLegalTarget } from "./abilities";
+import { sendToCrypt } from "./movement";
+import { violation, type RuleViolation } from "./violations";
+
+/**
+ * Attachments.
+ * - a Relic or Support with an `attach` ability is played onto a bearer: a
+ *   Deity or an Avatar, passed as the PLAY_CARD target ({ playerId } for a Deity)
+ * - it sits in its controller's Relic/Support zone with attachedToInstanceId
+ *   set to the bearer (a Deity's instanceId for a Deity)
+ * - its STATIC MODIFY_STATS effects with subject BEARER are auras on the
+ *   bearer (see modifiers.ts); other effects can name the bearer as BEARER too
+ * - once the bearer has left the battlefield, or its player the game, the
+ *   attached card goes to the Crypt as a state-based action
+ * Choosing a bearer is not targeting for Spells, but the same rules apply
+ * (an opponent's Stealth Avatar can't be chosen). Avatars printed with
+ * "Attach to ..." (Companions) still play as ordinary Avatars.
+ */
+
+function getPlayer(state: GameState, playerId: string): Player {
+  const player = state.players.find((p) => p.id === playerId);
+  if (!player) {
+    throw new Error(`Player with id ${playerId} not found in GameState.`);
+  }
+  return player;
+}
+
+const ATTACHING_TYPES: CardType[] = ["RELIC", "SUPPORT"];
+
+/**
+ * What this card attaches to, if it is played attached.
+ */
+export function getAttachSpec(card: Card): AttachSpec | undefined {
+  if (!ATTACHING_TYPES.includes(card.typeLine)) return undefined;
+  return card.abilities.find((a) => a.attach)?.attach;
+}
+
+/**
+ * Where the card's bearer is now, or null if it isn't attached or the bearer
+ * is gone. A Deity bearer has no instanceId in the returned target.
+ */
+export function getBearer(state: GameState, card: Card): ChainTarget | null {
+  const bearerId = card.attachedToInstanceId;
+  if (bearerId === undefined) return null;
+  for (const player of state.players) {
+    if (player.lossReason !== null) continue;
+    if (player.deity.instanceId === bearerId) return { playerId: player.id };
+    if (player.avatarLine.some((c) => c.instanceId === bearerId)) {
+      return { playerId: player.id, instanceId: bearerId };
+    }
+  }
+  return null;
+}
+
+/**
+ * Cards on any battlefield attached to this Deity or Avatar, in play order.
+ */
+export function getAttachedCards(state: GameState, bearerInstanceId: string): Card[] {
+  return state.players.flatMap((p) =>
+    p.relicSupportZone.filter((c) => c.attachedToInstanceId === bearerInstanceId)
+  );
+}
+
+function isLegalBearer(state: GameState, playerId: string, spec: AttachSpec, bearer: ChainTarget): boolean {
+  return spec.kinds.some((kind) =>
+    isLegalTarget(
+      state,
+      playerId,
+      { kind: kind === "DEITY" ? "PLAYER" : "AVATAR", controller: spec.controller },
+      bearer
+    )
+  );
+}
+
+/**
+ * Every Deity and Avatar `playerId` could attach this card to right now.
+ */
+export function getLegalBearers(state: GameState, playerId: string, card: Card): ChainTarget[] {
+  const spec = getAttachSpec(card);
+  if (!spec) return [];
+  const candidates = state.players.flatMap((p): ChainTarget[] => [
+    { playerId: p.id },
+    ...p.avatarLine.map((c) => ({ playerId: p.id, instanceId: c.instanceId })),
+  ]);
+  return candidates.filter((bearer) => isLegalBearer(state, playerId, spec, bearer));
+}
+
+/**
+ * INVALID_TARGET unless a card that attaches names a legal bearer.
+ * Cards that don't attach ignore `bearer`.
+ */
+export function checkAttach(
+  state: GameState,
+  playerId: string,
+  card: Card,
+  bearer: ChainTarget | undefined
+): RuleViolation | null {
+  const spec = getAttachSpec(card);
+  if (!spec) return null;
+  if (!bearer) {
+    return violation("INVALID_TARGET", `${card.name} must be attached to a ${spec.kinds.join(" or ")}.`, {
+      instanceId: card.instanceId,
+      attach: spec,
+    });
+  }
+  if (!isLegalBearer(state, playerId, spec, bearer)) {
+    return violation("INVALID_TARGET", `${card.name} cannot be attached to that.`, {
+      instanceId: card.instanceId,
+      attach: spec,
+      bearer: { ...bearer },
+    });
+  }
+  return null;
+}
+
+/**
+ * Attach a card that has just entered the battlefield to a bearer already
+ * checked with checkAttach.
+ */
+export function attachToBearer(state: GameState, card: Card, bearer: ChainTarget): void {
+  card.attachedToInstanceId = bearer.instanceId ?? getPlayer(state, bearer.playerId).deity.instanceId;
+}
+
+/**
+ * State-based: attached cards whose bearer is gone go to the Crypt.
+ * Returns the cards moved.
+ */
+export function sendUnattachedToCrypt(state: GameState): Card[] {
+  const orphans = state.players.flatMap((p) =>
+    p.relicSupportZone.filter((c) => c.attachedToInstanceId !== undefined && !getBearer(state, c))
+  );
+  for (const card of orphans) {
+    sendToCrypt(state, card.controllerId, card.instanceId);
+  }
+  return orphans;
+}
@@ -1,4 +1,5 @@
 import { Zone } from "./zones";
+import type { Keyword } from "./keywords";
 
 export type CardType =
   | "DEITY"
@@ -9,17 +10,207 @@ export type CardType =
   | "RITE"
   | "RELIC"
   | "SUPPORT"
+  | "ESSENCE"
   | "TOKEN";
 
+// FAST Spells can be cast in response on the Shard Chain. Rites are always NORMAL.
+export type CardSpeed = "NORMAL" | "FAST";
+
+/**
+ * When an ability does its thing.
+ * - SPELL: the effect of a Spell or Rite card when its chain link resolves
+ * - ACTIVATED: used by its controller, paying `cost`
+ * - STATIC: always on while the card is on the battlefield
+ * - GOD_CODE: a Deity's God Code, used by spending God Charges (see godCode.ts)
+ * - ON_CLAIM: "When you claim <this Shard>" (or, with triggerSource SELF, any Shard you claim)
+ * - ON_*: triggered by the matching game event
+ */
+export type AbilityTrigger =
+  | "SPELL"
+  | "ACTIVATED"
+  | "STATIC"
+  | "GOD_CODE"
+  | "ON_PLAY"
+  | "ON_ATTACK"
+  | "ON_DESTROYED"
+  | "ON_CLAIM"
+  | "ON_DEAL_ESSENCE_DAMAGE"
+  | "ON_TURN_START"
+  | "ON_TURN_END";
+
+/**
+ * Whose perspective a player/controller filter is written from.
+ * SELF / OPPONENT are relative to the ability's controller.
+ */
+export type ControllerFilter = "ANY" | "SELF" | "OPPONENT";
+
+export type AbilityCondition =
+  | {
+      kind: "CONTROLS";
+      atLeast: number;
+      typeLine?: CardType;
+      subtype?: string; // Aspect such as "Glow"
+    }
+  | {
+      // "you control fewer Shards than an opponent": some opponent controls more
+      kind: "CONTROLS_FEWER_THAN_OPPONENT";
+      typeLine?: CardType;
+      subtype?: string;
+    }
+  | {
+      kind: "ESSENCE_AT_MOST";
+      player: "CONTROLLER" | "TARGET";
+      amount: number;
+      targetIndex?: number; // for player: "TARGET"
+    };
+
+export interface AbilityCost {
+  kl?: number;
+  essence?: number;
+  tapSelf?: boolean;
+  godCharges?: number; // GOD_CODE abilities
+}
+
+/**
+ * One target chosen when the ability goes on the Shard Chain.
+ * PLAYER = a Deity / its Essence.
+ */
+export interface TargetSpec {
+  kind: "PLAYER" | "AVATAR" | "PERMANENT";
+  controller?: ControllerFilter;
+  minCost?: number;
+  maxCost?: number;
+  excludeSubtype?: string; // "non-Beast Avatars"
+  optional?: boolean; // "up to" targets; optional ones come last
+}
+
+/**
+ * Who or what an effect applies to.
+ * TARGET refers to the chosen targets by index (in TargetSpec order).
+ */
+export type EffectSubject =
+  | { ref: "TARGET"; index?: number }
+  | { ref: "TARGET_CONTROLLER"; index?: number }
+  | { ref: "SELF" }
+  | { ref: "CONTROLLER" }
+  | { ref: "EACH_OPPONENT" }
+  | { ref: "EACH_PLAYER" }
+  | { ref: "ALL_AVATARS"; controller?: ControllerFilter; subtype?: string }
+  | { ref: "BEARER" } // attached cards: the Deity or Avatar this card is attached to
+  | { ref: "EVENT_PLAYER" }; // triggered abilities: the player the event happened to
+
+export type Effect = {
+  subject: EffectSubject;
+  condition?: AbilityCondition; // "If ..." clauses; skipped when false
+} & (
+  | { kind: "DEAL_DAMAGE"; amount: number }
+  // perSacrificed: "loses 1 Essence for each Avatar they sacrificed this way" (see SACRIFICE_UNCHOSEN)
+  | { kind: "LOSE_ESSENCE"; amount: number; perSacrificed?: boolean }
+  | { kind: "GAIN_ESSENCE"; amount: number }
+  | { kind: "DRAW"; count: number }
+  | { kind: "DESTROY" }
+  // tokens (see tokens.ts) for each subject player; perDestroyed: `count` for each
+  // Avatar the ability's earlier DESTROY effects destroyed ("for each Avatar destroyed this way")
+  | { kind: "CREATE_TOKEN"; tokenId: string; count: number; perDestroyed?: boolean }
+  // "Set each Deity's Essence to the lower of the two values": every subject player
+  // goes down to the lowest Essence among them
+  | { kind: "SET_ESSENCE_TO_LOWEST" }
+  // "Each player chooses 1 Avatar they control and sacrifices the rest": each
+  // subject player chooses `keep` of their Avatars as the link resolves (see choices.ts)
+  | { kind: "SACRIFICE_UNCHOSEN"; keep: number }
+  | { kind: "GAIN_KL"; amount: number }
+  | { kind: "LOSE_KL"; amount: number }
+  // STATIC abilities apply this as an aura; everywhere else it adds a StatModifier
+  | { kind: "MODIFY_STATS"; power?: number; guard?: number; duration?: ModifierDuration }
+  // STATIC abilities only: the subject players' maximum hand size (see getMaxHandSize)
+  | { kind: "MODIFY_HAND_SIZE"; amount: number }
+  // STATIC abilities only: added to the subject players' KL whenever it is recalculated (see getKlBreakdown)
+  | { kind: "MODIFY_KL"; amount: number }
+  // typed Essence ("2 Sun Essence usable only to cast Avatars"): pooled KL, see klPool.ts
+  | { kind: "ADD_KL"; amount: number; label?: string; restriction?: KlRestriction; expires?: KlExpiry }
+);
+
+/**
+ * What pooled KL may pay for; every field given has to match the card being
+ * paid for. No restriction = any card.
+ * - typeLines: "usable only to cast Spells or Rites"
+ * - domainTag: "Avatars aligned with Shattered Sun"; a card with several
+ *   Domains ("Crownline / Shattered Sun") matches any of them
+ */
+export interface KlRestriction {
+  typeLines?: CardType[];
+  domainTag?: string;
+}
+
+/**
+ * When unspent pooled KL is lost.
+ * - END_OF_PHASE: when the current phase ends
+ * - END_OF_TURN: when the current turn ends (the default)
+ */
+export type KlExpiry = "END_OF_PHASE" | "END_OF_TURN";
+
+/**
+ * What a Relic or Support printed "Attach to ..." can be attached to.
+ * Controller is from the attaching player's point of view ("an opposing Avatar").
+ */
+export interface AttachSpec {
+  kinds: ("DEITY" | "AVATAR")[];
+  controller?: ControllerFilter;
+}
+
+/**
+ * A card ability. `label`/`description` are display text only; the engine
+ * runs the structured fields. Printed keywords (Guardian, Haste) are
+ * abilities whose id is the keyword and carry no trigger; they seed Card.keywords.
+ * "Attach to ..." is an ability with `attach` and no trigger (see attachments.ts).
+ */
 export interface CardAbility {
   id: string;
   label: string;
   description: string;
+  trigger?: AbilityTrigger;
+  // ON_* only: whose events fire it. THIS_CARD (default) = this card's own
+  // events, or its controller's turns; SELF/OPPONENT/ANY = any card or turn of those players.
+  triggerSource?: "THIS_CARD" | ControllerFilter;
+  condition?: AbilityCondition; // ability only works / resolves while true; a Spell can only be cast while true
+  cost?: AbilityCost;
+  oncePerTurn?: boolean;
+  oncePerGame?: boolean;
+  targets?: TargetSpec[];
+  effects?: Effect[];
+  attach?: AttachSpec;
 }
 
+/**
+ * How long a StatModifier lasts.
+ * - END_OF_TURN: removed when the current turn ends ("until end of turn", "this turn")
+ * - WHILE_SOURCE_CONTROLLED: only counts while its controller still controls the source card
+ * - PERMANENT: stays until the card leaves the battlefield
+ */
+export type ModifierDuration = "END_OF_TURN" | "WHILE_SOURCE_CONTROLLED" | "PERMANENT";
+
+/**
+ * A one-shot Power/Guard change stuck on a card by an effect.
+ * Auras from STATIC abilities are not stored; see getEffectivePower.
+ */
+export interface StatModifier {
+  sourceInstanceId: string;
+  controllerId: string; // "you" for the duration and condition
+  power?: number;
+  guard?: number;
+  duration: ModifierDuration;
+  condition?: AbilityCondition; // "while you control X"; ignored while false
+}
+
+/**
+ * A card before it is in a match: everything but its instanceId.
+ * createCardInstance gives it one.
+ */
+export type CardData = Omit<Card, "instanceId">;
+
 export interface Card {
   // Static card data (from your card schema)
-  cardId: string;
+  cardId: string; // printed ID such as "EC-003"; copies of a card share it
   name: string;
   typeLine: CardType;
   subtypes: string[];
@@ -29,14 +220,21 @@ export interface Card {
   guard?: number;
   startingEssence?: number; // for Deities
   baseKl?: number; // for Deities
+  speed?: CardSpeed; // Spells only, defaults to NORMAL
   abilities: CardAbility[];
+  keywords: Keyword[]; // printed plus granted; no duplicates, see keywords.ts
   isToken: boolean;
 
   // Runtime / in-game state
+  instanceId: string; // unique per physical card in a match; engine APIs take this, never cardId
   ownerId: string; // which player owns this card for deck/crypt/null
   controllerId: string; // who currently controls it on board
   zone: Zone;
   damageMarked: number;
   tapped: boolean;
-  temporaryModifiers: any[]; // we can refine this later
+  enteredPlayOnTurn?: number; // turn it last entered the battlefield (summoning sickness)
+  abilitiesUsedThisTurn?: string[]; // ids of oncePerTurn abilities already used
+  abilitiesUsedThisGame?: string[]; // ids of oncePerGame abilities already used
+  attachedToInstanceId?: string; // the bearer (Deity or Avatar) while this card is attached
+  temporaryModifiers: StatModifier[]; // Power/Guard buffs and debuffs, newest last
 }
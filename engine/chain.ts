@@ -0,0 +1,341 @@
+import type { GameState } from "./gameState";
+import type { Player } from "./player";
+import type { Card } from "./card";
+import { Zone } from "./zones";
+import type { PendingChoice } from "./choices";
+import { checkGameInProgress, checkStateBasedActions, getPlayersInGame } from "./stateBased";
+import { getNextPlayerInGame, isTurnPlayer } from "./format";
+import { getBuiltInChainResolver } from "./abilities";
+import { getGameRules, type GameRules } from "./rules";
+import { catchViolation, throwIfViolated, violation, type RuleViolation } from "./violations";
+
+/**
+ * A target chosen when a link was put on the Shard Chain.
+ * instanceId undefined = the player (their Deity / Essence) is the target.
+ */
+export interface ChainTarget {
+  playerId: string;
+  instanceId?: string;
+}
+
+/**
+ * One link on the Shard Chain.
+ * Links are plain data; what they do on resolution is looked up by `kind`
+ * in the game's resolvers (see getChainResolver) so a chain can be
+ * inspected, copied or saved.
+ */
+export interface ChainLink {
+  id: number;
+  kind: string;
+  controllerId: string;
+  sourceInstanceId: string;
+  targets: ChainTarget[];
+  data?: Record<string, unknown>;
+  // The card itself while it sits on the chain (Spells). Goes to the Crypt on resolve.
+  card?: Card;
+}
+
+export interface ShardChain {
+  links: ChainLink[]; // bottom of the chain = index 0
+  priorityPlayerId: string | null; // null while the chain is empty
+  passCount: number; // consecutive passes since the last link was added
+  nextLinkId: number;
+}
+
+export interface ChainResolver {
+  resolve: (state: GameState, link: ChainLink, legalTargets: ChainTarget[]) => void;
+  // Optional check run before the link is added; throws (a RuleViolationError) if the targets are illegal.
+  validate?: (state: GameState, link: Omit<ChainLink, "id">) => void;
+  // Optional override of the default "still on the battlefield" target check.
+  isTargetLegal?: (state: GameState, link: ChainLink, target: ChainTarget) => boolean;
+  // Optional: choices players have to make before the link can resolve (see choices.ts).
+  getChoices?: (state: GameState, link: ChainLink, legalTargets: ChainTarget[]) => PendingChoice[];
+}
+
+export interface ChainLinkResult {
+  linkId: number;
+  sourceInstanceId: string;
+  fizzled: boolean; // every target became illegal before resolution
+}
+
+/**
+ * Link kind used when a Spell or Rite card is cast.
+ * The built-in resolver (abilities.ts) runs the Spell's abilities; a game's
+ * rules may register their own for this kind instead.
+ */
+export const SPELL_LINK_KIND = "SPELL";
+
+/**
+ * Register (or replace) what a given kind of chain link does when it
+ * resolves, in one game's rules. Returns a function that removes it again.
+ */
+export function registerChainResolver(rules: GameRules, kind: string, resolver: ChainResolver): () => void {
+  rules.chainResolvers.set(kind, resolver);
+  return () => {
+    if (rules.chainResolvers.get(kind) === resolver) {
+      rules.chainResolvers.delete(kind);
+    }
+  };
+}
+
+/**
+ * Link kind for activated and triggered abilities.
+ * The ability itself travels in link.data.ability so the link stays plain data
+ * and still resolves if its source has left the battlefield.
+ */
+export const ABILITY_LINK_KIND = "ABILITY";
+
+/**
+ * The resolver a game uses for links of `kind`: one its rules registered,
+ * else a built-in one. Throws for a kind nothing resolves.
+ */
+export function getChainResolver(state: GameState, kind: string): ChainResolver {
+  const resolver = getGameRules(state).chainResolvers.get(kind) ?? getBuiltInChainResolver(kind);
+  if (!resolver) {
+    throw new Error(`No Shard Chain resolver registered for link kind "${kind}".`);
+  }
+  return resolver;
+}
+
+export function createEmptyChain(): ShardChain {
+  return {
+    links: [],
+    priorityPlayerId: null,
+    passCount: 0,
+    nextLinkId: 1,
+  };
+}
+
+export function isChainEmpty(state: GameState): boolean {
+  return state.chain.links.length === 0;
+}
+
+/**
+ * CHAIN_OPEN while links are waiting to resolve, else null.
+ */
+export function checkChainEmpty(state: GameState, actionName: string): RuleViolation | null {
+  if (!isChainEmpty(state)) {
+    return violation(
+      "CHAIN_OPEN",
+      `Cannot ${actionName} while the Shard Chain has ${state.chain.links.length} unresolved link(s).`,
+      { links: state.chain.links.length }
+    );
+  }
+  return null;
+}
+
+/**
+ * Guard for actions that may only happen while nothing is waiting to resolve
+ * (casting at normal speed, playing permanents, changing phase, combat).
+ */
+export function assertChainEmpty(state: GameState, actionName: string): void {
+  throwIfViolated(checkChainEmpty(state, actionName));
+}
+
+/**
+ * Fast Spells may be cast whenever their controller holds priority;
+ * every other Spell needs an empty chain during its controller's Main Phase.
+ */
+export function isFastSpell(card: Card): boolean {
+  return card.typeLine === "SPELL" && card.speed === "FAST";
+}
+
+function getPlayer(state: GameState, playerId: string): Player {
+  const player = state.players.find((p) => p.id === playerId);
+  if (!player) {
+    throw new Error(`Player with id ${playerId} not found in GameState.`);
+  }
+  return player;
+}
+
+function isOnBattlefield(player: Player, instanceId: string): boolean {
+  return (
+    player.avatarLine.some((c) => c.instanceId === instanceId) ||
+    player.shardRow.some((c) => c.instanceId === instanceId) ||
+    player.relicSupportZone.some((c) => c.instanceId === instanceId) ||
+    player.domainZone?.instanceId === instanceId
+  );
+}
+
+function isTargetStillLegal(
+  state: GameState,
+  link: ChainLink,
+  target: ChainTarget,
+  resolver: ChainResolver
+): boolean {
+  if (resolver.isTargetLegal) {
+    return resolver.isTargetLegal(state, link, target);
+  }
+  const player = state.players.find((p) => p.id === target.playerId);
+  if (!player) return false;
+  if (target.instanceId === undefined) return true;
+  return isOnBattlefield(player, target.instanceId);
+}
+
+/**
+ * Can this player put a new link on the chain right now?
+ * - Empty chain: only the active player (or a teammate sharing the turn) may start one.
+ * - Open chain: only the priority holder, and only at fast speed.
+ */
+export function canAddToChain(
+  state: GameState,
+  playerId: string,
+  fast: boolean
+): boolean {
+  if (isChainEmpty(state)) {
+    return isTurnPlayer(state, playerId);
+  }
+  return fast && state.chain.priorityPlayerId === playerId;
+}
+
+/**
+ * Could this link go on the Shard Chain right now? Checks timing and priority
+ * (see canAddToChain) and the resolver's own target check, without adding it.
+ */
+export function checkAddToChain(
+  state: GameState,
+  link: Omit<ChainLink, "id">,
+  fast: boolean
+): RuleViolation | null {
+  const over = checkGameInProgress(state, "add to the Shard Chain");
+  if (over) return over;
+  const resolver = getChainResolver(state, link.kind);
+  if (!canAddToChain(state, link.controllerId, fast)) {
+    const message = `Player ${link.controllerId} cannot add ${link.sourceInstanceId} to the Shard Chain right now.`;
+    if (isChainEmpty(state)) {
+      return violation("NOT_YOUR_TURN", message, { activePlayerId: state.activePlayerId });
+    }
+    return fast
+      ? violation("NO_PRIORITY", message, { priorityPlayerId: state.chain.priorityPlayerId })
+      : violation("CHAIN_OPEN", message, { links: state.chain.links.length });
+  }
+  return catchViolation(() => resolver.validate?.(state, link));
+}
+
+/**
+ * Put a new link on top of the Shard Chain.
+ * Priority passes to the next player after the link's controller.
+ */
+export function addToChain(
+  state: GameState,
+  link: Omit<ChainLink, "id">,
+  fast: boolean
+): ChainLink {
+  throwIfViolated(checkAddToChain(state, link, fast));
+
+  const chain = state.chain;
+  const added: ChainLink = { ...link, id: chain.nextLinkId };
+  chain.nextLinkId += 1;
+  chain.links.push(added);
+  chain.priorityPlayerId = getNextPlayerInGame(state, link.controllerId);
+  chain.passCount = 0;
+
+  return added;
+}
+
+/**
+ * Put a triggered ability on top of the Shard Chain.
+ * Triggers don't need priority or fast speed; once they are on, the active
+ * player gets priority as usual.
+ */
+export function addTriggerToChain(state: GameState, link: Omit<ChainLink, "id">): ChainLink {
+  const resolver = getChainResolver(state, link.kind);
+  resolver.validate?.(state, link);
+
+  const chain = state.chain;
+  const added: ChainLink = { ...link, id: chain.nextLinkId };
+  chain.nextLinkId += 1;
+  chain.links.push(added);
+  chain.priorityPlayerId = state.activePlayerId;
+  chain.passCount = 0;
+
+  return added;
+}
+
+/**
+ * Can this player pass priority? Only the priority holder, on an open chain.
+ */
+export function checkPassPriority(state: GameState, playerId: string): RuleViolation | null {
+  const chain = state.chain;
+  const over = checkGameInProgress(state, "pass priority");
+  if (over) return over;
+  if (isChainEmpty(state)) {
+    return violation("NO_PRIORITY", "Cannot pass priority: the Shard Chain is empty.");
+  }
+  if (chain.priorityPlayerId !== playerId) {
+    return violation(
+      "NO_PRIORITY",
+      `Player ${playerId} does not hold priority (held by ${chain.priorityPlayerId}).`,
+      { priorityPlayerId: chain.priorityPlayerId }
+    );
+  }
+  return null;
+}
+
+/**
+ * The priority holder passes. Once every player still in the game has passed
+ * in succession the top link resolves (see resolveTopLink) and the results
+ * are returned; the rest of the chain waits for another round of passes.
+ */
+export function passPriority(state: GameState, playerId: string): ChainLinkResult[] {
+  const chain = state.chain;
+  throwIfViolated(checkPassPriority(state, playerId));
+
+  chain.passCount += 1;
+  if (chain.passCount >= getPlayersInGame(state).length) {
+    const result = resolveTopLink(state);
+    return result ? [result] : [];
+  }
+
+  chain.priorityPlayerId = getNextPlayerInGame(state, playerId);
+  return [];
+}
+
+/**
+ * Resolve the top link of the chain, then give the active player priority
+ * over what is left of it. Triggers the link fires go on top before anyone
+ * acts: callers run putTriggersOnChain next (api.ts, applyAction).
+ * - Targets are re-validated first: illegal ones are dropped, and a link
+ *   whose targets are all gone fizzles without effect.
+ * - A link that needs players to choose first stays on top and nothing
+ *   resolves until they have (state.pendingChoices, see choices.ts); this
+ *   returns null.
+ * - State-based actions are checked after the link; once the game is over
+ *   the rest of the chain is left unresolved.
+ */
+export function resolveTopLink(state: GameState): ChainLinkResult | null {
+  const chain = state.chain;
+  const link = chain.links.pop();
+  if (!link) return null;
+  const resolver = getChainResolver(state, link.kind);
+
+  const legalTargets = link.targets.filter((t) =>
+    isTargetStillLegal(state, link, t, resolver)
+  );
+  const fizzled = link.targets.length > 0 && legalTargets.length === 0;
+
+  if (!fizzled && !link.data?.choices) {
+    const choices = resolver.getChoices?.(state, link, legalTargets) ?? [];
+    if (choices.length > 0) {
+      chain.links.push(link);
+      state.pendingChoices = choices;
+      return null;
+    }
+  }
+
+  if (!fizzled) {
+    resolver.resolve(state, link, legalTargets);
+  }
+
+  if (link.card) {
+    const owner = getPlayer(state, link.card.ownerId);
+    link.card.zone = Zone.CRYPT;
+    owner.crypt.push(link.card);
+  }
+
+  const gameOver = checkStateBasedActions(state);
+  chain.priorityPlayerId = !gameOver && chain.links.length > 0 ? state.activePlayerId : null;
+  chain.passCount = 0;
+
+  return { linkId: link.id, sourceInstanceId: link.sourceInstanceId, fizzled };
+}
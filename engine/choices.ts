@@ -0,0 +1,101 @@
+import type { GameState } from "./gameState";
+import { resolveTopLink, type ChainLinkResult } from "./chain";
+import { throwIfViolated, violation, type RuleViolation } from "./violations";
+
+/**
+ * Choices players make while a Shard Chain link resolves ("Each player
+ * chooses 1 Avatar they control and sacrifices the rest").
+ * - when such a link starts to resolve it stays on top of the chain, and
+ *   every player with something to choose gets a PendingChoice
+ * - the players choose simultaneously: in any order, and no choice does
+ *   anything until all of them are in
+ * - the last choice resolves the link with every choice (link.data.choices),
+ *   then the rest of the chain
+ */
+export interface PendingChoice {
+  playerId: string;
+  linkId: number;
+  abilityId: string;
+  effectIndex: number; // which effect of the ability the choice is for
+  count: number; // choose exactly this many
+  options: string[]; // instance ids that may be chosen
+  chosen: string[] | null; // null until the player has chosen
+}
+
+/**
+ * The player's next choice still to be made, if any.
+ */
+export function getOpenChoice(state: GameState, playerId: string): PendingChoice | undefined {
+  return state.pendingChoices.find((c) => c.playerId === playerId && c.chosen === null);
+}
+
+/**
+ * DECISION_PENDING while a resolving link waits for choices.
+ */
+export function checkNoPendingChoices(state: GameState, actionName: string): RuleViolation | null {
+  if (state.pendingChoices.length > 0) {
+    return violation("DECISION_PENDING", `Cannot ${actionName} until every player has made their choice.`, {
+      waitingFor: state.pendingChoices.filter((c) => c.chosen === null).map((c) => c.playerId),
+    });
+  }
+  return null;
+}
+
+/**
+ * Can this player make their open choice with these cards? Exactly `count`
+ * different cards from its options.
+ */
+export function checkMakeChoice(state: GameState, playerId: string, instanceIds: string[]): RuleViolation | null {
+  const choice = getOpenChoice(state, playerId);
+  if (!choice) {
+    return violation("NO_PENDING_DECISION", `Player ${playerId} has nothing to choose.`);
+  }
+  if (instanceIds.length !== choice.count) {
+    return violation("INVALID_CHOICE", `Choose exactly ${choice.count} card(s).`, {
+      count: choice.count,
+      chosen: instanceIds.length,
+    });
+  }
+  if (new Set(instanceIds).size !== instanceIds.length) {
+    return violation("INVALID_CHOICE", "Each card can only be chosen once.", {
+      instanceIds: [...instanceIds],
+    });
+  }
+  const invalid = instanceIds.find((id) => !choice.options.includes(id));
+  if (invalid !== undefined) {
+    return violation("INVALID_CHOICE", `Card ${invalid} is not one of the options.`, {
+      instanceId: invalid,
+      options: [...choice.options],
+    });
+  }
+  return null;
+}
+
+/**
+ * Record the player's choice. Once every choice is in, the waiting link
+ * resolves with them and the active player gets priority over the rest of
+ * the chain; returns what resolved (nothing while others still have to
+ * choose).
+ */
+export function makeChoice(state: GameState, playerId: string, instanceIds: string[]): ChainLinkResult[] {
+  throwIfViolated(checkMakeChoice(state, playerId, instanceIds));
+  getOpenChoice(state, playerId)!.chosen = [...instanceIds];
+  return resumeAfterChoices(state);
+}
+
+/**
+ * If every pending choice has been made, hand them to the waiting link and
+ * resolve it. Also called when a player leaves the game mid-choice.
+ */
+export function resumeAfterChoices(state: GameState): ChainLinkResult[] {
+  if (state.pendingChoices.length === 0 || state.pendingChoices.some((c) => c.chosen === null)) {
+    return [];
+  }
+  const choices = state.pendingChoices;
+  state.pendingChoices = [];
+  const link = state.chain.links.find((l) => l.id === choices[0].linkId);
+  if (!link) return [];
+  link.data = { ...link.data, choices };
+  const result = resolveTopLink(state);
+  return result ? [result] : [];
+}
@@ -3,10 +3,62 @@ import type { Player } from "./player";
 import type { Card } from "./card";
 import { Zone } from "./zones";
 import { sendToCrypt } from "./movement";
+import { Phase, checkPhase } from "./phases";
+import { checkChainEmpty } from "./chain";
+import { hasKeyword, removeKeyword } from "./keywords";
+import { emitEngineEvent } from "./events";
+import { getEffectivePower, getEffectiveGuard } from "./modifiers";
+import { getOpponents, isTurnPlayer } from "./format";
+import { throwIfViolated, violation, type RuleViolation } from "./violations";
 
 export interface CombatAssignment {
-  attackerCardId: string;
-  blockerCardId?: string; // undefined = unblocked
+  attackerInstanceId: string;
+  targetInstanceId?: string; // attacked Avatar; undefined = the defending Deity
+  blockerInstanceIds?: string[]; // in damage assignment order; none = unblocked
+  blocked?: boolean; // was blocked, even if every blocker has since left play
+}
+
+/**
+ * One attacker and what it attacks.
+ * targetInstanceId undefined = the defending player's Deity (Essence).
+ */
+export interface AttackDeclaration {
+  attackerInstanceId: string;
+  targetInstanceId?: string;
+}
+
+/**
+ * One Avatar blocking one attacker.
+ */
+export interface BlockDeclaration {
+  attackerInstanceId: string;
+  blockerInstanceId: string;
+}
+
+/**
+ * The order in which a multi-blocked attacker assigns its damage.
+ */
+export interface DamageAssignmentOrder {
+  attackerInstanceId: string;
+  blockerInstanceIds: string[];
+}
+
+/**
+ * Attackers declared this Clash, waiting for the defender's blocks.
+ * Lives on GameState.combat from declareAttackers until combat resolves
+ * (assignBlockers, or orderBlockers after a multi-block).
+ */
+export interface PendingCombat {
+  attackingPlayerId: string;
+  defendingPlayerId: string;
+  attacks: AttackDeclaration[];
+  blocks?: BlockDeclaration[]; // set once the defender has blocked
+  awaitingDamageOrder?: string[]; // multi-blocked attackers waiting for orderBlockers
+}
+
+export interface CombatResult {
+  essenceDamage: number; // dealt to the defending player
+  destroyed: { playerId: string; instanceId: string }[];
 }
 
 function getPlayer(state: GameState, playerId: string): Player {
@@ -17,83 +69,290 @@ function getPlayer(state: GameState, playerId: string): Player {
   return player;
 }
 
-function findAvatarOnLine(player: Player, cardId: string): Card {
-  const card = player.avatarLine.find((c) => c.cardId === cardId);
+/**
+ * Attacks go at one opponent per combat; in multiplayer the attacker picks
+ * which. Teammates and players who have lost can't be attacked.
+ */
+function checkOpponentInGame(
+  state: GameState,
+  attackingPlayerId: string,
+  defendingPlayerId: string
+): RuleViolation | null {
+  if (attackingPlayerId === defendingPlayerId) {
+    return violation("INVALID_TARGET", "A player cannot attack themselves.", { defendingPlayerId });
+  }
+  getPlayer(state, defendingPlayerId);
+  if (!getOpponents(state, attackingPlayerId).some((p) => p.id === defendingPlayerId)) {
+    return violation(
+      "INVALID_TARGET",
+      `Player ${defendingPlayerId} is not an opponent of ${attackingPlayerId} still in the game.`,
+      { defendingPlayerId }
+    );
+  }
+  return null;
+}
+
+function notOnAvatarLine(player: Player, instanceId: string): RuleViolation {
+  return violation(
+    "NOT_ON_BATTLEFIELD",
+    `Avatar ${instanceId} not found on avatarLine for player ${player.id}.`,
+    { instanceId, playerId: player.id }
+  );
+}
+
+function findAvatarOnLine(player: Player, instanceId: string): Card {
+  const card = player.avatarLine.find((c) => c.instanceId === instanceId);
   if (!card) {
     throw new Error(
-      `Avatar ${cardId} not found on avatarLine for player ${player.id}.`
+      `Avatar ${instanceId} not found on avatarLine for player ${player.id}.`
     );
   }
   return card;
 }
 
-function getPower(card: Card): number {
-  return card.power ?? 0;
+export function markDamage(card: Card, amount: number): void {
+  if (amount <= 0) return;
+  card.damageMarked += amount;
 }
 
-function getGuard(card: Card): number {
-  // If no guard defined, treat it as 1 toughness by default
-  if (card.guard == null) return 1;
-  return card.guard;
+export function isDead(state: GameState, card: Card): boolean {
+  return card.damageMarked >= getEffectiveGuard(state, card);
 }
 
-function markDamage(card: Card, amount: number): void {
-  if (amount <= 0) return;
-  card.damageMarked += amount;
+/**
+ * An Avatar can't attack the turn it entered play unless it has Haste.
+ */
+export function isSummoningSick(state: GameState, card: Card): boolean {
+  if (hasKeyword(card, "HASTE")) return false;
+  return card.enteredPlayOnTurn === state.turnNumber;
 }
 
-function isDead(card: Card): boolean {
-  const guard = getGuard(card);
-  return card.damageMarked >= guard;
+/**
+ * Untapped, not summoning sick, and on its controller's Avatar Line.
+ */
+export function canAttack(state: GameState, card: Card): boolean {
+  return card.zone === Zone.AVATAR_LINE && !card.tapped && !isSummoningSick(state, card);
 }
 
 /**
- * Resolve combat for a set of attackers and optional blockers.
- *
- * - Each attacker in `assignments` must be an Avatar on the attacking player's avatarLine.
- * - If a blockerCardId is provided, that card must be an Avatar on the defending player's avatarLine.
- * - Damage is simultaneous between attacker and blocker.
- * - Unblocked attackers deal Essence damage to the defending player equal to their Power.
- * - Any creature whose damageMarked >= guard dies and is sent to the Crypt.
+ * Avatars with Guardian that attacks against this player must target first.
+ * A Guardian with Stealth can't be attacked, so it doesn't count.
  */
-export function resolveCombat(
+export function getGuardians(player: Player): Card[] {
+  return player.avatarLine.filter((c) => hasKeyword(c, "GUARDIAN") && !hasKeyword(c, "STEALTH"));
+}
+
+/**
+ * May this Avatar block? It must be untapped, and while its controller has an
+ * untapped Guardian only Guardians may block.
+ */
+export function canBlock(player: Player, card: Card): boolean {
+  if (card.tapped) return false;
+  return hasKeyword(card, "GUARDIAN") || !player.avatarLine.some((c) => !c.tapped && hasKeyword(c, "GUARDIAN"));
+}
+
+/**
+ * What an attacker may target on the defending player's side:
+ * any of their Avatars without Stealth or their Deity (undefined), unless
+ * they control a Guardian, in which case only Guardians.
+ */
+export function getLegalAttackTargets(defender: Player): (string | undefined)[] {
+  const guardians = getGuardians(defender);
+  if (guardians.length > 0) {
+    return guardians.map((c) => c.instanceId);
+  }
+  const attackable = defender.avatarLine.filter((c) => !hasKeyword(c, "STEALTH"));
+  return [undefined, ...attackable.map((c) => c.instanceId)];
+}
+
+/**
+ * How much more damage `card` can take before it dies.
+ */
+function getLethalDamage(state: GameState, card: Card): number {
+  return Math.max(0, getEffectiveGuard(state, card) - card.damageMarked);
+}
+
+/**
+ * Split an attacker's Power among its blockers in damage assignment order:
+ * each blocker must be assigned lethal damage before the next one gets any,
+ * and whatever is left over goes to the last blocker.
+ */
+export function assignAttackerDamage(
   state: GameState,
-  attackingPlayerId: string,
-  defendingPlayerId: string,
-  assignments: CombatAssignment[]
-): void {
-  const attackerPlayer = getPlayer(state, attackingPlayerId);
-  const defenderPlayer = getPlayer(state, defendingPlayerId);
+  power: number,
+  blockers: Card[]
+): number[] {
+  let remaining = power;
+  return blockers.map((blocker, i) => {
+    const amount = i === blockers.length - 1
+      ? remaining
+      : Math.min(remaining, getLethalDamage(state, blocker));
+    remaining -= amount;
+    return amount;
+  });
+}
 
-  // Mark all attackers as tapped when they declare
-  const attackerMap = new Map<string, Card>();
-  for (const assign of assignments) {
-    const attackerCard = findAvatarOnLine(attackerPlayer, assign.attackerCardId);
-    attackerCard.tapped = true;
-    attackerMap.set(assign.attackerCardId, attackerCard);
+/**
+ * Check blocks against the declared attacks and return the first illegal one:
+ * - the blocker is an untapped Avatar on the defender's avatarLine
+ * - while the defender has an untapped Guardian, only Guardians block
+ * - each Avatar blocks at most once (several may block the same attacker)
+ * - only attacks aimed at the Deity can be blocked
+ */
+function checkBlocks(
+  defender: Player,
+  attacks: AttackDeclaration[],
+  blocks: BlockDeclaration[]
+): RuleViolation | null {
+  const seen = new Map<string, string>();
+  for (const block of blocks) {
+    const attack = attacks.find((a) => a.attackerInstanceId === block.attackerInstanceId);
+    if (!attack) {
+      return violation("INVALID_BLOCK", `Avatar ${block.attackerInstanceId} is not attacking.`, { ...block });
+    }
+    if (attack.targetInstanceId !== undefined) {
+      return violation(
+        "INVALID_BLOCK",
+        `Avatar ${block.attackerInstanceId} is attacking an Avatar and cannot be blocked.`,
+        { ...block }
+      );
+    }
+
+    const blocker = defender.avatarLine.find((c) => c.instanceId === block.blockerInstanceId);
+    if (!blocker) {
+      return notOnAvatarLine(defender, block.blockerInstanceId);
+    }
+    if (blocker.tapped) {
+      return violation("TAPPED", `Avatar ${blocker.instanceId} is tapped and cannot block.`, {
+        instanceId: blocker.instanceId,
+      });
+    }
+    if (!canBlock(defender, blocker)) {
+      return violation(
+        "INVALID_BLOCK",
+        `Avatar ${blocker.instanceId} cannot block while Player ${defender.id} has an untapped Guardian.`,
+        { ...block }
+      );
+    }
+    const already = seen.get(blocker.instanceId);
+    if (already !== undefined) {
+      return violation("INVALID_BLOCK", `Avatar ${blocker.instanceId} is already blocking ${already}.`, {
+        ...block,
+        alreadyBlocking: already,
+      });
+    }
+    seen.set(blocker.instanceId, block.attackerInstanceId);
+  }
+  return null;
+}
+
+/**
+ * Check attackers and their targets: each attacker is on the attacking
+ * player's avatarLine, untapped, not summoning sick and named only once, and
+ * each target respects Guardian and Stealth.
+ */
+function checkAttacks(
+  state: GameState,
+  attackerPlayer: Player,
+  defenderPlayer: Player,
+  attacks: AttackDeclaration[]
+): RuleViolation | null {
+  const attackerInstanceIds = attacks.map((a) => a.attackerInstanceId);
+  if (new Set(attackerInstanceIds).size !== attackerInstanceIds.length) {
+    return violation("INVALID_TARGET", "The same Avatar cannot attack twice in one combat.", {
+      attackerInstanceIds,
+    });
   }
 
-  // First pass: assign damage
+  const legalTargets = getLegalAttackTargets(defenderPlayer);
+  for (const attack of attacks) {
+    const card = attackerPlayer.avatarLine.find((c) => c.instanceId === attack.attackerInstanceId);
+    if (!card) {
+      return notOnAvatarLine(attackerPlayer, attack.attackerInstanceId);
+    }
+    if (card.tapped) {
+      return violation("TAPPED", `Avatar ${card.instanceId} is tapped and cannot attack.`, {
+        instanceId: card.instanceId,
+      });
+    }
+    if (isSummoningSick(state, card)) {
+      return violation(
+        "SUMMONING_SICK",
+        `Avatar ${card.instanceId} has summoning sickness and cannot attack.`,
+        { instanceId: card.instanceId, enteredPlayOnTurn: card.enteredPlayOnTurn }
+      );
+    }
+    if (!legalTargets.includes(attack.targetInstanceId)) {
+      return violation(
+        "INVALID_TARGET",
+        attack.targetInstanceId === undefined
+          ? `Avatar ${card.instanceId} must attack a Guardian before the Deity.`
+          : `Avatar ${card.instanceId} cannot attack ${attack.targetInstanceId}.`,
+        { ...attack, legalTargets: [...legalTargets] }
+      );
+    }
+  }
+  return null;
+}
+
+/**
+ * Attackers blocked by two or more Avatars; their controller must choose a
+ * damage assignment order for each.
+ */
+function getMultiBlockedAttackers(blocks: BlockDeclaration[]): string[] {
+  const counts = new Map<string, number>();
+  for (const block of blocks) {
+    counts.set(block.attackerInstanceId, (counts.get(block.attackerInstanceId) ?? 0) + 1);
+  }
+  return [...counts].filter(([, count]) => count > 1).map(([attackerInstanceId]) => attackerInstanceId);
+}
+
+/**
+ * Deal combat damage and clean up. Assumes the assignments are legal and the
+ * attackers are already tapped.
+ */
+function dealCombatDamage(
+  state: GameState,
+  attackerPlayer: Player,
+  defenderPlayer: Player,
+  assignments: CombatAssignment[]
+): CombatResult {
+  // First pass: assign damage. Power is read before any damage is marked, so
+  // it is all simultaneous.
   let totalUnblockedDamageToEssence = 0;
+  const essenceDamageBySource: { attackerInstanceId: string; amount: number }[] = [];
+  const damage: { card: Card; amount: number }[] = [];
 
   for (const assign of assignments) {
-    const attackerCard = attackerMap.get(assign.attackerCardId)!;
-    const attackerPower = getPower(attackerCard);
+    const attackerCard = findAvatarOnLine(attackerPlayer, assign.attackerInstanceId);
+    const attackerPower = getEffectivePower(state, attackerCard);
+    const blockerIds = assign.blockerInstanceIds ?? [];
 
-    if (assign.blockerCardId) {
-      // Blocked combat
-      const blockerCard = findAvatarOnLine(defenderPlayer, assign.blockerCardId);
-      const blockerPower = getPower(blockerCard);
-
-      // Simultaneous damage
-      markDamage(attackerCard, blockerPower);
-      markDamage(blockerCard, attackerPower);
+    if (blockerIds.length > 0) {
+      // Blocked combat: every blocker hits the attacker, the attacker splits
+      // its Power in damage assignment order
+      const blockers = blockerIds.map((id) => findAvatarOnLine(defenderPlayer, id));
+      const split = assignAttackerDamage(state, attackerPower, blockers);
+      blockers.forEach((blocker, i) => {
+        damage.push({ card: attackerCard, amount: getEffectivePower(state, blocker) });
+        damage.push({ card: blocker, amount: split[i] });
+      });
+    } else if (assign.blocked) {
+      // Its blockers have all left play: it stays blocked and deals no damage
+    } else if (assign.targetInstanceId) {
+      // Attacking an Avatar directly
+      const targetCard = findAvatarOnLine(defenderPlayer, assign.targetInstanceId);
+      damage.push({ card: attackerCard, amount: getEffectivePower(state, targetCard) });
+      damage.push({ card: targetCard, amount: attackerPower });
     } else {
       // Unblocked: damage goes to defender's Essence
       totalUnblockedDamageToEssence += attackerPower;
+      essenceDamageBySource.push({ attackerInstanceId: attackerCard.instanceId, amount: attackerPower });
     }
   }
 
+  damage.forEach(({ card, amount }) => markDamage(card, amount));
+
   // Apply Essence damage to defending player
   if (totalUnblockedDamageToEssence > 0) {
     defenderPlayer.essence -= totalUnblockedDamageToEssence;
@@ -101,28 +360,330 @@ export function resolveCombat(
       defenderPlayer.essence = 0;
     }
   }
+  for (const hit of essenceDamageBySource) {
+    if (hit.amount <= 0) continue;
+    emitEngineEvent(state, {
+      type: "ON_ESSENCE_LOSS",
+      playerId: defenderPlayer.id,
+      sourceInstanceId: hit.attackerInstanceId,
+      amount: hit.amount,
+      damage: true,
+    });
+  }
 
   // Second pass: kill any dead Avatars on both sides (send to Crypt)
   // We snapshot card IDs first to avoid mutating while iterating.
   const deadAttackers: string[] = [];
   for (const card of attackerPlayer.avatarLine) {
-    if (isDead(card)) {
-      deadAttackers.push(card.cardId);
+    if (isDead(state, card)) {
+      deadAttackers.push(card.instanceId);
     }
   }
 
   const deadDefenders: string[] = [];
   for (const card of defenderPlayer.avatarLine) {
-    if (isDead(card)) {
-      deadDefenders.push(card.cardId);
+    if (isDead(state, card)) {
+      deadDefenders.push(card.instanceId);
     }
   }
 
-  for (const cardId of deadAttackers) {
-    sendToCrypt(state, attackingPlayerId, cardId);
+  for (const instanceId of deadAttackers) {
+    sendToCrypt(state, attackerPlayer.id, instanceId);
+  }
+
+  for (const instanceId of deadDefenders) {
+    sendToCrypt(state, defenderPlayer.id, instanceId);
+  }
+
+  return {
+    essenceDamage: totalUnblockedDamageToEssence,
+    destroyed: [
+      ...deadAttackers.map((instanceId) => ({ playerId: attackerPlayer.id, instanceId })),
+      ...deadDefenders.map((instanceId) => ({ playerId: defenderPlayer.id, instanceId })),
+    ],
+  };
+}
+
+/**
+ * Resolve a whole combat in one call: attacks, blocks and damage.
+ *
+ * - Only legal during the Clash Phase, with an empty Shard Chain.
+ * - Each attacker must be able to attack (untapped, no summoning sickness,
+ *   on the attacking player's avatarLine) and appear only once.
+ * - Targets must respect Guardian and Stealth, like declareAttackers.
+ * - Blocks follow the same rules as assignBlockers; blockerInstanceIds are in
+ *   the attacker's damage assignment order.
+ * - Damage is simultaneous. A blocked attacker takes damage from all its
+ *   blockers; unblocked attackers aimed at an Avatar fight it; the rest deal
+ *   Essence damage to the defending player equal to their Power.
+ * - Any creature whose damageMarked >= guard dies and is sent to the Crypt.
+ */
+export function resolveCombat(
+  state: GameState,
+  attackingPlayerId: string,
+  defendingPlayerId: string,
+  assignments: CombatAssignment[]
+): CombatResult {
+  throwIfViolated(
+    checkPhase(state, [Phase.CLASH], "resolve combat") ??
+      checkChainEmpty(state, "resolve combat") ??
+      checkOpponentInGame(state, attackingPlayerId, defendingPlayerId)
+  );
+
+  const attackerPlayer = getPlayer(state, attackingPlayerId);
+  const defenderPlayer = getPlayer(state, defendingPlayerId);
+  throwIfViolated(
+    checkAttacks(state, attackerPlayer, defenderPlayer, assignments) ??
+      checkBlocks(
+        defenderPlayer,
+        assignments,
+        assignments.flatMap((a) =>
+          (a.blockerInstanceIds ?? []).map((blockerInstanceId) => ({ attackerInstanceId: a.attackerInstanceId, blockerInstanceId }))
+        )
+      )
+  );
+
+  const attackers = assignments.map((assign) => findAvatarOnLine(attackerPlayer, assign.attackerInstanceId));
+  attackers.forEach((card) => {
+    card.tapped = true;
+    removeKeyword(card, "STEALTH");
+  });
+
+  return dealCombatDamage(state, attackerPlayer, defenderPlayer, assignments);
+}
+
+/**
+ * Could these attackers be declared now? Returns the first rule broken:
+ * Clash Phase, empty chain, no combat already pending, the attacker's turn,
+ * an opponent still in the game, and legal attackers and targets.
+ */
+export function checkDeclareAttackers(
+  state: GameState,
+  attackingPlayerId: string,
+  defendingPlayerId: string,
+  attacks: AttackDeclaration[]
+): RuleViolation | null {
+  const timing =
+    checkPhase(state, [Phase.CLASH], "declare attackers") ?? checkChainEmpty(state, "declare attackers");
+  if (timing) return timing;
+
+  if (state.combat) {
+    return violation("COMBAT_PENDING", "Attackers have already been declared and are waiting for blocks.");
   }
+  if (!isTurnPlayer(state, attackingPlayerId)) {
+    return violation(
+      "NOT_YOUR_TURN",
+      `Only the active player can declare attackers (not ${attackingPlayerId}).`,
+      { activePlayerId: state.activePlayerId }
+    );
+  }
+  return (
+    checkOpponentInGame(state, attackingPlayerId, defendingPlayerId) ??
+    checkAttacks(state, getPlayer(state, attackingPlayerId), getPlayer(state, defendingPlayerId), attacks)
+  );
+}
 
-  for (const cardId of deadDefenders) {
-    sendToCrypt(state, defendingPlayerId, cardId);
+/**
+ * Declare attackers for this Clash. Attackers tap immediately and combat
+ * waits on GameState.combat until the defender calls assignBlockers.
+ * Attackers must be able to attack (untapped, no summoning sickness) and
+ * their targets must respect Guardian and Stealth. Attacking removes Stealth.
+ */
+export function declareAttackers(
+  state: GameState,
+  attackingPlayerId: string,
+  defendingPlayerId: string,
+  attacks: AttackDeclaration[]
+): PendingCombat {
+  throwIfViolated(checkDeclareAttackers(state, attackingPlayerId, defendingPlayerId, attacks));
+
+  const attackerPlayer = getPlayer(state, attackingPlayerId);
+  const attackers = attacks.map((attack) => findAvatarOnLine(attackerPlayer, attack.attackerInstanceId));
+  attackers.forEach((card) => {
+    card.tapped = true;
+    removeKeyword(card, "STEALTH"); // attacking reveals it
+  });
+
+  const pending: PendingCombat = {
+    attackingPlayerId,
+    defendingPlayerId,
+    attacks: attacks.map((a) => ({ ...a })),
+  };
+  state.combat = pending;
+  for (const card of attackers) {
+    emitEngineEvent(state, { type: "ON_ATTACK_DECLARED", playerId: attackingPlayerId, instanceId: card.instanceId });
   }
+  return pending;
+}
+
+/**
+ * Finish the pending combat: build assignments from the declared attacks,
+ * the blocks and any damage assignment orders, then deal damage.
+ * Attackers that have left the avatarLine since declaring are out of combat,
+ * and so are attacks on an Avatar that has left it: that attacker stays
+ * tapped and deals no damage. An attacker whose blockers have all left stays
+ * blocked and deals no damage either.
+ */
+function finishPendingCombat(
+  state: GameState,
+  pending: PendingCombat,
+  orders: DamageAssignmentOrder[]
+): CombatResult {
+  const attackerPlayer = getPlayer(state, pending.attackingPlayerId);
+  const defenderPlayer = getPlayer(state, pending.defendingPlayerId);
+  const blocks = pending.blocks ?? [];
+
+  const onLine = (player: Player, instanceId: string) =>
+    player.avatarLine.some((c) => c.instanceId === instanceId);
+  const assignments: CombatAssignment[] = pending.attacks
+    .filter((attack) => onLine(attackerPlayer, attack.attackerInstanceId))
+    .filter((attack) => attack.targetInstanceId === undefined || onLine(defenderPlayer, attack.targetInstanceId))
+    .map((attack) => {
+      const order = orders.find((o) => o.attackerInstanceId === attack.attackerInstanceId);
+      const blockerInstanceIds = order
+        ? order.blockerInstanceIds
+        : blocks.filter((b) => b.attackerInstanceId === attack.attackerInstanceId).map((b) => b.blockerInstanceId);
+      return {
+        attackerInstanceId: attack.attackerInstanceId,
+        targetInstanceId: attack.targetInstanceId,
+        blockerInstanceIds: blockerInstanceIds.filter((id) => onLine(defenderPlayer, id)),
+        blocked: blockerInstanceIds.length > 0,
+      };
+    });
+
+  const result = dealCombatDamage(state, attackerPlayer, defenderPlayer, assignments);
+  state.combat = null;
+  return result;
+}
+
+/**
+ * Could the defending player make these blocks now? Returns the first rule
+ * broken (see assignBlockers).
+ */
+export function checkAssignBlockers(
+  state: GameState,
+  defendingPlayerId: string,
+  blocks: BlockDeclaration[]
+): RuleViolation | null {
+  const pending = state.combat;
+  if (!pending) {
+    return violation("NO_COMBAT", "No attackers have been declared.");
+  }
+  if (pending.defendingPlayerId !== defendingPlayerId) {
+    return violation(
+      "NOT_YOUR_TURN",
+      `Player ${defendingPlayerId} is not the defending player (${pending.defendingPlayerId}).`,
+      { defendingPlayerId: pending.defendingPlayerId }
+    );
+  }
+  if (pending.blocks) {
+    return violation("COMBAT_PENDING", "Blockers have already been assigned for this combat.");
+  }
+  return (
+    checkChainEmpty(state, "assign blockers") ??
+    checkBlocks(getPlayer(state, defendingPlayerId), pending.attacks, blocks)
+  );
+}
+
+/**
+ * The defending player assigns blockers to the pending attack.
+ * - Each blocker must be an untapped Avatar on their avatarLine and may block
+ *   only one attacker; any number of blockers may block the same attacker.
+ * - While they have an untapped Guardian, only Guardians may block.
+ * - Only attacks aimed at the Deity can be blocked; attackers not named in
+ *   `blocks` are unblocked.
+ * If an attacker is blocked by two or more Avatars, combat waits for the
+ * attacking player's damage assignment order (orderBlockers) and this returns
+ * null. Otherwise combat resolves now.
+ */
+export function assignBlockers(
+  state: GameState,
+  defendingPlayerId: string,
+  blocks: BlockDeclaration[]
+): CombatResult | null {
+  throwIfViolated(checkAssignBlockers(state, defendingPlayerId, blocks));
+  const pending = state.combat!;
+  pending.blocks = blocks.map((b) => ({ ...b }));
+
+  const multiBlocked = getMultiBlockedAttackers(blocks);
+  if (multiBlocked.length > 0) {
+    pending.awaitingDamageOrder = multiBlocked;
+    return null;
+  }
+  return finishPendingCombat(state, pending, []);
+}
+
+/**
+ * Could the attacking player give these damage assignment orders now?
+ * Returns the first rule broken (see orderBlockers).
+ */
+export function checkOrderBlockers(
+  state: GameState,
+  attackingPlayerId: string,
+  orders: DamageAssignmentOrder[]
+): RuleViolation | null {
+  const pending = state.combat;
+  if (!pending || !pending.awaitingDamageOrder) {
+    return violation("NO_COMBAT", "No combat is waiting for a damage assignment order.");
+  }
+  if (pending.attackingPlayerId !== attackingPlayerId) {
+    return violation(
+      "NOT_YOUR_TURN",
+      `Player ${attackingPlayerId} is not the attacking player (${pending.attackingPlayerId}).`,
+      { attackingPlayerId: pending.attackingPlayerId }
+    );
+  }
+  const chainOpen = checkChainEmpty(state, "order blockers");
+  if (chainOpen) return chainOpen;
+
+  const blocks = pending.blocks ?? [];
+  for (const attackerInstanceId of pending.awaitingDamageOrder) {
+    const order = orders.find((o) => o.attackerInstanceId === attackerInstanceId);
+    if (!order) {
+      return violation(
+        "INVALID_DAMAGE_ORDER",
+        `Avatar ${attackerInstanceId} needs a damage assignment order for its blockers.`,
+        { attackerInstanceId }
+      );
+    }
+    const expected = blocks
+      .filter((b) => b.attackerInstanceId === attackerInstanceId)
+      .map((b) => b.blockerInstanceId);
+    const sameBlockers =
+      order.blockerInstanceIds.length === expected.length &&
+      new Set(order.blockerInstanceIds).size === expected.length &&
+      order.blockerInstanceIds.every((id) => expected.includes(id));
+    if (!sameBlockers) {
+      return violation(
+        "INVALID_DAMAGE_ORDER",
+        `Damage assignment order for ${attackerInstanceId} must list exactly its blockers (${expected.join(", ")}).`,
+        { attackerInstanceId, blockerInstanceIds: expected }
+      );
+    }
+  }
+  for (const order of orders) {
+    if (!pending.awaitingDamageOrder.includes(order.attackerInstanceId)) {
+      return violation(
+        "INVALID_DAMAGE_ORDER",
+        `Avatar ${order.attackerInstanceId} is not blocked by more than one Avatar.`,
+        { attackerInstanceId: order.attackerInstanceId }
+      );
+    }
+  }
+  return null;
+}
+
+/**
+ * The attacking player puts the blockers of each multi-blocked attacker in
+ * damage assignment order (first = takes damage first), then combat resolves.
+ * Every attacker in PendingCombat.awaitingDamageOrder needs an order listing
+ * exactly its blockers.
+ */
+export function orderBlockers(
+  state: GameState,
+  attackingPlayerId: string,
+  orders: DamageAssignmentOrder[]
+): CombatResult {
+  throwIfViolated(checkOrderBlockers(state, attackingPlayerId, orders));
+  return finishPendingCombat(state, state.combat!, orders);
 }
@@ -0,0 +1,612 @@
+import { Zone } from "./zones.js";
+import { addToChain, addTriggerToChain, checkAddToChain, ABILITY_LINK_KIND, SPELL_LINK_KIND, } from "./chain.js";
+import { drawCard } from "./turn.js";
+import { markDamage, isDead } from "./combat.js";
+import { sendToCrypt } from "./movement.js";
+import { createToken } from "./tokens.js";
+import { addModifier } from "./modifiers.js";
+import { hasKeyword } from "./keywords.js";
+import { getBearer } from "./attachments.js";
+import { ABSOLUTE_KL_CAP, MIN_KL, checkGodThreshold } from "./resources.js";
+import { addPooledKl } from "./klPool.js";
+import { checkStateBasedActions } from "./stateBased.js";
+import { areTeammates, getOpponents, getTeam } from "./format.js";
+import { throwIfViolated, violation } from "./violations.js";
+import { emitEngineEvent, orderTriggersByActivePlayer, } from "./events.js";
+export { ABILITY_LINK_KIND };
+function getPlayer(state, playerId) {
+    const player = state.players.find((p) => p.id === playerId);
+    if (!player) {
+        throw new Error(`Player with id ${playerId} not found in GameState.`);
+    }
+    return player;
+}
+function getBattlefieldCards(player) {
+    return [
+        ...player.avatarLine,
+        ...player.shardRow,
+        ...player.relicSupportZone,
+        ...(player.domainZone ? [player.domainZone] : []),
+    ];
+}
+function findOnBattlefield(state, instanceId) {
+    for (const player of state.players) {
+        const card = getBattlefieldCards(player).find((c) => c.instanceId === instanceId);
+        if (card)
+            return { player, card };
+    }
+    return null;
+}
+function matchesController(state, filter, controllerId, playerId) {
+    switch (filter ?? "ANY") {
+        case "SELF":
+            return playerId === controllerId;
+        case "OPPONENT":
+            return !areTeammates(state, controllerId, playerId);
+        default:
+            return true;
+    }
+}
+export function getAbilities(card, trigger) {
+    return card.abilities.filter((a) => a.trigger === trigger);
+}
+export function isLegalTarget(state, controllerId, spec, target) {
+    if (!matchesController(state, spec.controller, controllerId, target.playerId)) {
+        return false;
+    }
+    if (spec.kind === "PLAYER") {
+        return (target.instanceId === undefined &&
+            state.players.some((p) => p.id === target.playerId && p.lossReason === null));
+    }
+    if (target.instanceId === undefined)
+        return false;
+    const found = findOnBattlefield(state, target.instanceId);
+    if (!found || found.player.id !== target.playerId)
+        return false;
+    if (spec.kind === "AVATAR" && found.card.zone !== Zone.AVATAR_LINE)
+        return false;
+    if (!areTeammates(state, controllerId, found.player.id) && hasKeyword(found.card, "STEALTH")) {
+        return false;
+    }
+    const cost = found.card.klCost ?? 0;
+    if (spec.minCost !== undefined && cost < spec.minCost)
+        return false;
+    if (spec.maxCost !== undefined && cost > spec.maxCost)
+        return false;
+    if (spec.excludeSubtype !== undefined && found.card.subtypes.includes(spec.excludeSubtype))
+        return false;
+    return true;
+}
+export function checkTargets(state, controllerId, specs, targets) {
+    const required = specs.filter((s) => !s.optional).length;
+    if (targets.length < required || targets.length > specs.length) {
+        return violation("INVALID_TARGET", `Expected ${required === specs.length ? required : `${required}-${specs.length}`} target(s), got ${targets.length}.`, { required, allowed: specs.length, given: targets.length });
+    }
+    for (const [i, target] of targets.entries()) {
+        if (!isLegalTarget(state, controllerId, specs[i], target)) {
+            return violation("INVALID_TARGET", `Target ${i + 1} (${target.instanceId ?? `player ${target.playerId}`}) is not a legal ${specs[i].kind}.`, { index: i, target: { ...target }, kind: specs[i].kind });
+        }
+    }
+    return null;
+}
+export function validateTargets(state, controllerId, specs, targets) {
+    throwIfViolated(checkTargets(state, controllerId, specs, targets));
+}
+export function checkCondition(state, controllerId, condition, targets = []) {
+    if (!condition)
+        return true;
+    const countControlled = (player, typeLine, subtype) => getBattlefieldCards(player).filter((c) => (typeLine === undefined || c.typeLine === typeLine) &&
+        (subtype === undefined || c.subtypes.includes(subtype))).length;
+    switch (condition.kind) {
+        case "CONTROLS":
+            return countControlled(getPlayer(state, controllerId), condition.typeLine, condition.subtype) >= condition.atLeast;
+        case "CONTROLS_FEWER_THAN_OPPONENT": {
+            const own = countControlled(getPlayer(state, controllerId), condition.typeLine, condition.subtype);
+            return getOpponents(state, controllerId).some((p) => countControlled(p, condition.typeLine, condition.subtype) > own);
+        }
+        case "ESSENCE_AT_MOST": {
+            const playerId = condition.player === "CONTROLLER"
+                ? controllerId
+                : targets[condition.targetIndex ?? 0]?.playerId;
+            const player = state.players.find((p) => p.id === playerId);
+            return !!player && player.essence <= condition.amount;
+        }
+    }
+}
+export function getStaticPlayerEffects(state, playerId, kind) {
+    getPlayer(state, playerId);
+    const found = [];
+    for (const controller of state.players) {
+        if (controller.lossReason !== null)
+            continue;
+        for (const source of [controller.deity, ...getBattlefieldCards(controller)]) {
+            for (const ability of getAbilities(source, "STATIC")) {
+                if (!checkCondition(state, controller.id, ability.condition))
+                    continue;
+                for (const effect of ability.effects ?? []) {
+                    if (effect.kind !== kind)
+                        continue;
+                    if (!subjectCoversPlayer(state, effect.subject, controller.id, playerId))
+                        continue;
+                    if (!checkCondition(state, controller.id, effect.condition))
+                        continue;
+                    found.push({
+                        effect: effect,
+                        ability,
+                        source,
+                        controllerId: controller.id,
+                    });
+                }
+            }
+        }
+    }
+    return found;
+}
+function subjectCoversPlayer(state, subject, controllerId, playerId) {
+    switch (subject.ref) {
+        case "CONTROLLER":
+            return playerId === controllerId;
+        case "EACH_OPPONENT":
+            return !areTeammates(state, controllerId, playerId);
+        case "EACH_PLAYER":
+            return true;
+        default:
+            return false;
+    }
+}
+function resolveSubject(state, controllerId, sourceInstanceId, subject, targets, event) {
+    switch (subject.ref) {
+        case "TARGET": {
+            const target = targets[subject.index ?? 0];
+            return target ? [target] : [];
+        }
+        case "TARGET_CONTROLLER": {
+            const target = targets[subject.index ?? 0];
+            return target ? [{ playerId: target.playerId }] : [];
+        }
+        case "SELF": {
+            const found = findOnBattlefield(state, sourceInstanceId);
+            return found ? [{ playerId: found.player.id, instanceId: found.card.instanceId }] : [];
+        }
+        case "CONTROLLER":
+            return [{ playerId: controllerId }];
+        case "EACH_OPPONENT":
+            return getOpponents(state, controllerId).map((p) => ({ playerId: p.id }));
+        case "EACH_PLAYER":
+            return state.players
+                .filter((p) => p.lossReason === null)
+                .map((p) => ({ playerId: p.id }));
+        case "ALL_AVATARS":
+            return state.players
+                .filter((p) => matchesController(state, subject.controller, controllerId, p.id))
+                .flatMap((p) => p.avatarLine.map((c) => ({ playerId: p.id, instanceId: c.instanceId })));
+        case "EVENT_PLAYER":
+            return event ? [{ playerId: event.playerId }] : [];
+        case "BEARER": {
+            const found = findOnBattlefield(state, sourceInstanceId);
+            const bearer = found ? getBearer(state, found.card) : null;
+            return bearer ? [bearer] : [];
+        }
+    }
+}
+function loseEssence(state, player, amount, sourceInstanceId, damage) {
+    if (amount <= 0)
+        return;
+    player.essence = Math.max(0, player.essence - amount);
+    emitEngineEvent(state, {
+        type: "ON_ESSENCE_LOSS",
+        playerId: player.id,
+        sourceInstanceId,
+        amount,
+        damage,
+    });
+}
+function applyEffect(state, controllerId, sourceInstanceId, effect, subjects, context) {
+    for (const subject of subjects) {
+        const player = getPlayer(state, subject.playerId);
+        const card = subject.instanceId
+            ? getBattlefieldCards(player).find((c) => c.instanceId === subject.instanceId)
+            : undefined;
+        switch (effect.kind) {
+            case "DEAL_DAMAGE":
+                if (subject.instanceId) {
+                    if (!card)
+                        break;
+                    markDamage(card, effect.amount);
+                    if (isDead(state, card)) {
+                        sendToCrypt(state, player.id, card.instanceId);
+                    }
+                }
+                else {
+                    loseEssence(state, player, effect.amount, sourceInstanceId, true);
+                }
+                break;
+            case "LOSE_ESSENCE": {
+                const times = effect.perSacrificed ? context.sacrificed.get(player.id) ?? 0 : 1;
+                if (times > 0)
+                    loseEssence(state, player, effect.amount * times, sourceInstanceId, false);
+                break;
+            }
+            case "GAIN_ESSENCE":
+                player.essence += effect.amount;
+                emitEngineEvent(state, {
+                    type: "ON_ESSENCE_GAIN",
+                    playerId: player.id,
+                    sourceInstanceId,
+                    amount: effect.amount,
+                });
+                break;
+            case "DRAW":
+                for (let i = 0; i < effect.count; i++) {
+                    drawCard(state, player);
+                }
+                break;
+            case "DESTROY":
+                if (card) {
+                    sendToCrypt(state, player.id, card.instanceId);
+                    context.destroyed += 1;
+                }
+                break;
+            case "CREATE_TOKEN": {
+                if (subject.instanceId)
+                    break;
+                const count = effect.perDestroyed ? effect.count * context.destroyed : effect.count;
+                createToken(state, player.id, effect.tokenId, count);
+                break;
+            }
+            case "SET_ESSENCE_TO_LOWEST": {
+                if (subject.instanceId)
+                    break;
+                const lowest = Math.min(...subjects.map((s) => getPlayer(state, s.playerId).essence));
+                loseEssence(state, player, player.essence - lowest, sourceInstanceId, false);
+                break;
+            }
+            case "SACRIFICE_UNCHOSEN": {
+                if (subject.instanceId)
+                    break;
+                const kept = context.choices.find((c) => c.playerId === player.id)?.chosen ??
+                    player.avatarLine.slice(0, effect.keep).map((c) => c.instanceId);
+                const sacrificed = player.avatarLine.filter((c) => !kept.includes(c.instanceId));
+                for (const avatar of sacrificed) {
+                    sendToCrypt(state, player.id, avatar.instanceId);
+                }
+                context.sacrificed.set(player.id, (context.sacrificed.get(player.id) ?? 0) + sacrificed.length);
+                break;
+            }
+            case "GAIN_KL": {
+                const oldKl = player.currentKl;
+                player.currentKl = Math.min(ABSOLUTE_KL_CAP, player.currentKl + effect.amount);
+                checkGodThreshold(player, oldKl, player.currentKl);
+                break;
+            }
+            case "LOSE_KL":
+                player.currentKl = Math.max(MIN_KL, player.currentKl - effect.amount);
+                break;
+            case "MODIFY_STATS":
+                if (card) {
+                    addModifier(card, {
+                        sourceInstanceId,
+                        controllerId,
+                        power: effect.power,
+                        guard: effect.guard,
+                        duration: effect.duration ?? "END_OF_TURN",
+                    });
+                    if (isDead(state, card)) {
+                        sendToCrypt(state, player.id, card.instanceId);
+                    }
+                }
+                break;
+            case "MODIFY_HAND_SIZE":
+                break;
+            case "MODIFY_KL":
+                break;
+            case "ADD_KL":
+                addPooledKl(player, {
+                    label: effect.label ?? "KL",
+                    amount: effect.amount,
+                    sourceInstanceId,
+                    restriction: effect.restriction,
+                    expires: effect.expires ?? "END_OF_TURN",
+                });
+                break;
+        }
+    }
+}
+export function executeAbility(state, controllerId, sourceInstanceId, ability, targets, event, choices = []) {
+    if (!checkCondition(state, controllerId, ability.condition, targets)) {
+        return;
+    }
+    const context = { choices: [], sacrificed: new Map(), destroyed: 0 };
+    for (const [effectIndex, effect] of (ability.effects ?? []).entries()) {
+        if (!checkCondition(state, controllerId, effect.condition, targets)) {
+            continue;
+        }
+        const subjects = resolveSubject(state, controllerId, sourceInstanceId, effect.subject, targets, event);
+        context.choices = choices.filter((c) => c.abilityId === ability.id && c.effectIndex === effectIndex);
+        applyEffect(state, controllerId, sourceInstanceId, effect, subjects, context);
+    }
+}
+export function getAbilityChoices(state, linkId, controllerId, sourceInstanceId, ability, targets) {
+    if (!checkCondition(state, controllerId, ability.condition, targets)) {
+        return [];
+    }
+    const choices = [];
+    for (const [effectIndex, effect] of (ability.effects ?? []).entries()) {
+        if (effect.kind !== "SACRIFICE_UNCHOSEN")
+            continue;
+        if (!checkCondition(state, controllerId, effect.condition, targets))
+            continue;
+        for (const subject of resolveSubject(state, controllerId, sourceInstanceId, effect.subject, targets)) {
+            const player = getPlayer(state, subject.playerId);
+            if (subject.instanceId || player.avatarLine.length <= effect.keep)
+                continue;
+            choices.push({
+                playerId: player.id,
+                linkId,
+                abilityId: ability.id,
+                effectIndex,
+                count: effect.keep,
+                options: player.avatarLine.map((c) => c.instanceId),
+                chosen: null,
+            });
+        }
+    }
+    return choices;
+}
+export function getSpellTargetSpecs(card) {
+    return getAbilities(card, "SPELL").flatMap((a) => a.targets ?? []);
+}
+function getLinkAbility(link) {
+    const ability = link.data?.ability;
+    if (!ability) {
+        throw new Error(`Chain link ${link.id} has no ability to resolve.`);
+    }
+    return ability;
+}
+function getLinkChoices(link) {
+    return link.data?.choices ?? [];
+}
+function alignTargets(link, legalTargets) {
+    return link.targets.map((t) => (legalTargets.includes(t) ? t : null));
+}
+const spellResolver = {
+    validate: (state, link) => {
+        if (link.card) {
+            validateTargets(state, link.controllerId, getSpellTargetSpecs(link.card), link.targets);
+        }
+    },
+    isTargetLegal: (state, link, target) => {
+        const spec = link.card
+            ? getSpellTargetSpecs(link.card)[link.targets.indexOf(target)]
+            : undefined;
+        return spec ? isLegalTarget(state, link.controllerId, spec, target) : true;
+    },
+    getChoices: (state, link, legalTargets) => {
+        if (!link.card)
+            return [];
+        const aligned = alignTargets(link, legalTargets);
+        let offset = 0;
+        return getAbilities(link.card, "SPELL").flatMap((ability) => {
+            const count = ability.targets?.length ?? 0;
+            const targets = aligned.slice(offset, offset + count);
+            offset += count;
+            return getAbilityChoices(state, link.id, link.controllerId, link.sourceInstanceId, ability, targets);
+        });
+    },
+    resolve: (state, link, legalTargets) => {
+        if (!link.card)
+            return;
+        const aligned = alignTargets(link, legalTargets);
+        let offset = 0;
+        for (const ability of getAbilities(link.card, "SPELL")) {
+            const count = ability.targets?.length ?? 0;
+            executeAbility(state, link.controllerId, link.sourceInstanceId, ability, aligned.slice(offset, offset + count), undefined, getLinkChoices(link));
+            offset += count;
+        }
+    },
+};
+const abilityResolver = {
+    validate: (state, link) => {
+        const ability = getLinkAbility(link);
+        validateTargets(state, link.controllerId, ability.targets ?? [], link.targets);
+    },
+    isTargetLegal: (state, link, target) => {
+        const spec = getLinkAbility(link).targets?.[link.targets.indexOf(target)];
+        return spec ? isLegalTarget(state, link.controllerId, spec, target) : true;
+    },
+    getChoices: (state, link, legalTargets) => getAbilityChoices(state, link.id, link.controllerId, link.sourceInstanceId, getLinkAbility(link), alignTargets(link, legalTargets)),
+    resolve: (state, link, legalTargets) => {
+        executeAbility(state, link.controllerId, link.sourceInstanceId, getLinkAbility(link), alignTargets(link, legalTargets), link.data?.event, getLinkChoices(link));
+    },
+};
+export function getBuiltInChainResolver(kind) {
+    switch (kind) {
+        case SPELL_LINK_KIND:
+            return spellResolver;
+        case ABILITY_LINK_KIND:
+            return abilityResolver;
+        default:
+            return undefined;
+    }
+}
+function findAbilitySource(player, instanceId) {
+    return player.deity.instanceId === instanceId
+        ? player.deity
+        : getBattlefieldCards(player).find((c) => c.instanceId === instanceId);
+}
+export function isKlAbility(ability) {
+    const effects = ability.effects ?? [];
+    return (ability.trigger === "ACTIVATED" &&
+        (ability.targets ?? []).length === 0 &&
+        effects.length > 0 &&
+        effects.every((e) => e.kind === "ADD_KL"));
+}
+export function checkActivateAbility(state, playerId, instanceId, abilityId, targets = []) {
+    const player = getPlayer(state, playerId);
+    const card = findAbilitySource(player, instanceId);
+    if (!card) {
+        return violation("NOT_ON_BATTLEFIELD", `Card ${instanceId} is not on the battlefield under player ${playerId}.`, { instanceId });
+    }
+    const ability = card.abilities.find((a) => a.id === abilityId);
+    if (!ability || ability.trigger !== "ACTIVATED") {
+        return violation("ABILITY_UNAVAILABLE", `Card ${instanceId} has no activated ability ${abilityId}.`, {
+            instanceId,
+            abilityId,
+        });
+    }
+    if (ability.oncePerTurn && card.abilitiesUsedThisTurn?.includes(abilityId)) {
+        return violation("ABILITY_UNAVAILABLE", `Ability ${abilityId} of ${instanceId} has already been used this turn.`, { instanceId, abilityId, oncePerTurn: true });
+    }
+    if (ability.oncePerGame && card.abilitiesUsedThisGame?.includes(abilityId)) {
+        return violation("ABILITY_UNAVAILABLE", `Ability ${abilityId} of ${instanceId} has already been used this game.`, { instanceId, abilityId, oncePerGame: true });
+    }
+    if (!checkCondition(state, playerId, ability.condition)) {
+        return violation("ABILITY_UNAVAILABLE", `The condition for ability ${abilityId} of ${instanceId} is not met.`, { instanceId, abilityId, condition: ability.condition });
+    }
+    const cost = ability.cost ?? {};
+    if ((cost.kl ?? 0) > player.currentKl) {
+        return violation("INSUFFICIENT_KL", `Player ${playerId} cannot pay ${cost.kl} KL for ${abilityId}.`, {
+            cost: cost.kl,
+            available: player.currentKl,
+        });
+    }
+    if ((cost.essence ?? 0) > player.essence) {
+        return violation("INSUFFICIENT_ESSENCE", `Player ${playerId} cannot pay ${cost.essence} Essence for ${abilityId}.`, { cost: cost.essence, available: player.essence });
+    }
+    if (cost.tapSelf && card.tapped) {
+        return violation("TAPPED", `Card ${instanceId} is already tapped.`, { instanceId });
+    }
+    return checkAddToChain(state, { kind: ABILITY_LINK_KIND, controllerId: playerId, sourceInstanceId: instanceId, targets, data: { ability } }, true);
+}
+export function activateAbility(state, playerId, instanceId, abilityId, targets = []) {
+    throwIfViolated(checkActivateAbility(state, playerId, instanceId, abilityId, targets));
+    const player = getPlayer(state, playerId);
+    const card = findAbilitySource(player, instanceId);
+    const ability = card.abilities.find((a) => a.id === abilityId);
+    const cost = ability.cost ?? {};
+    const link = isKlAbility(ability)
+        ? null
+        : addToChain(state, {
+            kind: ABILITY_LINK_KIND,
+            controllerId: playerId,
+            sourceInstanceId: instanceId,
+            targets,
+            data: { ability },
+        }, true);
+    player.currentKl -= cost.kl ?? 0;
+    player.essence -= cost.essence ?? 0;
+    if (cost.tapSelf)
+        card.tapped = true;
+    if (ability.oncePerTurn) {
+        card.abilitiesUsedThisTurn = [...(card.abilitiesUsedThisTurn ?? []), abilityId];
+    }
+    if (ability.oncePerGame) {
+        card.abilitiesUsedThisGame = [...(card.abilitiesUsedThisGame ?? []), abilityId];
+    }
+    if (!link) {
+        executeAbility(state, playerId, instanceId, ability, []);
+    }
+    return link;
+}
+export function getActivatableAbilities(state, playerId) {
+    const player = getPlayer(state, playerId);
+    return [player.deity, ...getBattlefieldCards(player)].flatMap((card) => getAbilities(card, "ACTIVATED")
+        .filter((ability) => {
+        const targets = suggestTriggerTargets(state, playerId, ability);
+        return targets !== null && checkActivateAbility(state, playerId, card.instanceId, ability.id, targets) === null;
+    })
+        .map((ability) => ({ instanceId: card.instanceId, abilityId: ability.id })));
+}
+const HELPFUL_EFFECTS = ["GAIN_ESSENCE", "DRAW", "GAIN_KL", "ADD_KL", "CREATE_TOKEN"];
+function helpsTarget(ability, index) {
+    const onTarget = (ability.effects ?? []).filter((e) => (e.subject.ref === "TARGET" || e.subject.ref === "TARGET_CONTROLLER") &&
+        (e.subject.index ?? 0) === index);
+    return (onTarget.length > 0 &&
+        onTarget.every((e) => e.kind === "MODIFY_STATS" ? (e.power ?? 0) + (e.guard ?? 0) > 0 : HELPFUL_EFFECTS.includes(e.kind)));
+}
+function getTriggerTargetOptions(state, controllerId, ability, index) {
+    const spec = (ability.targets ?? [])[index];
+    const team = getTeam(state, controllerId);
+    const byPreference = [
+        ...getOpponents(state, controllerId),
+        ...state.players.filter((p) => team.includes(p.id) && p.id !== controllerId),
+        ...state.players.filter((p) => p.id === controllerId),
+    ];
+    if (helpsTarget(ability, index))
+        byPreference.reverse();
+    const candidates = byPreference.flatMap((p) => spec.kind === "PLAYER"
+        ? [{ playerId: p.id }]
+        : getBattlefieldCards(p).map((c) => ({ playerId: p.id, instanceId: c.instanceId })));
+    return candidates.filter((t) => isLegalTarget(state, controllerId, spec, t));
+}
+export function suggestTriggerTargets(state, controllerId, ability) {
+    const specs = ability.targets ?? [];
+    const targets = [];
+    for (const [i, spec] of specs.entries()) {
+        const choice = getTriggerTargetOptions(state, controllerId, ability, i).find((t) => !targets.some((chosen) => chosen.playerId === t.playerId && chosen.instanceId === t.instanceId));
+        if (!choice) {
+            if (spec.optional)
+                break;
+            return null;
+        }
+        targets.push(choice);
+    }
+    return targets;
+}
+export function checkNoPendingTriggerTargets(state, actionName) {
+    const pending = state.pendingTriggerTargets;
+    if (pending) {
+        return violation("DECISION_PENDING", `Cannot ${actionName} until ${pending.trigger.controllerId} has chosen targets for ${pending.trigger.ability.id}.`, { waitingFor: [pending.trigger.controllerId] });
+    }
+    return null;
+}
+export function checkChooseTriggerTargets(state, playerId, targets) {
+    const pending = state.pendingTriggerTargets;
+    if (!pending || pending.trigger.controllerId !== playerId) {
+        return violation("NO_PENDING_DECISION", `Player ${playerId} has no triggered ability to choose targets for.`);
+    }
+    return checkTargets(state, playerId, pending.trigger.ability.targets ?? [], targets);
+}
+export function chooseTriggerTargets(state, playerId, targets) {
+    throwIfViolated(checkChooseTriggerTargets(state, playerId, targets));
+    const { trigger } = state.pendingTriggerTargets;
+    state.pendingTriggerTargets = null;
+    return addTriggerToChain(state, {
+        kind: ABILITY_LINK_KIND,
+        controllerId: trigger.controllerId,
+        sourceInstanceId: trigger.sourceInstanceId,
+        targets: targets.map((t) => ({ ...t })),
+        data: { ability: trigger.ability, event: trigger.event },
+    });
+}
+export function putTriggersOnChain(state) {
+    const added = [];
+    if (checkStateBasedActions(state) || state.pendingChoices.length > 0 || state.pendingTriggerTargets) {
+        return added;
+    }
+    const pending = orderTriggersByActivePlayer(state, state.pendingTriggers);
+    state.pendingTriggers = [];
+    for (const [i, trigger] of pending.entries()) {
+        if (!checkCondition(state, trigger.controllerId, trigger.ability.condition)) {
+            continue;
+        }
+        const targets = suggestTriggerTargets(state, trigger.controllerId, trigger.ability);
+        if (!targets)
+            continue;
+        const specs = trigger.ability.targets ?? [];
+        const options = specs.map((_, index) => getTriggerTargetOptions(state, trigger.controllerId, trigger.ability, index));
+        if (specs.some((spec, index) => options[index].length > 1 || (spec.optional && options[index].length > 0))) {
+            state.pendingTriggerTargets = { trigger, options };
+            state.pendingTriggers = pending.slice(i + 1);
+            break;
+        }
+        added.push(addTriggerToChain(state, {
+            kind: ABILITY_LINK_KIND,
+            controllerId: trigger.controllerId,
+            sourceInstanceId: trigger.sourceInstanceId,
+            targets,
+            data: { ability: trigger.ability, event: trigger.event },
+        }));
+    }
+    return added;
+}
@@ -0,0 +1,291 @@
+import { startTurn, advancePhase, checkAdvancePhase } from "./turn.js";
+import { playDomain, playShard, playAvatar, playRelicOrSupport, playEssence, castSpell, checkPlayFromHand, } from "./movement.js";
+import { checkPassPriority, passPriority } from "./chain.js";
+import { declareAttackers, assignBlockers, orderBlockers, checkDeclareAttackers, checkAssignBlockers, checkOrderBlockers, } from "./combat.js";
+import { activateAbility, checkActivateAbility, checkChooseTriggerTargets, checkNoPendingTriggerTargets, chooseTriggerTargets, putTriggersOnChain, } from "./abilities.js";
+import { activateGodCode, checkActivateGodCode, getGodCode, getGodCodeChargeCost } from "./godCode.js";
+import { checkGameInProgress, checkStateBasedActions, concede } from "./stateBased.js";
+import { throwIfViolated, violation } from "./violations.js";
+import { checkKeepOpeningHand, checkMulligan, checkOpeningComplete, keepOpeningHand, mulligan, } from "./opening.js";
+import { checkDiscardToHandSize, checkNoPendingDiscards, discardToHandSize } from "./handSize.js";
+import { checkMakeChoice, checkNoPendingChoices, makeChoice, resumeAfterChoices } from "./choices.js";
+function getPlayer(state, playerId) {
+    const player = state.players.find((p) => p.id === playerId);
+    if (!player) {
+        throw new Error(`Player with id ${playerId} not found in GameState.`);
+    }
+    return player;
+}
+function checkActivePlayer(state, playerId, actionName) {
+    if (state.activePlayerId !== playerId) {
+        return violation("NOT_YOUR_TURN", `Only the active player (${state.activePlayerId}) can ${actionName}, not ${playerId}.`, { activePlayerId: state.activePlayerId });
+    }
+    return null;
+}
+function turnEvents(state, turnBefore) {
+    const events = [];
+    if (state.turnNumber !== turnBefore) {
+        events.push({
+            type: "TURN_STARTED",
+            playerId: state.activePlayerId,
+            turnNumber: state.turnNumber,
+        });
+    }
+    events.push({ type: "PHASE_CHANGED", playerId: state.activePlayerId, phase: state.phase });
+    return events;
+}
+function playCard(state, action) {
+    const player = getPlayer(state, action.playerId);
+    const card = player.hand.find((c) => c.instanceId === action.instanceId);
+    const played = {
+        type: "CARD_PLAYED",
+        playerId: player.id,
+        instanceId: card.instanceId,
+        cardId: card.cardId,
+        typeLine: card.typeLine,
+    };
+    const payment = action.payment;
+    switch (card.typeLine) {
+        case "DOMAIN":
+            playDomain(state, player.id, card.instanceId, payment);
+            return [played];
+        case "SHARD":
+            playShard(state, player.id, card.instanceId, payment);
+            return [played];
+        case "AVATAR":
+            playAvatar(state, player.id, card.instanceId, payment);
+            return [played];
+        case "RELIC":
+        case "SUPPORT":
+            playRelicOrSupport(state, player.id, card.instanceId, action.targets?.[0], payment);
+            return [played];
+        case "ESSENCE":
+            playEssence(state, player.id, card.instanceId, payment);
+            return [played];
+        case "SPELL":
+        case "RITE": {
+            const link = castSpell(state, player.id, card.instanceId, action.targets ?? [], undefined, undefined, payment);
+            return [
+                played,
+                { type: "CHAIN_LINK_ADDED", playerId: player.id, linkId: link.id, instanceId: card.instanceId },
+            ];
+        }
+        default:
+            throw new Error(`Cards of type ${card.typeLine} cannot be played from hand.`);
+    }
+}
+export function validateAction(state, action) {
+    const over = checkGameInProgress(state, `apply ${action.type}`);
+    if (over)
+        return over;
+    if (action.type !== "DISCARD" && action.type !== "CONCEDE") {
+        const discarding = checkNoPendingDiscards(state, `apply ${action.type}`);
+        if (discarding)
+            return discarding;
+    }
+    if (action.type !== "CHOOSE" && action.type !== "CONCEDE") {
+        const choosing = checkNoPendingChoices(state, `apply ${action.type}`);
+        if (choosing)
+            return choosing;
+    }
+    if (action.type !== "CHOOSE_TARGETS" && action.type !== "CONCEDE") {
+        const targeting = checkNoPendingTriggerTargets(state, `apply ${action.type}`);
+        if (targeting)
+            return targeting;
+    }
+    switch (action.type) {
+        case "KEEP_HAND":
+            return checkKeepOpeningHand(state, action.playerId);
+        case "MULLIGAN":
+            return checkMulligan(state, action.playerId, action.bottomInstanceIds ?? []);
+        case "START_GAME":
+            return state.turnNumber !== 0
+                ? violation("GAME_ALREADY_STARTED", "The game has already started.")
+                : checkOpeningComplete(state, "start the game");
+        case "ADVANCE_PHASE":
+            return checkAdvancePhase(state) ?? checkActivePlayer(state, action.playerId, "advance the phase");
+        case "DISCARD":
+            return checkDiscardToHandSize(state, action.playerId, action.instanceIds);
+        case "CHOOSE":
+            return checkMakeChoice(state, action.playerId, action.instanceIds);
+        case "CHOOSE_TARGETS":
+            return checkChooseTriggerTargets(state, action.playerId, action.targets);
+        case "PLAY_CARD":
+            return checkPlayFromHand(state, action.playerId, action.instanceId, action.targets ?? [], action.payment);
+        case "DECLARE_ATTACKERS":
+            return checkDeclareAttackers(state, action.playerId, action.defendingPlayerId, action.attacks);
+        case "ASSIGN_BLOCKERS":
+            return checkAssignBlockers(state, action.playerId, action.blocks);
+        case "ORDER_BLOCKERS":
+            return checkOrderBlockers(state, action.playerId, action.orders);
+        case "PASS_PRIORITY":
+            return checkPassPriority(state, action.playerId);
+        case "ACTIVATE_ABILITY":
+            return checkActivateAbility(state, action.playerId, action.instanceId, action.abilityId, action.targets ?? []);
+        case "ACTIVATE_GOD_CODE":
+            return checkActivateGodCode(state, action.playerId, action.targets ?? []);
+        case "CONCEDE":
+            getPlayer(state, action.playerId);
+            return null;
+    }
+}
+export function applyAction(state, action) {
+    throwIfViolated(validateAction(state, action));
+    const events = applyActionRules(state, action);
+    for (const link of putTriggersOnChain(state)) {
+        events.push({
+            type: "CHAIN_LINK_ADDED",
+            playerId: link.controllerId,
+            linkId: link.id,
+            instanceId: link.sourceInstanceId,
+        });
+    }
+    if (state.result) {
+        events.push({ type: "GAME_OVER", result: state.result });
+    }
+    return events;
+}
+function combatResultEvents(defendingPlayerId, result) {
+    if (!result)
+        return [];
+    const events = [];
+    if (result.essenceDamage > 0) {
+        events.push({
+            type: "ESSENCE_DAMAGE",
+            playerId: defendingPlayerId,
+            amount: result.essenceDamage,
+        });
+    }
+    for (const dead of result.destroyed) {
+        events.push({ type: "CARD_DESTROYED", playerId: dead.playerId, instanceId: dead.instanceId });
+    }
+    return events;
+}
+function resolvedEvents(results) {
+    return results.map((r) => ({
+        type: "CHAIN_LINK_RESOLVED",
+        linkId: r.linkId,
+        instanceId: r.sourceInstanceId,
+        fizzled: r.fizzled,
+    }));
+}
+function applyActionRules(state, action) {
+    switch (action.type) {
+        case "KEEP_HAND": {
+            keepOpeningHand(state, action.playerId);
+            return [{ type: "HAND_KEPT", playerId: action.playerId }];
+        }
+        case "MULLIGAN": {
+            const cardCount = mulligan(state, action.playerId, action.bottomInstanceIds ?? []);
+            const events = [{ type: "MULLIGAN_TAKEN", playerId: action.playerId, cardCount }];
+            if (!state.opening?.undecidedPlayerIds.includes(action.playerId)) {
+                events.push({ type: "HAND_KEPT", playerId: action.playerId });
+            }
+            return events;
+        }
+        case "START_GAME": {
+            startTurn(state);
+            return turnEvents(state, 0);
+        }
+        case "ADVANCE_PHASE": {
+            const turnBefore = state.turnNumber;
+            advancePhase(state);
+            return turnEvents(state, turnBefore);
+        }
+        case "DISCARD": {
+            const turnBefore = state.turnNumber;
+            discardToHandSize(state, action.playerId, action.instanceIds);
+            const discarded = {
+                type: "CARDS_DISCARDED",
+                playerId: action.playerId,
+                instanceIds: [...action.instanceIds],
+            };
+            return state.turnNumber !== turnBefore ? [discarded, ...turnEvents(state, turnBefore)] : [discarded];
+        }
+        case "CHOOSE": {
+            const results = makeChoice(state, action.playerId, action.instanceIds);
+            return [
+                { type: "CHOICE_MADE", playerId: action.playerId, instanceIds: [...action.instanceIds] },
+                ...resolvedEvents(results),
+            ];
+        }
+        case "CHOOSE_TARGETS": {
+            const link = chooseTriggerTargets(state, action.playerId, action.targets);
+            return [
+                {
+                    type: "TRIGGER_TARGETS_CHOSEN",
+                    playerId: action.playerId,
+                    instanceId: link.sourceInstanceId,
+                    targets: action.targets.map((t) => ({ ...t })),
+                },
+                { type: "CHAIN_LINK_ADDED", playerId: action.playerId, linkId: link.id, instanceId: link.sourceInstanceId },
+            ];
+        }
+        case "PLAY_CARD":
+            return playCard(state, action);
+        case "DECLARE_ATTACKERS": {
+            declareAttackers(state, action.playerId, action.defendingPlayerId, action.attacks);
+            return [
+                {
+                    type: "ATTACKERS_DECLARED",
+                    playerId: action.playerId,
+                    defendingPlayerId: action.defendingPlayerId,
+                    attacks: action.attacks.map((a) => ({ ...a })),
+                },
+            ];
+        }
+        case "ASSIGN_BLOCKERS": {
+            const result = assignBlockers(state, action.playerId, action.blocks);
+            return [
+                { type: "BLOCKERS_ASSIGNED", playerId: action.playerId, blocks: action.blocks.map((b) => ({ ...b })) },
+                ...combatResultEvents(action.playerId, result),
+            ];
+        }
+        case "ORDER_BLOCKERS": {
+            const defendingPlayerId = state.combat?.defendingPlayerId ?? "";
+            const result = orderBlockers(state, action.playerId, action.orders);
+            return [
+                {
+                    type: "BLOCKERS_ORDERED",
+                    playerId: action.playerId,
+                    orders: action.orders.map((o) => ({ ...o, blockerInstanceIds: [...o.blockerInstanceIds] })),
+                },
+                ...combatResultEvents(defendingPlayerId, result),
+            ];
+        }
+        case "PASS_PRIORITY": {
+            const results = passPriority(state, action.playerId);
+            return [{ type: "PRIORITY_PASSED", playerId: action.playerId }, ...resolvedEvents(results)];
+        }
+        case "ACTIVATE_ABILITY": {
+            const link = activateAbility(state, action.playerId, action.instanceId, action.abilityId, action.targets ?? []);
+            if (!link) {
+                return [
+                    {
+                        type: "ABILITY_RESOLVED",
+                        playerId: action.playerId,
+                        instanceId: action.instanceId,
+                        abilityId: action.abilityId,
+                    },
+                ];
+            }
+            return [
+                { type: "CHAIN_LINK_ADDED", playerId: action.playerId, linkId: link.id, instanceId: action.instanceId },
+            ];
+        }
+        case "ACTIVATE_GOD_CODE": {
+            const deity = getPlayer(state, action.playerId).deity;
+            const charges = getGodCodeChargeCost(getGodCode(deity));
+            const link = activateGodCode(state, action.playerId, action.targets ?? []);
+            return [
+                { type: "GOD_CHARGES_SPENT", playerId: action.playerId, charges },
+                { type: "CHAIN_LINK_ADDED", playerId: action.playerId, linkId: link.id, instanceId: deity.instanceId },
+            ];
+        }
+        case "CONCEDE": {
+            concede(state, action.playerId);
+            const results = checkStateBasedActions(state) ? [] : resumeAfterChoices(state);
+            return [{ type: "PLAYER_CONCEDED", playerId: action.playerId }, ...resolvedEvents(results)];
+        }
+    }
+}
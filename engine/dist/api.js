@@ -1,99 +1,234 @@
-import { startTurn as coreStartTurn } from "./turn.js";
-import {
-  playDomain as corePlayDomain,
-  playShard as corePlayShard,
-  playAvatar as corePlayAvatar,
-  playRelicOrSupport as corePlayRelicOrSupport,
-  sendToCrypt as coreSendToCrypt,
-  sendToNull as coreSendToNull,
-} from "./movement.js";
-import { resolveCombat as coreResolveCombat } from "./combat.js";
-
-export function createPlayerFromSetup(setup) {
-  const { id, deity, veiledDeck } = setup;
-  const startingEssence = deity.startingEssence ?? 0;
-  const baseKl = deity.baseKl ?? 0;
-  return {
-    id,
-    deity,
-    essence: startingEssence,
-    baseKl,
-    currentKl: baseKl,
-    godCharges: 0,
-    klThresholdTriggeredThisTurn: false,
-    hand: [],
-    veiledDeck: [...veiledDeck],
-    crypt: [],
-    nullZone: [],
-    domainZone: null,
-    shardRow: [],
-    avatarLine: [],
-    relicSupportZone: [],
-    turnsTaken: 0,
-  };
-}
-
-export function createGameFromSetups(setups, firstPlayerId) {
-  if (!setups || setups.length === 0) {
-    throw new Error("createGameFromSetups requires at least one PlayerSetup.");
-  }
-  const players = setups.map(createPlayerFromSetup);
-  const resolvedFirstPlayerId = firstPlayerId ?? players[0].id;
-  return {
-    players,
-    activePlayerId: "",
-    firstPlayerId: resolvedFirstPlayerId,
-    turnNumber: 0,
-  };
-}
-
+import { startTurn as coreStartTurn, advancePhase as coreAdvancePhase, } from "./turn.js";
+import { Phase } from "./phases.js";
+import { createEmptyChain, passPriority as corePassPriority, } from "./chain.js";
+import { createRng } from "./rng.js";
+import { getLegalActions as coreGetLegalActions, } from "./legal.js";
+import { playDomain as corePlayDomain, playShard as corePlayShard, playAvatar as corePlayAvatar, playRelicOrSupport as corePlayRelicOrSupport, playEssence as corePlayEssence, sendToCrypt as coreSendToCrypt, sendToNull as coreSendToNull, castSpell as coreCastSpell, shuffleDeck as coreShuffleDeck, } from "./movement.js";
+import { activateAbility as coreActivateAbility, chooseTriggerTargets as coreChooseTriggerTargets, putTriggersOnChain, } from "./abilities.js";
+import { resolveCombat as coreResolveCombat, declareAttackers as coreDeclareAttackers, assignBlockers as coreAssignBlockers, orderBlockers as coreOrderBlockers, } from "./combat.js";
+import { checkStateBasedActions, concede as coreConcede } from "./stateBased.js";
+import { createCardInstance } from "./instances.js";
+import { dealOpeningHands } from "./opening.js";
+import { discardToHandSize as coreDiscardToHandSize } from "./handSize.js";
+import { makeChoice as coreMakeChoice, resumeAfterChoices } from "./choices.js";
+import { activateGodCode as coreActivateGodCode } from "./godCode.js";
+import { createToken as coreCreateToken } from "./tokens.js";
+import { STARTING_GOD_CHARGES } from "./resources.js";
+import { setGameRules } from "./rules.js";
+import { getOpponents as coreGetOpponents, validateFormat, } from "./format.js";
+export function createPlayerFromSetup(setup, instantiate) {
+    const id = setup.id;
+    const deity = instantiate(setup.deity);
+    const veiledDeck = setup.veiledDeck.map(instantiate);
+    const startingEssence = deity.startingEssence ?? 0;
+    const baseKl = deity.baseKl ?? 0;
+    return {
+        id,
+        deity,
+        essence: startingEssence,
+        baseKl,
+        currentKl: baseKl,
+        klPool: [],
+        godCharges: STARTING_GOD_CHARGES,
+        klThresholdTriggeredThisTurn: false,
+        hand: [],
+        veiledDeck,
+        crypt: [],
+        nullZone: [],
+        domainZone: null,
+        shardRow: [],
+        avatarLine: [],
+        relicSupportZone: [],
+        turnsTaken: 0,
+        domainsPlayedThisTurn: 0,
+        drewFromEmptyDeck: false,
+        conceded: false,
+        lossReason: null,
+    };
+}
+export function createGameFromSetups(setups, firstPlayerId, seed, format, rules) {
+    if (setups.length === 0) {
+        throw new Error("createGameFromSetups requires at least one PlayerSetup.");
+    }
+    const counter = { nextInstanceId: 1 };
+    const players = setups.map((setup) => createPlayerFromSetup(setup, (data) => createCardInstance(counter, data)));
+    const resolvedFirstPlayerId = firstPlayerId ?? players[0].id;
+    const resolvedFormat = format ?? (players.length === 2 ? { kind: "DUEL" } : { kind: "FREE_FOR_ALL" });
+    validateFormat(resolvedFormat, players.map((p) => p.id));
+    const state = {
+        players,
+        format: resolvedFormat,
+        activePlayerId: "",
+        firstPlayerId: resolvedFirstPlayerId,
+        turnNumber: 0,
+        phase: Phase.DAWN,
+        chain: createEmptyChain(),
+        rng: createRng(seed),
+        combat: null,
+        pendingTriggers: [],
+        pendingTriggerTargets: null,
+        nextInstanceId: counter.nextInstanceId,
+        result: null,
+        opening: null,
+        pendingDiscards: [],
+        pendingChoices: [],
+    };
+    if (rules)
+        setGameRules(state, rules);
+    dealOpeningHands(state);
+    return state;
+}
 export function getActivePlayer(state) {
-  const player = state.players.find((p) => p.id === state.activePlayerId);
-  if (!player) {
-    throw new Error(`Active player with id ${state.activePlayerId} not found in GameState.`);
-  }
-  return player;
+    const player = state.players.find((p) => p.id === state.activePlayerId);
+    if (!player) {
+        throw new Error(`Active player with id ${state.activePlayerId} not found in GameState.`);
+    }
+    return player;
+}
+export function getOpponents(state, playerId) {
+    return coreGetOpponents(state, playerId);
 }
-
 export function getOpponent(state, playerId) {
-  if (state.players.length !== 2) {
-    throw new Error("getOpponent is only valid for 2-player games at the moment.");
-  }
-  const opponent = state.players.find((p) => p.id !== playerId);
-  if (!opponent) {
-    throw new Error(`Opponent of player ${playerId} not found in GameState (2-player assumption).`);
-  }
-  return opponent;
-}
-
+    const opponents = coreGetOpponents(state, playerId);
+    if (opponents.length !== 1) {
+        throw new Error(`Player ${playerId} has ${opponents.length} opponents in the game; choose one from getOpponents.`);
+    }
+    return opponents[0];
+}
+export function getLegalActions(state, playerId) {
+    return coreGetLegalActions(state, playerId);
+}
 export function startTurn(state) {
-  coreStartTurn(state);
+    coreStartTurn(state);
+    putTriggersOnChain(state);
+}
+export function advancePhase(state) {
+    const phase = coreAdvancePhase(state);
+    putTriggersOnChain(state);
+    return phase;
+}
+export function discardToHandSize(state, playerId, instanceIds) {
+    coreDiscardToHandSize(state, playerId, instanceIds);
+    putTriggersOnChain(state);
+}
+export function playDomain(state, playerId, instanceId, payment) {
+    corePlayDomain(state, playerId, instanceId, payment);
+    putTriggersOnChain(state);
+}
+export function playShard(state, playerId, instanceId, payment) {
+    corePlayShard(state, playerId, instanceId, payment);
+    putTriggersOnChain(state);
+}
+export function playAvatar(state, playerId, instanceId, payment) {
+    corePlayAvatar(state, playerId, instanceId, payment);
+    putTriggersOnChain(state);
 }
-
-export function playDomain(state, playerId, cardId) {
-  corePlayDomain(state, playerId, cardId);
+export function playRelicOrSupport(state, playerId, instanceId, bearer, payment) {
+    corePlayRelicOrSupport(state, playerId, instanceId, bearer, payment);
+    putTriggersOnChain(state);
 }
-
-export function playShard(state, playerId, cardId) {
-  corePlayShard(state, playerId, cardId);
+export function playEssence(state, playerId, instanceId, payment) {
+    corePlayEssence(state, playerId, instanceId, payment);
+    putTriggersOnChain(state);
 }
-
-export function playAvatar(state, playerId, cardId) {
-  corePlayAvatar(state, playerId, cardId);
+export function shuffleDeck(state, playerId) {
+    coreShuffleDeck(state, playerId);
 }
-
-export function playRelicOrSupport(state, playerId, cardId) {
-  corePlayRelicOrSupport(state, playerId, cardId);
+export function sendToCrypt(state, playerId, instanceId) {
+    coreSendToCrypt(state, playerId, instanceId);
+    putTriggersOnChain(state);
 }
-
-export function sendToCrypt(state, playerId, cardId) {
-  coreSendToCrypt(state, playerId, cardId);
+export function sendToNull(state, playerId, instanceId) {
+    coreSendToNull(state, playerId, instanceId);
+    putTriggersOnChain(state);
 }
-
-export function sendToNull(state, playerId, cardId) {
-  coreSendToNull(state, playerId, cardId);
+export function createToken(state, playerId, tokenId, count) {
+    const created = coreCreateToken(state, playerId, tokenId, count);
+    putTriggersOnChain(state);
+    return created;
+}
+export function castSpell(state, playerId, instanceId, targets = [], kind, data, payment) {
+    const link = coreCastSpell(state, playerId, instanceId, targets, kind, data, payment);
+    putTriggersOnChain(state);
+    return link;
+}
+export function passPriority(state, playerId) {
+    const results = corePassPriority(state, playerId);
+    putTriggersOnChain(state);
+    return results;
+}
+export function chooseTriggerTargets(state, playerId, targets) {
+    const link = coreChooseTriggerTargets(state, playerId, targets);
+    putTriggersOnChain(state);
+    return link;
+}
+export function makeChoice(state, playerId, instanceIds) {
+    const results = coreMakeChoice(state, playerId, instanceIds);
+    putTriggersOnChain(state);
+    return results;
+}
+export function activateAbility(state, playerId, instanceId, abilityId, targets = []) {
+    const link = coreActivateAbility(state, playerId, instanceId, abilityId, targets);
+    putTriggersOnChain(state);
+    return link;
+}
+export function activateGodCode(state, playerId, targets = []) {
+    const link = coreActivateGodCode(state, playerId, targets);
+    putTriggersOnChain(state);
+    return link;
 }
-
 export function resolveCombat(state, attackingPlayerId, defendingPlayerId, assignments) {
-  coreResolveCombat(state, attackingPlayerId, defendingPlayerId, assignments);
+    const result = coreResolveCombat(state, attackingPlayerId, defendingPlayerId, assignments);
+    putTriggersOnChain(state);
+    return result;
+}
+export function declareAttackers(state, attackingPlayerId, defendingPlayerId, attacks) {
+    const pending = coreDeclareAttackers(state, attackingPlayerId, defendingPlayerId, attacks);
+    putTriggersOnChain(state);
+    return pending;
+}
+export function assignBlockers(state, defendingPlayerId, blocks) {
+    const result = coreAssignBlockers(state, defendingPlayerId, blocks);
+    putTriggersOnChain(state);
+    return result;
+}
+export function orderBlockers(state, attackingPlayerId, orders) {
+    const result = coreOrderBlockers(state, attackingPlayerId, orders);
+    putTriggersOnChain(state);
+    return result;
+}
+export function concede(state, playerId) {
+    coreConcede(state, playerId);
+    if (!checkStateBasedActions(state))
+        resumeAfterChoices(state);
+    putTriggersOnChain(state);
 }
+export { Phase, PHASE_ORDER, registerPhaseHooks } from "./phases.js";
+export { createGameRules, getGameRules } from "./rules.js";
+export { registerChainResolver, isFastSpell, canAddToChain, SPELL_LINK_KIND, } from "./chain.js";
+export { createRng, generateSeed, nextRandom, randomInt, shuffleInPlace } from "./rng.js";
+export { ABILITY_LINK_KIND, isKlAbility, suggestTriggerTargets, checkChooseTriggerTargets, checkNoPendingTriggerTargets, getAbilities, getSpellTargetSpecs, isLegalTarget, checkCondition, getStaticPlayerEffects, } from "./abilities.js";
+export { onEngineEvent } from "./events.js";
+export { createCardInstance, findCardByInstanceId } from "./instances.js";
+export { serialize, deserialize, migrateState, validateState, SAVE_SCHEMA_VERSION, } from "./serialization.js";
+export { DUEL_FORMAT, validateFormat, getTeam, areTeammates, getTurnPlayers, isTurnPlayer, getNextTurnPlayerId, getFormatRules, DEFAULT_FORMAT_RULES, } from "./format.js";
+export { dealOpeningHands, keepOpeningHand, mulligan, getMulligansLeft, checkMulligan, checkKeepOpeningHand, } from "./opening.js";
+export { getMaxHandSize, getHandSizeExcess, checkDiscardToHandSize } from "./handSize.js";
+export { getOpenChoice, checkMakeChoice, checkNoPendingChoices } from "./choices.js";
+export { getGodCode, getGodCodeChargeCost, isGodCodeSpent, canActivateGodCode, checkActivateGodCode, } from "./godCode.js";
+export { getAttachSpec, getBearer, getAttachedCards, getLegalBearers, checkAttach, } from "./attachments.js";
+export { GOD_THRESHOLD_KL, MAX_GOD_CHARGES, MIN_TURN_FOR_GOD_CHARGE_SPEND, STARTING_GOD_CHARGES } from "./resources.js";
+export { getKlBreakdown, describeKlBreakdown, isStartOfTurnKlAbility } from "./resources.js";
+export { matchesKlRestriction, getUsablePooledKl, getAvailableKl, getDefaultKlPayment, hasKlPaymentChoice, checkKlPayment, } from "./klPool.js";
+export { AVATAR_LINE_LIMIT, getTokenDefinition, registerTokenDefinition } from "./tokens.js";
+export { checkStateBasedActions, registerVictoryCondition, isGameOver, getPlayersInGame, } from "./stateBased.js";
+export { getEffectivePower, getEffectiveGuard, addModifier, removeModifiersFrom, isModifierActive, } from "./modifiers.js";
+export { hasKeyword, addKeyword, removeKeyword, isKeyword, getPrintedKeywords, KEYWORDS, } from "./keywords.js";
+export { applyAction, validateAction } from "./actions.js";
+export { checkPlayFromHand } from "./movement.js";
+export { checkDeclareAttackers, checkAssignBlockers, checkOrderBlockers } from "./combat.js";
+export { checkPassPriority, checkAddToChain } from "./chain.js";
+export { checkActivateAbility, checkTargets } from "./abilities.js";
+export { RuleViolationError } from "./violations.js";
+export { createMatchLog, dispatch, replayMatch, undoLastAction, cloneState, } from "./matchLog.js";
+export { assignAttackerDamage } from "./combat.js";
@@ -0,0 +1,76 @@
+import { isLegalTarget } from "./abilities.js";
+import { sendToCrypt } from "./movement.js";
+import { violation } from "./violations.js";
+function getPlayer(state, playerId) {
+    const player = state.players.find((p) => p.id === playerId);
+    if (!player) {
+        throw new Error(`Player with id ${playerId} not found in GameState.`);
+    }
+    return player;
+}
+const ATTACHING_TYPES = ["RELIC", "SUPPORT"];
+export function getAttachSpec(card) {
+    if (!ATTACHING_TYPES.includes(card.typeLine))
+        return undefined;
+    return card.abilities.find((a) => a.attach)?.attach;
+}
+export function getBearer(state, card) {
+    const bearerId = card.attachedToInstanceId;
+    if (bearerId === undefined)
+        return null;
+    for (const player of state.players) {
+        if (player.lossReason !== null)
+            continue;
+        if (player.deity.instanceId === bearerId)
+            return { playerId: player.id };
+        if (player.avatarLine.some((c) => c.instanceId === bearerId)) {
+            return { playerId: player.id, instanceId: bearerId };
+        }
+    }
+    return null;
+}
+export function getAttachedCards(state, bearerInstanceId) {
+    return state.players.flatMap((p) => p.relicSupportZone.filter((c) => c.attachedToInstanceId === bearerInstanceId));
+}
+function isLegalBearer(state, playerId, spec, bearer) {
+    return spec.kinds.some((kind) => isLegalTarget(state, playerId, { kind: kind === "DEITY" ? "PLAYER" : "AVATAR", controller: spec.controller }, bearer));
+}
+export function getLegalBearers(state, playerId, card) {
+    const spec = getAttachSpec(card);
+    if (!spec)
+        return [];
+    const candidates = state.players.flatMap((p) => [
+        { playerId: p.id },
+        ...p.avatarLine.map((c) => ({ playerId: p.id, instanceId: c.instanceId })),
+    ]);
+    return candidates.filter((bearer) => isLegalBearer(state, playerId, spec, bearer));
+}
+export function checkAttach(state, playerId, card, bearer) {
+    const spec = getAttachSpec(card);
+    if (!spec)
+        return null;
+    if (!bearer) {
+        return violation("INVALID_TARGET", `${card.name} must be attached to a ${spec.kinds.join(" or ")}.`, {
+            instanceId: card.instanceId,
+            attach: spec,
+        });
+    }
+    if (!isLegalBearer(state, playerId, spec, bearer)) {
+        return violation("INVALID_TARGET", `${card.name} cannot be attached to that.`, {
+            instanceId: card.instanceId,
+            attach: spec,
+            bearer: { ...bearer },
+        });
+    }
+    return null;
+}
+export function attachToBearer(state, card, bearer) {
+    card.attachedToInstanceId = bearer.instanceId ?? getPlayer(state, bearer.playerId).deity.instanceId;
+}
+export function sendUnattachedToCrypt(state) {
+    const orphans = state.players.flatMap((p) => p.relicSupportZone.filter((c) => c.attachedToInstanceId !== undefined && !getBearer(state, c)));
+    for (const card of orphans) {
+        sendToCrypt(state, card.controllerId, card.instanceId);
+    }
+    return orphans;
+}
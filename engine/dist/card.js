@@ -1,2 +1 @@
-// Runtime placeholder for card shape; actual card data comes from ec_cards_ionos.js
-export {}
+export {};
@@ -0,0 +1,166 @@
+import { Zone } from "./zones.js";
+import { checkGameInProgress, checkStateBasedActions, getPlayersInGame } from "./stateBased.js";
+import { getNextPlayerInGame, isTurnPlayer } from "./format.js";
+import { getBuiltInChainResolver } from "./abilities.js";
+import { getGameRules } from "./rules.js";
+import { catchViolation, throwIfViolated, violation } from "./violations.js";
+export const SPELL_LINK_KIND = "SPELL";
+export function registerChainResolver(rules, kind, resolver) {
+    rules.chainResolvers.set(kind, resolver);
+    return () => {
+        if (rules.chainResolvers.get(kind) === resolver) {
+            rules.chainResolvers.delete(kind);
+        }
+    };
+}
+export const ABILITY_LINK_KIND = "ABILITY";
+export function getChainResolver(state, kind) {
+    const resolver = getGameRules(state).chainResolvers.get(kind) ?? getBuiltInChainResolver(kind);
+    if (!resolver) {
+        throw new Error(`No Shard Chain resolver registered for link kind "${kind}".`);
+    }
+    return resolver;
+}
+export function createEmptyChain() {
+    return {
+        links: [],
+        priorityPlayerId: null,
+        passCount: 0,
+        nextLinkId: 1,
+    };
+}
+export function isChainEmpty(state) {
+    return state.chain.links.length === 0;
+}
+export function checkChainEmpty(state, actionName) {
+    if (!isChainEmpty(state)) {
+        return violation("CHAIN_OPEN", `Cannot ${actionName} while the Shard Chain has ${state.chain.links.length} unresolved link(s).`, { links: state.chain.links.length });
+    }
+    return null;
+}
+export function assertChainEmpty(state, actionName) {
+    throwIfViolated(checkChainEmpty(state, actionName));
+}
+export function isFastSpell(card) {
+    return card.typeLine === "SPELL" && card.speed === "FAST";
+}
+function getPlayer(state, playerId) {
+    const player = state.players.find((p) => p.id === playerId);
+    if (!player) {
+        throw new Error(`Player with id ${playerId} not found in GameState.`);
+    }
+    return player;
+}
+function isOnBattlefield(player, instanceId) {
+    return (player.avatarLine.some((c) => c.instanceId === instanceId) ||
+        player.shardRow.some((c) => c.instanceId === instanceId) ||
+        player.relicSupportZone.some((c) => c.instanceId === instanceId) ||
+        player.domainZone?.instanceId === instanceId);
+}
+function isTargetStillLegal(state, link, target, resolver) {
+    if (resolver.isTargetLegal) {
+        return resolver.isTargetLegal(state, link, target);
+    }
+    const player = state.players.find((p) => p.id === target.playerId);
+    if (!player)
+        return false;
+    if (target.instanceId === undefined)
+        return true;
+    return isOnBattlefield(player, target.instanceId);
+}
+export function canAddToChain(state, playerId, fast) {
+    if (isChainEmpty(state)) {
+        return isTurnPlayer(state, playerId);
+    }
+    return fast && state.chain.priorityPlayerId === playerId;
+}
+export function checkAddToChain(state, link, fast) {
+    const over = checkGameInProgress(state, "add to the Shard Chain");
+    if (over)
+        return over;
+    const resolver = getChainResolver(state, link.kind);
+    if (!canAddToChain(state, link.controllerId, fast)) {
+        const message = `Player ${link.controllerId} cannot add ${link.sourceInstanceId} to the Shard Chain right now.`;
+        if (isChainEmpty(state)) {
+            return violation("NOT_YOUR_TURN", message, { activePlayerId: state.activePlayerId });
+        }
+        return fast
+            ? violation("NO_PRIORITY", message, { priorityPlayerId: state.chain.priorityPlayerId })
+            : violation("CHAIN_OPEN", message, { links: state.chain.links.length });
+    }
+    return catchViolation(() => resolver.validate?.(state, link));
+}
+export function addToChain(state, link, fast) {
+    throwIfViolated(checkAddToChain(state, link, fast));
+    const chain = state.chain;
+    const added = { ...link, id: chain.nextLinkId };
+    chain.nextLinkId += 1;
+    chain.links.push(added);
+    chain.priorityPlayerId = getNextPlayerInGame(state, link.controllerId);
+    chain.passCount = 0;
+    return added;
+}
+export function addTriggerToChain(state, link) {
+    const resolver = getChainResolver(state, link.kind);
+    resolver.validate?.(state, link);
+    const chain = state.chain;
+    const added = { ...link, id: chain.nextLinkId };
+    chain.nextLinkId += 1;
+    chain.links.push(added);
+    chain.priorityPlayerId = state.activePlayerId;
+    chain.passCount = 0;
+    return added;
+}
+export function checkPassPriority(state, playerId) {
+    const chain = state.chain;
+    const over = checkGameInProgress(state, "pass priority");
+    if (over)
+        return over;
+    if (isChainEmpty(state)) {
+        return violation("NO_PRIORITY", "Cannot pass priority: the Shard Chain is empty.");
+    }
+    if (chain.priorityPlayerId !== playerId) {
+        return violation("NO_PRIORITY", `Player ${playerId} does not hold priority (held by ${chain.priorityPlayerId}).`, { priorityPlayerId: chain.priorityPlayerId });
+    }
+    return null;
+}
+export function passPriority(state, playerId) {
+    const chain = state.chain;
+    throwIfViolated(checkPassPriority(state, playerId));
+    chain.passCount += 1;
+    if (chain.passCount >= getPlayersInGame(state).length) {
+        const result = resolveTopLink(state);
+        return result ? [result] : [];
+    }
+    chain.priorityPlayerId = getNextPlayerInGame(state, playerId);
+    return [];
+}
+export function resolveTopLink(state) {
+    const chain = state.chain;
+    const link = chain.links.pop();
+    if (!link)
+        return null;
+    const resolver = getChainResolver(state, link.kind);
+    const legalTargets = link.targets.filter((t) => isTargetStillLegal(state, link, t, resolver));
+    const fizzled = link.targets.length > 0 && legalTargets.length === 0;
+    if (!fizzled && !link.data?.choices) {
+        const choices = resolver.getChoices?.(state, link, legalTargets) ?? [];
+        if (choices.length > 0) {
+            chain.links.push(link);
+            state.pendingChoices = choices;
+            return null;
+        }
+    }
+    if (!fizzled) {
+        resolver.resolve(state, link, legalTargets);
+    }
+    if (link.card) {
+        const owner = getPlayer(state, link.card.ownerId);
+        link.card.zone = Zone.CRYPT;
+        owner.crypt.push(link.card);
+    }
+    const gameOver = checkStateBasedActions(state);
+    chain.priorityPlayerId = !gameOver && chain.links.length > 0 ? state.activePlayerId : null;
+    chain.passCount = 0;
+    return { linkId: link.id, sourceInstanceId: link.sourceInstanceId, fizzled };
+}
@@ -0,0 +1,56 @@
+import { resolveTopLink } from "./chain.js";
+import { throwIfViolated, violation } from "./violations.js";
+export function getOpenChoice(state, playerId) {
+    return state.pendingChoices.find((c) => c.playerId === playerId && c.chosen === null);
+}
+export function checkNoPendingChoices(state, actionName) {
+    if (state.pendingChoices.length > 0) {
+        return violation("DECISION_PENDING", `Cannot ${actionName} until every player has made their choice.`, {
+            waitingFor: state.pendingChoices.filter((c) => c.chosen === null).map((c) => c.playerId),
+        });
+    }
+    return null;
+}
+export function checkMakeChoice(state, playerId, instanceIds) {
+    const choice = getOpenChoice(state, playerId);
+    if (!choice) {
+        return violation("NO_PENDING_DECISION", `Player ${playerId} has nothing to choose.`);
+    }
+    if (instanceIds.length !== choice.count) {
+        return violation("INVALID_CHOICE", `Choose exactly ${choice.count} card(s).`, {
+            count: choice.count,
+            chosen: instanceIds.length,
+        });
+    }
+    if (new Set(instanceIds).size !== instanceIds.length) {
+        return violation("INVALID_CHOICE", "Each card can only be chosen once.", {
+            instanceIds: [...instanceIds],
+        });
+    }
+    const invalid = instanceIds.find((id) => !choice.options.includes(id));
+    if (invalid !== undefined) {
+        return violation("INVALID_CHOICE", `Card ${invalid} is not one of the options.`, {
+            instanceId: invalid,
+            options: [...choice.options],
+        });
+    }
+    return null;
+}
+export function makeChoice(state, playerId, instanceIds) {
+    throwIfViolated(checkMakeChoice(state, playerId, instanceIds));
+    getOpenChoice(state, playerId).chosen = [...instanceIds];
+    return resumeAfterChoices(state);
+}
+export function resumeAfterChoices(state) {
+    if (state.pendingChoices.length === 0 || state.pendingChoices.some((c) => c.chosen === null)) {
+        return [];
+    }
+    const choices = state.pendingChoices;
+    state.pendingChoices = [];
+    const link = state.chain.links.find((l) => l.id === choices[0].linkId);
+    if (!link)
+        return [];
+    link.data = { ...link.data, choices };
+    const result = resolveTopLink(state);
+    return result ? [result] : [];
+}
@@ -1,57 +1,356 @@
 import { Zone } from "./zones.js";
 import { sendToCrypt } from "./movement.js";
-
-export function resolveCombat(state, attackingPlayerId, defendingPlayerId, assignments) {
-  const attackerPlayer = state.players.find((p) => p.id === attackingPlayerId);
-  const defenderPlayer = state.players.find((p) => p.id === defendingPlayerId);
-  if (!attackerPlayer || !defenderPlayer) {
-    throw new Error("Attacker or defender not found in GameState.");
-  }
-
-  const attackerMap = new Map();
-  for (const assign of assignments) {
-    const attackerCard = attackerPlayer.avatarLine.find((c) => c.cardId === assign.attackerCardId);
-    if (!attackerCard) {
-      throw new Error(`Avatar ${assign.attackerCardId} not found on avatarLine for player ${attackerPlayer.id}.`);
-    }
-    attackerCard.tapped = true;
-    attackerMap.set(assign.attackerCardId, attackerCard);
-  }
-
-  let totalUnblockedDamageToEssence = 0;
-
-  const getPower = (card) => card.power ?? 0;
-  const getGuard = (card) => (card.guard == null ? 1 : card.guard);
-  const markDamage = (card, amount) => {
-    if (amount <= 0) return;
+import { Phase, checkPhase } from "./phases.js";
+import { checkChainEmpty } from "./chain.js";
+import { hasKeyword, removeKeyword } from "./keywords.js";
+import { emitEngineEvent } from "./events.js";
+import { getEffectivePower, getEffectiveGuard } from "./modifiers.js";
+import { getOpponents, isTurnPlayer } from "./format.js";
+import { throwIfViolated, violation } from "./violations.js";
+function getPlayer(state, playerId) {
+    const player = state.players.find((p) => p.id === playerId);
+    if (!player) {
+        throw new Error(`Player with id ${playerId} not found in GameState.`);
+    }
+    return player;
+}
+function checkOpponentInGame(state, attackingPlayerId, defendingPlayerId) {
+    if (attackingPlayerId === defendingPlayerId) {
+        return violation("INVALID_TARGET", "A player cannot attack themselves.", { defendingPlayerId });
+    }
+    getPlayer(state, defendingPlayerId);
+    if (!getOpponents(state, attackingPlayerId).some((p) => p.id === defendingPlayerId)) {
+        return violation("INVALID_TARGET", `Player ${defendingPlayerId} is not an opponent of ${attackingPlayerId} still in the game.`, { defendingPlayerId });
+    }
+    return null;
+}
+function notOnAvatarLine(player, instanceId) {
+    return violation("NOT_ON_BATTLEFIELD", `Avatar ${instanceId} not found on avatarLine for player ${player.id}.`, { instanceId, playerId: player.id });
+}
+function findAvatarOnLine(player, instanceId) {
+    const card = player.avatarLine.find((c) => c.instanceId === instanceId);
+    if (!card) {
+        throw new Error(`Avatar ${instanceId} not found on avatarLine for player ${player.id}.`);
+    }
+    return card;
+}
+export function markDamage(card, amount) {
+    if (amount <= 0)
+        return;
     card.damageMarked += amount;
-  };
-
-  for (const assign of assignments) {
-    const attackerCard = attackerMap.get(assign.attackerCardId);
-    const attackerPower = getPower(attackerCard);
-    if (assign.blockerCardId) {
-      const blockerCard = defenderPlayer.avatarLine.find((c) => c.cardId === assign.blockerCardId);
-      if (!blockerCard) {
-        throw new Error(`Blocker ${assign.blockerCardId} not found on avatarLine for player ${defenderPlayer.id}.`);
-      }
-      const blockerPower = getPower(blockerCard);
-      markDamage(attackerCard, blockerPower);
-      markDamage(blockerCard, attackerPower);
-    } else {
-      totalUnblockedDamageToEssence += attackerPower;
-    }
-  }
-
-  if (totalUnblockedDamageToEssence > 0) {
-    defenderPlayer.essence -= totalUnblockedDamageToEssence;
-    if (defenderPlayer.essence < 0) defenderPlayer.essence = 0;
-  }
-
-  const isDead = (card) => card.damageMarked >= getGuard(card);
-  const deadAttackers = attackerPlayer.avatarLine.filter(isDead).map((c) => c.cardId);
-  const deadDefenders = defenderPlayer.avatarLine.filter(isDead).map((c) => c.cardId);
-
-  for (const cardId of deadAttackers) sendToCrypt(state, attackingPlayerId, cardId);
-  for (const cardId of deadDefenders) sendToCrypt(state, defendingPlayerId, cardId);
+}
+export function isDead(state, card) {
+    return card.damageMarked >= getEffectiveGuard(state, card);
+}
+export function isSummoningSick(state, card) {
+    if (hasKeyword(card, "HASTE"))
+        return false;
+    return card.enteredPlayOnTurn === state.turnNumber;
+}
+export function canAttack(state, card) {
+    return card.zone === Zone.AVATAR_LINE && !card.tapped && !isSummoningSick(state, card);
+}
+export function getGuardians(player) {
+    return player.avatarLine.filter((c) => hasKeyword(c, "GUARDIAN") && !hasKeyword(c, "STEALTH"));
+}
+export function canBlock(player, card) {
+    if (card.tapped)
+        return false;
+    return hasKeyword(card, "GUARDIAN") || !player.avatarLine.some((c) => !c.tapped && hasKeyword(c, "GUARDIAN"));
+}
+export function getLegalAttackTargets(defender) {
+    const guardians = getGuardians(defender);
+    if (guardians.length > 0) {
+        return guardians.map((c) => c.instanceId);
+    }
+    const attackable = defender.avatarLine.filter((c) => !hasKeyword(c, "STEALTH"));
+    return [undefined, ...attackable.map((c) => c.instanceId)];
+}
+function getLethalDamage(state, card) {
+    return Math.max(0, getEffectiveGuard(state, card) - card.damageMarked);
+}
+export function assignAttackerDamage(state, power, blockers) {
+    let remaining = power;
+    return blockers.map((blocker, i) => {
+        const amount = i === blockers.length - 1
+            ? remaining
+            : Math.min(remaining, getLethalDamage(state, blocker));
+        remaining -= amount;
+        return amount;
+    });
+}
+function checkBlocks(defender, attacks, blocks) {
+    const seen = new Map();
+    for (const block of blocks) {
+        const attack = attacks.find((a) => a.attackerInstanceId === block.attackerInstanceId);
+        if (!attack) {
+            return violation("INVALID_BLOCK", `Avatar ${block.attackerInstanceId} is not attacking.`, { ...block });
+        }
+        if (attack.targetInstanceId !== undefined) {
+            return violation("INVALID_BLOCK", `Avatar ${block.attackerInstanceId} is attacking an Avatar and cannot be blocked.`, { ...block });
+        }
+        const blocker = defender.avatarLine.find((c) => c.instanceId === block.blockerInstanceId);
+        if (!blocker) {
+            return notOnAvatarLine(defender, block.blockerInstanceId);
+        }
+        if (blocker.tapped) {
+            return violation("TAPPED", `Avatar ${blocker.instanceId} is tapped and cannot block.`, {
+                instanceId: blocker.instanceId,
+            });
+        }
+        if (!canBlock(defender, blocker)) {
+            return violation("INVALID_BLOCK", `Avatar ${blocker.instanceId} cannot block while Player ${defender.id} has an untapped Guardian.`, { ...block });
+        }
+        const already = seen.get(blocker.instanceId);
+        if (already !== undefined) {
+            return violation("INVALID_BLOCK", `Avatar ${blocker.instanceId} is already blocking ${already}.`, {
+                ...block,
+                alreadyBlocking: already,
+            });
+        }
+        seen.set(blocker.instanceId, block.attackerInstanceId);
+    }
+    return null;
+}
+function checkAttacks(state, attackerPlayer, defenderPlayer, attacks) {
+    const attackerInstanceIds = attacks.map((a) => a.attackerInstanceId);
+    if (new Set(attackerInstanceIds).size !== attackerInstanceIds.length) {
+        return violation("INVALID_TARGET", "The same Avatar cannot attack twice in one combat.", {
+            attackerInstanceIds,
+        });
+    }
+    const legalTargets = getLegalAttackTargets(defenderPlayer);
+    for (const attack of attacks) {
+        const card = attackerPlayer.avatarLine.find((c) => c.instanceId === attack.attackerInstanceId);
+        if (!card) {
+            return notOnAvatarLine(attackerPlayer, attack.attackerInstanceId);
+        }
+        if (card.tapped) {
+            return violation("TAPPED", `Avatar ${card.instanceId} is tapped and cannot attack.`, {
+                instanceId: card.instanceId,
+            });
+        }
+        if (isSummoningSick(state, card)) {
+            return violation("SUMMONING_SICK", `Avatar ${card.instanceId} has summoning sickness and cannot attack.`, { instanceId: card.instanceId, enteredPlayOnTurn: card.enteredPlayOnTurn });
+        }
+        if (!legalTargets.includes(attack.targetInstanceId)) {
+            return violation("INVALID_TARGET", attack.targetInstanceId === undefined
+                ? `Avatar ${card.instanceId} must attack a Guardian before the Deity.`
+                : `Avatar ${card.instanceId} cannot attack ${attack.targetInstanceId}.`, { ...attack, legalTargets: [...legalTargets] });
+        }
+    }
+    return null;
+}
+function getMultiBlockedAttackers(blocks) {
+    const counts = new Map();
+    for (const block of blocks) {
+        counts.set(block.attackerInstanceId, (counts.get(block.attackerInstanceId) ?? 0) + 1);
+    }
+    return [...counts].filter(([, count]) => count > 1).map(([attackerInstanceId]) => attackerInstanceId);
+}
+function dealCombatDamage(state, attackerPlayer, defenderPlayer, assignments) {
+    let totalUnblockedDamageToEssence = 0;
+    const essenceDamageBySource = [];
+    const damage = [];
+    for (const assign of assignments) {
+        const attackerCard = findAvatarOnLine(attackerPlayer, assign.attackerInstanceId);
+        const attackerPower = getEffectivePower(state, attackerCard);
+        const blockerIds = assign.blockerInstanceIds ?? [];
+        if (blockerIds.length > 0) {
+            const blockers = blockerIds.map((id) => findAvatarOnLine(defenderPlayer, id));
+            const split = assignAttackerDamage(state, attackerPower, blockers);
+            blockers.forEach((blocker, i) => {
+                damage.push({ card: attackerCard, amount: getEffectivePower(state, blocker) });
+                damage.push({ card: blocker, amount: split[i] });
+            });
+        }
+        else if (assign.blocked) {
+        }
+        else if (assign.targetInstanceId) {
+            const targetCard = findAvatarOnLine(defenderPlayer, assign.targetInstanceId);
+            damage.push({ card: attackerCard, amount: getEffectivePower(state, targetCard) });
+            damage.push({ card: targetCard, amount: attackerPower });
+        }
+        else {
+            totalUnblockedDamageToEssence += attackerPower;
+            essenceDamageBySource.push({ attackerInstanceId: attackerCard.instanceId, amount: attackerPower });
+        }
+    }
+    damage.forEach(({ card, amount }) => markDamage(card, amount));
+    if (totalUnblockedDamageToEssence > 0) {
+        defenderPlayer.essence -= totalUnblockedDamageToEssence;
+        if (defenderPlayer.essence < 0) {
+            defenderPlayer.essence = 0;
+        }
+    }
+    for (const hit of essenceDamageBySource) {
+        if (hit.amount <= 0)
+            continue;
+        emitEngineEvent(state, {
+            type: "ON_ESSENCE_LOSS",
+            playerId: defenderPlayer.id,
+            sourceInstanceId: hit.attackerInstanceId,
+            amount: hit.amount,
+            damage: true,
+        });
+    }
+    const deadAttackers = [];
+    for (const card of attackerPlayer.avatarLine) {
+        if (isDead(state, card)) {
+            deadAttackers.push(card.instanceId);
+        }
+    }
+    const deadDefenders = [];
+    for (const card of defenderPlayer.avatarLine) {
+        if (isDead(state, card)) {
+            deadDefenders.push(card.instanceId);
+        }
+    }
+    for (const instanceId of deadAttackers) {
+        sendToCrypt(state, attackerPlayer.id, instanceId);
+    }
+    for (const instanceId of deadDefenders) {
+        sendToCrypt(state, defenderPlayer.id, instanceId);
+    }
+    return {
+        essenceDamage: totalUnblockedDamageToEssence,
+        destroyed: [
+            ...deadAttackers.map((instanceId) => ({ playerId: attackerPlayer.id, instanceId })),
+            ...deadDefenders.map((instanceId) => ({ playerId: defenderPlayer.id, instanceId })),
+        ],
+    };
+}
+export function resolveCombat(state, attackingPlayerId, defendingPlayerId, assignments) {
+    throwIfViolated(checkPhase(state, [Phase.CLASH], "resolve combat") ??
+        checkChainEmpty(state, "resolve combat") ??
+        checkOpponentInGame(state, attackingPlayerId, defendingPlayerId));
+    const attackerPlayer = getPlayer(state, attackingPlayerId);
+    const defenderPlayer = getPlayer(state, defendingPlayerId);
+    throwIfViolated(checkAttacks(state, attackerPlayer, defenderPlayer, assignments) ??
+        checkBlocks(defenderPlayer, assignments, assignments.flatMap((a) => (a.blockerInstanceIds ?? []).map((blockerInstanceId) => ({ attackerInstanceId: a.attackerInstanceId, blockerInstanceId })))));
+    const attackers = assignments.map((assign) => findAvatarOnLine(attackerPlayer, assign.attackerInstanceId));
+    attackers.forEach((card) => {
+        card.tapped = true;
+        removeKeyword(card, "STEALTH");
+    });
+    return dealCombatDamage(state, attackerPlayer, defenderPlayer, assignments);
+}
+export function checkDeclareAttackers(state, attackingPlayerId, defendingPlayerId, attacks) {
+    const timing = checkPhase(state, [Phase.CLASH], "declare attackers") ?? checkChainEmpty(state, "declare attackers");
+    if (timing)
+        return timing;
+    if (state.combat) {
+        return violation("COMBAT_PENDING", "Attackers have already been declared and are waiting for blocks.");
+    }
+    if (!isTurnPlayer(state, attackingPlayerId)) {
+        return violation("NOT_YOUR_TURN", `Only the active player can declare attackers (not ${attackingPlayerId}).`, { activePlayerId: state.activePlayerId });
+    }
+    return (checkOpponentInGame(state, attackingPlayerId, defendingPlayerId) ??
+        checkAttacks(state, getPlayer(state, attackingPlayerId), getPlayer(state, defendingPlayerId), attacks));
+}
+export function declareAttackers(state, attackingPlayerId, defendingPlayerId, attacks) {
+    throwIfViolated(checkDeclareAttackers(state, attackingPlayerId, defendingPlayerId, attacks));
+    const attackerPlayer = getPlayer(state, attackingPlayerId);
+    const attackers = attacks.map((attack) => findAvatarOnLine(attackerPlayer, attack.attackerInstanceId));
+    attackers.forEach((card) => {
+        card.tapped = true;
+        removeKeyword(card, "STEALTH");
+    });
+    const pending = {
+        attackingPlayerId,
+        defendingPlayerId,
+        attacks: attacks.map((a) => ({ ...a })),
+    };
+    state.combat = pending;
+    for (const card of attackers) {
+        emitEngineEvent(state, { type: "ON_ATTACK_DECLARED", playerId: attackingPlayerId, instanceId: card.instanceId });
+    }
+    return pending;
+}
+function finishPendingCombat(state, pending, orders) {
+    const attackerPlayer = getPlayer(state, pending.attackingPlayerId);
+    const defenderPlayer = getPlayer(state, pending.defendingPlayerId);
+    const blocks = pending.blocks ?? [];
+    const onLine = (player, instanceId) => player.avatarLine.some((c) => c.instanceId === instanceId);
+    const assignments = pending.attacks
+        .filter((attack) => onLine(attackerPlayer, attack.attackerInstanceId))
+        .filter((attack) => attack.targetInstanceId === undefined || onLine(defenderPlayer, attack.targetInstanceId))
+        .map((attack) => {
+        const order = orders.find((o) => o.attackerInstanceId === attack.attackerInstanceId);
+        const blockerInstanceIds = order
+            ? order.blockerInstanceIds
+            : blocks.filter((b) => b.attackerInstanceId === attack.attackerInstanceId).map((b) => b.blockerInstanceId);
+        return {
+            attackerInstanceId: attack.attackerInstanceId,
+            targetInstanceId: attack.targetInstanceId,
+            blockerInstanceIds: blockerInstanceIds.filter((id) => onLine(defenderPlayer, id)),
+            blocked: blockerInstanceIds.length > 0,
+        };
+    });
+    const result = dealCombatDamage(state, attackerPlayer, defenderPlayer, assignments);
+    state.combat = null;
+    return result;
+}
+export function checkAssignBlockers(state, defendingPlayerId, blocks) {
+    const pending = state.combat;
+    if (!pending) {
+        return violation("NO_COMBAT", "No attackers have been declared.");
+    }
+    if (pending.defendingPlayerId !== defendingPlayerId) {
+        return violation("NOT_YOUR_TURN", `Player ${defendingPlayerId} is not the defending player (${pending.defendingPlayerId}).`, { defendingPlayerId: pending.defendingPlayerId });
+    }
+    if (pending.blocks) {
+        return violation("COMBAT_PENDING", "Blockers have already been assigned for this combat.");
+    }
+    return (checkChainEmpty(state, "assign blockers") ??
+        checkBlocks(getPlayer(state, defendingPlayerId), pending.attacks, blocks));
+}
+export function assignBlockers(state, defendingPlayerId, blocks) {
+    throwIfViolated(checkAssignBlockers(state, defendingPlayerId, blocks));
+    const pending = state.combat;
+    pending.blocks = blocks.map((b) => ({ ...b }));
+    const multiBlocked = getMultiBlockedAttackers(blocks);
+    if (multiBlocked.length > 0) {
+        pending.awaitingDamageOrder = multiBlocked;
+        return null;
+    }
+    return finishPendingCombat(state, pending, []);
+}
+export function checkOrderBlockers(state, attackingPlayerId, orders) {
+    const pending = state.combat;
+    if (!pending || !pending.awaitingDamageOrder) {
+        return violation("NO_COMBAT", "No combat is waiting for a damage assignment order.");
+    }
+    if (pending.attackingPlayerId !== attackingPlayerId) {
+        return violation("NOT_YOUR_TURN", `Player ${attackingPlayerId} is not the attacking player (${pending.attackingPlayerId}).`, { attackingPlayerId: pending.attackingPlayerId });
+    }
+    const chainOpen = checkChainEmpty(state, "order blockers");
+    if (chainOpen)
+        return chainOpen;
+    const blocks = pending.blocks ?? [];
+    for (const attackerInstanceId of pending.awaitingDamageOrder) {
+        const order = orders.find((o) => o.attackerInstanceId === attackerInstanceId);
+        if (!order) {
+            return violation("INVALID_DAMAGE_ORDER", `Avatar ${attackerInstanceId} needs a damage assignment order for its blockers.`, { attackerInstanceId });
+        }
+        const expected = blocks
+            .filter((b) => b.attackerInstanceId === attackerInstanceId)
+            .map((b) => b.blockerInstanceId);
+        const sameBlockers = order.blockerInstanceIds.length === expected.length &&
+            new Set(order.blockerInstanceIds).size === expected.length &&
+            order.blockerInstanceIds.every((id) => expected.includes(id));
+        if (!sameBlockers) {
+            return violation("INVALID_DAMAGE_ORDER", `Damage assignment order for ${attackerInstanceId} must list exactly its blockers (${expected.join(", ")}).`, { attackerInstanceId, blockerInstanceIds: expected });
+        }
+    }
+    for (const order of orders) {
+        if (!pending.awaitingDamageOrder.includes(order.attackerInstanceId)) {
+            return violation("INVALID_DAMAGE_ORDER", `Avatar ${order.attackerInstanceId} is not blocked by more than one Avatar.`, { attackerInstanceId: order.attackerInstanceId });
+        }
+    }
+    return null;
+}
+export function orderBlockers(state, attackingPlayerId, orders) {
+    throwIfViolated(checkOrderBlockers(state, attackingPlayerId, orders));
+    return finishPendingCombat(state, state.combat, orders);
 }
@@ -0,0 +1,91 @@
+import { areTeammates } from "./format.js";
+import { isStartOfTurnKlAbility } from "./resources.js";
+import { addRegistration, getGameRules } from "./rules.js";
+export function onEngineEvent(rules, type, handler) {
+    const list = rules.eventHandlers[type] ?? [];
+    rules.eventHandlers[type] = list;
+    return addRegistration(list, handler);
+}
+const TRIGGER_EVENTS = {
+    ON_PLAY: "ON_AVATAR_SUMMONED",
+    ON_ATTACK: "ON_ATTACK_DECLARED",
+    ON_DESTROYED: "ON_AVATAR_DESTROYED",
+    ON_CLAIM: "ON_SHARD_CLAIMED",
+    ON_DEAL_ESSENCE_DAMAGE: "ON_ESSENCE_LOSS",
+    ON_TURN_START: "ON_TURN_START",
+    ON_TURN_END: "ON_TURN_END",
+};
+function getTriggerSources(player) {
+    return [
+        player.deity,
+        ...player.avatarLine,
+        ...player.shardRow,
+        ...player.relicSupportZone,
+        ...(player.domainZone ? [player.domainZone] : []),
+    ];
+}
+function triggersOn(state, ability, card, controllerId, event) {
+    if (!ability.trigger || TRIGGER_EVENTS[ability.trigger] !== event.type) {
+        return false;
+    }
+    if (isStartOfTurnKlAbility(ability)) {
+        return false;
+    }
+    if (ability.trigger === "ON_DEAL_ESSENCE_DAMAGE") {
+        return !!event.damage && event.sourceInstanceId === card.instanceId;
+    }
+    const source = ability.triggerSource ?? "THIS_CARD";
+    const isTurnEvent = event.type === "ON_TURN_START" || event.type === "ON_TURN_END";
+    switch (source) {
+        case "THIS_CARD":
+            return isTurnEvent ? event.playerId === controllerId : event.instanceId === card.instanceId;
+        case "SELF":
+            return event.playerId === controllerId;
+        case "OPPONENT":
+            return !areTeammates(state, controllerId, event.playerId);
+        case "ANY":
+            return true;
+    }
+}
+function collectTriggers(state, event) {
+    const triggers = [];
+    const add = (controllerId, card) => {
+        for (const ability of card.abilities) {
+            if (triggersOn(state, ability, card, controllerId, event)) {
+                triggers.push({ controllerId, sourceInstanceId: card.instanceId, ability, event });
+            }
+        }
+    };
+    for (const player of state.players) {
+        getTriggerSources(player).forEach((card) => add(player.id, card));
+    }
+    if (event.type === "ON_AVATAR_DESTROYED" && event.instanceId) {
+        const owner = state.players.find((p) => p.id === event.playerId);
+        const card = owner?.crypt.find((c) => c.instanceId === event.instanceId);
+        if (card) {
+            for (const ability of card.abilities) {
+                if (ability.trigger === "ON_DESTROYED" && (ability.triggerSource ?? "THIS_CARD") === "THIS_CARD") {
+                    triggers.push({ controllerId: event.playerId, sourceInstanceId: card.instanceId, ability, event });
+                }
+            }
+        }
+    }
+    return triggers;
+}
+export function emitEngineEvent(state, event) {
+    for (const handler of [...(getGameRules(state).eventHandlers[event.type] ?? [])]) {
+        handler(state, event);
+    }
+    state.pendingTriggers.push(...collectTriggers(state, event));
+}
+export function orderTriggersByActivePlayer(state, triggers) {
+    const start = state.players.findIndex((p) => p.id === state.activePlayerId);
+    const seat = (playerId) => {
+        const index = state.players.findIndex((p) => p.id === playerId);
+        return (index - start + state.players.length) % state.players.length;
+    };
+    return triggers
+        .map((trigger, i) => ({ trigger, i }))
+        .sort((a, b) => seat(a.trigger.controllerId) - seat(b.trigger.controllerId) || a.i - b.i)
+        .map(({ trigger }) => trigger);
+}
@@ -0,0 +1,109 @@
+export const DEFAULT_FORMAT_RULES = {
+    openingHandSize: 5,
+    mulligan: "FULL_REDRAW",
+    maxMulligans: 1,
+    maxHandSize: 7,
+};
+export const DUEL_FORMAT = { kind: "DUEL" };
+export function getFormatRules(format) {
+    return {
+        openingHandSize: format.openingHandSize ?? DEFAULT_FORMAT_RULES.openingHandSize,
+        mulligan: format.mulligan ?? DEFAULT_FORMAT_RULES.mulligan,
+        maxMulligans: format.maxMulligans ?? DEFAULT_FORMAT_RULES.maxMulligans,
+        maxHandSize: format.maxHandSize ?? DEFAULT_FORMAT_RULES.maxHandSize,
+    };
+}
+function validateFormatRules(format) {
+    const rules = getFormatRules(format);
+    for (const key of ["openingHandSize", "maxMulligans", "maxHandSize"]) {
+        if (!Number.isInteger(rules[key]) || rules[key] < 0) {
+            throw new Error(`Format rule ${key} must be a whole number of 0 or more, not ${rules[key]}.`);
+        }
+    }
+    if (rules.mulligan !== "FULL_REDRAW" && rules.mulligan !== "PUT_TO_BOTTOM") {
+        throw new Error(`Unknown mulligan rule ${String(rules.mulligan)}.`);
+    }
+}
+export function validateFormat(format, playerIds) {
+    validateFormatRules(format);
+    switch (format.kind) {
+        case "DUEL":
+            if (playerIds.length !== 2) {
+                throw new Error(`A duel needs exactly 2 players, not ${playerIds.length}.`);
+            }
+            return;
+        case "FREE_FOR_ALL":
+            if (playerIds.length < 2) {
+                throw new Error(`Free-for-all needs at least 2 players, not ${playerIds.length}.`);
+            }
+            return;
+        case "TEAMS": {
+            if (format.teams.length < 2 || format.teams.some((team) => team.length === 0)) {
+                throw new Error("A team game needs at least 2 teams with at least 1 player each.");
+            }
+            const seated = format.teams.flat();
+            if (new Set(seated).size !== seated.length) {
+                throw new Error("A player cannot be on two teams.");
+            }
+            const missing = playerIds.filter((id) => !seated.includes(id));
+            const unknown = seated.filter((id) => !playerIds.includes(id));
+            if (missing.length > 0 || unknown.length > 0) {
+                throw new Error(`Teams must list every player exactly once (missing: ${missing.join(", ") || "none"}, unknown: ${unknown.join(", ") || "none"}).`);
+            }
+            return;
+        }
+    }
+}
+function isInGame(player) {
+    return player.lossReason === null;
+}
+export function getTeam(state, playerId) {
+    const format = state.format;
+    if (format.kind === "TEAMS") {
+        const team = format.teams.find((t) => t.includes(playerId));
+        if (team)
+            return [...team];
+    }
+    return [playerId];
+}
+export function areTeammates(state, playerId, otherId) {
+    return getTeam(state, playerId).includes(otherId);
+}
+export function getOpponents(state, playerId) {
+    const seat = state.players.findIndex((p) => p.id === playerId);
+    return state.players
+        .map((_, i) => state.players[(seat + 1 + i) % state.players.length])
+        .filter((p) => isInGame(p) && !areTeammates(state, playerId, p.id));
+}
+export function getTurnPlayers(state) {
+    const format = state.format;
+    const shared = format.kind === "TEAMS" && format.sharedTurns;
+    return state.players.filter((p) => p.id === state.activePlayerId ||
+        (shared && isInGame(p) && areTeammates(state, state.activePlayerId, p.id)));
+}
+export function isTurnPlayer(state, playerId) {
+    return getTurnPlayers(state).some((p) => p.id === playerId);
+}
+export function getNextPlayerInGame(state, playerId) {
+    const seat = state.players.findIndex((p) => p.id === playerId);
+    for (let i = 1; i <= state.players.length; i++) {
+        const next = state.players[(seat + i) % state.players.length];
+        if (isInGame(next))
+            return next.id;
+    }
+    return playerId;
+}
+export function getNextTurnPlayerId(state) {
+    const format = state.format;
+    if (format.kind === "TEAMS" && format.sharedTurns) {
+        const current = format.teams.findIndex((t) => t.includes(state.activePlayerId));
+        for (let i = 1; i <= format.teams.length; i++) {
+            const team = format.teams[(current + i) % format.teams.length];
+            const lead = state.players.find((p) => team.includes(p.id) && isInGame(p));
+            if (lead)
+                return lead.id;
+        }
+        return state.activePlayerId;
+    }
+    return getNextPlayerInGame(state, state.activePlayerId);
+}
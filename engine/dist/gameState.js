@@ -1,2 +1 @@
-// Game state structure placeholder; populated by engine API helpers.
-export {}
+export {};
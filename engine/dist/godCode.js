@@ -0,0 +1,92 @@
+import { addToChain, checkAddToChain, ABILITY_LINK_KIND } from "./chain.js";
+import { checkCondition } from "./abilities.js";
+import { checkSpendGodCharges, spendGodCharges } from "./resources.js";
+import { isTurnPlayer } from "./format.js";
+import { emitEngineEvent } from "./events.js";
+import { throwIfViolated, violation } from "./violations.js";
+function getPlayer(state, playerId) {
+    const player = state.players.find((p) => p.id === playerId);
+    if (!player) {
+        throw new Error(`Player with id ${playerId} not found in GameState.`);
+    }
+    return player;
+}
+export function getGodCode(deity) {
+    return deity.abilities.find((a) => a.trigger === "GOD_CODE");
+}
+export function getGodCodeChargeCost(ability) {
+    return ability.cost?.godCharges ?? 1;
+}
+export function isGodCodeSpent(deity, ability) {
+    return ability.oncePerGame === true && (deity.abilitiesUsedThisGame ?? []).includes(ability.id);
+}
+function checkGodCodeReady(state, playerId) {
+    const player = getPlayer(state, playerId);
+    const ability = getGodCode(player.deity);
+    if (!ability) {
+        return violation("ABILITY_UNAVAILABLE", `The Deity of player ${playerId} has no God Code.`, {
+            instanceId: player.deity.instanceId,
+        });
+    }
+    if (isGodCodeSpent(player.deity, ability)) {
+        return violation("ABILITY_UNAVAILABLE", `God Code ${ability.label} has already been used this game.`, {
+            instanceId: player.deity.instanceId,
+            abilityId: ability.id,
+            oncePerGame: true,
+        });
+    }
+    if (!isTurnPlayer(state, playerId)) {
+        return violation("NOT_YOUR_TURN", `God Codes can only be activated on your own turn.`, {
+            activePlayerId: state.activePlayerId,
+        });
+    }
+    if (!checkCondition(state, playerId, ability.condition)) {
+        return violation("ABILITY_UNAVAILABLE", `The condition for God Code ${ability.label} is not met.`, {
+            instanceId: player.deity.instanceId,
+            abilityId: ability.id,
+            condition: ability.condition,
+        });
+    }
+    return checkSpendGodCharges(player, getGodCodeChargeCost(ability), state.turnNumber);
+}
+export function checkActivateGodCode(state, playerId, targets = []) {
+    const ready = checkGodCodeReady(state, playerId);
+    if (ready)
+        return ready;
+    const player = getPlayer(state, playerId);
+    return checkAddToChain(state, {
+        kind: ABILITY_LINK_KIND,
+        controllerId: playerId,
+        sourceInstanceId: player.deity.instanceId,
+        targets,
+        data: { ability: getGodCode(player.deity) },
+    }, true);
+}
+export function canActivateGodCode(state, playerId) {
+    return checkGodCodeReady(state, playerId) === null;
+}
+export function activateGodCode(state, playerId, targets = []) {
+    throwIfViolated(checkActivateGodCode(state, playerId, targets));
+    const player = getPlayer(state, playerId);
+    const deity = player.deity;
+    const ability = getGodCode(deity);
+    const charges = getGodCodeChargeCost(ability);
+    const link = addToChain(state, {
+        kind: ABILITY_LINK_KIND,
+        controllerId: playerId,
+        sourceInstanceId: deity.instanceId,
+        targets,
+        data: { ability },
+    }, true);
+    spendGodCharges(player, charges, state.turnNumber);
+    if (ability.oncePerGame) {
+        deity.abilitiesUsedThisGame = [...(deity.abilitiesUsedThisGame ?? []), ability.id];
+    }
+    emitEngineEvent(state, {
+        type: "ON_DEITY_ABILITY_USED",
+        playerId,
+        instanceId: deity.instanceId,
+        amount: charges,
+    });
+    return link;
+}
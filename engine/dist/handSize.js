@@ -0,0 +1,67 @@
+import { getStaticPlayerEffects } from "./abilities.js";
+import { discardFromHand } from "./movement.js";
+import { startTurn } from "./turn.js";
+import { getFormatRules, getTurnPlayers } from "./format.js";
+import { throwIfViolated, violation } from "./violations.js";
+function getPlayer(state, playerId) {
+    const player = state.players.find((p) => p.id === playerId);
+    if (!player) {
+        throw new Error(`Player with id ${playerId} not found in GameState.`);
+    }
+    return player;
+}
+export function getMaxHandSize(state, playerId) {
+    const size = getStaticPlayerEffects(state, playerId, "MODIFY_HAND_SIZE").reduce((total, { effect }) => total + effect.amount, getFormatRules(state.format).maxHandSize);
+    return Math.max(0, size);
+}
+export function getHandSizeExcess(state, playerId) {
+    return Math.max(0, getPlayer(state, playerId).hand.length - getMaxHandSize(state, playerId));
+}
+export function beginHandSizeDiscards(state) {
+    state.pendingDiscards = getTurnPlayers(state)
+        .filter((p) => p.lossReason === null)
+        .map((p) => ({ playerId: p.id, count: getHandSizeExcess(state, p.id) }))
+        .filter((d) => d.count > 0);
+    return state.pendingDiscards.length > 0;
+}
+export function checkNoPendingDiscards(state, actionName) {
+    if (state.pendingDiscards.length > 0) {
+        return violation("DECISION_PENDING", `Cannot ${actionName} until every player has discarded down to their maximum hand size.`, { pendingDiscards: state.pendingDiscards.map((d) => ({ ...d })) });
+    }
+    return null;
+}
+export function checkDiscardToHandSize(state, playerId, instanceIds) {
+    const player = getPlayer(state, playerId);
+    const pending = state.pendingDiscards.find((d) => d.playerId === playerId);
+    if (!pending) {
+        return violation("NO_PENDING_DECISION", `Player ${playerId} has no cards to discard.`);
+    }
+    if (instanceIds.length !== pending.count) {
+        return violation("INVALID_CHOICE", `Choose exactly ${pending.count} card(s) to discard.`, {
+            count: pending.count,
+            chosen: instanceIds.length,
+        });
+    }
+    if (new Set(instanceIds).size !== instanceIds.length) {
+        return violation("INVALID_CHOICE", "Each card can only be discarded once.", {
+            instanceIds: [...instanceIds],
+        });
+    }
+    const missing = instanceIds.find((id) => !player.hand.some((c) => c.instanceId === id));
+    if (missing !== undefined) {
+        return violation("NOT_IN_HAND", `Card ${missing} is not in the hand of player ${playerId}.`, {
+            instanceId: missing,
+        });
+    }
+    return null;
+}
+export function discardToHandSize(state, playerId, instanceIds) {
+    throwIfViolated(checkDiscardToHandSize(state, playerId, instanceIds));
+    for (const instanceId of instanceIds) {
+        discardFromHand(state, playerId, instanceId);
+    }
+    state.pendingDiscards = state.pendingDiscards.filter((d) => d.playerId !== playerId);
+    if (state.pendingDiscards.length === 0) {
+        startTurn(state);
+    }
+}
@@ -1,6 +1,2 @@
 export * from "./api.js";
-export * from "./turn.js";
-export * from "./resources.js";
-export * from "./movement.js";
-export * from "./combat.js";
-export * from "./zones.js";
+export { Zone } from "./zones.js";
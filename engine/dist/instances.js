@@ -0,0 +1,29 @@
+export function createCardInstance(counter, data) {
+    const instanceId = `${data.cardId}#${counter.nextInstanceId}`;
+    counter.nextInstanceId += 1;
+    return {
+        ...data,
+        instanceId,
+        keywords: [...data.keywords],
+        temporaryModifiers: [...data.temporaryModifiers],
+    };
+}
+export function findCardByInstanceId(state, instanceId) {
+    for (const player of state.players) {
+        const zones = [
+            player.deity,
+            ...player.hand,
+            ...player.veiledDeck,
+            ...player.crypt,
+            ...player.nullZone,
+            ...(player.domainZone ? [player.domainZone] : []),
+            ...player.shardRow,
+            ...player.avatarLine,
+            ...player.relicSupportZone,
+        ];
+        const found = zones.find((c) => c.instanceId === instanceId);
+        if (found)
+            return found;
+    }
+    return state.chain.links.find((l) => l.card?.instanceId === instanceId)?.card ?? null;
+}
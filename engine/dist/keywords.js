@@ -0,0 +1,21 @@
+export const KEYWORDS = ["GUARDIAN", "HASTE", "STEALTH", "ECHO", "CROWNBOUND"];
+export function isKeyword(name) {
+    return KEYWORDS.includes(name.toUpperCase());
+}
+export function getPrintedKeywords(card) {
+    const found = card.abilities
+        .map((a) => a.id.toUpperCase())
+        .filter((id) => isKeyword(id));
+    return [...new Set(found)];
+}
+export function hasKeyword(card, keyword) {
+    return card.keywords.includes(keyword);
+}
+export function addKeyword(card, keyword) {
+    if (!card.keywords.includes(keyword)) {
+        card.keywords.push(keyword);
+    }
+}
+export function removeKeyword(card, keyword) {
+    card.keywords = card.keywords.filter((k) => k !== keyword);
+}
@@ -0,0 +1,118 @@
+import { throwIfViolated, violation } from "./violations.js";
+export function matchesKlRestriction(restriction, card) {
+    if (!restriction)
+        return true;
+    if (restriction.typeLines && !restriction.typeLines.includes(card.typeLine)) {
+        return false;
+    }
+    if (restriction.domainTag !== undefined) {
+        const wanted = restriction.domainTag.toLowerCase();
+        const tags = (card.domainTag ?? "").split("/").map((tag) => tag.trim().toLowerCase());
+        if (!tags.includes(wanted))
+            return false;
+    }
+    return true;
+}
+function typeCount(restriction) {
+    return restriction?.typeLines?.length ?? Number.MAX_SAFE_INTEGER;
+}
+function compareSpendOrder(a, b) {
+    return (Number(b.restriction?.domainTag !== undefined) - Number(a.restriction?.domainTag !== undefined) ||
+        typeCount(a.restriction) - typeCount(b.restriction) ||
+        Number(b.expires === "END_OF_PHASE") - Number(a.expires === "END_OF_PHASE") ||
+        a.id - b.id);
+}
+export function getUsablePooledKl(player, card) {
+    return player.klPool.filter((entry) => matchesKlRestriction(entry.restriction, card)).sort(compareSpendOrder);
+}
+export function getAvailableKl(player, card) {
+    return getUsablePooledKl(player, card).reduce((total, entry) => total + entry.amount, player.currentKl);
+}
+export function getDefaultKlPayment(player, card) {
+    let owed = card.klCost ?? 0;
+    const payment = { pooled: [], kl: 0 };
+    for (const entry of getUsablePooledKl(player, card)) {
+        if (owed === 0)
+            break;
+        const amount = Math.min(owed, entry.amount);
+        payment.pooled.push({ id: entry.id, amount });
+        owed -= amount;
+    }
+    if (owed > player.currentKl)
+        return null;
+    payment.kl = owed;
+    return payment;
+}
+export function hasKlPaymentChoice(player, card) {
+    const sources = getUsablePooledKl(player, card).length + (player.currentKl > 0 ? 1 : 0);
+    return sources > 1 && getAvailableKl(player, card) > (card.klCost ?? 0);
+}
+export function checkKlPayment(player, card, payment) {
+    const cost = card.klCost ?? 0;
+    if (cost < 0) {
+        throw new Error(`Card ${card.instanceId} has negative KL cost, which is invalid.`);
+    }
+    const available = getAvailableKl(player, card);
+    if (available < cost) {
+        return violation("INSUFFICIENT_KL", `Player ${player.id} cannot pay KL cost ${cost} for card ${card.instanceId} (only ${available} KL available).`, { instanceId: card.instanceId, cost, available });
+    }
+    if (!payment)
+        return null;
+    const usable = getUsablePooledKl(player, card);
+    const seen = new Set();
+    for (const part of payment.pooled) {
+        const entry = usable.find((e) => e.id === part.id);
+        if (!entry || seen.has(part.id)) {
+            return violation("INVALID_CHOICE", `Pooled KL ${part.id} cannot pay for card ${card.instanceId}.`, {
+                instanceId: card.instanceId,
+                pooledId: part.id,
+            });
+        }
+        seen.add(part.id);
+        if (!Number.isInteger(part.amount) || part.amount < 1 || part.amount > entry.amount) {
+            return violation("INVALID_CHOICE", `Cannot take ${part.amount} from ${entry.label} (${entry.amount} left).`, {
+                pooledId: part.id,
+                amount: part.amount,
+                available: entry.amount,
+            });
+        }
+    }
+    if (!Number.isInteger(payment.kl) || payment.kl < 0 || payment.kl > player.currentKl) {
+        return violation("INVALID_CHOICE", `Cannot pay ${payment.kl} of ${player.currentKl} KL.`, {
+            kl: payment.kl,
+            available: player.currentKl,
+        });
+    }
+    const paid = payment.pooled.reduce((total, part) => total + part.amount, payment.kl);
+    if (paid !== cost) {
+        return violation("INVALID_CHOICE", `The payment adds up to ${paid} KL, but ${card.name} costs ${cost}.`, {
+            instanceId: card.instanceId,
+            cost,
+            paid,
+        });
+    }
+    return null;
+}
+export function payKlCost(player, card, payment) {
+    throwIfViolated(checkKlPayment(player, card, payment));
+    const paid = payment ?? getDefaultKlPayment(player, card);
+    for (const part of paid.pooled) {
+        const entry = player.klPool.find((e) => e.id === part.id);
+        entry.amount -= part.amount;
+    }
+    player.klPool = player.klPool.filter((entry) => entry.amount > 0);
+    player.currentKl -= paid.kl;
+    return paid;
+}
+export function addPooledKl(player, entry) {
+    const id = player.klPool.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+    const pooled = { id, ...entry };
+    player.klPool.push(pooled);
+    return pooled;
+}
+export function expirePooledKl(state, expiry) {
+    for (const player of state.players) {
+        player.klPool =
+            expiry === "END_OF_TURN" ? [] : player.klPool.filter((entry) => entry.expires !== "END_OF_PHASE");
+    }
+}
@@ -0,0 +1,186 @@
+import { Phase } from "./phases.js";
+import { isChainEmpty, isFastSpell } from "./chain.js";
+import { canAttack, canBlock, getLegalAttackTargets } from "./combat.js";
+import { MAX_DOMAINS_PER_TURN } from "./movement.js";
+import { getFormatRules, getOpponents, isTurnPlayer } from "./format.js";
+import { getMulligansLeft } from "./opening.js";
+import { canActivateGodCode, getGodCode, getGodCodeChargeCost } from "./godCode.js";
+import { getAttachSpec, getLegalBearers } from "./attachments.js";
+import { getAvailableKl, hasKlPaymentChoice } from "./klPool.js";
+import { AVATAR_LINE_LIMIT } from "./tokens.js";
+import { checkCondition, getAbilities, getActivatableAbilities, suggestTriggerTargets } from "./abilities.js";
+import { getOpenChoice } from "./choices.js";
+const PLAYABLE_FROM_HAND = [
+    "DOMAIN",
+    "SHARD",
+    "AVATAR",
+    "RELIC",
+    "SUPPORT",
+    "ESSENCE",
+    "SPELL",
+    "RITE",
+];
+function canAfford(player, card) {
+    return (card.klCost ?? 0) <= getAvailableKl(player, card);
+}
+function canPlayFromHand(state, player, card) {
+    if (!PLAYABLE_FROM_HAND.includes(card.typeLine))
+        return false;
+    if (!canAfford(player, card))
+        return false;
+    const spellAbilities = getAbilities(card, "SPELL");
+    if (!spellAbilities.every((a) => checkCondition(state, player.id, a.condition)))
+        return false;
+    if (spellAbilities.some((a) => suggestTriggerTargets(state, player.id, a) === null))
+        return false;
+    const chainOpen = !isChainEmpty(state);
+    if (isFastSpell(card)) {
+        return chainOpen
+            ? state.chain.priorityPlayerId === player.id
+            : isTurnPlayer(state, player.id) && !state.combat;
+    }
+    if (chainOpen || state.combat)
+        return false;
+    if (!isTurnPlayer(state, player.id) || state.phase !== Phase.MAIN)
+        return false;
+    if (card.typeLine === "DOMAIN" && player.domainsPlayedThisTurn >= MAX_DOMAINS_PER_TURN) {
+        return false;
+    }
+    if (card.typeLine === "AVATAR" && player.avatarLine.length >= AVATAR_LINE_LIMIT) {
+        return false;
+    }
+    return true;
+}
+export function getLegalActions(state, playerId) {
+    const player = state.players.find((p) => p.id === playerId);
+    if (!player)
+        return [];
+    if (state.opening?.undecidedPlayerIds.includes(playerId)) {
+        return [
+            { type: "KEEP_HAND" },
+            {
+                type: "MULLIGAN",
+                rule: getFormatRules(state.format).mulligan,
+                mulligansLeft: getMulligansLeft(state, playerId),
+            },
+        ];
+    }
+    const discard = state.pendingDiscards.find((d) => d.playerId === playerId);
+    if (discard) {
+        return [{ type: "DISCARD", count: discard.count }];
+    }
+    if (state.turnNumber === 0 || state.result || player.lossReason !== null)
+        return [];
+    if (state.pendingDiscards.length > 0)
+        return [];
+    const choice = getOpenChoice(state, playerId);
+    if (choice) {
+        return [{ type: "CHOOSE", count: choice.count, options: [...choice.options] }];
+    }
+    if (state.pendingChoices.length > 0)
+        return [];
+    const targeting = state.pendingTriggerTargets;
+    if (targeting) {
+        if (targeting.trigger.controllerId !== playerId)
+            return [];
+        const { trigger, options } = targeting;
+        return [
+            {
+                type: "CHOOSE_TARGETS",
+                sourceInstanceId: trigger.sourceInstanceId,
+                abilityId: trigger.ability.id,
+                options: options.map((list) => list.map((t) => ({ ...t }))),
+                suggested: suggestTriggerTargets(state, playerId, trigger.ability) ?? [],
+            },
+        ];
+    }
+    const actions = [];
+    for (const card of player.hand) {
+        if (!canPlayFromHand(state, player, card))
+            continue;
+        if (card.typeLine === "ESSENCE" && getAbilities(card, "ACTIVATED").length === 0)
+            continue;
+        const play = {
+            type: "PLAY_CARD",
+            instanceId: card.instanceId,
+            typeLine: card.typeLine,
+            fast: isFastSpell(card),
+        };
+        if (getAttachSpec(card)) {
+            play.bearers = getLegalBearers(state, playerId, card);
+            if (play.bearers.length === 0)
+                continue;
+        }
+        if (hasKlPaymentChoice(player, card))
+            play.paymentChoice = true;
+        actions.push(play);
+    }
+    for (const { instanceId, abilityId } of getActivatableAbilities(state, playerId)) {
+        actions.push({ type: "ACTIVATE_ABILITY", instanceId, abilityId });
+    }
+    if (!isChainEmpty(state)) {
+        if (state.chain.priorityPlayerId === playerId) {
+            actions.push({ type: "PASS_PRIORITY" });
+        }
+        return actions;
+    }
+    if (state.combat?.awaitingDamageOrder) {
+        if (state.combat.attackingPlayerId === playerId) {
+            const blocks = state.combat.blocks ?? [];
+            for (const attackerInstanceId of state.combat.awaitingDamageOrder) {
+                actions.push({
+                    type: "ORDER_BLOCKERS",
+                    attackerInstanceId,
+                    blockerInstanceIds: blocks
+                        .filter((b) => b.attackerInstanceId === attackerInstanceId)
+                        .map((b) => b.blockerInstanceId),
+                });
+            }
+        }
+        return actions;
+    }
+    if (state.combat) {
+        if (state.combat.defendingPlayerId === playerId) {
+            const blockable = state.combat.attacks
+                .filter((a) => a.targetInstanceId === undefined)
+                .map((a) => a.attackerInstanceId);
+            if (blockable.length > 0) {
+                for (const card of player.avatarLine) {
+                    if (canBlock(player, card)) {
+                        actions.push({
+                            type: "BLOCK",
+                            blockerInstanceId: card.instanceId,
+                            attackerInstanceIds: [...blockable],
+                        });
+                    }
+                }
+            }
+            actions.push({ type: "ASSIGN_BLOCKERS", blocks: [] });
+        }
+        return actions;
+    }
+    if (!isTurnPlayer(state, playerId))
+        return actions;
+    if (state.activePlayerId === playerId) {
+        actions.push({ type: "ADVANCE_PHASE" });
+    }
+    if (state.phase === Phase.CLASH) {
+        for (const card of player.avatarLine) {
+            if (!canAttack(state, card))
+                continue;
+            for (const defender of getOpponents(state, playerId)) {
+                actions.push({
+                    type: "ATTACK",
+                    attackerInstanceId: card.instanceId,
+                    defendingPlayerId: defender.id,
+                    targetInstanceIds: getLegalAttackTargets(defender),
+                });
+            }
+        }
+    }
+    const godCode = getGodCode(player.deity);
+    if (godCode && canActivateGodCode(state, playerId)) {
+        actions.push({ type: "ACTIVATE_GOD_CODE", abilityId: godCode.id, charges: getGodCodeChargeCost(godCode) });
+    }
+    return actions;
+}
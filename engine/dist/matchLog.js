@@ -0,0 +1,33 @@
+import { applyAction } from "./actions.js";
+import { getGameRules, setGameRules } from "./rules.js";
+export function cloneState(state) {
+    const copy = JSON.parse(JSON.stringify(state));
+    setGameRules(copy, getGameRules(state));
+    return copy;
+}
+export function createMatchLog(initialState) {
+    return {
+        initialState: cloneState(initialState),
+        actions: [],
+    };
+}
+export function dispatch(log, state, action) {
+    const next = cloneState(state);
+    const events = applyAction(next, action);
+    log.actions.push(action);
+    return { state: next, events };
+}
+export function replayMatch(log, count = log.actions.length) {
+    const state = cloneState(log.initialState);
+    for (const action of log.actions.slice(0, count)) {
+        applyAction(state, action);
+    }
+    return state;
+}
+export function undoLastAction(log) {
+    if (log.actions.length === 0) {
+        throw new Error("There is no action to undo.");
+    }
+    log.actions.pop();
+    return replayMatch(log);
+}
@@ -0,0 +1,103 @@
+import { Zone } from "./zones.js";
+import { checkCondition } from "./abilities.js";
+import { areTeammates } from "./format.js";
+function getBattlefieldCards(player) {
+    return [
+        ...player.avatarLine,
+        ...player.shardRow,
+        ...player.relicSupportZone,
+        ...(player.domainZone ? [player.domainZone] : []),
+    ];
+}
+function matchesController(state, filter, controllerId, playerId) {
+    switch (filter ?? "ANY") {
+        case "SELF":
+            return playerId === controllerId;
+        case "OPPONENT":
+            return !areTeammates(state, controllerId, playerId);
+        default:
+            return true;
+    }
+}
+function auraCovers(state, subject, source, controllerId, card) {
+    switch (subject.ref) {
+        case "SELF":
+            return card.instanceId === source.instanceId;
+        case "ALL_AVATARS":
+            return (card.zone === Zone.AVATAR_LINE &&
+                matchesController(state, subject.controller, controllerId, card.controllerId) &&
+                (subject.subtype === undefined || card.subtypes.includes(subject.subtype)));
+        case "BEARER":
+            return source.attachedToInstanceId !== undefined && card.instanceId === source.attachedToInstanceId;
+        default:
+            return false;
+    }
+}
+function getAuraBonus(state, card, stat) {
+    let total = 0;
+    for (const player of state.players) {
+        for (const source of getBattlefieldCards(player)) {
+            for (const ability of source.abilities) {
+                if (ability.trigger !== "STATIC")
+                    continue;
+                if (!checkCondition(state, player.id, ability.condition))
+                    continue;
+                for (const effect of ability.effects ?? []) {
+                    if (effect.kind !== "MODIFY_STATS")
+                        continue;
+                    if (!auraCovers(state, effect.subject, source, player.id, card))
+                        continue;
+                    if (!checkCondition(state, player.id, effect.condition))
+                        continue;
+                    total += effect[stat] ?? 0;
+                }
+            }
+        }
+    }
+    return total;
+}
+function controlsSource(state, modifier) {
+    const controller = state.players.find((p) => p.id === modifier.controllerId);
+    return !!controller && getBattlefieldCards(controller).some((c) => c.instanceId === modifier.sourceInstanceId);
+}
+export function isModifierActive(state, modifier) {
+    if (modifier.duration === "WHILE_SOURCE_CONTROLLED" && !controlsSource(state, modifier)) {
+        return false;
+    }
+    return checkCondition(state, modifier.controllerId, modifier.condition);
+}
+function getModifierBonus(state, card, stat) {
+    return card.temporaryModifiers
+        .filter((m) => isModifierActive(state, m))
+        .reduce((sum, m) => sum + (m[stat] ?? 0), 0);
+}
+export function getEffectivePower(state, card) {
+    const base = card.power ?? 0;
+    return Math.max(0, base + getAuraBonus(state, card, "power") + getModifierBonus(state, card, "power"));
+}
+export function getEffectiveGuard(state, card) {
+    const base = card.guard ?? 1;
+    return Math.max(0, base + getAuraBonus(state, card, "guard") + getModifierBonus(state, card, "guard"));
+}
+export function addModifier(card, modifier) {
+    card.temporaryModifiers.push({ ...modifier });
+}
+export function removeModifiersFrom(state, sourceInstanceId) {
+    let removed = 0;
+    for (const player of state.players) {
+        for (const card of getBattlefieldCards(player)) {
+            const kept = card.temporaryModifiers.filter((m) => m.sourceInstanceId !== sourceInstanceId);
+            removed += card.temporaryModifiers.length - kept.length;
+            card.temporaryModifiers = kept;
+        }
+    }
+    return removed;
+}
+export function expireEndOfTurnModifiers(state) {
+    for (const player of state.players) {
+        for (const card of getBattlefieldCards(player)) {
+            card.temporaryModifiers = card.temporaryModifiers.filter((m) => m.duration === "PERMANENT" ||
+                (m.duration === "WHILE_SOURCE_CONTROLLED" && controlsSource(state, m)));
+        }
+    }
+}
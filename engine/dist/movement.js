@@ -1,142 +1,288 @@
 import { Zone } from "./zones.js";
-
+import { Phase, checkPhase } from "./phases.js";
+import { addToChain, checkAddToChain, checkChainEmpty, isFastSpell, SPELL_LINK_KIND, } from "./chain.js";
+import { shuffleInPlace } from "./rng.js";
+import { emitEngineEvent } from "./events.js";
+import { isTurnPlayer } from "./format.js";
+import { attachToBearer, checkAttach, getAttachSpec } from "./attachments.js";
+import { checkCondition, getAbilities } from "./abilities.js";
+import { checkKlPayment, payKlCost } from "./klPool.js";
+import { AVATAR_LINE_LIMIT } from "./tokens.js";
+import { throwIfViolated, violation } from "./violations.js";
+export const MAX_DOMAINS_PER_TURN = 1;
 function getPlayer(state, playerId) {
-  const player = state.players.find((p) => p.id === playerId);
-  if (!player) throw new Error(`Player with id ${playerId} not found.`);
-  return player;
-}
-
-function findCardInZone(zone, cardId) {
-  const index = zone.findIndex((c) => c.cardId === cardId);
-  if (index === -1) throw new Error(`Card ${cardId} not found in expected zone.`);
-  return { card: zone[index], index };
-}
-
-function spendKlForCard(player, card) {
-  const cost = card.klCost ?? 0;
-  if (cost < 0) throw new Error(`Card ${card.cardId} has negative KL cost, which is invalid.`);
-  if (player.currentKl < cost) {
-    throw new Error(
-      `Player ${player.id} cannot pay KL cost ${cost} for card ${card.cardId} (only ${player.currentKl} KL available).`
-    );
-  }
-  player.currentKl -= cost;
-}
-
-function moveFromHandToZone(player, cardId, targetZoneArray, zoneType) {
-  const { card, index } = findCardInZone(player.hand, cardId);
-  spendKlForCard(player, card);
-  player.hand.splice(index, 1);
-  card.zone = zoneType;
-  card.controllerId = player.id;
-  targetZoneArray.push(card);
-}
-
-export function playDomain(state, playerId, cardId) {
-  const player = getPlayer(state, playerId);
-  if (player.domainZone) {
-    const oldDomain = player.domainZone;
-    oldDomain.zone = Zone.CRYPT;
-    player.crypt.push(oldDomain);
-    player.domainZone = null;
-  }
-  const { card, index } = findCardInZone(player.hand, cardId);
-  spendKlForCard(player, card);
-  player.hand.splice(index, 1);
-  card.zone = Zone.DOMAIN_ZONE;
-  card.controllerId = player.id;
-  player.domainZone = card;
-}
-
-export function playShard(state, playerId, cardId) {
-  const player = getPlayer(state, playerId);
-  moveFromHandToZone(player, cardId, player.shardRow, Zone.SHARD_ROW);
-}
-
-export function playAvatar(state, playerId, cardId) {
-  const player = getPlayer(state, playerId);
-  moveFromHandToZone(player, cardId, player.avatarLine, Zone.AVATAR_LINE);
-}
-
-export function playRelicOrSupport(state, playerId, cardId) {
-  const player = getPlayer(state, playerId);
-  moveFromHandToZone(player, cardId, player.relicSupportZone, Zone.RELIC_SUPPORT_ZONE);
-}
-
-export function sendToCrypt(state, playerId, cardId) {
-  const player = getPlayer(state, playerId);
-  const zones = [
-    { name: "shardRow", array: player.shardRow },
-    { name: "avatarLine", array: player.avatarLine },
-    { name: "relicSupportZone", array: player.relicSupportZone },
-    {
-      name: "domainZone",
-      single: player.domainZone,
-      setSingle: (c) => {
-        player.domainZone = c;
-      },
-    },
-  ];
-
-  for (const zoneInfo of zones) {
-    if (zoneInfo.array) {
-      const index = zoneInfo.array.findIndex((c) => c.cardId === cardId);
-      if (index !== -1) {
-        const [card] = zoneInfo.array.splice(index, 1);
-        card.zone = Zone.CRYPT;
-        player.crypt.push(card);
-        return;
-      }
-    } else if (zoneInfo.single && zoneInfo.single.cardId === cardId) {
-      const card = zoneInfo.single;
-      zoneInfo.setSingle(null);
-      card.zone = Zone.CRYPT;
-      player.crypt.push(card);
-      return;
-    }
-  }
-  throw new Error(`Card ${cardId} not found on board to send to Crypt.`);
-}
-
-export function sendToNull(state, playerId, cardId) {
-  const player = getPlayer(state, playerId);
-  const handIndex = player.hand.findIndex((c) => c.cardId === cardId);
-  if (handIndex !== -1) {
-    const [card] = player.hand.splice(handIndex, 1);
-    card.zone = Zone.NULL_ZONE;
-    player.nullZone.push(card);
-    return;
-  }
-
-  const zones = [
-    { name: "shardRow", array: player.shardRow },
-    { name: "avatarLine", array: player.avatarLine },
-    { name: "relicSupportZone", array: player.relicSupportZone },
-    {
-      name: "domainZone",
-      single: player.domainZone,
-      setSingle: (c) => {
-        player.domainZone = c;
-      },
-    },
-  ];
-
-  for (const zoneInfo of zones) {
-    if (zoneInfo.array) {
-      const index = zoneInfo.array.findIndex((c) => c.cardId === cardId);
-      if (index !== -1) {
-        const [card] = zoneInfo.array.splice(index, 1);
+    const player = state.players.find((p) => p.id === playerId);
+    if (!player) {
+        throw new Error(`Player with id ${playerId} not found.`);
+    }
+    return player;
+}
+function findCardInHand(player, instanceId) {
+    const index = player.hand.findIndex((c) => c.instanceId === instanceId);
+    if (index === -1) {
+        throw new Error(`Card ${instanceId} not found in expected zone.`);
+    }
+    return { card: player.hand[index], index };
+}
+function putInPile(pile, card) {
+    if (!card.isToken)
+        pile.push(card);
+}
+function notInHand(player, instanceId) {
+    return violation("NOT_IN_HAND", `Card ${instanceId} is not in the hand of player ${player.id}.`, {
+        instanceId,
+    });
+}
+const PERMANENT_ACTIONS = {
+    DOMAIN: "play a Domain",
+    SHARD: "play a Shard",
+    AVATAR: "play an Avatar",
+    RELIC: "play a Relic or Support",
+    SUPPORT: "play a Relic or Support",
+    ESSENCE: "play an Essence card",
+};
+function checkPlayPermanent(state, player, instanceId, types, payment) {
+    const actionName = PERMANENT_ACTIONS[types[0]];
+    const card = player.hand.find((c) => c.instanceId === instanceId);
+    if (!card)
+        return notInHand(player, instanceId);
+    if (!types.includes(card.typeLine)) {
+        return violation("NOT_PLAYABLE", `Cannot ${actionName}: ${instanceId} is a ${card.typeLine}.`, {
+            instanceId,
+            typeLine: card.typeLine,
+        });
+    }
+    const timing = checkPhase(state, [Phase.MAIN], actionName) ?? checkChainEmpty(state, actionName);
+    if (timing)
+        return timing;
+    if (!isTurnPlayer(state, player.id)) {
+        return violation("NOT_YOUR_TURN", `Player ${player.id} can only ${actionName} on their own turn.`, {
+            activePlayerId: state.activePlayerId,
+        });
+    }
+    if (card.typeLine === "DOMAIN" && player.domainsPlayedThisTurn >= MAX_DOMAINS_PER_TURN) {
+        return violation("DOMAIN_LIMIT", `Player ${player.id} has already played ${player.domainsPlayedThisTurn} Domain(s) this turn.`, { played: player.domainsPlayedThisTurn, limit: MAX_DOMAINS_PER_TURN });
+    }
+    if (card.typeLine === "AVATAR" && player.avatarLine.length >= AVATAR_LINE_LIMIT) {
+        return violation("AVATAR_LINE_FULL", `Player ${player.id}'s Avatar Line already holds ${player.avatarLine.length} Avatars.`, { avatars: player.avatarLine.length, limit: AVATAR_LINE_LIMIT });
+    }
+    return checkKlPayment(player, card, payment);
+}
+function checkCastSpell(state, player, instanceId, targets, kind, data, payment) {
+    const card = player.hand.find((c) => c.instanceId === instanceId);
+    if (!card)
+        return notInHand(player, instanceId);
+    if (card.typeLine !== "SPELL" && card.typeLine !== "RITE") {
+        return violation("NOT_PLAYABLE", `Card ${instanceId} is not a Spell or Rite.`, {
+            instanceId,
+            typeLine: card.typeLine,
+        });
+    }
+    const fast = isFastSpell(card);
+    if (!fast) {
+        const action = card.typeLine === "RITE" ? "cast a Rite" : "cast a non-FAST Spell";
+        const wrongPhase = checkPhase(state, [Phase.MAIN], action);
+        if (wrongPhase)
+            return wrongPhase;
+    }
+    const unmet = getAbilities(card, "SPELL").find((a) => !checkCondition(state, player.id, a.condition));
+    if (unmet) {
+        return violation("NOT_PLAYABLE", `The condition for casting ${card.name} is not met.`, {
+            instanceId,
+            condition: unmet.condition,
+        });
+    }
+    const link = { kind, controllerId: player.id, sourceInstanceId: card.instanceId, targets, data, card };
+    return checkKlPayment(player, card, payment) ?? checkAddToChain(state, link, fast);
+}
+export function checkPlayFromHand(state, playerId, instanceId, targets = [], payment) {
+    const player = getPlayer(state, playerId);
+    const card = player.hand.find((c) => c.instanceId === instanceId);
+    if (!card)
+        return notInHand(player, instanceId);
+    if (card.typeLine === "SPELL" || card.typeLine === "RITE") {
+        return checkCastSpell(state, player, instanceId, targets, SPELL_LINK_KIND, undefined, payment);
+    }
+    if (card.typeLine === "RELIC" || card.typeLine === "SUPPORT") {
+        return (checkPlayPermanent(state, player, instanceId, ["RELIC", "SUPPORT"], payment) ??
+            checkAttach(state, playerId, card, targets[0]));
+    }
+    if (!PERMANENT_ACTIONS[card.typeLine]) {
+        return violation("NOT_PLAYABLE", `Cards of type ${card.typeLine} cannot be played from hand.`, {
+            instanceId,
+            typeLine: card.typeLine,
+        });
+    }
+    return checkPlayPermanent(state, player, instanceId, [card.typeLine], payment);
+}
+function moveFromHandToZone(state, player, instanceId, targetZoneArray, zoneType, payment) {
+    const { card, index } = findCardInHand(player, instanceId);
+    payKlCost(player, card, payment);
+    player.hand.splice(index, 1);
+    card.zone = zoneType;
+    card.controllerId = player.id;
+    card.enteredPlayOnTurn = state.turnNumber;
+    targetZoneArray.push(card);
+}
+export function playDomain(state, playerId, instanceId, payment) {
+    const player = getPlayer(state, playerId);
+    throwIfViolated(checkPlayPermanent(state, player, instanceId, ["DOMAIN"], payment));
+    const { card, index } = findCardInHand(player, instanceId);
+    payKlCost(player, card, payment);
+    if (player.domainZone) {
+        const oldDomain = player.domainZone;
+        oldDomain.zone = Zone.CRYPT;
+        oldDomain.temporaryModifiers = [];
+        putInPile(player.crypt, oldDomain);
+        player.domainZone = null;
+    }
+    player.hand.splice(index, 1);
+    card.zone = Zone.DOMAIN_ZONE;
+    card.controllerId = player.id;
+    card.enteredPlayOnTurn = state.turnNumber;
+    player.domainZone = card;
+    player.domainsPlayedThisTurn += 1;
+}
+export function playShard(state, playerId, instanceId, payment) {
+    const player = getPlayer(state, playerId);
+    throwIfViolated(checkPlayPermanent(state, player, instanceId, ["SHARD"], payment));
+    moveFromHandToZone(state, player, instanceId, player.shardRow, Zone.SHARD_ROW, payment);
+    emitEngineEvent(state, { type: "ON_SHARD_CLAIMED", playerId: player.id, instanceId });
+}
+export function playAvatar(state, playerId, instanceId, payment) {
+    const player = getPlayer(state, playerId);
+    throwIfViolated(checkPlayPermanent(state, player, instanceId, ["AVATAR"], payment));
+    moveFromHandToZone(state, player, instanceId, player.avatarLine, Zone.AVATAR_LINE, payment);
+    emitEngineEvent(state, { type: "ON_AVATAR_SUMMONED", playerId: player.id, instanceId });
+}
+export function playRelicOrSupport(state, playerId, instanceId, bearer, payment) {
+    const player = getPlayer(state, playerId);
+    throwIfViolated(checkPlayPermanent(state, player, instanceId, ["RELIC", "SUPPORT"], payment));
+    const { card } = findCardInHand(player, instanceId);
+    throwIfViolated(checkAttach(state, playerId, card, bearer));
+    moveFromHandToZone(state, player, instanceId, player.relicSupportZone, Zone.RELIC_SUPPORT_ZONE, payment);
+    if (bearer && getAttachSpec(card)) {
+        attachToBearer(state, card, bearer);
+    }
+}
+export function playEssence(state, playerId, instanceId, payment) {
+    const player = getPlayer(state, playerId);
+    throwIfViolated(checkPlayPermanent(state, player, instanceId, ["ESSENCE"], payment));
+    moveFromHandToZone(state, player, instanceId, player.relicSupportZone, Zone.RELIC_SUPPORT_ZONE, payment);
+}
+export function castSpell(state, playerId, instanceId, targets = [], kind = SPELL_LINK_KIND, data, payment) {
+    const player = getPlayer(state, playerId);
+    throwIfViolated(checkCastSpell(state, player, instanceId, targets, kind, data, payment));
+    const { card, index } = findCardInHand(player, instanceId);
+    const link = addToChain(state, { kind, controllerId: player.id, sourceInstanceId: card.instanceId, targets, data, card }, isFastSpell(card));
+    payKlCost(player, card, payment);
+    player.hand.splice(index, 1);
+    card.zone = Zone.SHARD_CHAIN;
+    card.controllerId = player.id;
+    emitEngineEvent(state, {
+        type: card.typeLine === "RITE" ? "ON_RITE_CAST" : "ON_SPELL_CAST",
+        playerId: player.id,
+        instanceId: card.instanceId,
+    });
+    return link;
+}
+export function shuffleDeck(state, playerId) {
+    const player = getPlayer(state, playerId);
+    shuffleInPlace(state.rng, player.veiledDeck);
+}
+export function sendToCrypt(state, playerId, instanceId) {
+    const player = getPlayer(state, playerId);
+    const zones = [
+        { name: "shardRow", array: player.shardRow },
+        { name: "avatarLine", array: player.avatarLine },
+        { name: "relicSupportZone", array: player.relicSupportZone },
+        {
+            name: "domainZone",
+            single: player.domainZone,
+            setSingle: (c) => {
+                player.domainZone = c;
+            },
+        },
+    ];
+    for (const zoneInfo of zones) {
+        if (zoneInfo.array) {
+            const index = zoneInfo.array.findIndex((c) => c.instanceId === instanceId);
+            if (index !== -1) {
+                const [card] = zoneInfo.array.splice(index, 1);
+                card.zone = Zone.CRYPT;
+                card.temporaryModifiers = [];
+                delete card.attachedToInstanceId;
+                putInPile(player.crypt, card);
+                if (zoneInfo.name === "avatarLine") {
+                    emitEngineEvent(state, { type: "ON_AVATAR_DESTROYED", playerId: player.id, instanceId });
+                }
+                return;
+            }
+        }
+        else if (zoneInfo.single && zoneInfo.single.instanceId === instanceId) {
+            const card = zoneInfo.single;
+            zoneInfo.setSingle(null);
+            card.zone = Zone.CRYPT;
+            card.temporaryModifiers = [];
+            delete card.attachedToInstanceId;
+            putInPile(player.crypt, card);
+            return;
+        }
+    }
+    throw new Error(`Card ${instanceId} not found on board to send to Crypt.`);
+}
+export function discardFromHand(state, playerId, instanceId) {
+    const player = getPlayer(state, playerId);
+    const index = player.hand.findIndex((c) => c.instanceId === instanceId);
+    if (index === -1) {
+        throw new Error(`Card ${instanceId} not found in hand to discard.`);
+    }
+    const [card] = player.hand.splice(index, 1);
+    card.zone = Zone.CRYPT;
+    player.crypt.push(card);
+}
+export function sendToNull(state, playerId, instanceId) {
+    const player = getPlayer(state, playerId);
+    const handIndex = player.hand.findIndex((c) => c.instanceId === instanceId);
+    if (handIndex !== -1) {
+        const [card] = player.hand.splice(handIndex, 1);
         card.zone = Zone.NULL_ZONE;
         player.nullZone.push(card);
         return;
-      }
-    } else if (zoneInfo.single && zoneInfo.single.cardId === cardId) {
-      const card = zoneInfo.single;
-      zoneInfo.setSingle(null);
-      card.zone = Zone.NULL_ZONE;
-      player.nullZone.push(card);
-      return;
-    }
-  }
-  throw new Error(`Card ${cardId} not found to send to Null.`);
+    }
+    const zones = [
+        { name: "shardRow", array: player.shardRow },
+        { name: "avatarLine", array: player.avatarLine },
+        { name: "relicSupportZone", array: player.relicSupportZone },
+        {
+            name: "domainZone",
+            single: player.domainZone,
+            setSingle: (c) => {
+                player.domainZone = c;
+            },
+        },
+    ];
+    for (const zoneInfo of zones) {
+        if (zoneInfo.array) {
+            const index = zoneInfo.array.findIndex((c) => c.instanceId === instanceId);
+            if (index !== -1) {
+                const [card] = zoneInfo.array.splice(index, 1);
+                card.zone = Zone.NULL_ZONE;
+                card.temporaryModifiers = [];
+                delete card.attachedToInstanceId;
+                putInPile(player.nullZone, card);
+                return;
+            }
+        }
+        else if (zoneInfo.single && zoneInfo.single.instanceId === instanceId) {
+            const card = zoneInfo.single;
+            zoneInfo.setSingle(null);
+            card.zone = Zone.NULL_ZONE;
+            card.temporaryModifiers = [];
+            delete card.attachedToInstanceId;
+            putInPile(player.nullZone, card);
+            return;
+        }
+    }
+    throw new Error(`Card ${instanceId} not found to send to Null.`);
 }
@@ -0,0 +1,126 @@
+import { Zone } from "./zones.js";
+import { shuffleInPlace } from "./rng.js";
+import { getFormatRules } from "./format.js";
+import { throwIfViolated, violation } from "./violations.js";
+function getPlayer(state, playerId) {
+    const player = state.players.find((p) => p.id === playerId);
+    if (!player) {
+        throw new Error(`Player with id ${playerId} not found in GameState.`);
+    }
+    return player;
+}
+function drawOpeningCards(player, count) {
+    for (const card of player.veiledDeck.splice(0, count)) {
+        card.zone = Zone.HAND;
+        player.hand.push(card);
+    }
+}
+function finishDecision(state, playerId) {
+    const opening = state.opening;
+    opening.undecidedPlayerIds = opening.undecidedPlayerIds.filter((id) => id !== playerId);
+    if (opening.undecidedPlayerIds.length === 0) {
+        state.opening = null;
+    }
+}
+export function dealOpeningHands(state) {
+    if (state.turnNumber !== 0) {
+        throw new Error("Opening hands are dealt before the first turn.");
+    }
+    const rules = getFormatRules(state.format);
+    if (rules.openingHandSize === 0)
+        return;
+    for (const player of state.players) {
+        shuffleInPlace(state.rng, player.veiledDeck);
+        drawOpeningCards(player, rules.openingHandSize);
+    }
+    state.opening =
+        rules.maxMulligans > 0
+            ? { undecidedPlayerIds: state.players.map((p) => p.id), mulligansTaken: {} }
+            : null;
+}
+export function checkOpeningComplete(state, actionName) {
+    if (state.opening) {
+        return violation("DECISION_PENDING", `Cannot ${actionName} until every player has kept their opening hand.`, { undecidedPlayerIds: [...state.opening.undecidedPlayerIds] });
+    }
+    return null;
+}
+export function getMulligansLeft(state, playerId) {
+    const opening = state.opening;
+    if (!opening || !opening.undecidedPlayerIds.includes(playerId))
+        return 0;
+    return getFormatRules(state.format).maxMulligans - (opening.mulligansTaken[playerId] ?? 0);
+}
+function checkUndecided(state, playerId) {
+    getPlayer(state, playerId);
+    if (!state.opening?.undecidedPlayerIds.includes(playerId)) {
+        return violation("NO_PENDING_DECISION", `Player ${playerId} has no opening hand to decide on.`);
+    }
+    return null;
+}
+export function checkKeepOpeningHand(state, playerId) {
+    return checkUndecided(state, playerId);
+}
+export function checkMulligan(state, playerId, bottomInstanceIds = []) {
+    const undecided = checkUndecided(state, playerId);
+    if (undecided)
+        return undecided;
+    const rule = getFormatRules(state.format).mulligan;
+    if (rule === "FULL_REDRAW") {
+        return bottomInstanceIds.length > 0
+            ? violation("INVALID_CHOICE", "A full redraw shuffles the whole hand back; no cards are chosen.", {
+                rule,
+            })
+            : null;
+    }
+    if (bottomInstanceIds.length === 0) {
+        return violation("INVALID_CHOICE", "Choose at least one card to put on the bottom.", { rule });
+    }
+    if (new Set(bottomInstanceIds).size !== bottomInstanceIds.length) {
+        return violation("INVALID_CHOICE", "Each card can only be put on the bottom once.", {
+            rule,
+            bottomInstanceIds: [...bottomInstanceIds],
+        });
+    }
+    const hand = getPlayer(state, playerId).hand;
+    const missing = bottomInstanceIds.find((id) => !hand.some((c) => c.instanceId === id));
+    if (missing !== undefined) {
+        return violation("NOT_IN_HAND", `Card ${missing} is not in the hand of player ${playerId}.`, {
+            instanceId: missing,
+        });
+    }
+    return null;
+}
+export function keepOpeningHand(state, playerId) {
+    throwIfViolated(checkKeepOpeningHand(state, playerId));
+    finishDecision(state, playerId);
+}
+export function mulligan(state, playerId, bottomInstanceIds = []) {
+    throwIfViolated(checkMulligan(state, playerId, bottomInstanceIds));
+    const player = getPlayer(state, playerId);
+    const opening = state.opening;
+    let count;
+    if (getFormatRules(state.format).mulligan === "FULL_REDRAW") {
+        count = player.hand.length;
+        for (const card of player.hand) {
+            card.zone = Zone.VEILED_DECK;
+        }
+        player.veiledDeck.push(...player.hand);
+        player.hand = [];
+        shuffleInPlace(state.rng, player.veiledDeck);
+    }
+    else {
+        count = bottomInstanceIds.length;
+        for (const instanceId of bottomInstanceIds) {
+            const index = player.hand.findIndex((c) => c.instanceId === instanceId);
+            const [card] = player.hand.splice(index, 1);
+            card.zone = Zone.VEILED_DECK;
+            player.veiledDeck.push(card);
+        }
+    }
+    drawOpeningCards(player, count);
+    opening.mulligansTaken[playerId] = (opening.mulligansTaken[playerId] ?? 0) + 1;
+    if (getMulligansLeft(state, playerId) === 0) {
+        finishDecision(state, playerId);
+    }
+    return count;
+}
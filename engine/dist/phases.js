@@ -0,0 +1,55 @@
+import { checkGameInProgress } from "./stateBased.js";
+import { addRegistration, getGameRules } from "./rules.js";
+import { throwIfViolated, violation } from "./violations.js";
+export var Phase;
+(function (Phase) {
+    Phase["DAWN"] = "DAWN";
+    Phase["DRAW"] = "DRAW";
+    Phase["MAIN"] = "MAIN";
+    Phase["CLASH"] = "CLASH";
+    Phase["TWILIGHT"] = "TWILIGHT";
+})(Phase || (Phase = {}));
+export const PHASE_ORDER = [
+    Phase.DAWN,
+    Phase.DRAW,
+    Phase.MAIN,
+    Phase.CLASH,
+    Phase.TWILIGHT,
+];
+export function registerPhaseHooks(rules, phase, hooks) {
+    const list = rules.phaseHooks[phase] ?? [];
+    rules.phaseHooks[phase] = list;
+    return addRegistration(list, hooks);
+}
+export function runPhaseEnterHooks(state, phase) {
+    for (const hooks of [...(getGameRules(state).phaseHooks[phase] ?? [])]) {
+        hooks.onEnter?.(state);
+    }
+}
+export function runPhaseExitHooks(state, phase) {
+    for (const hooks of [...(getGameRules(state).phaseHooks[phase] ?? [])]) {
+        hooks.onExit?.(state);
+    }
+}
+export function getNextPhase(phase) {
+    const index = PHASE_ORDER.indexOf(phase);
+    if (index === -1 || index === PHASE_ORDER.length - 1) {
+        return null;
+    }
+    return PHASE_ORDER[index + 1];
+}
+export function checkPhase(state, allowed, actionName) {
+    if (state.turnNumber === 0) {
+        return violation("GAME_NOT_STARTED", `Cannot ${actionName} before the first turn has started.`);
+    }
+    const over = checkGameInProgress(state, actionName);
+    if (over)
+        return over;
+    if (!allowed.includes(state.phase)) {
+        return violation("WRONG_PHASE", `Cannot ${actionName} during ${state.phase} phase (allowed: ${allowed.join(", ")}).`, { phase: state.phase, allowed: [...allowed] });
+    }
+    return null;
+}
+export function assertPhase(state, allowed, actionName) {
+    throwIfViolated(checkPhase(state, allowed, actionName));
+}
@@ -1,2 +1 @@
-// Player shape placeholder used by engine logic.
-export {}
+export {};
@@ -1,51 +1,107 @@
-import { Zone } from "./zones.js";
-
+import { checkCondition, getStaticPlayerEffects } from "./abilities.js";
+import { throwIfViolated, violation } from "./violations.js";
 export const GOD_THRESHOLD_KL = 13;
 export const ABSOLUTE_KL_CAP = 31;
 export const MIN_KL = 0;
 export const MAX_GOD_CHARGES = 3;
 export const MIN_TURN_FOR_GOD_CHARGE_SPEND = 4;
-
-function getStaticKlBonuses(_player) {
-  return 0;
-}
-
-function getStartOfTurnKlEffects(_player) {
-  return 0;
-}
-
-export function recalculateKl(player) {
-  let kl = player.baseKl;
-  kl += player.shardRow.length;
-  kl += getStaticKlBonuses(player);
-  kl += getStartOfTurnKlEffects(player);
-
-  if (kl > ABSOLUTE_KL_CAP) kl = ABSOLUTE_KL_CAP;
-  if (kl < MIN_KL) kl = MIN_KL;
-  return kl;
-}
-
+export const STARTING_GOD_CHARGES = 1;
+export function isStartOfTurnKlAbility(ability) {
+    const effects = ability.effects ?? [];
+    return (ability.trigger === "ON_TURN_START" &&
+        (ability.triggerSource ?? "THIS_CARD") === "THIS_CARD" &&
+        (ability.targets ?? []).length === 0 &&
+        effects.length > 0 &&
+        effects.every((e) => e.kind === "GAIN_KL" && e.subject.ref === "CONTROLLER"));
+}
+function getStaticKlBonuses(state, player) {
+    const bonuses = [];
+    for (const { effect, ability, source } of getStaticPlayerEffects(state, player.id, "MODIFY_KL")) {
+        const existing = bonuses.find((b) => b.instanceId === source.instanceId && b.label === ability.label);
+        if (existing) {
+            existing.amount += effect.amount;
+        }
+        else {
+            bonuses.push({ source: "STATIC", label: ability.label, amount: effect.amount, instanceId: source.instanceId });
+        }
+    }
+    return bonuses;
+}
+function getStartOfTurnKlEffects(state, player) {
+    const sources = [
+        player.deity,
+        ...player.avatarLine,
+        ...player.shardRow,
+        ...player.relicSupportZone,
+        ...(player.domainZone ? [player.domainZone] : []),
+    ];
+    const bonuses = [];
+    for (const card of sources) {
+        for (const ability of card.abilities.filter(isStartOfTurnKlAbility)) {
+            if (!checkCondition(state, player.id, ability.condition))
+                continue;
+            const amount = (ability.effects ?? [])
+                .filter((e) => checkCondition(state, player.id, e.condition))
+                .reduce((total, e) => total + (e.kind === "GAIN_KL" ? e.amount : 0), 0);
+            if (amount !== 0) {
+                bonuses.push({ source: "START_OF_TURN", label: ability.label, amount, instanceId: card.instanceId });
+            }
+        }
+    }
+    return bonuses;
+}
+export function getKlBreakdown(state, player) {
+    const parts = [{ source: "BASE", label: "Base", amount: player.baseKl }];
+    if (player.shardRow.length > 0) {
+        const label = player.shardRow.length === 1 ? "Shard" : "Shards";
+        parts.push({ source: "SHARDS", label, amount: player.shardRow.length });
+    }
+    parts.push(...getStaticKlBonuses(state, player), ...getStartOfTurnKlEffects(state, player));
+    const sum = parts.reduce((total, part) => total + part.amount, 0);
+    return { total: Math.min(ABSOLUTE_KL_CAP, Math.max(MIN_KL, sum)), parts };
+}
+export function describeKlBreakdown(breakdown) {
+    return breakdown.parts
+        .map((part, i) => {
+        if (i === 0)
+            return `${part.label} ${part.amount}`;
+        return `${part.amount < 0 ? "-" : "+"} ${Math.abs(part.amount)} ${part.label}`;
+    })
+        .join(" ");
+}
+export function recalculateKl(state, player) {
+    return getKlBreakdown(state, player).total;
+}
 export function checkGodThreshold(player, oldKl, newKl) {
-  if (player.klThresholdTriggeredThisTurn) return;
-  const crossedThreshold = oldKl < GOD_THRESHOLD_KL && newKl >= GOD_THRESHOLD_KL;
-  if (crossedThreshold) {
-    if (player.godCharges < MAX_GOD_CHARGES) player.godCharges += 1;
-    player.klThresholdTriggeredThisTurn = true;
-  }
-}
-
+    if (player.klThresholdTriggeredThisTurn) {
+        return;
+    }
+    const crossedThreshold = oldKl < GOD_THRESHOLD_KL && newKl >= GOD_THRESHOLD_KL;
+    if (crossedThreshold) {
+        if (player.godCharges < MAX_GOD_CHARGES) {
+            player.godCharges += 1;
+        }
+        player.klThresholdTriggeredThisTurn = true;
+    }
+}
 export function canSpendGodCharges(player, amount, turnNumber) {
-  if (amount <= 0) return false;
-  if (turnNumber < MIN_TURN_FOR_GOD_CHARGE_SPEND) return false;
-  if (player.godCharges < amount) return false;
-  return true;
+    if (amount <= 0)
+        return false;
+    if (turnNumber < MIN_TURN_FOR_GOD_CHARGE_SPEND) {
+        return false;
+    }
+    if (player.godCharges < amount) {
+        return false;
+    }
+    return true;
+}
+export function checkSpendGodCharges(player, amount, turnNumber) {
+    if (!canSpendGodCharges(player, amount, turnNumber)) {
+        return violation("INSUFFICIENT_GOD_CHARGES", `Cannot spend ${amount} God Charge(s) on turn ${turnNumber} with ${player.godCharges} available.`, { amount, available: player.godCharges, turnNumber, minTurn: MIN_TURN_FOR_GOD_CHARGE_SPEND });
+    }
+    return null;
 }
-
 export function spendGodCharges(player, amount, turnNumber) {
-  if (!canSpendGodCharges(player, amount, turnNumber)) {
-    throw new Error(
-      `Cannot spend ${amount} God Charge(s) on turn ${turnNumber} with ${player.godCharges} available.`
-    );
-  }
-  player.godCharges -= amount;
+    throwIfViolated(checkSpendGodCharges(player, amount, turnNumber));
+    player.godCharges -= amount;
 }
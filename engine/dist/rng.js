@@ -0,0 +1,26 @@
+export function generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+export function createRng(seed = generateSeed()) {
+    const normalized = seed >>> 0;
+    return { seed: normalized, state: normalized };
+}
+export function nextRandom(rng) {
+    rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+    let t = rng.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+}
+export function randomInt(rng, maxExclusive) {
+    if (maxExclusive <= 0) {
+        throw new Error(`randomInt needs a positive bound, got ${maxExclusive}.`);
+    }
+    return Math.floor(nextRandom(rng) * maxExclusive);
+}
+export function shuffleInPlace(rng, items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = randomInt(rng, i + 1);
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+}
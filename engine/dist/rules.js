@@ -0,0 +1,30 @@
+export function createGameRules() {
+    return {
+        phaseHooks: {},
+        eventHandlers: {},
+        victoryConditions: [],
+        tokenDefinitions: new Map(),
+        chainResolvers: new Map(),
+    };
+}
+const rulesByState = new WeakMap();
+export function getGameRules(state) {
+    let rules = rulesByState.get(state);
+    if (!rules) {
+        rules = createGameRules();
+        rulesByState.set(state, rules);
+    }
+    return rules;
+}
+export function setGameRules(state, rules) {
+    rulesByState.set(state, rules);
+}
+export function addRegistration(list, item) {
+    list.push(item);
+    return () => {
+        const index = list.indexOf(item);
+        if (index !== -1) {
+            list.splice(index, 1);
+        }
+    };
+}
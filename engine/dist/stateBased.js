@@ -0,0 +1,165 @@
+import { Zone } from "./zones.js";
+import { areTeammates, getNextPlayerInGame, getTeam } from "./format.js";
+import { startTurn } from "./turn.js";
+import { sendUnattachedToCrypt } from "./attachments.js";
+import { throwIfViolated, violation } from "./violations.js";
+import { addRegistration, getGameRules } from "./rules.js";
+export function registerVictoryCondition(rules, condition) {
+    return addRegistration(rules.victoryConditions, condition);
+}
+export function isGameOver(state) {
+    return state.result !== null;
+}
+export function getPlayersInGame(state) {
+    return state.players.filter((p) => p.lossReason === null);
+}
+function collectLosses(state) {
+    const losses = new Map();
+    const inGame = getPlayersInGame(state);
+    for (const player of inGame) {
+        if (player.conceded) {
+            losses.set(player.id, "CONCEDE");
+        }
+        else if (player.essence <= 0) {
+            losses.set(player.id, "ESSENCE");
+        }
+        else if (player.drewFromEmptyDeck) {
+            losses.set(player.id, "DECK_OUT");
+        }
+    }
+    const winners = new Set();
+    for (const condition of [...getGameRules(state).victoryConditions]) {
+        const claim = condition(state);
+        if (!claim)
+            continue;
+        if (claim.winnerId !== undefined)
+            winners.add(claim.winnerId);
+        for (const loserId of claim.loserIds ?? []) {
+            if (!losses.has(loserId))
+                losses.set(loserId, "CUSTOM");
+        }
+    }
+    if (winners.size > 0) {
+        const winning = (playerId) => [...winners].some((winnerId) => areTeammates(state, winnerId, playerId));
+        for (const player of inGame) {
+            if (!winning(player.id) && !losses.has(player.id)) {
+                losses.set(player.id, "CUSTOM");
+            }
+        }
+    }
+    for (const playerId of [...losses.keys()]) {
+        if (!inGame.some((p) => p.id === playerId))
+            losses.delete(playerId);
+    }
+    return { losses, winners };
+}
+function getLosses(state) {
+    return state.players
+        .filter((p) => p.lossReason !== null)
+        .map((p) => ({ playerId: p.id, reason: p.lossReason, turnNumber: p.lostOnTurn ?? state.turnNumber }))
+        .sort((a, b) => a.turnNumber - b.turnNumber);
+}
+function leaveGame(state, player) {
+    const permanents = [
+        ...player.avatarLine,
+        ...player.shardRow,
+        ...player.relicSupportZone,
+        ...(player.domainZone ? [player.domainZone] : []),
+    ];
+    for (const card of permanents) {
+        card.zone = Zone.NULL_ZONE;
+        card.damageMarked = 0;
+        card.tapped = false;
+        card.temporaryModifiers = [];
+        delete card.attachedToInstanceId;
+    }
+    player.nullZone.push(...permanents.filter((card) => !card.isToken));
+    player.avatarLine = [];
+    player.shardRow = [];
+    player.relicSupportZone = [];
+    player.domainZone = null;
+    state.chain.links = state.chain.links.filter((link) => link.controllerId !== player.id);
+    if (state.pendingTriggerTargets) {
+        state.pendingTriggers.unshift(state.pendingTriggerTargets.trigger);
+        state.pendingTriggerTargets = null;
+    }
+    state.pendingTriggers = state.pendingTriggers.filter((t) => t.controllerId !== player.id);
+    state.pendingChoices = state.pendingChoices.filter((c) => c.playerId !== player.id && state.chain.links.some((link) => link.id === c.linkId));
+    const turnWasEnding = state.pendingDiscards.length > 0;
+    state.pendingDiscards = state.pendingDiscards.filter((d) => d.playerId !== player.id);
+    if (state.combat &&
+        (state.combat.attackingPlayerId === player.id || state.combat.defendingPlayerId === player.id)) {
+        state.combat = null;
+    }
+    if (state.chain.links.length === 0) {
+        state.chain.priorityPlayerId = null;
+        state.chain.passCount = 0;
+    }
+    else if (state.chain.priorityPlayerId === player.id) {
+        state.chain.priorityPlayerId = getNextPlayerInGame(state, player.id);
+        state.chain.passCount = 0;
+    }
+    if (state.activePlayerId === player.id) {
+        state.chain.links = [];
+        state.pendingChoices = [];
+        state.chain.priorityPlayerId = null;
+        state.chain.passCount = 0;
+        state.combat = null;
+        state.pendingDiscards = [];
+        startTurn(state);
+    }
+    else if (turnWasEnding && state.pendingDiscards.length === 0) {
+        startTurn(state);
+    }
+}
+export function checkStateBasedActions(state) {
+    if (state.result || state.turnNumber === 0) {
+        return state.result;
+    }
+    const { losses, winners } = collectLosses(state);
+    for (const [playerId, reason] of losses) {
+        const player = state.players.find((p) => p.id === playerId);
+        player.lossReason = reason;
+        player.lostOnTurn = state.turnNumber;
+    }
+    const remaining = getPlayersInGame(state);
+    const oneSideLeft = remaining.length > 0 && remaining.every((p) => areTeammates(state, remaining[0].id, p.id));
+    if (remaining.length === 0 || (!oneSideLeft && winners.size > 0)) {
+        state.result = { outcome: "DRAW", losses: getLosses(state), turnNumber: state.turnNumber };
+    }
+    else if (oneSideLeft) {
+        state.result = {
+            outcome: "WIN",
+            winnerIds: getTeam(state, remaining[0].id),
+            losses: getLosses(state),
+            turnNumber: state.turnNumber,
+        };
+    }
+    if (state.result) {
+        state.pendingTriggers = [];
+        state.combat = null;
+        return state.result;
+    }
+    for (const playerId of losses.keys()) {
+        leaveGame(state, state.players.find((p) => p.id === playerId));
+    }
+    sendUnattachedToCrypt(state);
+    return null;
+}
+export function concede(state, playerId) {
+    const player = state.players.find((p) => p.id === playerId);
+    if (!player) {
+        throw new Error(`Player with id ${playerId} not found in GameState.`);
+    }
+    assertGameInProgress(state, "concede");
+    player.conceded = true;
+}
+export function checkGameInProgress(state, actionName) {
+    if (state.result) {
+        return violation("GAME_OVER", `Cannot ${actionName}: the game is over.`);
+    }
+    return null;
+}
+export function assertGameInProgress(state, actionName) {
+    throwIfViolated(checkGameInProgress(state, actionName));
+}
@@ -0,0 +1,89 @@
+import { Zone } from "./zones.js";
+import { getPrintedKeywords } from "./keywords.js";
+import { createCardInstance } from "./instances.js";
+import { emitEngineEvent } from "./events.js";
+import { getGameRules } from "./rules.js";
+export const AVATAR_LINE_LIMIT = 5;
+const BUILT_IN_TOKENS = [
+    {
+        tokenId: "GLOW_BEAST",
+        name: "Glow Beast Token",
+        typeLine: "AVATAR",
+        subtypes: ["Glow", "Beast"],
+        power: 2,
+        guard: 2,
+        keywords: ["GUARDIAN"],
+    },
+    {
+        tokenId: "VOID_BEAST",
+        name: "Void Beast Token",
+        typeLine: "AVATAR",
+        subtypes: ["Void", "Beast"],
+        power: 3,
+        guard: 3,
+    },
+];
+const builtInTokens = new Map(BUILT_IN_TOKENS.map((definition) => [definition.tokenId, definition]));
+export function registerTokenDefinition(rules, definition) {
+    rules.tokenDefinitions.set(definition.tokenId, definition);
+    return () => {
+        if (rules.tokenDefinitions.get(definition.tokenId) === definition) {
+            rules.tokenDefinitions.delete(definition.tokenId);
+        }
+    };
+}
+export function getTokenDefinition(state, tokenId) {
+    return getGameRules(state).tokenDefinitions.get(tokenId) ?? builtInTokens.get(tokenId);
+}
+function getPlayer(state, playerId) {
+    const player = state.players.find((p) => p.id === playerId);
+    if (!player) {
+        throw new Error(`Player with id ${playerId} not found in GameState.`);
+    }
+    return player;
+}
+export function createToken(state, playerId, tokenId, count) {
+    const definition = getTokenDefinition(state, tokenId);
+    if (!definition) {
+        throw new Error(`No token registered as "${tokenId}".`);
+    }
+    const player = getPlayer(state, playerId);
+    const isAvatar = definition.typeLine === "AVATAR";
+    if (!isAvatar && definition.typeLine !== "RELIC" && definition.typeLine !== "SUPPORT") {
+        throw new Error(`Tokens of type ${definition.typeLine} cannot be created.`);
+    }
+    const created = [];
+    for (let i = 0; i < count; i++) {
+        if (isAvatar && player.avatarLine.length >= AVATAR_LINE_LIMIT)
+            break;
+        const abilities = (definition.abilities ?? []).map((a) => ({ ...a }));
+        const token = createCardInstance(state, {
+            cardId: definition.tokenId,
+            name: definition.name,
+            typeLine: definition.typeLine,
+            subtypes: [...definition.subtypes],
+            klCost: 0,
+            power: definition.power,
+            guard: definition.guard,
+            abilities,
+            keywords: [...new Set([...getPrintedKeywords({ abilities }), ...(definition.keywords ?? [])])],
+            isToken: true,
+            ownerId: player.id,
+            controllerId: player.id,
+            zone: isAvatar ? Zone.AVATAR_LINE : Zone.RELIC_SUPPORT_ZONE,
+            damageMarked: 0,
+            tapped: false,
+            enteredPlayOnTurn: state.turnNumber,
+            temporaryModifiers: [],
+        });
+        if (isAvatar) {
+            player.avatarLine.push(token);
+            emitEngineEvent(state, { type: "ON_AVATAR_SUMMONED", playerId: player.id, instanceId: token.instanceId });
+        }
+        else {
+            player.relicSupportZone.push(token);
+        }
+        created.push(token);
+    }
+    return created;
+}
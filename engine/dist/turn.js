@@ -1,61 +1,152 @@
 import { Zone } from "./zones.js";
 import { recalculateKl, checkGodThreshold } from "./resources.js";
-
-function getActivePlayer(state) {
-  const player = state.players.find((p) => p.id === state.activePlayerId);
-  if (!player) throw new Error(`Active player with id ${state.activePlayerId} not found in GameState.`);
-  return player;
-}
-
+import { Phase, getNextPhase, runPhaseEnterHooks, runPhaseExitHooks, } from "./phases.js";
+import { checkChainEmpty } from "./chain.js";
+import { emitEngineEvent } from "./events.js";
+import { expireEndOfTurnModifiers } from "./modifiers.js";
+import { hasKeyword } from "./keywords.js";
+import { sendToCrypt } from "./movement.js";
+import { assertGameInProgress, checkGameInProgress } from "./stateBased.js";
+import { getNextTurnPlayerId, getTurnPlayers } from "./format.js";
+import { throwIfViolated, violation } from "./violations.js";
+import { checkOpeningComplete } from "./opening.js";
+import { beginHandSizeDiscards, checkNoPendingDiscards } from "./handSize.js";
+import { expirePooledKl } from "./klPool.js";
 function readyAllPermanents(player) {
-  const zones = [player.domainZone, player.shardRow, player.avatarLine, player.relicSupportZone];
-  for (const zone of zones) {
-    if (!zone) continue;
-    if (Array.isArray(zone)) {
-      zone.forEach((card) => {
-        card.tapped = false;
-      });
-    } else {
-      zone.tapped = false;
-    }
-  }
-}
-
-function drawCard(player) {
-  if (player.veiledDeck.length === 0) return;
-  const card = player.veiledDeck.shift();
-  card.zone = Zone.HAND;
-  player.hand.push(card);
-}
-
-export function startPhase(state) {
-  const player = getActivePlayer(state);
-  readyAllPermanents(player);
-  const isFirstTurn = state.turnNumber === 1;
-  const isFirstPlayer = player.id === state.firstPlayerId;
-  const shouldSkipDraw = isFirstTurn && isFirstPlayer;
-  if (!shouldSkipDraw) drawCard(player);
-  player.klThresholdTriggeredThisTurn = false;
-  const oldKl = player.currentKl ?? player.baseKl;
-  const newKl = recalculateKl(player);
-  player.currentKl = newKl;
-  checkGodThreshold(player, oldKl, newKl);
-}
-
+    const zones = [
+        player.domainZone,
+        player.shardRow,
+        player.avatarLine,
+        player.relicSupportZone,
+    ];
+    for (const zone of zones) {
+        if (!zone)
+            continue;
+        if (Array.isArray(zone)) {
+            zone.forEach((card) => {
+                card.tapped = false;
+            });
+        }
+        else {
+            zone.tapped = false;
+        }
+    }
+}
+function resetOncePerTurnAbilities(state) {
+    for (const p of state.players) {
+        for (const card of [p.deity, ...p.avatarLine, ...p.shardRow, ...p.relicSupportZone]) {
+            card.abilitiesUsedThisTurn = [];
+        }
+        if (p.domainZone)
+            p.domainZone.abilitiesUsedThisTurn = [];
+    }
+}
+function endTurnCleanup(state) {
+    for (const p of state.players) {
+        const echoes = [...p.avatarLine, ...p.shardRow, ...p.relicSupportZone]
+            .filter((card) => hasKeyword(card, "ECHO"));
+        echoes.forEach((card) => sendToCrypt(state, p.id, card.instanceId));
+    }
+    expireEndOfTurnModifiers(state);
+    expirePooledKl(state, "END_OF_TURN");
+}
+export function drawCard(state, player) {
+    if (player.veiledDeck.length === 0) {
+        player.drewFromEmptyDeck = true;
+        return;
+    }
+    const card = player.veiledDeck.shift();
+    card.zone = Zone.HAND;
+    player.hand.push(card);
+    emitEngineEvent(state, { type: "ON_CARD_DRAWN", playerId: player.id, instanceId: card.instanceId });
+}
+function dawnPhase(state) {
+    resetOncePerTurnAbilities(state);
+    for (const player of getTurnPlayers(state)) {
+        readyAllPermanents(player);
+        player.klThresholdTriggeredThisTurn = false;
+        player.domainsPlayedThisTurn = 0;
+        const oldKl = player.currentKl ?? player.baseKl;
+        const newKl = recalculateKl(state, player);
+        player.currentKl = newKl;
+        checkGodThreshold(player, oldKl, newKl);
+    }
+}
+function drawPhase(state) {
+    const isFirstTurn = state.turnNumber === 1;
+    if (isFirstTurn)
+        return;
+    for (const player of getTurnPlayers(state)) {
+        drawCard(state, player);
+    }
+}
+function enterPhase(state, phase) {
+    state.phase = phase;
+    switch (phase) {
+        case Phase.DAWN:
+            dawnPhase(state);
+            break;
+        case Phase.DRAW:
+            drawPhase(state);
+            break;
+        default:
+            break;
+    }
+    runPhaseEnterHooks(state, phase);
+    emitEngineEvent(state, { type: "ON_PHASE_CHANGE", playerId: state.activePlayerId, phase });
+    for (const player of getTurnPlayers(state)) {
+        if (phase === Phase.DAWN) {
+            emitEngineEvent(state, { type: "ON_TURN_START", playerId: player.id });
+        }
+        else if (phase === Phase.TWILIGHT) {
+            emitEngineEvent(state, { type: "ON_TURN_END", playerId: player.id });
+        }
+    }
+}
+export function checkAdvancePhase(state) {
+    if (state.turnNumber === 0) {
+        return violation("GAME_NOT_STARTED", "Cannot advance phase before the first turn has started.");
+    }
+    const blocked = checkGameInProgress(state, "advance phase") ??
+        checkChainEmpty(state, "advance phase") ??
+        checkNoPendingDiscards(state, "advance phase");
+    if (blocked)
+        return blocked;
+    if (state.combat) {
+        return violation("COMBAT_PENDING", "Cannot advance phase while declared attackers are waiting for blocks.");
+    }
+    return null;
+}
+export function advancePhase(state) {
+    throwIfViolated(checkAdvancePhase(state));
+    runPhaseExitHooks(state, state.phase);
+    expirePooledKl(state, "END_OF_PHASE");
+    const next = getNextPhase(state.phase);
+    if (next === null) {
+        startTurn(state);
+    }
+    else {
+        enterPhase(state, next);
+    }
+    return state.phase;
+}
 export function startTurn(state) {
-  if (state.players.length === 0) {
-    throw new Error("GameState has no players.");
-  }
-
-  if (state.turnNumber === 0) {
-    state.turnNumber = 1;
-    state.activePlayerId = state.firstPlayerId;
-  } else {
-    state.turnNumber += 1;
-    const currentIndex = state.players.findIndex((p) => p.id === state.activePlayerId);
-    const nextIndex = currentIndex === -1 ? 0 : (currentIndex + 1) % state.players.length;
-    state.activePlayerId = state.players[nextIndex].id;
-  }
-
-  startPhase(state);
+    if (state.players.length === 0) {
+        throw new Error("GameState has no players.");
+    }
+    assertGameInProgress(state, "start a turn");
+    if (state.turnNumber === 0) {
+        throwIfViolated(checkOpeningComplete(state, "start the first turn"));
+        state.turnNumber = 1;
+        state.activePlayerId = state.firstPlayerId;
+    }
+    else {
+        throwIfViolated(checkNoPendingDiscards(state, "end the turn"));
+        if (beginHandSizeDiscards(state))
+            return;
+        endTurnCleanup(state);
+        state.turnNumber += 1;
+        state.activePlayerId = getNextTurnPlayerId(state);
+    }
+    enterPhase(state, Phase.DAWN);
 }
@@ -0,0 +1,27 @@
+export class RuleViolationError extends Error {
+    constructor(violation) {
+        super(violation.message);
+        this.name = "RuleViolationError";
+        this.violation = violation;
+    }
+}
+export function violation(code, message, details = {}) {
+    return { code, message, details };
+}
+export function throwIfViolated(found) {
+    if (found) {
+        throw new RuleViolationError(found);
+    }
+}
+export function catchViolation(guard) {
+    try {
+        guard();
+        return null;
+    }
+    catch (err) {
+        if (err instanceof RuleViolationError) {
+            return err.violation;
+        }
+        throw err;
+    }
+}
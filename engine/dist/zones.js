@@ -1,11 +1,13 @@
-export const Zone = {
-  DEITY_ZONE: "DEITY_ZONE",
-  DOMAIN_ZONE: "DOMAIN_ZONE",
-  SHARD_ROW: "SHARD_ROW",
-  AVATAR_LINE: "AVATAR_LINE",
-  RELIC_SUPPORT_ZONE: "RELIC_SUPPORT_ZONE",
-  HAND: "HAND",
-  VEILED_DECK: "VEILED_DECK",
-  CRYPT: "CRYPT",
-  NULL_ZONE: "NULL_ZONE",
-};
+export var Zone;
+(function (Zone) {
+    Zone["DEITY_ZONE"] = "DEITY_ZONE";
+    Zone["DOMAIN_ZONE"] = "DOMAIN_ZONE";
+    Zone["SHARD_ROW"] = "SHARD_ROW";
+    Zone["AVATAR_LINE"] = "AVATAR_LINE";
+    Zone["RELIC_SUPPORT_ZONE"] = "RELIC_SUPPORT_ZONE";
+    Zone["HAND"] = "HAND";
+    Zone["VEILED_DECK"] = "VEILED_DECK";
+    Zone["CRYPT"] = "CRYPT";
+    Zone["NULL_ZONE"] = "NULL_ZONE";
+    Zone["SHARD_CHAIN"] = "SHARD_CHAIN";
+})(Zone || (Zone = {}));
@@ -0,0 +1,203 @@
+import type { GameState } from "./gameState";
+import type { Player } from "./player";
+import type { Card, CardAbility, AbilityTrigger } from "./card";
+import type { Phase } from "./phases";
+import type { ChainTarget } from "./chain";
+import { areTeammates } from "./format";
+import { isStartOfTurnKlAbility } from "./resources";
+import { addRegistration, getGameRules, type GameRules } from "./rules";
+
+/**
+ * Things that happen in a match that cards can react to.
+ * Same names as the UI's Game.state.events so both sides speak one language.
+ */
+export type EngineEventType =
+  | "ON_AVATAR_SUMMONED"
+  | "ON_AVATAR_DESTROYED"
+  | "ON_SHARD_CLAIMED"
+  | "ON_ATTACK_DECLARED"
+  | "ON_ESSENCE_LOSS"
+  | "ON_ESSENCE_GAIN"
+  | "ON_CARD_DRAWN"
+  | "ON_SPELL_CAST"
+  | "ON_RITE_CAST"
+  | "ON_DEITY_ABILITY_USED"
+  | "ON_TURN_START"
+  | "ON_TURN_END"
+  | "ON_PHASE_CHANGE";
+
+/**
+ * One engine event. Plain data so it can ride along on a chain link.
+ * - playerId: whose card / Essence / turn the event is about
+ * - instanceId: the card it happened to (summoned, destroyed, claimed, attacking, drawn, cast)
+ * - sourceInstanceId: what caused it (the Avatar or ability dealing damage)
+ */
+export interface EngineEvent {
+  type: EngineEventType;
+  playerId: string;
+  instanceId?: string;
+  sourceInstanceId?: string;
+  amount?: number;
+  damage?: boolean; // ON_ESSENCE_LOSS caused by damage rather than "loses N Essence"
+  phase?: Phase;
+}
+
+export type EngineEventHandler = (state: GameState, event: EngineEvent) => void;
+
+/**
+ * A triggered ability waiting to be put on the Shard Chain.
+ */
+export interface PendingTrigger {
+  controllerId: string;
+  sourceInstanceId: string;
+  ability: CardAbility;
+  event: EngineEvent;
+}
+
+/**
+ * A triggered ability whose controller has to choose its targets before it
+ * goes on the Shard Chain (see putTriggersOnChain). The triggers after it
+ * wait in state.pendingTriggers until the targets are chosen.
+ */
+export interface PendingTriggerTargets {
+  trigger: PendingTrigger;
+  options: ChainTarget[][]; // legal targets for each of the ability's TargetSpecs, suggested ones first
+}
+
+/**
+ * Listen for an engine event in one game (UI, logging, AI). Returns an
+ * unsubscribe function. Handlers run before card triggers are collected and
+ * must not throw.
+ */
+export function onEngineEvent(
+  rules: GameRules,
+  type: EngineEventType,
+  handler: EngineEventHandler
+): () => void {
+  const list = rules.eventHandlers[type] ?? [];
+  rules.eventHandlers[type] = list;
+  return addRegistration(list, handler);
+}
+
+// Which engine event fires each card trigger.
+const TRIGGER_EVENTS: Partial<Record<AbilityTrigger, EngineEventType>> = {
+  ON_PLAY: "ON_AVATAR_SUMMONED",
+  ON_ATTACK: "ON_ATTACK_DECLARED",
+  ON_DESTROYED: "ON_AVATAR_DESTROYED",
+  ON_CLAIM: "ON_SHARD_CLAIMED",
+  ON_DEAL_ESSENCE_DAMAGE: "ON_ESSENCE_LOSS",
+  ON_TURN_START: "ON_TURN_START",
+  ON_TURN_END: "ON_TURN_END",
+};
+
+function getTriggerSources(player: Player): Card[] {
+  return [
+    player.deity,
+    ...player.avatarLine,
+    ...player.shardRow,
+    ...player.relicSupportZone,
+    ...(player.domainZone ? [player.domainZone] : []),
+  ];
+}
+
+/**
+ * Does this ability, on a card controlled by `controllerId`, trigger on `event`?
+ * THIS_CARD (the default) means the event is about the card itself, or for
+ * turn triggers, its controller's turn. SELF / OPPONENT / ANY widen that to
+ * events about those players' cards or turns.
+ */
+function triggersOn(
+  state: GameState,
+  ability: CardAbility,
+  card: Card,
+  controllerId: string,
+  event: EngineEvent
+): boolean {
+  if (!ability.trigger || TRIGGER_EVENTS[ability.trigger] !== event.type) {
+    return false;
+  }
+  // Counted in the Dawn KL recalculation instead (see getKlBreakdown).
+  if (isStartOfTurnKlAbility(ability)) {
+    return false;
+  }
+  if (ability.trigger === "ON_DEAL_ESSENCE_DAMAGE") {
+    return !!event.damage && event.sourceInstanceId === card.instanceId;
+  }
+
+  const source = ability.triggerSource ?? "THIS_CARD";
+  const isTurnEvent = event.type === "ON_TURN_START" || event.type === "ON_TURN_END";
+
+  switch (source) {
+    case "THIS_CARD":
+      return isTurnEvent ? event.playerId === controllerId : event.instanceId === card.instanceId;
+    case "SELF":
+      return event.playerId === controllerId;
+    case "OPPONENT":
+      return !areTeammates(state, controllerId, event.playerId);
+    case "ANY":
+      return true;
+  }
+}
+
+function collectTriggers(state: GameState, event: EngineEvent): PendingTrigger[] {
+  const triggers: PendingTrigger[] = [];
+  const add = (controllerId: string, card: Card) => {
+    for (const ability of card.abilities) {
+      if (triggersOn(state, ability, card, controllerId, event)) {
+        triggers.push({ controllerId, sourceInstanceId: card.instanceId, ability, event });
+      }
+    }
+  };
+
+  for (const player of state.players) {
+    getTriggerSources(player).forEach((card) => add(player.id, card));
+  }
+
+  // A destroyed Avatar has already left the battlefield but still sees its own death.
+  if (event.type === "ON_AVATAR_DESTROYED" && event.instanceId) {
+    const owner = state.players.find((p) => p.id === event.playerId);
+    const card = owner?.crypt.find((c) => c.instanceId === event.instanceId);
+    if (card) {
+      for (const ability of card.abilities) {
+        if (ability.trigger === "ON_DESTROYED" && (ability.triggerSource ?? "THIS_CARD") === "THIS_CARD") {
+          triggers.push({ controllerId: event.playerId, sourceInstanceId: card.instanceId, ability, event });
+        }
+      }
+    }
+  }
+
+  return triggers;
+}
+
+/**
+ * Announce an event: run the game's listeners, then queue every card ability it triggers
+ * (from all players' permanents and Deities) on state.pendingTriggers.
+ * Queued triggers go on the Shard Chain via putTriggersOnChain once the
+ * current action has finished.
+ */
+export function emitEngineEvent(state: GameState, event: EngineEvent): void {
+  for (const handler of [...(getGameRules(state).eventHandlers[event.type] ?? [])]) {
+    handler(state, event);
+  }
+  state.pendingTriggers.push(...collectTriggers(state, event));
+}
+
+/**
+ * Pending triggers in the order they go on the chain: the active player's
+ * first, then each other player in turn order (so the active player's
+ * resolve last). Order within one player's triggers is kept.
+ */
+export function orderTriggersByActivePlayer(
+  state: GameState,
+  triggers: PendingTrigger[]
+): PendingTrigger[] {
+  const start = state.players.findIndex((p) => p.id === state.activePlayerId);
+  const seat = (playerId: string) => {
+    const index = state.players.findIndex((p) => p.id === playerId);
+    return (index - start + state.players.length) % state.players.length;
+  };
+  return triggers
+    .map((trigger, i) => ({ trigger, i }))
+    .sort((a, b) => seat(a.trigger.controllerId) - seat(b.trigger.controllerId) || a.i - b.i)
+    .map(({ trigger }) => trigger);
+}
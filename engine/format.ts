@@ -0,0 +1,192 @@
+import type { GameState } from "./gameState";
+import type { Player } from "./player";
+
+/**
+ * How a player may redraw their opening hand.
+ * - FULL_REDRAW: shuffle the whole hand back and draw a new one of the same size
+ * - PUT_TO_BOTTOM: put any of the cards on the bottom of the Veiled Deck and
+ *   draw that many
+ */
+export type MulliganRule = "FULL_REDRAW" | "PUT_TO_BOTTOM";
+
+/**
+ * Rules a format may change; anything left out uses DEFAULT_FORMAT_RULES.
+ */
+export interface FormatRules {
+  openingHandSize?: number; // 0 = no opening hands (and no mulligans)
+  mulligan?: MulliganRule;
+  maxMulligans?: number; // per player; 0 = no mulligans
+  maxHandSize?: number; // cards a player may keep at the end of their turn, before card effects
+}
+
+export const DEFAULT_FORMAT_RULES: Required<FormatRules> = {
+  openingHandSize: 5,
+  mulligan: "FULL_REDRAW",
+  maxMulligans: 1,
+  maxHandSize: 7,
+};
+
+/**
+ * How many sides a match has and who plays together, plus its FormatRules.
+ * - DUEL: two players
+ * - FREE_FOR_ALL: every player for themselves, 3 or more seats
+ * - TEAMS: fixed teams of player ids (2v2). With sharedTurns a team takes its
+ *   turn together: turns rotate between teams, and every member plays, attacks
+ *   and draws during it. The first in-game member is the active player who
+ *   moves the phases on.
+ * Seat order is the order of GameState.players.
+ */
+export type GameFormat = (
+  | { kind: "DUEL" }
+  | { kind: "FREE_FOR_ALL" }
+  | { kind: "TEAMS"; teams: string[][]; sharedTurns: boolean }
+) &
+  FormatRules;
+
+export const DUEL_FORMAT: GameFormat = { kind: "DUEL" };
+
+/**
+ * The format's rules with defaults filled in.
+ */
+export function getFormatRules(format: GameFormat): Required<FormatRules> {
+  return {
+    openingHandSize: format.openingHandSize ?? DEFAULT_FORMAT_RULES.openingHandSize,
+    mulligan: format.mulligan ?? DEFAULT_FORMAT_RULES.mulligan,
+    maxMulligans: format.maxMulligans ?? DEFAULT_FORMAT_RULES.maxMulligans,
+    maxHandSize: format.maxHandSize ?? DEFAULT_FORMAT_RULES.maxHandSize,
+  };
+}
+
+function validateFormatRules(format: GameFormat): void {
+  const rules = getFormatRules(format);
+  for (const key of ["openingHandSize", "maxMulligans", "maxHandSize"] as const) {
+    if (!Number.isInteger(rules[key]) || rules[key] < 0) {
+      throw new Error(`Format rule ${key} must be a whole number of 0 or more, not ${rules[key]}.`);
+    }
+  }
+  if (rules.mulligan !== "FULL_REDRAW" && rules.mulligan !== "PUT_TO_BOTTOM") {
+    throw new Error(`Unknown mulligan rule ${String(rules.mulligan)}.`);
+  }
+}
+
+/**
+ * Throws if the format doesn't fit the players at the table, or its rules
+ * are out of range.
+ */
+export function validateFormat(format: GameFormat, playerIds: string[]): void {
+  validateFormatRules(format);
+  switch (format.kind) {
+    case "DUEL":
+      if (playerIds.length !== 2) {
+        throw new Error(`A duel needs exactly 2 players, not ${playerIds.length}.`);
+      }
+      return;
+    case "FREE_FOR_ALL":
+      if (playerIds.length < 2) {
+        throw new Error(`Free-for-all needs at least 2 players, not ${playerIds.length}.`);
+      }
+      return;
+    case "TEAMS": {
+      if (format.teams.length < 2 || format.teams.some((team) => team.length === 0)) {
+        throw new Error("A team game needs at least 2 teams with at least 1 player each.");
+      }
+      const seated = format.teams.flat();
+      if (new Set(seated).size !== seated.length) {
+        throw new Error("A player cannot be on two teams.");
+      }
+      const missing = playerIds.filter((id) => !seated.includes(id));
+      const unknown = seated.filter((id) => !playerIds.includes(id));
+      if (missing.length > 0 || unknown.length > 0) {
+        throw new Error(
+          `Teams must list every player exactly once (missing: ${missing.join(", ") || "none"}, unknown: ${unknown.join(", ") || "none"}).`
+        );
+      }
+      return;
+    }
+  }
+}
+
+function isInGame(player: Player): boolean {
+  return player.lossReason === null;
+}
+
+/**
+ * Ids of the players on `playerId`'s team, including them.
+ * Outside team games every player is a team of one.
+ */
+export function getTeam(state: GameState, playerId: string): string[] {
+  const format = state.format;
+  if (format.kind === "TEAMS") {
+    const team = format.teams.find((t) => t.includes(playerId));
+    if (team) return [...team];
+  }
+  return [playerId];
+}
+
+export function areTeammates(state: GameState, playerId: string, otherId: string): boolean {
+  return getTeam(state, playerId).includes(otherId);
+}
+
+/**
+ * Opponents of a player still in the game, in seat order starting after them.
+ * "Target opponent" effects and attacks choose among these.
+ */
+export function getOpponents(state: GameState, playerId: string): Player[] {
+  const seat = state.players.findIndex((p) => p.id === playerId);
+  return state.players
+    .map((_, i) => state.players[(seat + 1 + i) % state.players.length])
+    .filter((p) => isInGame(p) && !areTeammates(state, playerId, p.id));
+}
+
+/**
+ * Players whose turn it is: the active player, plus their in-game teammates
+ * when the team shares turns.
+ */
+export function getTurnPlayers(state: GameState): Player[] {
+  const format = state.format;
+  const shared = format.kind === "TEAMS" && format.sharedTurns;
+  return state.players.filter(
+    (p) =>
+      p.id === state.activePlayerId ||
+      (shared && isInGame(p) && areTeammates(state, state.activePlayerId, p.id))
+  );
+}
+
+/**
+ * Is it this player's turn (their own, or their team's shared turn)?
+ */
+export function isTurnPlayer(state: GameState, playerId: string): boolean {
+  return getTurnPlayers(state).some((p) => p.id === playerId);
+}
+
+/**
+ * The next player in seat order after `playerId` who is still in the game
+ * (used for priority). Returns `playerId` itself if nobody else is left.
+ */
+export function getNextPlayerInGame(state: GameState, playerId: string): string {
+  const seat = state.players.findIndex((p) => p.id === playerId);
+  for (let i = 1; i <= state.players.length; i++) {
+    const next = state.players[(seat + i) % state.players.length];
+    if (isInGame(next)) return next.id;
+  }
+  return playerId;
+}
+
+/**
+ * Who takes the next turn. Seats rotate and skip players who have lost;
+ * with shared turns, turns rotate between teams and go to each team's
+ * first in-game member.
+ */
+export function getNextTurnPlayerId(state: GameState): string {
+  const format = state.format;
+  if (format.kind === "TEAMS" && format.sharedTurns) {
+    const current = format.teams.findIndex((t) => t.includes(state.activePlayerId));
+    for (let i = 1; i <= format.teams.length; i++) {
+      const team = format.teams[(current + i) % format.teams.length];
+      const lead = state.players.find((p) => team.includes(p.id) && isInGame(p));
+      if (lead) return lead.id;
+    }
+    return state.activePlayerId;
+  }
+  return getNextPlayerInGame(state, state.activePlayerId);
+}
@@ -1,9 +1,30 @@
 import { Player } from "./player";
+import { Phase } from "./phases";
+import { ShardChain } from "./chain";
+import { RngState } from "./rng";
+import { PendingCombat } from "./combat";
+import { PendingTrigger, PendingTriggerTargets } from "./events";
+import { GameResult } from "./stateBased";
+import { GameFormat } from "./format";
+import { OpeningState } from "./opening";
+import { PendingDiscard } from "./handSize";
+import { PendingChoice } from "./choices";
 
 export interface GameState {
-  players: Player[];
+  players: Player[]; // in seat order
+  format: GameFormat; // duel, free-for-all or teams
   activePlayerId: string;
   firstPlayerId: string;
   turnNumber: number;
-  // We can extend this later with phase, stack, etc.
+  phase: Phase;
+  chain: ShardChain;
+  rng: RngState;
+  combat: PendingCombat | null; // declared attackers waiting for blocks
+  pendingTriggers: PendingTrigger[]; // triggered, not yet on the Shard Chain
+  pendingTriggerTargets: PendingTriggerTargets | null; // a trigger waiting for its controller to choose targets
+  nextInstanceId: number; // counter for createCardInstance
+  result: GameResult | null; // set by the state-based action check when the match ends
+  opening: OpeningState | null; // mulligan decisions still open before turn 1
+  pendingDiscards: PendingDiscard[]; // hand size discards owed before the turn can end
+  pendingChoices: PendingChoice[]; // choices a resolving chain link is waiting for
 }
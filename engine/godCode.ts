@@ -0,0 +1,152 @@
+import type { GameState } from "./gameState";
+import type { Player } from "./player";
+import type { Card, CardAbility } from "./card";
+import { addToChain, checkAddToChain, ABILITY_LINK_KIND, type ChainLink, type ChainTarget } from "./chain";
+import { checkCondition } from "./abilities";
+import { checkSpendGodCharges, spendGodCharges } from "./resources";
+import { isTurnPlayer } from "./format";
+import { emitEngineEvent } from "./events";
+import { throwIfViolated, violation, type RuleViolation } from "./violations";
+
+/**
+ * God Codes.
+ * - a Deity's God Code is its GOD_CODE ability: effects, targets and cost as data
+ * - God Charges are earned by crossing GOD_THRESHOLD_KL (see checkGodThreshold)
+ *   and spent as the ability's cost.godCharges (1 if the card doesn't say)
+ * - only on your own turn, never before MIN_TURN_FOR_GOD_CHARGE_SPEND
+ * - oncePerGame God Codes are remembered in the Deity's abilitiesUsedThisGame
+ * - the God Code goes on the Shard Chain at fast speed, like activated abilities
+ */
+
+function getPlayer(state: GameState, playerId: string): Player {
+  const player = state.players.find((p) => p.id === playerId);
+  if (!player) {
+    throw new Error(`Player with id ${playerId} not found in GameState.`);
+  }
+  return player;
+}
+
+/**
+ * The Deity's God Code ability, if it has one.
+ */
+export function getGodCode(deity: Card): CardAbility | undefined {
+  return deity.abilities.find((a) => a.trigger === "GOD_CODE");
+}
+
+/**
+ * God Charges this God Code costs.
+ */
+export function getGodCodeChargeCost(ability: CardAbility): number {
+  return ability.cost?.godCharges ?? 1;
+}
+
+/**
+ * Has this once-per-game God Code already been used?
+ */
+export function isGodCodeSpent(deity: Card, ability: CardAbility): boolean {
+  return ability.oncePerGame === true && (deity.abilitiesUsedThisGame ?? []).includes(ability.id);
+}
+
+// Everything but targets and chain timing.
+function checkGodCodeReady(state: GameState, playerId: string): RuleViolation | null {
+  const player = getPlayer(state, playerId);
+  const ability = getGodCode(player.deity);
+  if (!ability) {
+    return violation("ABILITY_UNAVAILABLE", `The Deity of player ${playerId} has no God Code.`, {
+      instanceId: player.deity.instanceId,
+    });
+  }
+  if (isGodCodeSpent(player.deity, ability)) {
+    return violation("ABILITY_UNAVAILABLE", `God Code ${ability.label} has already been used this game.`, {
+      instanceId: player.deity.instanceId,
+      abilityId: ability.id,
+      oncePerGame: true,
+    });
+  }
+  if (!isTurnPlayer(state, playerId)) {
+    return violation("NOT_YOUR_TURN", `God Codes can only be activated on your own turn.`, {
+      activePlayerId: state.activePlayerId,
+    });
+  }
+  if (!checkCondition(state, playerId, ability.condition)) {
+    return violation("ABILITY_UNAVAILABLE", `The condition for God Code ${ability.label} is not met.`, {
+      instanceId: player.deity.instanceId,
+      abilityId: ability.id,
+      condition: ability.condition,
+    });
+  }
+  return checkSpendGodCharges(player, getGodCodeChargeCost(ability), state.turnNumber);
+}
+
+/**
+ * Could the player activate their Deity's God Code now, with these targets?
+ * Returns the first rule it breaks, without spending anything.
+ */
+export function checkActivateGodCode(
+  state: GameState,
+  playerId: string,
+  targets: ChainTarget[] = []
+): RuleViolation | null {
+  const ready = checkGodCodeReady(state, playerId);
+  if (ready) return ready;
+
+  const player = getPlayer(state, playerId);
+  return checkAddToChain(
+    state,
+    {
+      kind: ABILITY_LINK_KIND,
+      controllerId: playerId,
+      sourceInstanceId: player.deity.instanceId,
+      targets,
+      data: { ability: getGodCode(player.deity)! },
+    },
+    true
+  );
+}
+
+/**
+ * Could the player activate their God Code now with some choice of targets?
+ * For legal-action lists; targets are checked when it is actually activated.
+ */
+export function canActivateGodCode(state: GameState, playerId: string): boolean {
+  return checkGodCodeReady(state, playerId) === null;
+}
+
+/**
+ * Activate the player's God Code: spend its God Charges, mark it used if it is
+ * once per game, and put it on the Shard Chain at fast speed.
+ * Fires ON_DEITY_ABILITY_USED with the charges spent.
+ */
+export function activateGodCode(state: GameState, playerId: string, targets: ChainTarget[] = []): ChainLink {
+  throwIfViolated(checkActivateGodCode(state, playerId, targets));
+
+  const player = getPlayer(state, playerId);
+  const deity = player.deity;
+  const ability = getGodCode(deity)!;
+  const charges = getGodCodeChargeCost(ability);
+
+  const link = addToChain(
+    state,
+    {
+      kind: ABILITY_LINK_KIND,
+      controllerId: playerId,
+      sourceInstanceId: deity.instanceId,
+      targets,
+      data: { ability },
+    },
+    true
+  );
+
+  spendGodCharges(player, charges, state.turnNumber);
+  if (ability.oncePerGame) {
+    deity.abilitiesUsedThisGame = [...(deity.abilitiesUsedThisGame ?? []), ability.id];
+  }
+  emitEngineEvent(state, {
+    type: "ON_DEITY_ABILITY_USED",
+    playerId,
+    instanceId: deity.instanceId,
+    amount: charges,
+  });
+
+  return link;
+}
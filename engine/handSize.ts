@@ -0,0 +1,121 @@
+import type { GameState } from "./gameState";
+import type { Player } from "./player";
+import { getStaticPlayerEffects } from "./abilities";
+import { discardFromHand } from "./movement";
+import { startTurn } from "./turn";
+import { getFormatRules, getTurnPlayers } from "./format";
+import { throwIfViolated, violation, type RuleViolation } from "./violations";
+
+/**
+ * A player who ended their turn over their maximum hand size and has to
+ * choose `count` cards to discard before the turn can end.
+ */
+export interface PendingDiscard {
+  playerId: string;
+  count: number;
+}
+
+function getPlayer(state: GameState, playerId: string): Player {
+  const player = state.players.find((p) => p.id === playerId);
+  if (!player) {
+    throw new Error(`Player with id ${playerId} not found in GameState.`);
+  }
+  return player;
+}
+
+/**
+ * A player's maximum hand size: the format's maxHandSize plus every
+ * MODIFY_HAND_SIZE effect of a STATIC ability (Deity or battlefield) that
+ * covers them. Never below 0.
+ */
+export function getMaxHandSize(state: GameState, playerId: string): number {
+  const size = getStaticPlayerEffects(state, playerId, "MODIFY_HAND_SIZE").reduce(
+    (total, { effect }) => total + effect.amount,
+    getFormatRules(state.format).maxHandSize
+  );
+  return Math.max(0, size);
+}
+
+/**
+ * How many cards the player is over their maximum hand size (0 if not).
+ */
+export function getHandSizeExcess(state: GameState, playerId: string): number {
+  return Math.max(0, getPlayer(state, playerId).hand.length - getMaxHandSize(state, playerId));
+}
+
+/**
+ * Called as a turn ends: every turn player over their maximum hand size
+ * gets a PendingDiscard. Returns true if anyone has to discard, in which
+ * case the turn doesn't end until they have.
+ */
+export function beginHandSizeDiscards(state: GameState): boolean {
+  state.pendingDiscards = getTurnPlayers(state)
+    .filter((p) => p.lossReason === null)
+    .map((p) => ({ playerId: p.id, count: getHandSizeExcess(state, p.id) }))
+    .filter((d) => d.count > 0);
+  return state.pendingDiscards.length > 0;
+}
+
+/**
+ * DECISION_PENDING while a player still has to discard down to their
+ * maximum hand size.
+ */
+export function checkNoPendingDiscards(state: GameState, actionName: string): RuleViolation | null {
+  if (state.pendingDiscards.length > 0) {
+    return violation(
+      "DECISION_PENDING",
+      `Cannot ${actionName} until every player has discarded down to their maximum hand size.`,
+      { pendingDiscards: state.pendingDiscards.map((d) => ({ ...d })) }
+    );
+  }
+  return null;
+}
+
+/**
+ * Can this player discard exactly these cards for the hand size limit?
+ * They must owe a discard, and name that many different cards from their hand.
+ */
+export function checkDiscardToHandSize(
+  state: GameState,
+  playerId: string,
+  instanceIds: string[]
+): RuleViolation | null {
+  const player = getPlayer(state, playerId);
+  const pending = state.pendingDiscards.find((d) => d.playerId === playerId);
+  if (!pending) {
+    return violation("NO_PENDING_DECISION", `Player ${playerId} has no cards to discard.`);
+  }
+  if (instanceIds.length !== pending.count) {
+    return violation("INVALID_CHOICE", `Choose exactly ${pending.count} card(s) to discard.`, {
+      count: pending.count,
+      chosen: instanceIds.length,
+    });
+  }
+  if (new Set(instanceIds).size !== instanceIds.length) {
+    return violation("INVALID_CHOICE", "Each card can only be discarded once.", {
+      instanceIds: [...instanceIds],
+    });
+  }
+  const missing = instanceIds.find((id) => !player.hand.some((c) => c.instanceId === id));
+  if (missing !== undefined) {
+    return violation("NOT_IN_HAND", `Card ${missing} is not in the hand of player ${playerId}.`, {
+      instanceId: missing,
+    });
+  }
+  return null;
+}
+
+/**
+ * The player discards the chosen cards to their Crypt. Once the last
+ * pending discard is made, the turn ends (startTurn) as it was about to.
+ */
+export function discardToHandSize(state: GameState, playerId: string, instanceIds: string[]): void {
+  throwIfViolated(checkDiscardToHandSize(state, playerId, instanceIds));
+  for (const instanceId of instanceIds) {
+    discardFromHand(state, playerId, instanceId);
+  }
+  state.pendingDiscards = state.pendingDiscards.filter((d) => d.playerId !== playerId);
+  if (state.pendingDiscards.length === 0) {
+    startTurn(state);
+  }
+}
@@ -1,3 +1,4 @@
-// Entry point for the Essence Crown engine.
-// Real logic will live in other files under src/engine/.
-export {};
+// Entry point for the Essence Crown engine: the public API plus the Zone enum
+// that card setups need.
+export * from "./api";
+export { Zone } from "./zones";
@@ -0,0 +1,44 @@
+import type { GameState } from "./gameState";
+import type { Card, CardData } from "./card";
+
+/**
+ * Turn card data into a card in this match with its own instanceId,
+ * like Game.createCardInstance on the UI side. Ids look like "EC-003#12":
+ * the printed ID plus a per-match counter, so three copies of a card are
+ * three different instances.
+ */
+export function createCardInstance(
+  counter: Pick<GameState, "nextInstanceId">,
+  data: CardData
+): Card {
+  const instanceId = `${data.cardId}#${counter.nextInstanceId}`;
+  counter.nextInstanceId += 1;
+  return {
+    ...data,
+    instanceId,
+    keywords: [...data.keywords],
+    temporaryModifiers: [...data.temporaryModifiers],
+  };
+}
+
+/**
+ * Find a card anywhere in the match (any player, any zone, the Shard Chain).
+ */
+export function findCardByInstanceId(state: GameState, instanceId: string): Card | null {
+  for (const player of state.players) {
+    const zones: Card[] = [
+      player.deity,
+      ...player.hand,
+      ...player.veiledDeck,
+      ...player.crypt,
+      ...player.nullZone,
+      ...(player.domainZone ? [player.domainZone] : []),
+      ...player.shardRow,
+      ...player.avatarLine,
+      ...player.relicSupportZone,
+    ];
+    const found = zones.find((c) => c.instanceId === instanceId);
+    if (found) return found;
+  }
+  return state.chain.links.find((l) => l.card?.instanceId === instanceId)?.card ?? null;
+}
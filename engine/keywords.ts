@@ -0,0 +1,51 @@
+import type { Card } from "./card";
+
+/**
+ * Keyword abilities the engine enforces itself.
+ * - GUARDIAN: while its controller has one, attacks must target a Guardian,
+ *   and while one is untapped only Guardians may block.
+ * - HASTE: can attack the turn it enters play.
+ * - STEALTH: can't be attacked or targeted by opponents' Spells and abilities;
+ *   lost when it attacks.
+ * - ECHO: a temporary copy; sent to the Crypt at the end of the turn.
+ * - CROWNBOUND: its abilities only work while its controller controls it
+ *   (Shards: "Crownbound - As long as you control this Shard, ...").
+ */
+export type Keyword = "GUARDIAN" | "HASTE" | "STEALTH" | "ECHO" | "CROWNBOUND";
+
+export const KEYWORDS: readonly Keyword[] = ["GUARDIAN", "HASTE", "STEALTH", "ECHO", "CROWNBOUND"];
+
+/**
+ * Is this string (any case) a keyword the engine knows?
+ */
+export function isKeyword(name: string): name is Keyword {
+  return (KEYWORDS as readonly string[]).includes(name.toUpperCase());
+}
+
+/**
+ * Keywords printed on a card as keyword abilities (abilities whose id is the
+ * keyword name). Used to fill Card.keywords when a card is built.
+ */
+export function getPrintedKeywords(card: Pick<Card, "abilities">): Keyword[] {
+  const found = card.abilities
+    .map((a) => a.id.toUpperCase())
+    .filter((id): id is Keyword => isKeyword(id));
+  return [...new Set(found)];
+}
+
+export function hasKeyword(card: Card, keyword: Keyword): boolean {
+  return card.keywords.includes(keyword);
+}
+
+/**
+ * Give a card a keyword ("gains Stealth"). No-op if it already has it.
+ */
+export function addKeyword(card: Card, keyword: Keyword): void {
+  if (!card.keywords.includes(keyword)) {
+    card.keywords.push(keyword);
+  }
+}
+
+export function removeKeyword(card: Card, keyword: Keyword): void {
+  card.keywords = card.keywords.filter((k) => k !== keyword);
+}
@@ -0,0 +1,202 @@
+import type { GameState } from "./gameState";
+import type { Player } from "./player";
+import type { Card, KlExpiry, KlRestriction } from "./card";
+import { throwIfViolated, violation, type RuleViolation } from "./violations";
+
+/**
+ * Typed Essence: KL in a player's klPool rather than their currentKl.
+ * - ADD_KL effects (Essence cards: "generate 2 Sun Essence usable only to
+ *   cast Avatars aligned with Shattered Sun") add a PooledKl entry
+ * - an entry only pays for cards its KlRestriction allows, and is lost when
+ *   it expires
+ * - a card's KL cost is paid from pooled KL and currentKl together (a
+ *   KlPayment); without one, getDefaultKlPayment picks the cheapest legal way
+ * - pooled KL doesn't count as KL for the God threshold, and ability costs
+ *   (AbilityCost.kl) are only paid from currentKl
+ */
+
+export interface PooledKl {
+  id: number; // unique within the player's pool
+  label: string; // "Sun Essence"
+  amount: number;
+  sourceInstanceId: string;
+  restriction?: KlRestriction;
+  expires: KlExpiry;
+}
+
+/**
+ * How a card's KL cost is paid: `pooled` from klPool entries (by id) and
+ * `kl` from currentKl, adding up to the cost.
+ */
+export interface KlPayment {
+  pooled: { id: number; amount: number }[];
+  kl: number;
+}
+
+/**
+ * Does the card fit the restriction? No restriction fits every card.
+ */
+export function matchesKlRestriction(restriction: KlRestriction | undefined, card: Card): boolean {
+  if (!restriction) return true;
+  if (restriction.typeLines && !restriction.typeLines.includes(card.typeLine)) {
+    return false;
+  }
+  if (restriction.domainTag !== undefined) {
+    const wanted = restriction.domainTag.toLowerCase();
+    const tags = (card.domainTag ?? "").split("/").map((tag) => tag.trim().toLowerCase());
+    if (!tags.includes(wanted)) return false;
+  }
+  return true;
+}
+
+function typeCount(restriction: KlRestriction | undefined): number {
+  return restriction?.typeLines?.length ?? Number.MAX_SAFE_INTEGER;
+}
+
+// Most restricted first, then the one expiring sooner, then the oldest.
+function compareSpendOrder(a: PooledKl, b: PooledKl): number {
+  return (
+    Number(b.restriction?.domainTag !== undefined) - Number(a.restriction?.domainTag !== undefined) ||
+    typeCount(a.restriction) - typeCount(b.restriction) ||
+    Number(b.expires === "END_OF_PHASE") - Number(a.expires === "END_OF_PHASE") ||
+    a.id - b.id
+  );
+}
+
+/**
+ * The player's pooled KL that can pay for this card, in the order the
+ * default payment spends it: KL that pays for fewer cards goes first, so the
+ * more flexible KL is kept for later.
+ */
+export function getUsablePooledKl(player: Player, card: Card): PooledKl[] {
+  return player.klPool.filter((entry) => matchesKlRestriction(entry.restriction, card)).sort(compareSpendOrder);
+}
+
+/**
+ * All the KL that could pay for this card: currentKl plus usable pooled KL.
+ */
+export function getAvailableKl(player: Player, card: Card): number {
+  return getUsablePooledKl(player, card).reduce((total, entry) => total + entry.amount, player.currentKl);
+}
+
+/**
+ * The cheapest legal way to pay for the card: usable pooled KL in spend
+ * order (see getUsablePooledKl), then currentKl. Null if it can't be paid.
+ */
+export function getDefaultKlPayment(player: Player, card: Card): KlPayment | null {
+  let owed = card.klCost ?? 0;
+  const payment: KlPayment = { pooled: [], kl: 0 };
+  for (const entry of getUsablePooledKl(player, card)) {
+    if (owed === 0) break;
+    const amount = Math.min(owed, entry.amount);
+    payment.pooled.push({ id: entry.id, amount });
+    owed -= amount;
+  }
+  if (owed > player.currentKl) return null;
+  payment.kl = owed;
+  return payment;
+}
+
+/**
+ * Could the card be paid for in more than one way? Only then is it worth
+ * asking the player; otherwise the default payment is the only one.
+ */
+export function hasKlPaymentChoice(player: Player, card: Card): boolean {
+  const sources = getUsablePooledKl(player, card).length + (player.currentKl > 0 ? 1 : 0);
+  return sources > 1 && getAvailableKl(player, card) > (card.klCost ?? 0);
+}
+
+/**
+ * Can the player pay the card's KL cost, with `payment` if given (else the
+ * default payment)?
+ * - INSUFFICIENT_KL: there isn't enough KL that can pay for it
+ * - INVALID_CHOICE: the payment uses pooled KL that isn't there or can't pay
+ *   for this card, takes more than there is, or doesn't add up to the cost
+ */
+export function checkKlPayment(player: Player, card: Card, payment?: KlPayment): RuleViolation | null {
+  const cost = card.klCost ?? 0;
+  if (cost < 0) {
+    throw new Error(`Card ${card.instanceId} has negative KL cost, which is invalid.`);
+  }
+  const available = getAvailableKl(player, card);
+  if (available < cost) {
+    return violation(
+      "INSUFFICIENT_KL",
+      `Player ${player.id} cannot pay KL cost ${cost} for card ${card.instanceId} (only ${available} KL available).`,
+      { instanceId: card.instanceId, cost, available }
+    );
+  }
+  if (!payment) return null;
+
+  const usable = getUsablePooledKl(player, card);
+  const seen = new Set<number>();
+  for (const part of payment.pooled) {
+    const entry = usable.find((e) => e.id === part.id);
+    if (!entry || seen.has(part.id)) {
+      return violation("INVALID_CHOICE", `Pooled KL ${part.id} cannot pay for card ${card.instanceId}.`, {
+        instanceId: card.instanceId,
+        pooledId: part.id,
+      });
+    }
+    seen.add(part.id);
+    if (!Number.isInteger(part.amount) || part.amount < 1 || part.amount > entry.amount) {
+      return violation("INVALID_CHOICE", `Cannot take ${part.amount} from ${entry.label} (${entry.amount} left).`, {
+        pooledId: part.id,
+        amount: part.amount,
+        available: entry.amount,
+      });
+    }
+  }
+  if (!Number.isInteger(payment.kl) || payment.kl < 0 || payment.kl > player.currentKl) {
+    return violation("INVALID_CHOICE", `Cannot pay ${payment.kl} of ${player.currentKl} KL.`, {
+      kl: payment.kl,
+      available: player.currentKl,
+    });
+  }
+  const paid = payment.pooled.reduce((total, part) => total + part.amount, payment.kl);
+  if (paid !== cost) {
+    return violation("INVALID_CHOICE", `The payment adds up to ${paid} KL, but ${card.name} costs ${cost}.`, {
+      instanceId: card.instanceId,
+      cost,
+      paid,
+    });
+  }
+  return null;
+}
+
+/**
+ * Pay the card's KL cost (see checkKlPayment) and return how it was paid.
+ * Pooled KL that is used up leaves the pool.
+ */
+export function payKlCost(player: Player, card: Card, payment?: KlPayment): KlPayment {
+  throwIfViolated(checkKlPayment(player, card, payment));
+  const paid = payment ?? getDefaultKlPayment(player, card)!;
+  for (const part of paid.pooled) {
+    const entry = player.klPool.find((e) => e.id === part.id)!;
+    entry.amount -= part.amount;
+  }
+  player.klPool = player.klPool.filter((entry) => entry.amount > 0);
+  player.currentKl -= paid.kl;
+  return paid;
+}
+
+/**
+ * Add KL to the player's pool (an ADD_KL effect). Returns the new entry.
+ */
+export function addPooledKl(player: Player, entry: Omit<PooledKl, "id">): PooledKl {
+  const id = player.klPool.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+  const pooled: PooledKl = { id, ...entry };
+  player.klPool.push(pooled);
+  return pooled;
+}
+
+/**
+ * Unspent pooled KL is lost: END_OF_PHASE entries when a phase ends, and
+ * every entry when the turn ends.
+ */
+export function expirePooledKl(state: GameState, expiry: KlExpiry): void {
+  for (const player of state.players) {
+    player.klPool =
+      expiry === "END_OF_TURN" ? [] : player.klPool.filter((entry) => entry.expires !== "END_OF_PHASE");
+  }
+}
@@ -0,0 +1,259 @@
+import type { GameState } from "./gameState";
+import type { Player } from "./player";
+import type { Card, CardType } from "./card";
+import { Phase } from "./phases";
+import { isChainEmpty, isFastSpell, type ChainTarget } from "./chain";
+import { canAttack, canBlock, getLegalAttackTargets, type BlockDeclaration } from "./combat";
+import { MAX_DOMAINS_PER_TURN } from "./movement";
+import { getFormatRules, getOpponents, isTurnPlayer, type MulliganRule } from "./format";
+import { getMulligansLeft } from "./opening";
+import { canActivateGodCode, getGodCode, getGodCodeChargeCost } from "./godCode";
+import { getAttachSpec, getLegalBearers } from "./attachments";
+import { getAvailableKl, hasKlPaymentChoice } from "./klPool";
+import { AVATAR_LINE_LIMIT } from "./tokens";
+import { checkCondition, getAbilities, getActivatableAbilities, suggestTriggerTargets } from "./abilities";
+import { getOpenChoice } from "./choices";
+
+/**
+ * One thing a player may do right now.
+ * These are options, not full Actions: an attacker lists every legal target,
+ * a blocker lists every attack it may block (the defender submits its picks,
+ * or no blocks at all, with ASSIGN_BLOCKERS), a multi-blocked attacker lists
+ * the blockers to put in damage assignment order. UIs highlight from them, the AI
+ * searches over them, and input can be checked against them.
+ */
+export type LegalAction =
+  | { type: "KEEP_HAND" }
+  | { type: "MULLIGAN"; rule: MulliganRule; mulligansLeft: number }
+  | { type: "ADVANCE_PHASE" }
+  | { type: "DISCARD"; count: number } // choose exactly `count` cards from hand
+  | { type: "CHOOSE"; count: number; options: string[] } // choose exactly `count` of the options (instance ids)
+  | {
+      type: "CHOOSE_TARGETS"; // targets for a triggered ability, one per TargetSpec
+      sourceInstanceId: string;
+      abilityId: string;
+      options: ChainTarget[][]; // legal targets for each TargetSpec
+      suggested: ChainTarget[]; // see suggestTriggerTargets
+    }
+  | { type: "PASS_PRIORITY" }
+  | {
+      type: "PLAY_CARD";
+      instanceId: string;
+      typeLine: CardType;
+      fast: boolean;
+      bearers?: ChainTarget[]; // cards that attach: what they may be attached to
+      paymentChoice?: boolean; // true when the KL pool gives more than one way to pay
+    }
+  | {
+      type: "ATTACK";
+      attackerInstanceId: string;
+      defendingPlayerId: string;
+      targetInstanceIds: (string | undefined)[]; // undefined = the Deity
+    }
+  | { type: "BLOCK"; blockerInstanceId: string; attackerInstanceIds: string[] }
+  | { type: "ASSIGN_BLOCKERS"; blocks: BlockDeclaration[] } // always offered with no blocks: "declare no blockers"
+  | { type: "ORDER_BLOCKERS"; attackerInstanceId: string; blockerInstanceIds: string[] }
+  | { type: "ACTIVATE_ABILITY"; instanceId: string; abilityId: string } // an ACTIVATED ability, on the Deity or battlefield
+  | { type: "ACTIVATE_GOD_CODE"; abilityId: string; charges: number }; // charges = what it costs
+
+const PLAYABLE_FROM_HAND: CardType[] = [
+  "DOMAIN",
+  "SHARD",
+  "AVATAR",
+  "RELIC",
+  "SUPPORT",
+  "ESSENCE",
+  "SPELL",
+  "RITE",
+];
+
+// currentKl plus pooled KL that can pay for the card (see klPool.ts)
+function canAfford(player: Player, card: Card): boolean {
+  return (card.klCost ?? 0) <= getAvailableKl(player, card);
+}
+
+/**
+ * Can this card be played from hand at this moment?
+ * Permanents, normal Spells and Rites: Main Phase, empty chain, own turn.
+ * FAST Spells: with priority on an open chain, or any phase on your own turn.
+ * Spells and Rites also need their casting conditions met.
+ */
+function canPlayFromHand(state: GameState, player: Player, card: Card): boolean {
+  if (!PLAYABLE_FROM_HAND.includes(card.typeLine)) return false;
+  if (!canAfford(player, card)) return false;
+  // Spells and Rites need their conditions met and something to target.
+  const spellAbilities = getAbilities(card, "SPELL");
+  if (!spellAbilities.every((a) => checkCondition(state, player.id, a.condition))) return false;
+  if (spellAbilities.some((a) => suggestTriggerTargets(state, player.id, a) === null)) return false;
+
+  const chainOpen = !isChainEmpty(state);
+  if (isFastSpell(card)) {
+    return chainOpen
+      ? state.chain.priorityPlayerId === player.id
+      : isTurnPlayer(state, player.id) && !state.combat;
+  }
+
+  if (chainOpen || state.combat) return false;
+  if (!isTurnPlayer(state, player.id) || state.phase !== Phase.MAIN) return false;
+  if (card.typeLine === "DOMAIN" && player.domainsPlayedThisTurn >= MAX_DOMAINS_PER_TURN) {
+    return false;
+  }
+  if (card.typeLine === "AVATAR" && player.avatarLine.length >= AVATAR_LINE_LIMIT) {
+    return false;
+  }
+  return true;
+}
+
+
+/**
+ * Everything `playerId` may legally do in the current state.
+ * Accounts for phase, KL, the Domain-per-turn limit, summoning sickness,
+ * Guardian targeting, pending combat and Shard Chain priority. Spells need a
+ * legal target, and activated abilities their cost, condition and unused
+ * once-per-turn or once-per-game use.
+ * Before turn 1 only the opening hand decisions (keep or mulligan) are legal;
+ * while hand size discards are owed, only those are, and while a resolving
+ * link waits for choices or a trigger for its targets, only making them is.
+ * Nothing is legal once the game is over or for a player who has lost.
+ */
+export function getLegalActions(state: GameState, playerId: string): LegalAction[] {
+  const player = state.players.find((p) => p.id === playerId);
+  if (!player) return [];
+  if (state.opening?.undecidedPlayerIds.includes(playerId)) {
+    return [
+      { type: "KEEP_HAND" },
+      {
+        type: "MULLIGAN",
+        rule: getFormatRules(state.format).mulligan,
+        mulligansLeft: getMulligansLeft(state, playerId),
+      },
+    ];
+  }
+  const discard = state.pendingDiscards.find((d) => d.playerId === playerId);
+  if (discard) {
+    return [{ type: "DISCARD", count: discard.count }];
+  }
+  if (state.turnNumber === 0 || state.result || player.lossReason !== null) return [];
+  if (state.pendingDiscards.length > 0) return [];
+  const choice = getOpenChoice(state, playerId);
+  if (choice) {
+    return [{ type: "CHOOSE", count: choice.count, options: [...choice.options] }];
+  }
+  if (state.pendingChoices.length > 0) return [];
+  const targeting = state.pendingTriggerTargets;
+  if (targeting) {
+    if (targeting.trigger.controllerId !== playerId) return [];
+    const { trigger, options } = targeting;
+    return [
+      {
+        type: "CHOOSE_TARGETS",
+        sourceInstanceId: trigger.sourceInstanceId,
+        abilityId: trigger.ability.id,
+        options: options.map((list) => list.map((t) => ({ ...t }))),
+        suggested: suggestTriggerTargets(state, playerId, trigger.ability) ?? [],
+      },
+    ];
+  }
+
+  const actions: LegalAction[] = [];
+
+  for (const card of player.hand) {
+    if (!canPlayFromHand(state, player, card)) continue;
+    // An Essence card is only worth playing for an ability it has to use.
+    if (card.typeLine === "ESSENCE" && getAbilities(card, "ACTIVATED").length === 0) continue;
+    const play: LegalAction = {
+      type: "PLAY_CARD",
+      instanceId: card.instanceId,
+      typeLine: card.typeLine,
+      fast: isFastSpell(card),
+    };
+    if (getAttachSpec(card)) {
+      play.bearers = getLegalBearers(state, playerId, card);
+      if (play.bearers.length === 0) continue;
+    }
+    if (hasKlPaymentChoice(player, card)) play.paymentChoice = true;
+    actions.push(play);
+  }
+
+  // Activated abilities are fast: on an open chain too, with priority.
+  for (const { instanceId, abilityId } of getActivatableAbilities(state, playerId)) {
+    actions.push({ type: "ACTIVATE_ABILITY", instanceId, abilityId });
+  }
+
+  // An open chain: the priority holder may respond (above) or pass; nothing else happens.
+  if (!isChainEmpty(state)) {
+    if (state.chain.priorityPlayerId === playerId) {
+      actions.push({ type: "PASS_PRIORITY" });
+    }
+    return actions;
+  }
+
+  // A multi-block waiting on the attacker's damage assignment order.
+  if (state.combat?.awaitingDamageOrder) {
+    if (state.combat.attackingPlayerId === playerId) {
+      const blocks = state.combat.blocks ?? [];
+      for (const attackerInstanceId of state.combat.awaitingDamageOrder) {
+        actions.push({
+          type: "ORDER_BLOCKERS",
+          attackerInstanceId,
+          blockerInstanceIds: blocks
+            .filter((b) => b.attackerInstanceId === attackerInstanceId)
+            .map((b) => b.blockerInstanceId),
+        });
+      }
+    }
+    return actions;
+  }
+
+  // Declared attackers waiting on blocks: only the defender acts.
+  // Several blockers may block the same attacker; declaring no blocks is
+  // always legal, even when nothing can block.
+  if (state.combat) {
+    if (state.combat.defendingPlayerId === playerId) {
+      const blockable = state.combat.attacks
+        .filter((a) => a.targetInstanceId === undefined)
+        .map((a) => a.attackerInstanceId);
+      if (blockable.length > 0) {
+        for (const card of player.avatarLine) {
+          if (canBlock(player, card)) {
+            actions.push({
+              type: "BLOCK",
+              blockerInstanceId: card.instanceId,
+              attackerInstanceIds: [...blockable],
+            });
+          }
+        }
+      }
+      actions.push({ type: "ASSIGN_BLOCKERS", blocks: [] });
+    }
+    return actions;
+  }
+
+  if (!isTurnPlayer(state, playerId)) return actions;
+
+  // On a shared turn only the active player moves the phases on.
+  if (state.activePlayerId === playerId) {
+    actions.push({ type: "ADVANCE_PHASE" });
+  }
+
+  if (state.phase === Phase.CLASH) {
+    for (const card of player.avatarLine) {
+      if (!canAttack(state, card)) continue;
+      for (const defender of getOpponents(state, playerId)) {
+        actions.push({
+          type: "ATTACK",
+          attackerInstanceId: card.instanceId,
+          defendingPlayerId: defender.id,
+          targetInstanceIds: getLegalAttackTargets(defender),
+        });
+      }
+    }
+  }
+
+  const godCode = getGodCode(player.deity);
+  if (godCode && canActivateGodCode(state, playerId)) {
+    actions.push({ type: "ACTIVATE_GOD_CODE", abilityId: godCode.id, charges: getGodCodeChargeCost(godCode) });
+  }
+
+  return actions;
+}
@@ -0,0 +1,73 @@
+import type { GameState } from "./gameState";
+import { applyAction, type Action, type GameEvent } from "./actions";
+import { getGameRules, setGameRules } from "./rules";
+
+/**
+ * A match as initial state + ordered Actions.
+ * Replaying the actions onto a copy of the initial state (which carries the
+ * seeded RNG) rebuilds the exact same match on any machine, given the same
+ * GameRules (the copies keep the initial state's rules).
+ */
+export interface MatchLog {
+  initialState: GameState;
+  actions: Action[];
+}
+
+/**
+ * Deep copy of a GameState. The state is plain data, so a JSON round trip is
+ * enough; the copy is linked to the same GameRules.
+ */
+export function cloneState(state: GameState): GameState {
+  const copy = JSON.parse(JSON.stringify(state)) as GameState;
+  setGameRules(copy, getGameRules(state));
+  return copy;
+}
+
+/**
+ * Start a log from the state the match begins in (before START_GAME).
+ */
+export function createMatchLog(initialState: GameState): MatchLog {
+  return {
+    initialState: cloneState(initialState),
+    actions: [],
+  };
+}
+
+/**
+ * Apply an Action to a copy of `state` and record it.
+ * Returns the new state and its events; an illegal Action throws and
+ * leaves both `state` and the log untouched.
+ */
+export function dispatch(
+  log: MatchLog,
+  state: GameState,
+  action: Action
+): { state: GameState; events: GameEvent[] } {
+  const next = cloneState(state);
+  const events = applyAction(next, action);
+  log.actions.push(action);
+  return { state: next, events };
+}
+
+/**
+ * Rebuild the state after the first `count` actions (all of them by default).
+ */
+export function replayMatch(log: MatchLog, count: number = log.actions.length): GameState {
+  const state = cloneState(log.initialState);
+  for (const action of log.actions.slice(0, count)) {
+    applyAction(state, action);
+  }
+  return state;
+}
+
+/**
+ * Drop the last recorded Action and return the state as it was before it.
+ * Meant for casual play; competitive modes should simply not offer it.
+ */
+export function undoLastAction(log: MatchLog): GameState {
+  if (log.actions.length === 0) {
+    throw new Error("There is no action to undo.");
+  }
+  log.actions.pop();
+  return replayMatch(log);
+}
@@ -0,0 +1,165 @@
+import type { GameState } from "./gameState";
+import type { Player } from "./player";
+import type { Card, ControllerFilter, EffectSubject, StatModifier } from "./card";
+import { Zone } from "./zones";
+import { checkCondition } from "./abilities";
+import { areTeammates } from "./format";
+
+/**
+ * Power and Guard are layered, in order:
+ * 1. base stats printed on the card (Guard defaults to 1)
+ * 2. auras: MODIFY_STATS effects of STATIC abilities on the battlefield
+ * 3. modifiers stuck on the card by effects (Card.temporaryModifiers)
+ * The result never goes below 0. Nothing here mutates card.power / card.guard.
+ */
+
+type StatName = "power" | "guard";
+
+function getBattlefieldCards(player: Player): Card[] {
+  return [
+    ...player.avatarLine,
+    ...player.shardRow,
+    ...player.relicSupportZone,
+    ...(player.domainZone ? [player.domainZone] : []),
+  ];
+}
+
+function matchesController(
+  state: GameState,
+  filter: ControllerFilter | undefined,
+  controllerId: string,
+  playerId: string
+): boolean {
+  switch (filter ?? "ANY") {
+    case "SELF":
+      return playerId === controllerId;
+    case "OPPONENT":
+      return !areTeammates(state, controllerId, playerId);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Does an aura written as `subject` on `source` (controlled by controllerId) cover `card`?
+ * Only SELF, ALL_AVATARS and BEARER make sense for an aura; other subjects cover nothing.
+ */
+function auraCovers(
+  state: GameState,
+  subject: EffectSubject,
+  source: Card,
+  controllerId: string,
+  card: Card
+): boolean {
+  switch (subject.ref) {
+    case "SELF":
+      return card.instanceId === source.instanceId;
+    case "ALL_AVATARS":
+      return (
+        card.zone === Zone.AVATAR_LINE &&
+        matchesController(state, subject.controller, controllerId, card.controllerId) &&
+        (subject.subtype === undefined || card.subtypes.includes(subject.subtype))
+      );
+    case "BEARER":
+      return source.attachedToInstanceId !== undefined && card.instanceId === source.attachedToInstanceId;
+    default:
+      return false;
+  }
+}
+
+function getAuraBonus(state: GameState, card: Card, stat: StatName): number {
+  let total = 0;
+  for (const player of state.players) {
+    for (const source of getBattlefieldCards(player)) {
+      for (const ability of source.abilities) {
+        if (ability.trigger !== "STATIC") continue;
+        if (!checkCondition(state, player.id, ability.condition)) continue;
+
+        for (const effect of ability.effects ?? []) {
+          if (effect.kind !== "MODIFY_STATS") continue;
+          if (!auraCovers(state, effect.subject, source, player.id, card)) continue;
+          if (!checkCondition(state, player.id, effect.condition)) continue;
+          total += effect[stat] ?? 0;
+        }
+      }
+    }
+  }
+  return total;
+}
+
+function controlsSource(state: GameState, modifier: StatModifier): boolean {
+  const controller = state.players.find((p) => p.id === modifier.controllerId);
+  return !!controller && getBattlefieldCards(controller).some((c) => c.instanceId === modifier.sourceInstanceId);
+}
+
+/**
+ * A stored modifier counts unless its source has left its controller's
+ * battlefield (WHILE_SOURCE_CONTROLLED) or its condition is false.
+ */
+export function isModifierActive(state: GameState, modifier: StatModifier): boolean {
+  if (modifier.duration === "WHILE_SOURCE_CONTROLLED" && !controlsSource(state, modifier)) {
+    return false;
+  }
+  return checkCondition(state, modifier.controllerId, modifier.condition);
+}
+
+function getModifierBonus(state: GameState, card: Card, stat: StatName): number {
+  return card.temporaryModifiers
+    .filter((m) => isModifierActive(state, m))
+    .reduce((sum, m) => sum + (m[stat] ?? 0), 0);
+}
+
+/**
+ * Current Power of a card: base + auras + modifiers.
+ */
+export function getEffectivePower(state: GameState, card: Card): number {
+  const base = card.power ?? 0;
+  return Math.max(0, base + getAuraBonus(state, card, "power") + getModifierBonus(state, card, "power"));
+}
+
+/**
+ * Current Guard of a card: base (1 if none) + auras + modifiers.
+ */
+export function getEffectiveGuard(state: GameState, card: Card): number {
+  const base = card.guard ?? 1;
+  return Math.max(0, base + getAuraBonus(state, card, "guard") + getModifierBonus(state, card, "guard"));
+}
+
+/**
+ * Stick a modifier on a card ("gets +2 Power until end of turn").
+ */
+export function addModifier(card: Card, modifier: StatModifier): void {
+  card.temporaryModifiers.push({ ...modifier });
+}
+
+/**
+ * Remove every modifier a given card created, from all cards.
+ * Returns how many were removed.
+ */
+export function removeModifiersFrom(state: GameState, sourceInstanceId: string): number {
+  let removed = 0;
+  for (const player of state.players) {
+    for (const card of getBattlefieldCards(player)) {
+      const kept = card.temporaryModifiers.filter((m) => m.sourceInstanceId !== sourceInstanceId);
+      removed += card.temporaryModifiers.length - kept.length;
+      card.temporaryModifiers = kept;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Cleanup when a turn ends: "until end of turn" modifiers go away, and so do
+ * WHILE_SOURCE_CONTROLLED ones whose source is gone for good.
+ */
+export function expireEndOfTurnModifiers(state: GameState): void {
+  for (const player of state.players) {
+    for (const card of getBattlefieldCards(player)) {
+      card.temporaryModifiers = card.temporaryModifiers.filter(
+        (m) =>
+          m.duration === "PERMANENT" ||
+          (m.duration === "WHILE_SOURCE_CONTROLLED" && controlsSource(state, m))
+      );
+    }
+  }
+}
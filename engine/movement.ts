@@ -1,7 +1,27 @@
 import type { GameState } from "./gameState";
 import type { Player } from "./player";
-import type { Card } from "./card";
+import type { Card, CardType } from "./card";
 import { Zone } from "./zones";
+import { Phase, checkPhase } from "./phases";
+import {
+  addToChain,
+  checkAddToChain,
+  checkChainEmpty,
+  isFastSpell,
+  SPELL_LINK_KIND,
+  type ChainLink,
+  type ChainTarget,
+} from "./chain";
+import { shuffleInPlace } from "./rng";
+import { emitEngineEvent } from "./events";
+import { isTurnPlayer } from "./format";
+import { attachToBearer, checkAttach, getAttachSpec } from "./attachments";
+import { checkCondition, getAbilities } from "./abilities";
+import { checkKlPayment, payKlCost, type KlPayment } from "./klPool";
+import { AVATAR_LINE_LIMIT } from "./tokens";
+import { throwIfViolated, violation, type RuleViolation } from "./violations";
+
+export const MAX_DOMAINS_PER_TURN = 1;
 
 function getPlayer(state: GameState, playerId: string): Player {
   const player = state.players.find((p) => p.id === playerId);
@@ -11,38 +31,173 @@ function getPlayer(state: GameState, playerId: string): Player {
   return player;
 }
 
-function findCardInZone(zone: Card[], cardId: string): { card: Card; index: number } {
-  const index = zone.findIndex((c) => c.cardId === cardId);
+function findCardInHand(player: Player, instanceId: string): { card: Card; index: number } {
+  const index = player.hand.findIndex((c) => c.instanceId === instanceId);
   if (index === -1) {
-    throw new Error(`Card ${cardId} not found in expected zone.`);
+    throw new Error(`Card ${instanceId} not found in expected zone.`);
   }
-  return { card: zone[index], index };
+  return { card: player.hand[index], index };
+}
+
+// A card leaving the battlefield goes to the Crypt or Null zone, except a
+// token, which ceases to exist (see tokens.ts).
+function putInPile(pile: Card[], card: Card): void {
+  if (!card.isToken) pile.push(card);
 }
 
-function spendKlForCard(player: Player, card: Card): void {
-  const cost = card.klCost ?? 0;
-  if (cost < 0) {
-    throw new Error(`Card ${card.cardId} has negative KL cost, which is invalid.`);
+function notInHand(player: Player, instanceId: string): RuleViolation {
+  return violation("NOT_IN_HAND", `Card ${instanceId} is not in the hand of player ${player.id}.`, {
+    instanceId,
+  });
+}
+
+// Card types played as permanents, and how messages name playing them.
+const PERMANENT_ACTIONS: Partial<Record<CardType, string>> = {
+  DOMAIN: "play a Domain",
+  SHARD: "play a Shard",
+  AVATAR: "play an Avatar",
+  RELIC: "play a Relic or Support",
+  SUPPORT: "play a Relic or Support",
+  ESSENCE: "play an Essence card",
+};
+
+/**
+ * Could this permanent be played from hand now? Main Phase of the player's
+ * own turn, empty chain, one of `types`, the Domain limit, room on the Avatar
+ * Line for an Avatar and its KL cost
+ * (paid with `payment`, or the default one; see klPool.ts).
+ */
+function checkPlayPermanent(
+  state: GameState,
+  player: Player,
+  instanceId: string,
+  types: CardType[],
+  payment?: KlPayment
+): RuleViolation | null {
+  const actionName = PERMANENT_ACTIONS[types[0]]!;
+  const card = player.hand.find((c) => c.instanceId === instanceId);
+  if (!card) return notInHand(player, instanceId);
+  if (!types.includes(card.typeLine)) {
+    return violation("NOT_PLAYABLE", `Cannot ${actionName}: ${instanceId} is a ${card.typeLine}.`, {
+      instanceId,
+      typeLine: card.typeLine,
+    });
+  }
+
+  const timing = checkPhase(state, [Phase.MAIN], actionName) ?? checkChainEmpty(state, actionName);
+  if (timing) return timing;
+  if (!isTurnPlayer(state, player.id)) {
+    return violation("NOT_YOUR_TURN", `Player ${player.id} can only ${actionName} on their own turn.`, {
+      activePlayerId: state.activePlayerId,
+    });
+  }
+  if (card.typeLine === "DOMAIN" && player.domainsPlayedThisTurn >= MAX_DOMAINS_PER_TURN) {
+    return violation(
+      "DOMAIN_LIMIT",
+      `Player ${player.id} has already played ${player.domainsPlayedThisTurn} Domain(s) this turn.`,
+      { played: player.domainsPlayedThisTurn, limit: MAX_DOMAINS_PER_TURN }
+    );
   }
-  if (player.currentKl < cost) {
-    throw new Error(
-      `Player ${player.id} cannot pay KL cost ${cost} for card ${card.cardId} (only ${player.currentKl} KL available).`
+  if (card.typeLine === "AVATAR" && player.avatarLine.length >= AVATAR_LINE_LIMIT) {
+    return violation(
+      "AVATAR_LINE_FULL",
+      `Player ${player.id}'s Avatar Line already holds ${player.avatarLine.length} Avatars.`,
+      { avatars: player.avatarLine.length, limit: AVATAR_LINE_LIMIT }
     );
   }
-  player.currentKl -= cost;
+  return checkKlPayment(player, card, payment);
+}
+
+/**
+ * Could this Spell or Rite be cast from hand now, with these targets?
+ * Normal Spells and Rites need the Main Phase; all of them need the conditions
+ * of their SPELL abilities, the chain timing of canAddToChain, the KL cost and
+ * legal targets.
+ */
+function checkCastSpell(
+  state: GameState,
+  player: Player,
+  instanceId: string,
+  targets: ChainTarget[],
+  kind: string,
+  data?: Record<string, unknown>,
+  payment?: KlPayment
+): RuleViolation | null {
+  const card = player.hand.find((c) => c.instanceId === instanceId);
+  if (!card) return notInHand(player, instanceId);
+  if (card.typeLine !== "SPELL" && card.typeLine !== "RITE") {
+    return violation("NOT_PLAYABLE", `Card ${instanceId} is not a Spell or Rite.`, {
+      instanceId,
+      typeLine: card.typeLine,
+    });
+  }
+
+  const fast = isFastSpell(card);
+  if (!fast) {
+    const action = card.typeLine === "RITE" ? "cast a Rite" : "cast a non-FAST Spell";
+    const wrongPhase = checkPhase(state, [Phase.MAIN], action);
+    if (wrongPhase) return wrongPhase;
+  }
+  // "Cast this only if you control 3 or more Shards" (Spells and Rites alike)
+  const unmet = getAbilities(card, "SPELL").find((a) => !checkCondition(state, player.id, a.condition));
+  if (unmet) {
+    return violation("NOT_PLAYABLE", `The condition for casting ${card.name} is not met.`, {
+      instanceId,
+      condition: unmet.condition,
+    });
+  }
+  const link = { kind, controllerId: player.id, sourceInstanceId: card.instanceId, targets, data, card };
+  return checkKlPayment(player, card, payment) ?? checkAddToChain(state, link, fast);
+}
+
+/**
+ * Could `playerId` play this card from their hand right now? Covers every
+ * card type (Spells with their targets, attaching Relics and Supports with
+ * their bearer as targets[0]) and returns the first rule broken, or null.
+ * `payment` says how to pay the KL cost; without it, the default payment.
+ * Nothing is paid or moved.
+ */
+export function checkPlayFromHand(
+  state: GameState,
+  playerId: string,
+  instanceId: string,
+  targets: ChainTarget[] = [],
+  payment?: KlPayment
+): RuleViolation | null {
+  const player = getPlayer(state, playerId);
+  const card = player.hand.find((c) => c.instanceId === instanceId);
+  if (!card) return notInHand(player, instanceId);
+  if (card.typeLine === "SPELL" || card.typeLine === "RITE") {
+    return checkCastSpell(state, player, instanceId, targets, SPELL_LINK_KIND, undefined, payment);
+  }
+  if (card.typeLine === "RELIC" || card.typeLine === "SUPPORT") {
+    return (
+      checkPlayPermanent(state, player, instanceId, ["RELIC", "SUPPORT"], payment) ??
+      checkAttach(state, playerId, card, targets[0])
+    );
+  }
+  if (!PERMANENT_ACTIONS[card.typeLine]) {
+    return violation("NOT_PLAYABLE", `Cards of type ${card.typeLine} cannot be played from hand.`, {
+      instanceId,
+      typeLine: card.typeLine,
+    });
+  }
+  return checkPlayPermanent(state, player, instanceId, [card.typeLine], payment);
 }
 
 /**
  * Move a card from hand to a board zone array.
  */
 function moveFromHandToZone(
+  state: GameState,
   player: Player,
-  cardId: string,
+  instanceId: string,
   targetZoneArray: Card[],
-  zoneType: Zone
+  zoneType: Zone,
+  payment?: KlPayment
 ): void {
-  const { card, index } = findCardInZone(player.hand, cardId);
-  spendKlForCard(player, card);
+  const { card, index } = findCardInHand(player, instanceId);
+  payKlCost(player, card, payment);
 
   // Remove from hand
   player.hand.splice(index, 1);
@@ -50,76 +205,185 @@ function moveFromHandToZone(
   // Place in target zone
   card.zone = zoneType;
   card.controllerId = player.id;
+  card.enteredPlayOnTurn = state.turnNumber;
   targetZoneArray.push(card);
 }
 
 /**
- * Play a Domain from hand.
+ * Play a Domain from hand (at most MAX_DOMAINS_PER_TURN per turn).
  * If a Domain is already in domainZone, we send the old Domain to the Crypt.
  */
-export function playDomain(state: GameState, playerId: string, cardId: string): void {
+export function playDomain(
+  state: GameState,
+  playerId: string,
+  instanceId: string,
+  payment?: KlPayment
+): void {
   const player = getPlayer(state, playerId);
+  throwIfViolated(checkPlayPermanent(state, player, instanceId, ["DOMAIN"], payment));
+
+  const { card, index } = findCardInHand(player, instanceId);
+  payKlCost(player, card, payment);
 
   // If there's already a domain, send it to Crypt
   if (player.domainZone) {
     const oldDomain = player.domainZone;
     oldDomain.zone = Zone.CRYPT;
-    player.crypt.push(oldDomain);
+    oldDomain.temporaryModifiers = [];
+    putInPile(player.crypt, oldDomain);
     player.domainZone = null;
   }
 
-  const { card, index } = findCardInZone(player.hand, cardId);
-  spendKlForCard(player, card);
-
   // Remove from hand
   player.hand.splice(index, 1);
 
   // Place as the new domain
   card.zone = Zone.DOMAIN_ZONE;
   card.controllerId = player.id;
+  card.enteredPlayOnTurn = state.turnNumber;
   player.domainZone = card;
+  player.domainsPlayedThisTurn += 1;
 }
 
 /**
- * Play a Shard from hand to the Shard Row.
+ * Claim a Shard: play it from hand to the Shard Row and fire ON_SHARD_CLAIMED,
+ * which sets off its "When you claim" (ON_CLAIM) abilities. Its Crownbound
+ * abilities are STATIC ones, so they last as long as it stays in the Shard Row.
  */
-export function playShard(state: GameState, playerId: string, cardId: string): void {
+export function playShard(
+  state: GameState,
+  playerId: string,
+  instanceId: string,
+  payment?: KlPayment
+): void {
   const player = getPlayer(state, playerId);
-  moveFromHandToZone(player, cardId, player.shardRow, Zone.SHARD_ROW);
+  throwIfViolated(checkPlayPermanent(state, player, instanceId, ["SHARD"], payment));
+  moveFromHandToZone(state, player, instanceId, player.shardRow, Zone.SHARD_ROW, payment);
+  emitEngineEvent(state, { type: "ON_SHARD_CLAIMED", playerId: player.id, instanceId });
 }
 
 /**
  * Play an Avatar from hand to the Avatar Line.
  */
-export function playAvatar(state: GameState, playerId: string, cardId: string): void {
+export function playAvatar(
+  state: GameState,
+  playerId: string,
+  instanceId: string,
+  payment?: KlPayment
+): void {
   const player = getPlayer(state, playerId);
-  moveFromHandToZone(player, cardId, player.avatarLine, Zone.AVATAR_LINE);
+  throwIfViolated(checkPlayPermanent(state, player, instanceId, ["AVATAR"], payment));
+  moveFromHandToZone(state, player, instanceId, player.avatarLine, Zone.AVATAR_LINE, payment);
+  emitEngineEvent(state, { type: "ON_AVATAR_SUMMONED", playerId: player.id, instanceId });
 }
 
 /**
- * Play a Relic/Support from hand to the Relic/Support zone.
+ * Play a Relic/Support from hand to the Relic/Support zone. One that
+ * attaches ("Attach to ...") needs a legal bearer and is attached to it;
+ * see attachments.ts.
  */
 export function playRelicOrSupport(
   state: GameState,
   playerId: string,
-  cardId: string
+  instanceId: string,
+  bearer?: ChainTarget,
+  payment?: KlPayment
 ): void {
   const player = getPlayer(state, playerId);
+  throwIfViolated(checkPlayPermanent(state, player, instanceId, ["RELIC", "SUPPORT"], payment));
+  const { card } = findCardInHand(player, instanceId);
+  throwIfViolated(checkAttach(state, playerId, card, bearer));
   moveFromHandToZone(
+    state,
     player,
-    cardId,
+    instanceId,
     player.relicSupportZone,
-    Zone.RELIC_SUPPORT_ZONE
+    Zone.RELIC_SUPPORT_ZONE,
+    payment
+  );
+  if (bearer && getAttachSpec(card)) {
+    attachToBearer(state, card, bearer);
+  }
+}
+
+/**
+ * Play an Essence card from hand to the Relic/Support zone. Its activated
+ * abilities add typed Essence to the KL pool (see klPool.ts).
+ */
+export function playEssence(
+  state: GameState,
+  playerId: string,
+  instanceId: string,
+  payment?: KlPayment
+): void {
+  const player = getPlayer(state, playerId);
+  throwIfViolated(checkPlayPermanent(state, player, instanceId, ["ESSENCE"], payment));
+  moveFromHandToZone(
+    state,
+    player,
+    instanceId,
+    player.relicSupportZone,
+    Zone.RELIC_SUPPORT_ZONE,
+    payment
+  );
+}
+
+/**
+ * Cast a Spell or Rite from hand onto the Shard Chain.
+ * - Normal Spells and Rites: active player, Main Phase, empty chain.
+ * - FAST Spells: whoever holds priority, any phase once the turn has started.
+ * The card waits on the chain and goes to the Crypt when its link resolves.
+ * A Rite's link may wait for every player's choices first (see choices.ts).
+ */
+export function castSpell(
+  state: GameState,
+  playerId: string,
+  instanceId: string,
+  targets: ChainTarget[] = [],
+  kind: string = SPELL_LINK_KIND,
+  data?: Record<string, unknown>,
+  payment?: KlPayment
+): ChainLink {
+  const player = getPlayer(state, playerId);
+  // Everything is checked up front, so nothing is paid or moved for an illegal cast
+  throwIfViolated(checkCastSpell(state, player, instanceId, targets, kind, data, payment));
+  const { card, index } = findCardInHand(player, instanceId);
+
+  const link = addToChain(
+    state,
+    { kind, controllerId: player.id, sourceInstanceId: card.instanceId, targets, data, card },
+    isFastSpell(card)
   );
+
+  payKlCost(player, card, payment);
+  player.hand.splice(index, 1);
+  card.zone = Zone.SHARD_CHAIN;
+  card.controllerId = player.id;
+  emitEngineEvent(state, {
+    type: card.typeLine === "RITE" ? "ON_RITE_CAST" : "ON_SPELL_CAST",
+    playerId: player.id,
+    instanceId: card.instanceId,
+  });
+
+  return link;
+}
+
+/**
+ * Shuffle a player's Veiled Deck using the match RNG.
+ */
+export function shuffleDeck(state: GameState, playerId: string): void {
+  const player = getPlayer(state, playerId);
+  shuffleInPlace(state.rng, player.veiledDeck);
 }
 
 /**
  * Send a card from a board zone to the Crypt.
+ * An Avatar leaving the Avatar Line this way has been destroyed (ON_AVATAR_DESTROYED).
  */
 export function sendToCrypt(
   state: GameState,
   playerId: string,
-  cardId: string
+  instanceId: string
 ): void {
   const player = getPlayer(state, playerId);
 
@@ -139,23 +403,44 @@ export function sendToCrypt(
 
   for (const zoneInfo of zones) {
     if (zoneInfo.array) {
-      const index = zoneInfo.array.findIndex((c) => c.cardId === cardId);
+      const index = zoneInfo.array.findIndex((c) => c.instanceId === instanceId);
       if (index !== -1) {
         const [card] = zoneInfo.array.splice(index, 1);
         card.zone = Zone.CRYPT;
-        player.crypt.push(card);
+        card.temporaryModifiers = []; // a card that leaves play forgets its buffs
+        delete card.attachedToInstanceId;
+        putInPile(player.crypt, card);
+        if (zoneInfo.name === "avatarLine") {
+          emitEngineEvent(state, { type: "ON_AVATAR_DESTROYED", playerId: player.id, instanceId });
+        }
         return;
       }
-    } else if (zoneInfo.single && zoneInfo.single.cardId === cardId) {
+    } else if (zoneInfo.single && zoneInfo.single.instanceId === instanceId) {
       const card = zoneInfo.single;
       zoneInfo.setSingle!(null);
       card.zone = Zone.CRYPT;
-      player.crypt.push(card);
+      card.temporaryModifiers = [];
+      delete card.attachedToInstanceId;
+      putInPile(player.crypt, card);
       return;
     }
   }
 
-  throw new Error(`Card ${cardId} not found on board to send to Crypt.`);
+  throw new Error(`Card ${instanceId} not found on board to send to Crypt.`);
+}
+
+/**
+ * Discard a card from the player's hand to their Crypt.
+ */
+export function discardFromHand(state: GameState, playerId: string, instanceId: string): void {
+  const player = getPlayer(state, playerId);
+  const index = player.hand.findIndex((c) => c.instanceId === instanceId);
+  if (index === -1) {
+    throw new Error(`Card ${instanceId} not found in hand to discard.`);
+  }
+  const [card] = player.hand.splice(index, 1);
+  card.zone = Zone.CRYPT;
+  player.crypt.push(card);
 }
 
 /**
@@ -164,12 +449,12 @@ export function sendToCrypt(
 export function sendToNull(
   state: GameState,
   playerId: string,
-  cardId: string
+  instanceId: string
 ): void {
   const player = getPlayer(state, playerId);
 
   // 1) Hand
-  const handIndex = player.hand.findIndex((c) => c.cardId === cardId);
+  const handIndex = player.hand.findIndex((c) => c.instanceId === instanceId);
   if (handIndex !== -1) {
     const [card] = player.hand.splice(handIndex, 1);
     card.zone = Zone.NULL_ZONE;
@@ -193,21 +478,25 @@ export function sendToNull(
 
   for (const zoneInfo of zones) {
     if (zoneInfo.array) {
-      const index = zoneInfo.array.findIndex((c) => c.cardId === cardId);
+      const index = zoneInfo.array.findIndex((c) => c.instanceId === instanceId);
       if (index !== -1) {
         const [card] = zoneInfo.array.splice(index, 1);
         card.zone = Zone.NULL_ZONE;
-        player.nullZone.push(card);
+        card.temporaryModifiers = [];
+        delete card.attachedToInstanceId;
+        putInPile(player.nullZone, card);
         return;
       }
-    } else if (zoneInfo.single && zoneInfo.single.cardId === cardId) {
+    } else if (zoneInfo.single && zoneInfo.single.instanceId === instanceId) {
       const card = zoneInfo.single;
       zoneInfo.setSingle!(null);
       card.zone = Zone.NULL_ZONE;
-      player.nullZone.push(card);
+      card.temporaryModifiers = [];
+      delete card.attachedToInstanceId;
+      putInPile(player.nullZone, card);
       return;
     }
   }
 
-  throw new Error(`Card ${cardId} not found to send to Null.`);
+  throw new Error(`Card ${instanceId} not found to send to Null.`);
 }
@@ -0,0 +1,191 @@
+import type { GameState } from "./gameState";
+import type { Player } from "./player";
+import { Zone } from "./zones";
+import { shuffleInPlace } from "./rng";
+import { getFormatRules } from "./format";
+import { throwIfViolated, violation, type RuleViolation } from "./violations";
+
+/**
+ * Opening hands dealt, mulligan decisions outstanding.
+ * Lives on GameState.opening from dealOpeningHands until every player has
+ * kept, then goes back to null; the first turn can't start before that.
+ */
+export interface OpeningState {
+  undecidedPlayerIds: string[]; // in seat order; any of them may decide next
+  mulligansTaken: Record<string, number>;
+}
+
+function getPlayer(state: GameState, playerId: string): Player {
+  const player = state.players.find((p) => p.id === playerId);
+  if (!player) {
+    throw new Error(`Player with id ${playerId} not found in GameState.`);
+  }
+  return player;
+}
+
+/**
+ * Opening draws are not "draws" for card effects (no ON_CARD_DRAWN) and a
+ * short deck just gives a short hand.
+ */
+function drawOpeningCards(player: Player, count: number): void {
+  for (const card of player.veiledDeck.splice(0, count)) {
+    card.zone = Zone.HAND;
+    player.hand.push(card);
+  }
+}
+
+function finishDecision(state: GameState, playerId: string): void {
+  const opening = state.opening!;
+  opening.undecidedPlayerIds = opening.undecidedPlayerIds.filter((id) => id !== playerId);
+  if (opening.undecidedPlayerIds.length === 0) {
+    state.opening = null;
+  }
+}
+
+/**
+ * Shuffle every Veiled Deck with the match RNG and deal each player the
+ * format's opening hand. If the format allows mulligans, every player then
+ * has to keep or mulligan (GameState.opening) before the first turn.
+ * Does nothing for an opening hand size of 0.
+ */
+export function dealOpeningHands(state: GameState): void {
+  if (state.turnNumber !== 0) {
+    throw new Error("Opening hands are dealt before the first turn.");
+  }
+  const rules = getFormatRules(state.format);
+  if (rules.openingHandSize === 0) return;
+
+  for (const player of state.players) {
+    shuffleInPlace(state.rng, player.veiledDeck);
+    drawOpeningCards(player, rules.openingHandSize);
+  }
+  state.opening =
+    rules.maxMulligans > 0
+      ? { undecidedPlayerIds: state.players.map((p) => p.id), mulligansTaken: {} }
+      : null;
+}
+
+/**
+ * DECISION_PENDING while any player still has to keep or mulligan.
+ */
+export function checkOpeningComplete(state: GameState, actionName: string): RuleViolation | null {
+  if (state.opening) {
+    return violation(
+      "DECISION_PENDING",
+      `Cannot ${actionName} until every player has kept their opening hand.`,
+      { undecidedPlayerIds: [...state.opening.undecidedPlayerIds] }
+    );
+  }
+  return null;
+}
+
+/**
+ * How many more mulligans this player may take (0 once they have kept).
+ */
+export function getMulligansLeft(state: GameState, playerId: string): number {
+  const opening = state.opening;
+  if (!opening || !opening.undecidedPlayerIds.includes(playerId)) return 0;
+  return getFormatRules(state.format).maxMulligans - (opening.mulligansTaken[playerId] ?? 0);
+}
+
+function checkUndecided(state: GameState, playerId: string): RuleViolation | null {
+  getPlayer(state, playerId);
+  if (!state.opening?.undecidedPlayerIds.includes(playerId)) {
+    return violation("NO_PENDING_DECISION", `Player ${playerId} has no opening hand to decide on.`);
+  }
+  return null;
+}
+
+export function checkKeepOpeningHand(state: GameState, playerId: string): RuleViolation | null {
+  return checkUndecided(state, playerId);
+}
+
+/**
+ * Can this player mulligan, putting `bottomInstanceIds` on the bottom?
+ * FULL_REDRAW takes no cards to put on the bottom; PUT_TO_BOTTOM needs at
+ * least one, each from the player's hand and named once.
+ */
+export function checkMulligan(
+  state: GameState,
+  playerId: string,
+  bottomInstanceIds: string[] = []
+): RuleViolation | null {
+  const undecided = checkUndecided(state, playerId);
+  if (undecided) return undecided;
+
+  const rule = getFormatRules(state.format).mulligan;
+  if (rule === "FULL_REDRAW") {
+    return bottomInstanceIds.length > 0
+      ? violation("INVALID_CHOICE", "A full redraw shuffles the whole hand back; no cards are chosen.", {
+          rule,
+        })
+      : null;
+  }
+
+  if (bottomInstanceIds.length === 0) {
+    return violation("INVALID_CHOICE", "Choose at least one card to put on the bottom.", { rule });
+  }
+  if (new Set(bottomInstanceIds).size !== bottomInstanceIds.length) {
+    return violation("INVALID_CHOICE", "Each card can only be put on the bottom once.", {
+      rule,
+      bottomInstanceIds: [...bottomInstanceIds],
+    });
+  }
+  const hand = getPlayer(state, playerId).hand;
+  const missing = bottomInstanceIds.find((id) => !hand.some((c) => c.instanceId === id));
+  if (missing !== undefined) {
+    return violation("NOT_IN_HAND", `Card ${missing} is not in the hand of player ${playerId}.`, {
+      instanceId: missing,
+    });
+  }
+  return null;
+}
+
+/**
+ * The player keeps their opening hand.
+ */
+export function keepOpeningHand(state: GameState, playerId: string): void {
+  throwIfViolated(checkKeepOpeningHand(state, playerId));
+  finishDecision(state, playerId);
+}
+
+/**
+ * The player mulligans under the format's rule (see MulliganRule):
+ * - FULL_REDRAW: the hand is shuffled into the Veiled Deck and a new hand of
+ *   the same size is drawn
+ * - PUT_TO_BOTTOM: `bottomInstanceIds` go on the bottom of the Veiled Deck in
+ *   that order, then the player draws as many
+ * Using the last allowed mulligan keeps the new hand automatically.
+ * Returns how many cards were replaced.
+ */
+export function mulligan(state: GameState, playerId: string, bottomInstanceIds: string[] = []): number {
+  throwIfViolated(checkMulligan(state, playerId, bottomInstanceIds));
+  const player = getPlayer(state, playerId);
+  const opening = state.opening!;
+
+  let count: number;
+  if (getFormatRules(state.format).mulligan === "FULL_REDRAW") {
+    count = player.hand.length;
+    for (const card of player.hand) {
+      card.zone = Zone.VEILED_DECK;
+    }
+    player.veiledDeck.push(...player.hand);
+    player.hand = [];
+    shuffleInPlace(state.rng, player.veiledDeck);
+  } else {
+    count = bottomInstanceIds.length;
+    for (const instanceId of bottomInstanceIds) {
+      const index = player.hand.findIndex((c) => c.instanceId === instanceId);
+      const [card] = player.hand.splice(index, 1);
+      card.zone = Zone.VEILED_DECK;
+      player.veiledDeck.push(card);
+    }
+  }
+  drawOpeningCards(player, count);
+
+  opening.mulligansTaken[playerId] = (opening.mulligansTaken[playerId] ?? 0) + 1;
+  if (getMulligansLeft(state, playerId) === 0) {
+    finishDecision(state, playerId);
+  }
+  return count;
+}
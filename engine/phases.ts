@@ -0,0 +1,102 @@
+import type { GameState } from "./gameState";
+import { checkGameInProgress } from "./stateBased";
+import { addRegistration, getGameRules, type GameRules } from "./rules";
+import { throwIfViolated, violation, type RuleViolation } from "./violations";
+
+export enum Phase {
+  DAWN = "DAWN",
+  DRAW = "DRAW",
+  MAIN = "MAIN",
+  CLASH = "CLASH",
+  TWILIGHT = "TWILIGHT",
+}
+
+/**
+ * Order of phases within a single turn.
+ * Leaving TWILIGHT ends the turn and the next player starts at DAWN.
+ */
+export const PHASE_ORDER: Phase[] = [
+  Phase.DAWN,
+  Phase.DRAW,
+  Phase.MAIN,
+  Phase.CLASH,
+  Phase.TWILIGHT,
+];
+
+/**
+ * Optional callbacks run when a phase is entered or exited.
+ * Hooks run after the engine's own phase rules (ready, draw, etc.) and belong
+ * to one game (see GameRules).
+ */
+export interface PhaseHooks {
+  onEnter?: (state: GameState) => void;
+  onExit?: (state: GameState) => void;
+}
+
+/**
+ * Register entry/exit hooks for a phase in one game's rules.
+ * Returns a function that removes the hooks again.
+ */
+export function registerPhaseHooks(rules: GameRules, phase: Phase, hooks: PhaseHooks): () => void {
+  const list = rules.phaseHooks[phase] ?? [];
+  rules.phaseHooks[phase] = list;
+  return addRegistration(list, hooks);
+}
+
+export function runPhaseEnterHooks(state: GameState, phase: Phase): void {
+  for (const hooks of [...(getGameRules(state).phaseHooks[phase] ?? [])]) {
+    hooks.onEnter?.(state);
+  }
+}
+
+export function runPhaseExitHooks(state: GameState, phase: Phase): void {
+  for (const hooks of [...(getGameRules(state).phaseHooks[phase] ?? [])]) {
+    hooks.onExit?.(state);
+  }
+}
+
+/**
+ * The phase that follows `phase` in the same turn, or null after TWILIGHT.
+ */
+export function getNextPhase(phase: Phase): Phase | null {
+  const index = PHASE_ORDER.indexOf(phase);
+  if (index === -1 || index === PHASE_ORDER.length - 1) {
+    return null;
+  }
+  return PHASE_ORDER[index + 1];
+}
+
+/**
+ * Is the game running and in one of `allowed`? Returns the violation if not.
+ */
+export function checkPhase(
+  state: GameState,
+  allowed: Phase[],
+  actionName: string
+): RuleViolation | null {
+  if (state.turnNumber === 0) {
+    return violation("GAME_NOT_STARTED", `Cannot ${actionName} before the first turn has started.`);
+  }
+  const over = checkGameInProgress(state, actionName);
+  if (over) return over;
+  if (!allowed.includes(state.phase)) {
+    return violation(
+      "WRONG_PHASE",
+      `Cannot ${actionName} during ${state.phase} phase (allowed: ${allowed.join(", ")}).`,
+      { phase: state.phase, allowed: [...allowed] }
+    );
+  }
+  return null;
+}
+
+/**
+ * Guard for actions that are only legal in certain phases.
+ * Throws if the game is not currently in one of `allowed`.
+ */
+export function assertPhase(
+  state: GameState,
+  allowed: Phase[],
+  actionName: string
+): void {
+  throwIfViolated(checkPhase(state, allowed, actionName));
+}
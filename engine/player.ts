@@ -1,4 +1,6 @@
 import { Card } from "./card";
+import type { PooledKl } from "./klPool";
+import type { LossReason } from "./stateBased";
 
 export interface Player {
   id: string;
@@ -10,6 +12,7 @@ export interface Player {
   essence: number; // life force / HP analogue
   baseKl: number; // base KL from Deity
   currentKl: number; // recalculated each turn
+  klPool: PooledKl[]; // typed Essence that only pays for some cards (see klPool.ts)
   godCharges: number;
   klThresholdTriggeredThisTurn: boolean;
 
@@ -25,4 +28,11 @@ export interface Player {
 
   // Turn tracking
   turnsTaken: number;
+  domainsPlayedThisTurn: number;
+
+  // Win / loss (see stateBased.ts)
+  drewFromEmptyDeck: boolean; // a mandatory draw found the Veiled Deck empty
+  conceded: boolean;
+  lossReason: LossReason | null; // null while still in the game
+  lostOnTurn?: number;
 }
@@ -1,53 +1,142 @@
+import type { GameState } from "./gameState";
 import type { Player } from "./player";
+import type { CardAbility } from "./card";
+import { checkCondition, getStaticPlayerEffects } from "./abilities";
+import { throwIfViolated, violation, type RuleViolation } from "./violations";
 
+// scripts/compile-card-effects.js writes the God Charge numbers into
+// GOD_CODE_RULES for the browser game (main.js).
 export const GOD_THRESHOLD_KL = 13;
 export const ABSOLUTE_KL_CAP = 31;
 export const MIN_KL = 0;
 export const MAX_GOD_CHARGES = 3;
 export const MIN_TURN_FOR_GOD_CHARGE_SPEND = 4;
+export const STARTING_GOD_CHARGES = 1; // every Deity starts with its God Code charged
 
 /**
- * Placeholder for static KL bonuses from Domains, Relics, Deity text, etc.
- * For now we return 0 so we don't overcomplicate the early engine.
- * Later we can look at the player's domainZone / relicSupportZone / deity.abilities.
+ * One part of a player's KL, for showing where it comes from
+ * ("Base 3 + 2 Shards + 1 Solar Flow").
+ * - BASE: the Deity's baseKl
+ * - SHARDS: +1 per Shard in the Shard Row
+ * - STATIC: a STATIC MODIFY_KL effect (from any player's cards) that covers them
+ * - START_OF_TURN: one of their own ON_TURN_START abilities that only gives
+ *   them KL (see isStartOfTurnKlAbility)
  */
-function getStaticKlBonuses(_player: Player): number {
-  return 0;
+export interface KlBonus {
+  source: "BASE" | "SHARDS" | "STATIC" | "START_OF_TURN";
+  label: string;
+  amount: number;
+  instanceId?: string; // the card it comes from (STATIC / START_OF_TURN)
 }
 
 /**
- * Placeholder for start-of-turn KL effects.
- * Later we can read triggered abilities, auras, etc.
+ * What a player's KL is recalculated to, part by part. `total` is the sum,
+ * clamped to [MIN_KL, ABSOLUTE_KL_CAP]. Parts that add nothing are left out,
+ * except BASE.
  */
-function getStartOfTurnKlEffects(_player: Player): number {
-  return 0;
+export interface KlBreakdown {
+  total: number;
+  parts: KlBonus[];
 }
 
 /**
- * Recalculate a player's current KL based on:
- * - baseKl (from Deity)
- * - +1 per Shard in shardRow
- * - any static & start-of-turn bonuses
- * Then clamp to [MIN_KL, ABSOLUTE_KL_CAP].
+ * An "At the start of your turn, gain N KL" ability: ON_TURN_START for its
+ * own controller's turns, no targets, and every effect is GAIN_KL for the
+ * controller. These don't go on the Shard Chain; their KL is part of the
+ * Dawn recalculation instead (getStartOfTurnKlEffects), so it shows in the
+ * breakdown and counts for the God threshold.
  */
-export function recalculateKl(player: Player): number {
-  let kl = player.baseKl;
-
-  // +1 KL per shard in the Shard Row
-  kl += player.shardRow.length;
+export function isStartOfTurnKlAbility(ability: CardAbility): boolean {
+  const effects = ability.effects ?? [];
+  return (
+    ability.trigger === "ON_TURN_START" &&
+    (ability.triggerSource ?? "THIS_CARD") === "THIS_CARD" &&
+    (ability.targets ?? []).length === 0 &&
+    effects.length > 0 &&
+    effects.every((e) => e.kind === "GAIN_KL" && e.subject.ref === "CONTROLLER")
+  );
+}
 
-  // Static & start-of-turn effects (stubs for now)
-  kl += getStaticKlBonuses(player);
-  kl += getStartOfTurnKlEffects(player);
+/**
+ * KL from STATIC MODIFY_KL effects that cover the player, one part per ability.
+ */
+function getStaticKlBonuses(state: GameState, player: Player): KlBonus[] {
+  const bonuses: KlBonus[] = [];
+  for (const { effect, ability, source } of getStaticPlayerEffects(state, player.id, "MODIFY_KL")) {
+    const existing = bonuses.find((b) => b.instanceId === source.instanceId && b.label === ability.label);
+    if (existing) {
+      existing.amount += effect.amount;
+    } else {
+      bonuses.push({ source: "STATIC", label: ability.label, amount: effect.amount, instanceId: source.instanceId });
+    }
+  }
+  return bonuses;
+}
 
-  if (kl > ABSOLUTE_KL_CAP) {
-    kl = ABSOLUTE_KL_CAP;
+/**
+ * KL from the player's start-of-turn KL abilities (Deity and battlefield),
+ * counting only the effects whose conditions hold right now.
+ */
+function getStartOfTurnKlEffects(state: GameState, player: Player): KlBonus[] {
+  const sources = [
+    player.deity,
+    ...player.avatarLine,
+    ...player.shardRow,
+    ...player.relicSupportZone,
+    ...(player.domainZone ? [player.domainZone] : []),
+  ];
+  const bonuses: KlBonus[] = [];
+
+  for (const card of sources) {
+    for (const ability of card.abilities.filter(isStartOfTurnKlAbility)) {
+      if (!checkCondition(state, player.id, ability.condition)) continue;
+      const amount = (ability.effects ?? [])
+        .filter((e) => checkCondition(state, player.id, e.condition))
+        .reduce((total, e) => total + (e.kind === "GAIN_KL" ? e.amount : 0), 0);
+      if (amount !== 0) {
+        bonuses.push({ source: "START_OF_TURN", label: ability.label, amount, instanceId: card.instanceId });
+      }
+    }
   }
-  if (kl < MIN_KL) {
-    kl = MIN_KL;
+  return bonuses;
+}
+
+/**
+ * Where a player's KL comes from, as recalculateKl would count it now:
+ * - baseKl (from Deity)
+ * - +1 per Shard in shardRow
+ * - static bonuses and start-of-turn KL abilities
+ */
+export function getKlBreakdown(state: GameState, player: Player): KlBreakdown {
+  const parts: KlBonus[] = [{ source: "BASE", label: "Base", amount: player.baseKl }];
+  if (player.shardRow.length > 0) {
+    const label = player.shardRow.length === 1 ? "Shard" : "Shards";
+    parts.push({ source: "SHARDS", label, amount: player.shardRow.length });
   }
+  parts.push(...getStaticKlBonuses(state, player), ...getStartOfTurnKlEffects(state, player));
 
-  return kl;
+  const sum = parts.reduce((total, part) => total + part.amount, 0);
+  return { total: Math.min(ABSOLUTE_KL_CAP, Math.max(MIN_KL, sum)), parts };
+}
+
+/**
+ * A breakdown as one line of text: "Base 3 + 2 Shards + 1 Solar Flow".
+ */
+export function describeKlBreakdown(breakdown: KlBreakdown): string {
+  return breakdown.parts
+    .map((part, i) => {
+      if (i === 0) return `${part.label} ${part.amount}`;
+      return `${part.amount < 0 ? "-" : "+"} ${Math.abs(part.amount)} ${part.label}`;
+    })
+    .join(" ");
+}
+
+/**
+ * Recalculate a player's current KL (see getKlBreakdown), clamped to
+ * [MIN_KL, ABSOLUTE_KL_CAP].
+ */
+export function recalculateKl(state: GameState, player: Player): number {
+  return getKlBreakdown(state, player).total;
 }
 
 /**
@@ -98,6 +187,24 @@ export function canSpendGodCharges(
   return true;
 }
 
+/**
+ * INSUFFICIENT_GOD_CHARGES if the spend is illegal (see canSpendGodCharges), else null.
+ */
+export function checkSpendGodCharges(
+  player: Player,
+  amount: number,
+  turnNumber: number
+): RuleViolation | null {
+  if (!canSpendGodCharges(player, amount, turnNumber)) {
+    return violation(
+      "INSUFFICIENT_GOD_CHARGES",
+      `Cannot spend ${amount} God Charge(s) on turn ${turnNumber} with ${player.godCharges} available.`,
+      { amount, available: player.godCharges, turnNumber, minTurn: MIN_TURN_FOR_GOD_CHARGE_SPEND }
+    );
+  }
+  return null;
+}
+
 /**
  * Spend God Charges, enforcing:
  * - Can't spend before turn 4
@@ -109,11 +216,7 @@ export function spendGodCharges(
   amount: number,
   turnNumber: number
 ): void {
-  if (!canSpendGodCharges(player, amount, turnNumber)) {
-    throw new Error(
-      `Cannot spend ${amount} God Charge(s) on turn ${turnNumber} with ${player.godCharges} available.`
-    );
-  }
+  throwIfViolated(checkSpendGodCharges(player, amount, turnNumber));
 
   player.godCharges -= amount;
 }
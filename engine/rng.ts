@@ -0,0 +1,55 @@
+/**
+ * Seedable PRNG carried inside the GameState.
+ * Every random decision in a match (shuffles, random discards, AI picks)
+ * goes through this so the match can be reproduced from its seed.
+ *
+ * The generator is mulberry32: tiny, fast, and its whole state is one
+ * 32-bit integer, so it serializes as plain data.
+ */
+export interface RngState {
+  seed: number; // the seed the match started from
+  state: number; // current internal state, advanced on every draw
+}
+
+/**
+ * A fresh random seed. This is the only place the engine touches Math.random.
+ */
+export function generateSeed(): number {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+export function createRng(seed: number = generateSeed()): RngState {
+  const normalized = seed >>> 0;
+  return { seed: normalized, state: normalized };
+}
+
+/**
+ * Next float in [0, 1). Advances the RNG state.
+ */
+export function nextRandom(rng: RngState): number {
+  rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+  let t = rng.state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+}
+
+/**
+ * Next integer in [0, maxExclusive).
+ */
+export function randomInt(rng: RngState, maxExclusive: number): number {
+  if (maxExclusive <= 0) {
+    throw new Error(`randomInt needs a positive bound, got ${maxExclusive}.`);
+  }
+  return Math.floor(nextRandom(rng) * maxExclusive);
+}
+
+/**
+ * Fisher–Yates shuffle, in place.
+ */
+export function shuffleInPlace<T>(rng: RngState, items: T[]): void {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = randomInt(rng, i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+}
@@ -0,0 +1,70 @@
+import type { GameState } from "./gameState";
+import type { Phase, PhaseHooks } from "./phases";
+import type { EngineEventType, EngineEventHandler } from "./events";
+import type { VictoryCondition } from "./stateBased";
+import type { TokenDefinition } from "./tokens";
+import type { ChainResolver } from "./chain";
+
+/**
+ * What a host adds to the rules of one match: phase hooks, event listeners,
+ * custom victory conditions, token definitions and Shard Chain resolvers.
+ * - every game has its own GameRules, so registering something for one match
+ *   never changes another match running in the same process
+ * - GameState is plain data (cloned, saved and replayed as JSON), so the rules
+ *   are not a field on it; they are linked to it here, and copies made by
+ *   cloneState keep the link, so replay and undo run with the match's own rules
+ * - pass the same GameRules to createGameFromSetups or deserialize to build or
+ *   load a game with them
+ */
+export interface GameRules {
+  phaseHooks: Partial<Record<Phase, PhaseHooks[]>>;
+  eventHandlers: Partial<Record<EngineEventType, EngineEventHandler[]>>;
+  victoryConditions: VictoryCondition[];
+  tokenDefinitions: Map<string, TokenDefinition>; // on top of the built-in tokens
+  chainResolvers: Map<string, ChainResolver>; // by link kind, on top of the built-in ones
+}
+
+export function createGameRules(): GameRules {
+  return {
+    phaseHooks: {},
+    eventHandlers: {},
+    victoryConditions: [],
+    tokenDefinitions: new Map(),
+    chainResolvers: new Map(),
+  };
+}
+
+const rulesByState = new WeakMap<GameState, GameRules>();
+
+/**
+ * The rules linked to a game. A state that has none yet (built by hand, or
+ * parsed from JSON without deserialize) gets an empty set.
+ */
+export function getGameRules(state: GameState): GameRules {
+  let rules = rulesByState.get(state);
+  if (!rules) {
+    rules = createGameRules();
+    rulesByState.set(state, rules);
+  }
+  return rules;
+}
+
+/**
+ * Link `rules` to a game, replacing whatever it had.
+ */
+export function setGameRules(state: GameState, rules: GameRules): void {
+  rulesByState.set(state, rules);
+}
+
+/**
+ * Add `item` to a registration list. Returns a function that removes it again.
+ */
+export function addRegistration<T>(list: T[], item: T): () => void {
+  list.push(item);
+  return () => {
+    const index = list.indexOf(item);
+    if (index !== -1) {
+      list.splice(index, 1);
+    }
+  };
+}
@@ -0,0 +1,323 @@
+import type { GameState } from "./gameState";
+import { Zone } from "./zones";
+import { PHASE_ORDER } from "./phases";
+import { validateFormat } from "./format";
+import { setGameRules, type GameRules } from "./rules";
+
+/**
+ * Save format version. Bump it whenever GameState (or Card) changes shape in a
+ * way old saves don't match, and add a migration from the previous version.
+ */
+export const SAVE_SCHEMA_VERSION = 6;
+
+/**
+ * What serialize() writes: the version the state was saved with, plus the
+ * state itself as plain data.
+ */
+export interface SavedGame {
+  schemaVersion: number;
+  state: unknown;
+}
+
+/**
+ * Upgrades a save's state from version N to N + 1, by plain data in and out.
+ */
+export type SaveMigration = (state: Record<string, unknown>) => Record<string, unknown>;
+
+// MIGRATIONS[n] takes a version-n state to version n + 1.
+const MIGRATIONS: Record<number, SaveMigration> = {
+  // 2: opening hands and mulligans (GameState.opening); older saves had none pending
+  1: (state) => ({ ...state, opening: null }),
+  // 3: hand size discards (GameState.pendingDiscards)
+  2: (state) => ({ ...state, pendingDiscards: [] }),
+  // 4: typed Essence (Player.klPool)
+  3: (state) => ({
+    ...state,
+    players: Array.isArray(state.players)
+      ? state.players.map((p) => (isRecord(p) ? { ...p, klPool: [] } : p))
+      : state.players,
+  }),
+  // 5: choices a resolving chain link waits for (GameState.pendingChoices)
+  4: (state) => ({ ...state, pendingChoices: [] }),
+  // 6: a trigger waiting for its controller to choose targets (GameState.pendingTriggerTargets)
+  5: (state) => ({ ...state, pendingTriggerTargets: null }),
+};
+
+/**
+ * Turn a GameState into a JSON string that deserialize() can load later,
+ * on any machine: damage, modifiers, turn flags, the Shard Chain, pending
+ * combat and the RNG position all come along.
+ */
+export function serialize(state: GameState): string {
+  const saved: SavedGame = { schemaVersion: SAVE_SCHEMA_VERSION, state };
+  return JSON.stringify(saved);
+}
+
+/**
+ * Load a GameState written by serialize(), migrating older saves up to the
+ * current version first. Throws if the JSON is not a save, comes from a newer
+ * version, or the state doesn't hold together.
+ * Rules aren't saved: pass the GameRules the match was played with.
+ */
+export function deserialize(json: string, rules?: GameRules): GameState {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`Invalid save: not JSON (${(err as Error).message}).`);
+  }
+  if (!isRecord(parsed) || typeof parsed.schemaVersion !== "number" || !isRecord(parsed.state)) {
+    throw new Error("Invalid save: expected { schemaVersion, state }.");
+  }
+
+  const state = migrateState(parsed.state, parsed.schemaVersion);
+  validateState(state);
+  const loaded = state as unknown as GameState;
+  if (rules) setGameRules(loaded, rules);
+  return loaded;
+}
+
+/**
+ * Run every migration from `fromVersion` up to SAVE_SCHEMA_VERSION.
+ */
+export function migrateState(
+  state: Record<string, unknown>,
+  fromVersion: number
+): Record<string, unknown> {
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    throw new Error(`Invalid save: schema version ${fromVersion} is not a version.`);
+  }
+  if (fromVersion > SAVE_SCHEMA_VERSION) {
+    throw new Error(
+      `Save is from schema version ${fromVersion}, newer than this engine (${SAVE_SCHEMA_VERSION}).`
+    );
+  }
+
+  let current = state;
+  for (let version = fromVersion; version < SAVE_SCHEMA_VERSION; version++) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration from save schema version ${version} to ${version + 1}.`);
+    }
+    current = migrate(current);
+  }
+  return current;
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function fail(path: string, problem: string): never {
+  throw new Error(`Invalid save: ${path} ${problem}.`);
+}
+
+function expectRecord(value: unknown, path: string): Record<string, unknown> {
+  if (!isRecord(value)) fail(path, "must be an object");
+  return value;
+}
+
+function expectArray(value: unknown, path: string): unknown[] {
+  if (!Array.isArray(value)) fail(path, "must be an array");
+  return value;
+}
+
+function expectString(value: unknown, path: string): string {
+  if (typeof value !== "string") fail(path, "must be a string");
+  return value;
+}
+
+function expectNumber(value: unknown, path: string): number {
+  if (typeof value !== "number" || !Number.isFinite(value)) fail(path, "must be a number");
+  return value;
+}
+
+function expectBoolean(value: unknown, path: string): boolean {
+  if (typeof value !== "boolean") fail(path, "must be true or false");
+  return value;
+}
+
+const ZONES = Object.values(Zone) as string[];
+
+function validateCard(value: unknown, path: string, seen: Set<string>): void {
+  const card = expectRecord(value, path);
+  const instanceId = expectString(card.instanceId, `${path}.instanceId`);
+  if (seen.has(instanceId)) fail(`${path}.instanceId`, `repeats ${instanceId}`);
+  seen.add(instanceId);
+
+  expectString(card.cardId, `${path}.cardId`);
+  expectString(card.name, `${path}.name`);
+  expectString(card.typeLine, `${path}.typeLine`);
+  expectString(card.ownerId, `${path}.ownerId`);
+  expectString(card.controllerId, `${path}.controllerId`);
+  if (!ZONES.includes(expectString(card.zone, `${path}.zone`))) {
+    fail(`${path}.zone`, `is not a zone (${String(card.zone)})`);
+  }
+  expectNumber(card.klCost, `${path}.klCost`);
+  expectNumber(card.damageMarked, `${path}.damageMarked`);
+  expectBoolean(card.tapped, `${path}.tapped`);
+  expectBoolean(card.isToken, `${path}.isToken`);
+  expectArray(card.subtypes, `${path}.subtypes`);
+  expectArray(card.abilities, `${path}.abilities`);
+  expectArray(card.keywords, `${path}.keywords`);
+  if (card.attachedToInstanceId !== undefined) {
+    expectString(card.attachedToInstanceId, `${path}.attachedToInstanceId`);
+  }
+  expectArray(card.temporaryModifiers, `${path}.temporaryModifiers`).forEach((m, i) => {
+    const modifier = expectRecord(m, `${path}.temporaryModifiers[${i}]`);
+    expectString(modifier.sourceInstanceId, `${path}.temporaryModifiers[${i}].sourceInstanceId`);
+    expectString(modifier.duration, `${path}.temporaryModifiers[${i}].duration`);
+  });
+}
+
+const CARD_LIST_ZONES = [
+  "hand",
+  "veiledDeck",
+  "crypt",
+  "nullZone",
+  "shardRow",
+  "avatarLine",
+  "relicSupportZone",
+] as const;
+
+/**
+ * Check that a (migrated) state has the shape of the current GameState:
+ * every field the engine reads is there with the right type, card instance
+ * ids are unique, and player references point at real players.
+ * Ability definitions are taken as they are.
+ */
+export function validateState(value: unknown): void {
+  const state = expectRecord(value, "state");
+  const seen = new Set<string>();
+
+  const players = expectArray(state.players, "state.players");
+  if (players.length === 0) fail("state.players", "must not be empty");
+  const playerIds = players.map((p, i) => {
+    const player = expectRecord(p, `state.players[${i}]`);
+    const path = `state.players[${i}]`;
+    const id = expectString(player.id, `${path}.id`);
+
+    validateCard(player.deity, `${path}.deity`, seen);
+    for (const zone of CARD_LIST_ZONES) {
+      expectArray(player[zone], `${path}.${zone}`).forEach((c, j) =>
+        validateCard(c, `${path}.${zone}[${j}]`, seen)
+      );
+    }
+    if (player.domainZone !== null) validateCard(player.domainZone, `${path}.domainZone`, seen);
+
+    expectNumber(player.essence, `${path}.essence`);
+    expectNumber(player.baseKl, `${path}.baseKl`);
+    expectNumber(player.currentKl, `${path}.currentKl`);
+    expectArray(player.klPool, `${path}.klPool`).forEach((k, j) => {
+      const pooled = expectRecord(k, `${path}.klPool[${j}]`);
+      expectNumber(pooled.id, `${path}.klPool[${j}].id`);
+      expectString(pooled.label, `${path}.klPool[${j}].label`);
+      expectNumber(pooled.amount, `${path}.klPool[${j}].amount`);
+      expectString(pooled.sourceInstanceId, `${path}.klPool[${j}].sourceInstanceId`);
+      expectString(pooled.expires, `${path}.klPool[${j}].expires`);
+    });
+    expectNumber(player.godCharges, `${path}.godCharges`);
+    expectBoolean(player.klThresholdTriggeredThisTurn, `${path}.klThresholdTriggeredThisTurn`);
+    expectNumber(player.turnsTaken, `${path}.turnsTaken`);
+    expectNumber(player.domainsPlayedThisTurn, `${path}.domainsPlayedThisTurn`);
+    expectBoolean(player.drewFromEmptyDeck, `${path}.drewFromEmptyDeck`);
+    expectBoolean(player.conceded, `${path}.conceded`);
+    if (player.lossReason !== null) expectString(player.lossReason, `${path}.lossReason`);
+    return id;
+  });
+  if (new Set(playerIds).size !== playerIds.length) fail("state.players", "repeat a player id");
+
+  const isPlayer = (id: unknown) => typeof id === "string" && playerIds.includes(id);
+  const turnNumber = expectNumber(state.turnNumber, "state.turnNumber");
+  if (!isPlayer(state.firstPlayerId)) fail("state.firstPlayerId", "must be a player id");
+  if (turnNumber > 0 && !isPlayer(state.activePlayerId)) {
+    fail("state.activePlayerId", "must be a player id");
+  }
+  if (!(PHASE_ORDER as string[]).includes(expectString(state.phase, "state.phase"))) {
+    fail("state.phase", `is not a phase (${String(state.phase)})`);
+  }
+
+  const format = expectRecord(state.format, "state.format");
+  try {
+    validateFormat(format as never, playerIds);
+  } catch (err) {
+    fail("state.format", `doesn't fit the players (${(err as Error).message})`);
+  }
+
+  const chain = expectRecord(state.chain, "state.chain");
+  expectNumber(chain.passCount, "state.chain.passCount");
+  expectNumber(chain.nextLinkId, "state.chain.nextLinkId");
+  if (chain.priorityPlayerId !== null && !isPlayer(chain.priorityPlayerId)) {
+    fail("state.chain.priorityPlayerId", "must be a player id or null");
+  }
+  const linkIds = expectArray(chain.links, "state.chain.links").map((l, i) => {
+    const link = expectRecord(l, `state.chain.links[${i}]`);
+    const id = expectNumber(link.id, `state.chain.links[${i}].id`);
+    expectString(link.kind, `state.chain.links[${i}].kind`);
+    if (!isPlayer(link.controllerId)) fail(`state.chain.links[${i}].controllerId`, "must be a player id");
+    expectString(link.sourceInstanceId, `state.chain.links[${i}].sourceInstanceId`);
+    expectArray(link.targets, `state.chain.links[${i}].targets`);
+    if (link.card !== undefined) validateCard(link.card, `state.chain.links[${i}].card`, seen);
+    return id;
+  });
+
+  const rng = expectRecord(state.rng, "state.rng");
+  expectNumber(rng.seed, "state.rng.seed");
+  expectNumber(rng.state, "state.rng.state");
+
+  if (state.combat !== null) {
+    const combat = expectRecord(state.combat, "state.combat");
+    if (!isPlayer(combat.attackingPlayerId)) fail("state.combat.attackingPlayerId", "must be a player id");
+    if (!isPlayer(combat.defendingPlayerId)) fail("state.combat.defendingPlayerId", "must be a player id");
+    expectArray(combat.attacks, "state.combat.attacks");
+  }
+  expectArray(state.pendingTriggers, "state.pendingTriggers");
+  if (state.pendingTriggerTargets !== null) {
+    const targeting = expectRecord(state.pendingTriggerTargets, "state.pendingTriggerTargets");
+    const trigger = expectRecord(targeting.trigger, "state.pendingTriggerTargets.trigger");
+    if (!isPlayer(trigger.controllerId)) fail("state.pendingTriggerTargets.trigger.controllerId", "must be a player id");
+    expectRecord(trigger.ability, "state.pendingTriggerTargets.trigger.ability");
+    expectArray(targeting.options, "state.pendingTriggerTargets.options").forEach((list, i) => {
+      expectArray(list, `state.pendingTriggerTargets.options[${i}]`);
+    });
+  }
+
+  const nextInstanceId = expectNumber(state.nextInstanceId, "state.nextInstanceId");
+  if (!Number.isInteger(nextInstanceId) || nextInstanceId < 1) {
+    fail("state.nextInstanceId", "must be a positive whole number");
+  }
+  if (state.result !== null) {
+    const result = expectRecord(state.result, "state.result");
+    expectString(result.outcome, "state.result.outcome");
+    expectArray(result.losses, "state.result.losses");
+  }
+  if (state.opening !== null) {
+    const opening = expectRecord(state.opening, "state.opening");
+    expectArray(opening.undecidedPlayerIds, "state.opening.undecidedPlayerIds").forEach((id, i) => {
+      if (!isPlayer(id)) fail(`state.opening.undecidedPlayerIds[${i}]`, "must be a player id");
+    });
+    const taken = expectRecord(opening.mulligansTaken, "state.opening.mulligansTaken");
+    for (const [id, count] of Object.entries(taken)) {
+      if (!isPlayer(id)) fail("state.opening.mulligansTaken", `names a non-player (${id})`);
+      expectNumber(count, `state.opening.mulligansTaken.${id}`);
+    }
+  }
+  expectArray(state.pendingDiscards, "state.pendingDiscards").forEach((d, i) => {
+    const discard = expectRecord(d, `state.pendingDiscards[${i}]`);
+    if (!isPlayer(discard.playerId)) fail(`state.pendingDiscards[${i}].playerId`, "must be a player id");
+    expectNumber(discard.count, `state.pendingDiscards[${i}].count`);
+  });
+  expectArray(state.pendingChoices, "state.pendingChoices").forEach((c, i) => {
+    const path = `state.pendingChoices[${i}]`;
+    const choice = expectRecord(c, path);
+    if (!isPlayer(choice.playerId)) fail(`${path}.playerId`, "must be a player id");
+    if (!linkIds.includes(expectNumber(choice.linkId, `${path}.linkId`))) {
+      fail(`${path}.linkId`, "must be a link on the Shard Chain");
+    }
+    expectString(choice.abilityId, `${path}.abilityId`);
+    expectNumber(choice.effectIndex, `${path}.effectIndex`);
+    expectNumber(choice.count, `${path}.count`);
+    expectArray(choice.options, `${path}.options`);
+    if (choice.chosen !== null) expectArray(choice.chosen, `${path}.chosen`);
+  });
+}
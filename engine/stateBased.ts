@@ -0,0 +1,271 @@
+import type { GameState } from "./gameState";
+import type { Player } from "./player";
+import type { Card } from "./card";
+import { Zone } from "./zones";
+import { areTeammates, getNextPlayerInGame, getTeam } from "./format";
+import { startTurn } from "./turn";
+import { sendUnattachedToCrypt } from "./attachments";
+import { throwIfViolated, violation, type RuleViolation } from "./violations";
+import { addRegistration, getGameRules, type GameRules } from "./rules";
+
+/**
+ * Why a player lost.
+ * - ESSENCE: Essence at 0
+ * - DECK_OUT: had to draw from an empty Veiled Deck
+ * - CONCEDE: gave up
+ * - CUSTOM: a registered victory condition said so
+ */
+export type LossReason = "ESSENCE" | "DECK_OUT" | "CONCEDE" | "CUSTOM";
+
+export interface PlayerLoss {
+  playerId: string;
+  reason: LossReason;
+  turnNumber: number;
+}
+
+/**
+ * How the match ended. `winnerIds` is the winning player, or every member of
+ * the winning team (including teammates who lost along the way).
+ * `losses` lists every player who lost, in the order they lost; players who
+ * lost in the same check lost simultaneously.
+ * A DRAW means nobody was left standing (or several sides won at once).
+ */
+export type GameResult =
+  | { outcome: "WIN"; winnerIds: string[]; losses: PlayerLoss[]; turnNumber: number }
+  | { outcome: "DRAW"; losses: PlayerLoss[]; turnNumber: number };
+
+/**
+ * What a custom victory condition reports when it applies.
+ * - winnerId: this player (and their team) wins; everyone else still in the game loses
+ * - loserIds: these players lose
+ */
+export interface VictoryClaim {
+  winnerId?: string;
+  loserIds?: string[];
+}
+
+/**
+ * A custom win/loss rule ("if you control 5 Shards, you win the game"),
+ * checked with the other state-based actions. Return null when it doesn't apply.
+ */
+export type VictoryCondition = (state: GameState) => VictoryClaim | null;
+
+/**
+ * Register a custom victory condition in one game's rules.
+ * Returns a function that removes it again.
+ */
+export function registerVictoryCondition(rules: GameRules, condition: VictoryCondition): () => void {
+  return addRegistration(rules.victoryConditions, condition);
+}
+
+export function isGameOver(state: GameState): boolean {
+  return state.result !== null;
+}
+
+/**
+ * Players who have not lost yet, in turn order.
+ */
+export function getPlayersInGame(state: GameState): Player[] {
+  return state.players.filter((p) => p.lossReason === null);
+}
+
+/**
+ * Why each still-standing player loses right now, if they do, and who a
+ * custom victory condition says wins.
+ * Conceding comes first, then Essence, then deck-out, so the reason shown is
+ * the more obvious one.
+ */
+function collectLosses(state: GameState): { losses: Map<string, LossReason>; winners: Set<string> } {
+  const losses = new Map<string, LossReason>();
+  const inGame = getPlayersInGame(state);
+
+  for (const player of inGame) {
+    if (player.conceded) {
+      losses.set(player.id, "CONCEDE");
+    } else if (player.essence <= 0) {
+      losses.set(player.id, "ESSENCE");
+    } else if (player.drewFromEmptyDeck) {
+      losses.set(player.id, "DECK_OUT");
+    }
+  }
+
+  const winners = new Set<string>();
+  for (const condition of [...getGameRules(state).victoryConditions]) {
+    const claim = condition(state);
+    if (!claim) continue;
+    if (claim.winnerId !== undefined) winners.add(claim.winnerId);
+    for (const loserId of claim.loserIds ?? []) {
+      if (!losses.has(loserId)) losses.set(loserId, "CUSTOM");
+    }
+  }
+
+  if (winners.size > 0) {
+    const winning = (playerId: string) =>
+      [...winners].some((winnerId) => areTeammates(state, winnerId, playerId));
+    for (const player of inGame) {
+      if (!winning(player.id) && !losses.has(player.id)) {
+        losses.set(player.id, "CUSTOM");
+      }
+    }
+  }
+
+  // Claims may name players who already lost; they stay out.
+  for (const playerId of [...losses.keys()]) {
+    if (!inGame.some((p) => p.id === playerId)) losses.delete(playerId);
+  }
+  return { losses, winners };
+}
+
+function getLosses(state: GameState): PlayerLoss[] {
+  return state.players
+    .filter((p) => p.lossReason !== null)
+    .map((p) => ({ playerId: p.id, reason: p.lossReason!, turnNumber: p.lostOnTurn ?? state.turnNumber }))
+    .sort((a, b) => a.turnNumber - b.turnNumber);
+}
+
+/**
+ * A player who lost in a game that goes on leaves it: their permanents go to
+ * their Null zone (tokens just cease to exist), their links leave the Shard Chain (and so do the choices
+ * waiting on them), they have nothing left to choose, combat involving them
+ * ends, and if it was their turn (or the turn was only waiting on their hand
+ * size discard) the next turn starts.
+ */
+function leaveGame(state: GameState, player: Player): void {
+  const permanents: Card[] = [
+    ...player.avatarLine,
+    ...player.shardRow,
+    ...player.relicSupportZone,
+    ...(player.domainZone ? [player.domainZone] : []),
+  ];
+  for (const card of permanents) {
+    card.zone = Zone.NULL_ZONE;
+    card.damageMarked = 0;
+    card.tapped = false;
+    card.temporaryModifiers = [];
+    delete card.attachedToInstanceId;
+  }
+  player.nullZone.push(...permanents.filter((card) => !card.isToken)); // tokens cease to exist
+  player.avatarLine = [];
+  player.shardRow = [];
+  player.relicSupportZone = [];
+  player.domainZone = null;
+
+  state.chain.links = state.chain.links.filter((link) => link.controllerId !== player.id);
+  if (state.pendingTriggerTargets) {
+    // Back in the queue: its options are worked out again without this player.
+    state.pendingTriggers.unshift(state.pendingTriggerTargets.trigger);
+    state.pendingTriggerTargets = null;
+  }
+  state.pendingTriggers = state.pendingTriggers.filter((t) => t.controllerId !== player.id);
+  state.pendingChoices = state.pendingChoices.filter(
+    (c) => c.playerId !== player.id && state.chain.links.some((link) => link.id === c.linkId)
+  );
+  const turnWasEnding = state.pendingDiscards.length > 0;
+  state.pendingDiscards = state.pendingDiscards.filter((d) => d.playerId !== player.id);
+  if (
+    state.combat &&
+    (state.combat.attackingPlayerId === player.id || state.combat.defendingPlayerId === player.id)
+  ) {
+    state.combat = null;
+  }
+
+  if (state.chain.links.length === 0) {
+    state.chain.priorityPlayerId = null;
+    state.chain.passCount = 0;
+  } else if (state.chain.priorityPlayerId === player.id) {
+    state.chain.priorityPlayerId = getNextPlayerInGame(state, player.id);
+    state.chain.passCount = 0;
+  }
+
+  if (state.activePlayerId === player.id) {
+    state.chain.links = [];
+    state.pendingChoices = [];
+    state.chain.priorityPlayerId = null;
+    state.chain.passCount = 0;
+    state.combat = null;
+    state.pendingDiscards = [];
+    startTurn(state);
+  } else if (turnWasEnding && state.pendingDiscards.length === 0) {
+    // The turn was only waiting on their hand size discard.
+    startTurn(state);
+  }
+}
+
+/**
+ * State-based actions: check every win/loss rule at once and end the match
+ * when only one side is left: one player, or one team in a team game (or
+ * several sides win together). Players who meet a loss rule in the same check
+ * lose simultaneously, so both Deities hitting 0 Essence in one combat is a
+ * DRAW. In multiplayer, players who lose while others play on leave the game.
+ * Attached Relics and Supports whose bearer is gone go to the Crypt.
+ *
+ * Runs before triggers are put on the Shard Chain, i.e. after every
+ * engine action. Sets and returns state.result; null while the match goes on.
+ */
+export function checkStateBasedActions(state: GameState): GameResult | null {
+  if (state.result || state.turnNumber === 0) {
+    return state.result;
+  }
+
+  const { losses, winners } = collectLosses(state);
+  for (const [playerId, reason] of losses) {
+    const player = state.players.find((p) => p.id === playerId)!;
+    player.lossReason = reason;
+    player.lostOnTurn = state.turnNumber;
+  }
+
+  const remaining = getPlayersInGame(state);
+  const oneSideLeft =
+    remaining.length > 0 && remaining.every((p) => areTeammates(state, remaining[0].id, p.id));
+  if (remaining.length === 0 || (!oneSideLeft && winners.size > 0)) {
+    state.result = { outcome: "DRAW", losses: getLosses(state), turnNumber: state.turnNumber };
+  } else if (oneSideLeft) {
+    state.result = {
+      outcome: "WIN",
+      winnerIds: getTeam(state, remaining[0].id),
+      losses: getLosses(state),
+      turnNumber: state.turnNumber,
+    };
+  }
+
+  if (state.result) {
+    state.pendingTriggers = [];
+    state.combat = null;
+    return state.result;
+  }
+
+  for (const playerId of losses.keys()) {
+    leaveGame(state, state.players.find((p) => p.id === playerId)!);
+  }
+  sendUnattachedToCrypt(state);
+  return null;
+}
+
+/**
+ * A player gives up. Takes effect at the next state-based action check.
+ */
+export function concede(state: GameState, playerId: string): void {
+  const player = state.players.find((p) => p.id === playerId);
+  if (!player) {
+    throw new Error(`Player with id ${playerId} not found in GameState.`);
+  }
+  assertGameInProgress(state, "concede");
+  player.conceded = true;
+}
+
+/**
+ * GAME_OVER once the match has a result, else null.
+ */
+export function checkGameInProgress(state: GameState, actionName: string): RuleViolation | null {
+  if (state.result) {
+    return violation("GAME_OVER", `Cannot ${actionName}: the game is over.`);
+  }
+  return null;
+}
+
+/**
+ * Guard for anything that changes the game: throws once the match has a result.
+ */
+export function assertGameInProgress(state: GameState, actionName: string): void {
+  throwIfViolated(checkGameInProgress(state, actionName));
+}
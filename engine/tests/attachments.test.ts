@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as api from "../api";
+import type { GameState } from "../api";
+import { Zone } from "../zones";
+import { card, deity, putOnAvatarLine } from "./helpers";
+
+// P1's Main phase with an Avatar on the line and a Relic in hand that
+// attaches to an Avatar.
+function setUpRelic(): { state: GameState; avatarId: string; relicId: string } {
+  const relic = card("RELIC", "P1", {
+    typeLine: "RELIC",
+    abilities: [{ id: "RELIC#1", label: "Attach", description: "Attach to an Avatar.", attach: { kinds: ["AVATAR"] } }],
+  });
+  const state = api.createGameFromSetups(
+    [
+      { id: "P1", deity: deity("P1"), veiledDeck: [card("AV", "P1"), relic, card("FILLER", "P1")] },
+      { id: "P2", deity: deity("P2"), veiledDeck: [card("FILLER", "P2")] },
+    ],
+    "P1",
+    1,
+    { kind: "DUEL", openingHandSize: 0 }
+  );
+  const p1 = state.players[0];
+  const avatarId = putOnAvatarLine(p1, "AV");
+  const [inHand] = p1.veiledDeck.splice(0, 1);
+  inHand.zone = Zone.HAND;
+  p1.hand.push(inHand);
+  api.applyAction(state, { type: "START_GAME" });
+  while (state.phase !== api.Phase.MAIN) {
+    api.applyAction(state, { type: "ADVANCE_PHASE", playerId: "P1" });
+  }
+  return { state, avatarId, relicId: inHand.instanceId };
+}
+
+test("a Relic goes to the Crypt as soon as its bearer is sent to the Null zone", () => {
+  const { state, avatarId, relicId } = setUpRelic();
+  const p1 = state.players[0];
+  api.playRelicOrSupport(state, "P1", relicId, { playerId: "P1", instanceId: avatarId });
+  assert.equal(p1.relicSupportZone[0].attachedToInstanceId, avatarId);
+
+  api.sendToNull(state, "P1", avatarId);
+  assert.deepEqual(p1.relicSupportZone, []);
+  assert.deepEqual(p1.crypt.map((c) => c.instanceId), [relicId]);
+  assert.equal(p1.crypt[0].attachedToInstanceId, undefined);
+});
@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as api from "../api";
+import type { CardAbility, GameState } from "../api";
+import { Zone } from "../zones";
+import { card, deity, putOnAvatarLine } from "./helpers";
+
+const drain: CardAbility = {
+  id: "DRAIN#1",
+  label: "Drain",
+  description: "Target player loses 2 Essence.",
+  trigger: "SPELL",
+  targets: [{ kind: "PLAYER" }],
+  effects: [{ subject: { ref: "TARGET", index: 0 }, kind: "LOSE_ESSENCE", amount: 2 }],
+};
+const smite: CardAbility = {
+  id: "SMITE#1",
+  label: "Smite",
+  description: "Destroy target Avatar.",
+  trigger: "SPELL",
+  targets: [{ kind: "AVATAR" }],
+  effects: [{ subject: { ref: "TARGET", index: 0 }, kind: "DESTROY" }],
+};
+const lastGift: CardAbility = {
+  id: "MARTYR#1",
+  label: "Last Gift",
+  description: "When this is destroyed, you gain 3 Essence.",
+  trigger: "ON_DESTROYED",
+  effects: [{ subject: { ref: "CONTROLLER" }, kind: "GAIN_ESSENCE", amount: 3 }],
+};
+
+// P1's Main phase: P1 holds DRAIN and has MARTYR on the line, P2 holds the fast SMITE.
+function setUpMain(): GameState {
+  const state = api.createGameFromSetups(
+    [
+      {
+        id: "P1",
+        deity: deity("P1"),
+        veiledDeck: [
+          card("DRAIN", "P1", { typeLine: "SPELL", klCost: 0, abilities: [drain] }),
+          card("MARTYR", "P1", { abilities: [lastGift] }),
+          card("FILLER", "P1"),
+        ],
+      },
+      {
+        id: "P2",
+        deity: deity("P2"),
+        veiledDeck: [
+          card("SMITE", "P2", { typeLine: "SPELL", speed: "FAST", klCost: 0, abilities: [smite] }),
+          card("FILLER", "P2"),
+        ],
+      },
+    ],
+    "P1",
+    1,
+    { kind: "DUEL", openingHandSize: 0 }
+  );
+  for (const player of state.players) {
+    const [spell] = player.veiledDeck.splice(0, 1);
+    spell.zone = Zone.HAND;
+    player.hand.push(spell);
+  }
+  putOnAvatarLine(state.players[0], "MARTYR");
+  api.applyAction(state, { type: "START_GAME" });
+  while (state.phase !== api.Phase.MAIN) {
+    api.applyAction(state, { type: "ADVANCE_PHASE", playerId: "P1" });
+  }
+  return state;
+}
+
+function passRound(state: GameState): void {
+  api.applyAction(state, { type: "PASS_PRIORITY", playerId: state.chain.priorityPlayerId! });
+  api.applyAction(state, { type: "PASS_PRIORITY", playerId: state.chain.priorityPlayerId! });
+}
+
+test("each round of passes resolves only the top link, triggers go on top", () => {
+  const state = setUpMain();
+  const [p1, p2] = state.players;
+  const martyrId = p1.avatarLine[0].instanceId;
+  api.applyAction(state, {
+    type: "PLAY_CARD",
+    playerId: "P1",
+    instanceId: p1.hand[0].instanceId,
+    targets: [{ playerId: "P2" }],
+  });
+  api.applyAction(state, {
+    type: "PLAY_CARD",
+    playerId: "P2",
+    instanceId: p2.hand[0].instanceId,
+    targets: [{ playerId: "P1", instanceId: martyrId }],
+  });
+  assert.deepEqual(state.chain.links.map((l) => l.card?.cardId), ["DRAIN", "SMITE"]);
+
+  passRound(state);
+  // SMITE resolved; MARTYR's trigger sits above DRAIN and P1 has priority again.
+  assert.deepEqual(state.chain.links.map((l) => l.card?.cardId ?? l.sourceInstanceId), ["DRAIN", martyrId]);
+  assert.equal(state.chain.priorityPlayerId, "P1");
+  assert.deepEqual([p1.essence, p2.essence], [20, 20]);
+
+  passRound(state);
+  assert.deepEqual(state.chain.links.map((l) => l.card?.cardId), ["DRAIN"]);
+  assert.equal(state.chain.priorityPlayerId, "P1");
+  assert.deepEqual([p1.essence, p2.essence], [23, 20]);
+
+  passRound(state);
+  assert.equal(state.chain.links.length, 0);
+  assert.equal(state.chain.priorityPlayerId, null);
+  assert.deepEqual([p1.essence, p2.essence], [23, 18]);
+});
+
+test("a chain resolver registered for one game leaves others alone", () => {
+  const state = setUpMain();
+  const other = setUpMain();
+  api.registerChainResolver(api.getGameRules(state), api.SPELL_LINK_KIND, { resolve: () => {} });
+
+  for (const game of [state, other]) {
+    api.applyAction(game, {
+      type: "PLAY_CARD",
+      playerId: "P1",
+      instanceId: game.players[0].hand[0].instanceId,
+      targets: [{ playerId: "P2" }],
+    });
+    passRound(game);
+  }
+  assert.equal(state.players[1].essence, 20);
+  assert.equal(other.players[1].essence, 18);
+});
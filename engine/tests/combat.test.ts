@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as api from "../api";
+import type { GameState } from "../api";
+import { card, deity, putOnAvatarLine } from "./helpers";
+
+// P1 in its Clash phase with a Haste attacker, P2 with one Avatar.
+function setUpClash(): { state: GameState; attackerId: string; defenderAvatarId: string } {
+  const fillers = (ownerId: string) => Array.from({ length: 5 }, () => card("FILLER", ownerId));
+  const state = api.createGameFromSetups(
+    [
+      { id: "P1", deity: deity("P1"), veiledDeck: [card("ATK", "P1", { keywords: ["HASTE"] }), ...fillers("P1")] },
+      { id: "P2", deity: deity("P2"), veiledDeck: [card("BV", "P2"), ...fillers("P2")] },
+    ],
+    "P1",
+    1,
+    { kind: "DUEL", openingHandSize: 0 }
+  );
+  const [p1, p2] = state.players;
+  const attackerId = putOnAvatarLine(p1, "ATK");
+  const defenderAvatarId = putOnAvatarLine(p2, "BV");
+  api.applyAction(state, { type: "START_GAME" });
+  while (state.phase !== api.Phase.CLASH) {
+    api.applyAction(state, { type: "ADVANCE_PHASE", playerId: "P1" });
+  }
+  return { state, attackerId, defenderAvatarId };
+}
+
+test("an attack on an Avatar that leaves play before blocks deals no damage", () => {
+  const { state, attackerId, defenderAvatarId } = setUpClash();
+  api.applyAction(state, {
+    type: "DECLARE_ATTACKERS",
+    playerId: "P1",
+    defendingPlayerId: "P2",
+    attacks: [{ attackerInstanceId: attackerId, targetInstanceId: defenderAvatarId }],
+  });
+  api.sendToCrypt(state, "P2", defenderAvatarId);
+
+  assert.deepEqual(api.getLegalActions(state, "P2"), [{ type: "ASSIGN_BLOCKERS", blocks: [] }]);
+  api.applyAction(state, { type: "ASSIGN_BLOCKERS", playerId: "P2", blocks: [] });
+
+  const [p1, p2] = state.players;
+  assert.equal(state.combat, null);
+  assert.equal(p2.essence, 20);
+  assert.equal(p1.avatarLine[0].damageMarked, 0);
+  assert.equal(p1.avatarLine[0].tapped, true);
+  assert.ok(api.getLegalActions(state, "P1").some((a) => a.type === "ADVANCE_PHASE"));
+});
+
+test("the defender may declare no blockers even with untapped Avatars", () => {
+  const { state, attackerId } = setUpClash();
+  api.applyAction(state, {
+    type: "DECLARE_ATTACKERS",
+    playerId: "P1",
+    defendingPlayerId: "P2",
+    attacks: [{ attackerInstanceId: attackerId }],
+  });
+
+  const legal = api.getLegalActions(state, "P2");
+  assert.ok(legal.some((a) => a.type === "BLOCK"));
+  assert.ok(legal.some((a) => a.type === "ASSIGN_BLOCKERS" && a.blocks.length === 0));
+  api.applyAction(state, { type: "ASSIGN_BLOCKERS", playerId: "P2", blocks: [] });
+  assert.equal(state.players[1].essence, 18);
+});
+
+test("an attacker stays blocked when its blocker leaves play", () => {
+  const { state, attackerId, defenderAvatarId } = setUpClash();
+  api.applyAction(state, {
+    type: "DECLARE_ATTACKERS",
+    playerId: "P1",
+    defendingPlayerId: "P2",
+    attacks: [{ attackerInstanceId: attackerId }],
+  });
+  const secondBlockerId = putOnAvatarLine(state.players[1], "FILLER");
+  const blockerIds = [defenderAvatarId, secondBlockerId];
+  api.applyAction(state, {
+    type: "ASSIGN_BLOCKERS",
+    playerId: "P2",
+    blocks: blockerIds.map((blockerInstanceId) => ({ attackerInstanceId: attackerId, blockerInstanceId })),
+  });
+  // Both blockers leave play while P1 chooses the damage assignment order.
+  blockerIds.forEach((id) => api.sendToCrypt(state, "P2", id));
+  api.applyAction(state, {
+    type: "ORDER_BLOCKERS",
+    playerId: "P1",
+    orders: [{ attackerInstanceId: attackerId, blockerInstanceIds: blockerIds }],
+  });
+
+  assert.equal(state.combat, null);
+  assert.equal(state.players[1].essence, 20);
+  assert.equal(state.players[0].avatarLine[0].damageMarked, 0);
+});
+
+test("only Guardians may block while the defender has an untapped Guardian", () => {
+  const { state, attackerId, defenderAvatarId } = setUpClash();
+  const guardian = api.createToken(state, "P2", "GLOW_BEAST", 1)[0];
+  guardian.keywords.push("STEALTH"); // so P1 may still attack the Deity
+  api.applyAction(state, {
+    type: "DECLARE_ATTACKERS",
+    playerId: "P1",
+    defendingPlayerId: "P2",
+    attacks: [{ attackerInstanceId: attackerId }],
+  });
+
+  const blockers = api.getLegalActions(state, "P2").flatMap((a) => (a.type === "BLOCK" ? [a.blockerInstanceId] : []));
+  assert.deepEqual(blockers, [guardian.instanceId]);
+  assert.equal(
+    api.validateAction(state, {
+      type: "ASSIGN_BLOCKERS",
+      playerId: "P2",
+      blocks: [{ attackerInstanceId: attackerId, blockerInstanceId: defenderAvatarId }],
+    })?.code,
+    "INVALID_BLOCK"
+  );
+
+  guardian.tapped = true;
+  api.applyAction(state, {
+    type: "ASSIGN_BLOCKERS",
+    playerId: "P2",
+    blocks: [{ attackerInstanceId: attackerId, blockerInstanceId: defenderAvatarId }],
+  });
+  assert.equal(state.players[1].essence, 20);
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as api from "../api";
+import type { CardData, GameState } from "../api";
+import { Zone } from "../zones";
+import { card, deity } from "./helpers";
+
+const sunEssence = card("SUN", "P1", {
+  typeLine: "ESSENCE",
+  klCost: 0,
+  abilities: [
+    {
+      id: "SUN#1",
+      label: "Exhaust",
+      description: "Exhaust this: generate 2 Sun Essence.",
+      trigger: "ACTIVATED",
+      cost: { tapSelf: true },
+      effects: [{ subject: { ref: "CONTROLLER" }, kind: "ADD_KL", amount: 2, label: "Sun Essence" }],
+    },
+  ],
+});
+const blankEssence = card("BLANK", "P1", { typeLine: "ESSENCE", klCost: 0 });
+
+// P1's Main phase holding `hand`.
+function setUpMain(hand: CardData[]): GameState {
+  const state = api.createGameFromSetups(
+    [
+      { id: "P1", deity: deity("P1"), veiledDeck: [...hand, card("FILLER", "P1")] },
+      { id: "P2", deity: deity("P2"), veiledDeck: [card("FILLER", "P2")] },
+    ],
+    "P1",
+    1,
+    { kind: "DUEL", openingHandSize: 0 }
+  );
+  const p1 = state.players[0];
+  for (const inHand of p1.veiledDeck.splice(0, hand.length)) {
+    inHand.zone = Zone.HAND;
+    p1.hand.push(inHand);
+  }
+  api.applyAction(state, { type: "START_GAME" });
+  while (state.phase !== api.Phase.MAIN) {
+    api.applyAction(state, { type: "ADVANCE_PHASE", playerId: "P1" });
+  }
+  return state;
+}
+
+test("only Essence cards with an ability to use are offered", () => {
+  const state = setUpMain([sunEssence, blankEssence]);
+  const plays = api.getLegalActions(state, "P1").filter((a) => a.type === "PLAY_CARD");
+  assert.deepEqual(
+    plays.map((a) => a.type === "PLAY_CARD" && a.instanceId),
+    [state.players[0].hand[0].instanceId]
+  );
+});
+
+test("state-based actions run after an Essence card or a Domain is played", () => {
+  for (const [played, play] of [
+    [sunEssence, api.playEssence],
+    [card("DOMAIN", "P1", { typeLine: "DOMAIN", klCost: 0 }), api.playDomain],
+  ] as const) {
+    const state = setUpMain([played]);
+    state.players[1].essence = 0;
+    play(state, "P1", state.players[0].hand[0].instanceId);
+    assert.equal(state.result?.outcome, "WIN");
+    assert.deepEqual(state.result?.winnerIds, ["P1"]);
+  }
+});
@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as api from "../api";
+import type { CardAbility, GameState } from "../api";
+import { card, deity, putOnAvatarLine } from "./helpers";
+
+const eclipse: CardAbility = {
+  id: "ECLIPSE#1",
+  label: "Sanctuary Eclipse",
+  description: "Destroy up to two non-Beast Avatars. For each Avatar destroyed this way, you may create a 3/3 Void Beast Avatar.",
+  trigger: "GOD_CODE",
+  cost: { godCharges: 1 },
+  oncePerGame: true,
+  targets: [
+    { kind: "AVATAR", excludeSubtype: "Beast", optional: true },
+    { kind: "AVATAR", excludeSubtype: "Beast", optional: true },
+  ],
+  effects: [
+    { subject: { ref: "TARGET", index: 0 }, kind: "DESTROY" },
+    { subject: { ref: "TARGET", index: 1 }, kind: "DESTROY" },
+    { subject: { ref: "CONTROLLER" }, kind: "CREATE_TOKEN", tokenId: "VOID_BEAST", count: 1, perDestroyed: true },
+  ],
+};
+
+const arbitration: CardAbility = {
+  id: "ARBITRATION#1",
+  label: "Final Arbitration",
+  description: "Set each Deity's Essence to the lower of the two values, then you gain 3 Essence.",
+  trigger: "GOD_CODE",
+  cost: { godCharges: 1 },
+  oncePerGame: true,
+  effects: [
+    { subject: { ref: "EACH_PLAYER" }, kind: "SET_ESSENCE_TO_LOWEST" },
+    { subject: { ref: "CONTROLLER" }, kind: "GAIN_ESSENCE", amount: 3 },
+  ],
+};
+
+// P1's Main phase on turn 4 with one God Charge and `godCode` on its Deity;
+// P2 has a plain Avatar and a Beast on the line.
+function setUpGodCode(godCode: CardAbility): GameState {
+  const state = api.createGameFromSetups(
+    [
+      { id: "P1", deity: { ...deity("P1"), abilities: [godCode] }, veiledDeck: [card("FILLER", "P1")] },
+      {
+        id: "P2",
+        deity: deity("P2"),
+        veiledDeck: [card("BV", "P2"), card("BEAST", "P2", { subtypes: ["Beast"] }), card("FILLER", "P2")],
+      },
+    ],
+    "P1",
+    1,
+    { kind: "DUEL", openingHandSize: 0 }
+  );
+  putOnAvatarLine(state.players[1], "BV");
+  putOnAvatarLine(state.players[1], "BEAST");
+  api.applyAction(state, { type: "START_GAME" });
+  while (state.phase !== api.Phase.MAIN) {
+    api.applyAction(state, { type: "ADVANCE_PHASE", playerId: "P1" });
+  }
+  state.turnNumber = 4;
+  return state;
+}
+
+function resolveChain(state: GameState): void {
+  while (state.chain.priorityPlayerId) {
+    api.applyAction(state, { type: "PASS_PRIORITY", playerId: state.chain.priorityPlayerId });
+  }
+}
+
+test("a God Code creates a token for each Avatar it destroyed", () => {
+  const state = setUpGodCode(eclipse);
+  const [bv, beast] = state.players[1].avatarLine.map((c) => c.instanceId);
+
+  assert.equal(
+    api.validateAction(state, {
+      type: "ACTIVATE_GOD_CODE",
+      playerId: "P1",
+      targets: [{ playerId: "P2", instanceId: beast }],
+    })?.code,
+    "INVALID_TARGET"
+  );
+
+  api.applyAction(state, { type: "ACTIVATE_GOD_CODE", playerId: "P1", targets: [{ playerId: "P2", instanceId: bv }] });
+  resolveChain(state);
+  assert.deepEqual(state.players[1].avatarLine.map((c) => c.cardId), ["BEAST"]);
+  assert.deepEqual(state.players[0].avatarLine.map((c) => c.cardId), ["VOID_BEAST"]);
+});
+
+test("a God Code can set every Deity's Essence to the lowest", () => {
+  const state = setUpGodCode(arbitration);
+  state.players[1].essence = 12;
+
+  api.applyAction(state, { type: "ACTIVATE_GOD_CODE", playerId: "P1" });
+  resolveChain(state);
+  assert.deepEqual(state.players.map((p) => p.essence), [15, 12]);
+});
+
+test("every Deity starts with its God Code charged, to spend from turn 4", () => {
+  const state = setUpGodCode(arbitration);
+  assert.equal(api.STARTING_GOD_CHARGES, 1);
+  assert.deepEqual(state.players.map((p) => p.godCharges), [1, 1]);
+
+  state.turnNumber = api.MIN_TURN_FOR_GOD_CHARGE_SPEND - 1;
+  assert.equal(
+    api.validateAction(state, { type: "ACTIVATE_GOD_CODE", playerId: "P1" })?.code,
+    "INSUFFICIENT_GOD_CHARGES"
+  );
+});
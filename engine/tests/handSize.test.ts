@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as api from "../api";
+import type { GameState } from "../api";
+import { Zone } from "../zones";
+import { card, deity } from "./helpers";
+
+// P1's turn 1 with nine cards in hand, two over the default limit of 7.
+function setUpOverLimit(): GameState {
+  const deck = (ownerId: string) => Array.from({ length: 12 }, (_, i) => card(`C${i}`, ownerId));
+  const state = api.createGameFromSetups(
+    [
+      { id: "P1", deity: deity("P1"), veiledDeck: deck("P1") },
+      { id: "P2", deity: deity("P2"), veiledDeck: deck("P2") },
+    ],
+    "P1",
+    1,
+    { kind: "DUEL", openingHandSize: 0 }
+  );
+  api.applyAction(state, { type: "START_GAME" });
+  const p1 = state.players[0];
+  while (p1.hand.length < 9) {
+    const drawn = p1.veiledDeck.shift()!;
+    drawn.zone = Zone.HAND;
+    p1.hand.push(drawn);
+  }
+  return state;
+}
+
+function endTurn(state: GameState): void {
+  const turnNumber = state.turnNumber;
+  while (state.turnNumber === turnNumber && state.pendingDiscards.length === 0) {
+    api.applyAction(state, { type: "ADVANCE_PHASE", playerId: state.activePlayerId });
+  }
+}
+
+test("a player over the hand size limit chooses their discards before the turn ends", () => {
+  const state = setUpOverLimit();
+  const p1 = state.players[0];
+  endTurn(state);
+
+  assert.equal(state.turnNumber, 1);
+  assert.deepEqual(state.pendingDiscards, [{ playerId: "P1", count: 2 }]);
+  assert.deepEqual(api.getLegalActions(state, "P1"), [{ type: "DISCARD", count: 2 }]);
+  assert.equal(
+    api.validateAction(state, { type: "DISCARD", playerId: "P1", instanceIds: [p1.hand[0].instanceId] })?.code,
+    "INVALID_CHOICE"
+  );
+
+  const chosen = [p1.hand[0].instanceId, p1.hand[4].instanceId];
+  api.applyAction(state, { type: "DISCARD", playerId: "P1", instanceIds: chosen });
+  assert.deepEqual(p1.crypt.map((c) => c.instanceId), chosen);
+  assert.equal(p1.hand.length, 7);
+  assert.deepEqual(state.pendingDiscards, []);
+  assert.equal(state.turnNumber, 2);
+  assert.equal(state.activePlayerId, "P2");
+});
+
+test("a format's maxHandSize sets the limit", () => {
+  const state = setUpOverLimit();
+  state.format = { ...state.format, maxHandSize: 9 };
+  endTurn(state);
+
+  assert.deepEqual(state.pendingDiscards, []);
+  assert.equal(state.turnNumber, 2);
+});
@@ -0,0 +1,40 @@
+import type { CardData, Player } from "../api";
+import { Zone } from "../zones";
+
+/**
+ * Card data for tests: a 2/2 Avatar costing 1 KL unless `extra` says otherwise.
+ */
+export function card(cardId: string, ownerId: string, extra: Partial<CardData> = {}): CardData {
+  return {
+    cardId,
+    name: cardId,
+    typeLine: "AVATAR",
+    subtypes: [],
+    klCost: 1,
+    power: 2,
+    guard: 2,
+    abilities: [],
+    keywords: [],
+    isToken: false,
+    ownerId,
+    controllerId: ownerId,
+    zone: Zone.VEILED_DECK,
+    damageMarked: 0,
+    tapped: false,
+    temporaryModifiers: [],
+    ...extra,
+  };
+}
+
+export function deity(ownerId: string): CardData {
+  return card(`D-${ownerId}`, ownerId, { typeLine: "DEITY", startingEssence: 20, baseKl: 9, zone: Zone.DEITY_ZONE });
+}
+
+// Moves a card from the Veiled Deck straight onto the Avatar Line.
+export function putOnAvatarLine(player: Player, cardId: string): string {
+  const index = player.veiledDeck.findIndex((c) => c.cardId === cardId);
+  const [avatar] = player.veiledDeck.splice(index, 1);
+  avatar.zone = Zone.AVATAR_LINE;
+  player.avatarLine.push(avatar);
+  return avatar.instanceId;
+}
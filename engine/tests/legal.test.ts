@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as api from "../api";
+import type { CardAbility, GameState } from "../api";
+import { Zone } from "../zones";
+import { card, deity, putOnAvatarLine } from "./helpers";
+
+function activated(id: string, extra: Partial<CardAbility>): CardAbility {
+  return {
+    id,
+    label: id,
+    description: `${id}: you gain 1 Essence.`,
+    trigger: "ACTIVATED",
+    effects: [{ subject: { ref: "CONTROLLER" }, kind: "GAIN_ESSENCE", amount: 1 }],
+    ...extra,
+  };
+}
+
+const totemAbilities: CardAbility[] = [
+  activated("TOTEM#turn", { oncePerTurn: true, cost: { kl: 1 } }),
+  activated("TOTEM#game", { oncePerGame: true, cost: { essence: 1 } }),
+  activated("TOTEM#crowd", { condition: { kind: "CONTROLS", atLeast: 3, typeLine: "AVATAR" } }),
+  activated("TOTEM#dear", { cost: { kl: 99 } }),
+];
+const smite: CardAbility = {
+  id: "SMITE#1",
+  label: "Smite",
+  description: "Destroy target Avatar an opponent controls.",
+  trigger: "SPELL",
+  targets: [{ kind: "AVATAR", controller: "OPPONENT" }],
+  effects: [{ subject: { ref: "TARGET", index: 0 }, kind: "DESTROY" }],
+};
+const drain: CardAbility = {
+  id: "DRAIN#1",
+  label: "Drain",
+  description: "Target player loses 2 Essence.",
+  trigger: "SPELL",
+  targets: [{ kind: "PLAYER" }],
+  effects: [{ subject: { ref: "TARGET", index: 0 }, kind: "LOSE_ESSENCE", amount: 2 }],
+};
+
+// P1's Main phase with TOTEM on the line and SMITE and DRAIN in hand; P2 has no Avatars.
+function setUpMain(): GameState {
+  const state = api.createGameFromSetups(
+    [
+      {
+        id: "P1",
+        deity: deity("P1"),
+        veiledDeck: [
+          card("SMITE", "P1", { typeLine: "SPELL", klCost: 0, abilities: [smite] }),
+          card("DRAIN", "P1", { typeLine: "SPELL", klCost: 0, abilities: [drain] }),
+          card("TOTEM", "P1", { abilities: totemAbilities }),
+          card("FILLER", "P1"),
+        ],
+      },
+      { id: "P2", deity: deity("P2"), veiledDeck: [card("FILLER", "P2")] },
+    ],
+    "P1",
+    1,
+    { kind: "DUEL", openingHandSize: 0 }
+  );
+  const p1 = state.players[0];
+  for (const spell of p1.veiledDeck.splice(0, 2)) {
+    spell.zone = Zone.HAND;
+    p1.hand.push(spell);
+  }
+  putOnAvatarLine(p1, "TOTEM");
+  api.applyAction(state, { type: "START_GAME" });
+  while (state.phase !== api.Phase.MAIN) {
+    api.applyAction(state, { type: "ADVANCE_PHASE", playerId: "P1" });
+  }
+  return state;
+}
+
+const offeredAbilities = (state: GameState) =>
+  api.getLegalActions(state, "P1").flatMap((a) => (a.type === "ACTIVATE_ABILITY" ? [a.abilityId] : []));
+
+function activateAndResolve(state: GameState, instanceId: string, abilityId: string): void {
+  api.applyAction(state, { type: "ACTIVATE_ABILITY", playerId: "P1", instanceId, abilityId });
+  while (state.chain.priorityPlayerId) {
+    api.applyAction(state, { type: "PASS_PRIORITY", playerId: state.chain.priorityPlayerId });
+  }
+}
+
+test("every usable activated ability is offered until it is used up", () => {
+  const state = setUpMain();
+  const totemId = state.players[0].avatarLine[0].instanceId;
+  assert.deepEqual(offeredAbilities(state), ["TOTEM#turn", "TOTEM#game"]);
+
+  activateAndResolve(state, totemId, "TOTEM#turn");
+  activateAndResolve(state, totemId, "TOTEM#game");
+  assert.deepEqual(offeredAbilities(state), []);
+  assert.equal(state.players[0].essence, 21);
+  assert.match(
+    api.validateAction(state, { type: "ACTIVATE_ABILITY", playerId: "P1", instanceId: totemId, abilityId: "TOTEM#game" })
+      ?.message ?? "",
+    /already been used this game/
+  );
+
+  state.players[0].avatarLine[0].abilitiesUsedThisTurn = []; // as at the next Dawn
+  assert.deepEqual(offeredAbilities(state), ["TOTEM#turn"]);
+});
+
+test("a Spell with nothing to target is not offered", () => {
+  const state = setUpMain();
+  const plays = api.getLegalActions(state, "P1").flatMap((a) => (a.type === "PLAY_CARD" ? [a.instanceId] : []));
+  assert.deepEqual(plays, [state.players[0].hand[1].instanceId]);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as api from "../api";
+import type { GameFormat, GameState } from "../api";
+import { card, deity } from "./helpers";
+
+function setUpOpening(format: GameFormat): GameState {
+  const deck = (ownerId: string) => Array.from({ length: 12 }, (_, i) => card(`${ownerId}-C${i}`, ownerId));
+  return api.createGameFromSetups(
+    [
+      { id: "P1", deity: deity("P1"), veiledDeck: deck("P1") },
+      { id: "P2", deity: deity("P2"), veiledDeck: deck("P2") },
+    ],
+    "P1",
+    7,
+    format
+  );
+}
+
+test("every player keeps or mulligans before the first turn", () => {
+  const state = setUpOpening({ kind: "DUEL" });
+  assert.deepEqual(state.players.map((p) => p.hand.length), [5, 5]);
+  assert.deepEqual(api.getLegalActions(state, "P1").map((a) => a.type), ["KEEP_HAND", "MULLIGAN"]);
+  assert.equal(api.validateAction(state, { type: "START_GAME" })?.code, "DECISION_PENDING");
+
+  api.applyAction(state, { type: "KEEP_HAND", playerId: "P1" });
+  assert.equal(api.validateAction(state, { type: "KEEP_HAND", playerId: "P1" })?.code, "NO_PENDING_DECISION");
+  api.applyAction(state, { type: "KEEP_HAND", playerId: "P2" });
+  assert.equal(state.opening, null);
+
+  api.applyAction(state, { type: "START_GAME" });
+  while (state.phase !== api.Phase.MAIN) {
+    api.applyAction(state, { type: "ADVANCE_PHASE", playerId: "P1" });
+  }
+  assert.equal(state.players[0].hand.length, 5); // the first player skips their turn-1 draw
+});
+
+test("a full redraw mulligan shuffles the hand back and draws as many", () => {
+  const state = setUpOpening({ kind: "DUEL", mulligan: "FULL_REDRAW", maxMulligans: 1 });
+  const p1 = state.players[0];
+
+  assert.equal(
+    api.validateAction(state, { type: "MULLIGAN", playerId: "P1", bottomInstanceIds: [p1.hand[0].instanceId] })?.code,
+    "INVALID_CHOICE"
+  );
+  api.applyAction(state, { type: "MULLIGAN", playerId: "P1" });
+
+  assert.equal(p1.hand.length, 5);
+  assert.equal(p1.veiledDeck.length, 7);
+  assert.equal(api.getMulligansLeft(state, "P1"), 0);
+  assert.deepEqual(state.opening?.undecidedPlayerIds, ["P2"]); // the last mulligan keeps the new hand
+});
+
+test("a put-to-bottom mulligan replaces only the chosen cards", () => {
+  const state = setUpOpening({ kind: "DUEL", mulligan: "PUT_TO_BOTTOM", maxMulligans: 2 });
+  const p1 = state.players[0];
+  const kept = p1.hand.slice(2).map((c) => c.instanceId);
+  const bottom = p1.hand.slice(0, 2).map((c) => c.instanceId);
+
+  assert.equal(api.validateAction(state, { type: "MULLIGAN", playerId: "P1", bottomInstanceIds: [] })?.code, "INVALID_CHOICE");
+  api.applyAction(state, { type: "MULLIGAN", playerId: "P1", bottomInstanceIds: bottom });
+
+  assert.equal(p1.hand.length, 5);
+  assert.deepEqual(p1.hand.slice(0, 3).map((c) => c.instanceId), kept);
+  assert.deepEqual(p1.veiledDeck.slice(-2).map((c) => c.instanceId), bottom);
+  assert.equal(api.getMulligansLeft(state, "P1"), 1);
+  assert.ok(state.opening?.undecidedPlayerIds.includes("P1"));
+});
+
+test("an opening hand size of 0 deals nothing and needs no decisions", () => {
+  const state = setUpOpening({ kind: "DUEL", openingHandSize: 0 });
+  assert.deepEqual(state.players.map((p) => p.hand.length), [0, 0]);
+  assert.equal(state.opening, null);
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as api from "../api";
+import type { GameState } from "../api";
+import { card, deity, putOnAvatarLine } from "./helpers";
+
+function setUpGame(): GameState {
+  const deck = (ownerId: string) => Array.from({ length: 8 }, (_, i) => card(`C${i}`, ownerId));
+  const state = api.createGameFromSetups(
+    [
+      { id: "P1", deity: deity("P1"), veiledDeck: deck("P1") },
+      { id: "P2", deity: deity("P2"), veiledDeck: deck("P2") },
+    ],
+    "P1",
+    3,
+    { kind: "DUEL", openingHandSize: 0 }
+  );
+  putOnAvatarLine(state.players[0], "C0");
+  api.applyAction(state, { type: "START_GAME" });
+  return state;
+}
+
+test("a saved game loads back the same", () => {
+  const state = setUpGame();
+  state.players[0].avatarLine[0].damageMarked = 1;
+
+  const loaded = api.deserialize(api.serialize(state));
+  assert.deepEqual(loaded, state);
+  assert.equal(JSON.parse(api.serialize(state)).schemaVersion, api.SAVE_SCHEMA_VERSION);
+});
+
+test("a schema 1 save is migrated up to schema 6", () => {
+  assert.equal(api.SAVE_SCHEMA_VERSION, 6);
+  const current = JSON.parse(JSON.stringify(setUpGame()));
+  const { opening, pendingDiscards, pendingChoices, pendingTriggerTargets, ...old } = current;
+  old.players = current.players.map(({ klPool, ...player }: Record<string, unknown>) => player);
+
+  const loaded = api.deserialize(JSON.stringify({ schemaVersion: 1, state: old }));
+  assert.equal(loaded.opening, null);
+  assert.deepEqual(loaded.pendingDiscards, []);
+  assert.deepEqual(loaded.pendingChoices, []);
+  assert.equal(loaded.pendingTriggerTargets, null);
+  assert.deepEqual(loaded.players.map((p) => p.klPool), [[], []]);
+  assert.deepEqual(loaded, current);
+});
+
+test("a save from a newer engine is refused", () => {
+  const json = JSON.stringify({ schemaVersion: api.SAVE_SCHEMA_VERSION + 1, state: setUpGame() });
+  assert.throws(() => api.deserialize(json), /newer than this engine/);
+});
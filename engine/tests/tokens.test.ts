@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as api from "../api";
+import type { GameState } from "../api";
+import { Zone } from "../zones";
+import { card, deity, putOnAvatarLine } from "./helpers";
+
+// P1's Main phase with `onLine` Avatars on the line and one in hand.
+function setUpLine(onLine: number): { state: GameState; inHandId: string } {
+  const state = api.createGameFromSetups(
+    [
+      {
+        id: "P1",
+        deity: deity("P1"),
+        veiledDeck: [
+          ...Array.from({ length: onLine }, () => card("LINE", "P1")),
+          card("HAND", "P1"),
+          card("FILLER", "P1"),
+        ],
+      },
+      { id: "P2", deity: deity("P2"), veiledDeck: [card("FILLER", "P2")] },
+    ],
+    "P1",
+    1,
+    { kind: "DUEL", openingHandSize: 0 }
+  );
+  const p1 = state.players[0];
+  for (let i = 0; i < onLine; i++) {
+    putOnAvatarLine(p1, "LINE");
+  }
+  const [inHand] = p1.veiledDeck.splice(0, 1);
+  inHand.zone = Zone.HAND;
+  p1.hand.push(inHand);
+  api.applyAction(state, { type: "START_GAME" });
+  while (state.phase !== api.Phase.MAIN) {
+    api.applyAction(state, { type: "ADVANCE_PHASE", playerId: "P1" });
+  }
+  return { state, inHandId: inHand.instanceId };
+}
+
+const offersPlay = (state: GameState, instanceId: string) =>
+  api.getLegalActions(state, "P1").some((a) => a.type === "PLAY_CARD" && a.instanceId === instanceId);
+
+test("an Avatar can't be played onto a full Avatar Line", () => {
+  const { state, inHandId } = setUpLine(api.AVATAR_LINE_LIMIT);
+
+  assert.equal(offersPlay(state, inHandId), false);
+  assert.equal(
+    api.validateAction(state, { type: "PLAY_CARD", playerId: "P1", instanceId: inHandId })?.code,
+    "AVATAR_LINE_FULL"
+  );
+  assert.throws(() => api.playAvatar(state, "P1", inHandId), /Avatar Line already holds 5/);
+  assert.equal(state.players[0].avatarLine.length, api.AVATAR_LINE_LIMIT);
+});
+
+test("the last free place on the Avatar Line can be played into", () => {
+  const { state, inHandId } = setUpLine(api.AVATAR_LINE_LIMIT - 1);
+
+  assert.equal(offersPlay(state, inHandId), true);
+  api.playAvatar(state, "P1", inHandId);
+  assert.equal(state.players[0].avatarLine.length, api.AVATAR_LINE_LIMIT);
+});
+
+test("creating Avatar tokens stops at the Avatar Line limit", () => {
+  const { state } = setUpLine(3);
+
+  const created = api.createToken(state, "P1", "GLOW_BEAST", 3);
+  assert.equal(created.length, 2);
+  assert.ok(created.every((c) => c.isToken && c.cardId === "GLOW_BEAST"));
+  assert.equal(state.players[0].avatarLine.length, api.AVATAR_LINE_LIMIT);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as api from "../api";
+import type { CardAbility, GameState } from "../api";
+import { card, deity, putOnAvatarLine } from "./helpers";
+
+const gainEssence: CardAbility = {
+  id: "HEALER#1",
+  label: "On Play",
+  description: "When this enters, target player gains 2 Essence.",
+  trigger: "ON_PLAY",
+  targets: [{ kind: "PLAYER" }],
+  effects: [{ subject: { ref: "TARGET", index: 0 }, kind: "GAIN_ESSENCE", amount: 2 }],
+};
+
+// P1 in its Main phase with HEALER in hand; P2 has an Avatar on the line.
+function setUpMain(): GameState {
+  const state = api.createGameFromSetups(
+    [
+      { id: "P1", deity: deity("P1"), veiledDeck: [card("HEALER", "P1", { abilities: [gainEssence] }), card("FILLER", "P1")] },
+      { id: "P2", deity: deity("P2"), veiledDeck: [card("BV", "P2"), card("FILLER", "P2")] },
+    ],
+    "P1",
+    1,
+    { kind: "DUEL", openingHandSize: 0 }
+  );
+  const [p1, p2] = state.players;
+  p1.hand.push(...p1.veiledDeck.splice(p1.veiledDeck.findIndex((c) => c.cardId === "HEALER"), 1));
+  putOnAvatarLine(p2, "BV");
+  api.applyAction(state, { type: "START_GAME" });
+  while (state.phase !== api.Phase.MAIN) {
+    api.applyAction(state, { type: "ADVANCE_PHASE", playerId: "P1" });
+  }
+  return state;
+}
+
+test("a trigger with a choice of targets waits for its controller", () => {
+  const state = setUpMain();
+  const healer = state.players[0].hand[0];
+  api.applyAction(state, { type: "PLAY_CARD", playerId: "P1", instanceId: healer.instanceId });
+
+  assert.equal(state.chain.links.length, 0);
+  const [decision] = api.getLegalActions(state, "P1");
+  assert.equal(decision.type, "CHOOSE_TARGETS");
+  if (decision.type !== "CHOOSE_TARGETS") return;
+  // Gaining Essence helps its target, so the controller is suggested first.
+  assert.deepEqual(decision.suggested, [{ playerId: "P1" }]);
+  assert.deepEqual(decision.options, [[{ playerId: "P1" }, { playerId: "P2" }]]);
+  assert.deepEqual(api.getLegalActions(state, "P2"), []);
+  assert.equal(
+    api.validateAction(state, { type: "ADVANCE_PHASE", playerId: "P1" })?.code,
+    "DECISION_PENDING"
+  );
+
+  api.applyAction(state, { type: "CHOOSE_TARGETS", playerId: "P1", targets: [{ playerId: "P2" }] });
+  assert.equal(state.pendingTriggerTargets, null);
+  api.applyAction(state, { type: "PASS_PRIORITY", playerId: "P1" });
+  api.applyAction(state, { type: "PASS_PRIORITY", playerId: "P2" });
+  assert.equal(state.players[1].essence, 22);
+});
+
+test("a trigger waiting for targets survives a save", () => {
+  const state = setUpMain();
+  api.applyAction(state, { type: "PLAY_CARD", playerId: "P1", instanceId: state.players[0].hand[0].instanceId });
+
+  const loaded = api.deserialize(api.serialize(state));
+  assert.deepEqual(loaded.pendingTriggerTargets, state.pendingTriggerTargets);
+  assert.equal(api.getLegalActions(loaded, "P1")[0].type, "CHOOSE_TARGETS");
+});
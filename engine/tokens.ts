@@ -0,0 +1,141 @@
+import type { GameState } from "./gameState";
+import type { Player } from "./player";
+import type { Card, CardAbility, CardType } from "./card";
+import { Zone } from "./zones";
+import { getPrintedKeywords, type Keyword } from "./keywords";
+import { createCardInstance } from "./instances";
+import { emitEngineEvent } from "./events";
+import { getGameRules, type GameRules } from "./rules";
+
+/**
+ * Tokens: cards that are created on the battlefield by an effect ("create
+ * three 2/2 Glow Beast Avatars with Guardian") instead of being played.
+ * - each kind of token is a TokenDefinition, looked up by tokenId in the
+ *   game's rules, then in the built-in tokens
+ * - createToken puts new instances (Card.isToken) straight onto the battlefield
+ * - a token that leaves the battlefield ceases to exist: it goes to no Crypt
+ *   or Null zone (see movement.ts)
+ */
+export interface TokenDefinition {
+  tokenId: string; // "GLOW_BEAST"; also the cardId of every token made from it
+  name: string;
+  typeLine: CardType; // AVATAR, RELIC or SUPPORT
+  subtypes: string[]; // Aspects such as "Glow", "Beast"
+  power?: number;
+  guard?: number;
+  keywords?: Keyword[]; // on top of any keyword abilities
+  abilities?: CardAbility[];
+  image?: string; // art for UIs; the engine doesn't use it
+}
+
+/**
+ * How many cards fit in an Avatar Line. An Avatar can't be played onto a
+ * full line (see checkPlayPermanent), and creating Avatar tokens stops there;
+ * the rest of them aren't created.
+ */
+export const AVATAR_LINE_LIMIT = 5;
+
+// The tokens printed cards create, in every game. A game's rules can add more
+// (or replace these) with registerTokenDefinition.
+const BUILT_IN_TOKENS: TokenDefinition[] = [
+  {
+    tokenId: "GLOW_BEAST",
+    name: "Glow Beast Token",
+    typeLine: "AVATAR",
+    subtypes: ["Glow", "Beast"],
+    power: 2,
+    guard: 2,
+    keywords: ["GUARDIAN"],
+  },
+  {
+    tokenId: "VOID_BEAST",
+    name: "Void Beast Token",
+    typeLine: "AVATAR",
+    subtypes: ["Void", "Beast"],
+    power: 3,
+    guard: 3,
+  },
+];
+
+const builtInTokens = new Map(BUILT_IN_TOKENS.map((definition) => [definition.tokenId, definition]));
+
+/**
+ * Add (or replace) a token definition in one game's rules. Returns a function
+ * that removes it again.
+ */
+export function registerTokenDefinition(rules: GameRules, definition: TokenDefinition): () => void {
+  rules.tokenDefinitions.set(definition.tokenId, definition);
+  return () => {
+    if (rules.tokenDefinitions.get(definition.tokenId) === definition) {
+      rules.tokenDefinitions.delete(definition.tokenId);
+    }
+  };
+}
+
+/**
+ * The definition a game uses for `tokenId`: one its rules registered, else a
+ * built-in one.
+ */
+export function getTokenDefinition(state: GameState, tokenId: string): TokenDefinition | undefined {
+  return getGameRules(state).tokenDefinitions.get(tokenId) ?? builtInTokens.get(tokenId);
+}
+
+function getPlayer(state: GameState, playerId: string): Player {
+  const player = state.players.find((p) => p.id === playerId);
+  if (!player) {
+    throw new Error(`Player with id ${playerId} not found in GameState.`);
+  }
+  return player;
+}
+
+/**
+ * Create `count` tokens of a registered kind on the player's battlefield.
+ * Avatar tokens go to the Avatar Line (firing ON_AVATAR_SUMMONED) until it
+ * holds AVATAR_LINE_LIMIT cards; Relic and Support tokens to the
+ * Relic/Support zone. Returns the tokens created, which may be fewer than
+ * `count`.
+ */
+export function createToken(state: GameState, playerId: string, tokenId: string, count: number): Card[] {
+  const definition = getTokenDefinition(state, tokenId);
+  if (!definition) {
+    throw new Error(`No token registered as "${tokenId}".`);
+  }
+  const player = getPlayer(state, playerId);
+  const isAvatar = definition.typeLine === "AVATAR";
+  if (!isAvatar && definition.typeLine !== "RELIC" && definition.typeLine !== "SUPPORT") {
+    throw new Error(`Tokens of type ${definition.typeLine} cannot be created.`);
+  }
+
+  const created: Card[] = [];
+  for (let i = 0; i < count; i++) {
+    if (isAvatar && player.avatarLine.length >= AVATAR_LINE_LIMIT) break;
+    const abilities = (definition.abilities ?? []).map((a) => ({ ...a }));
+    const token = createCardInstance(state, {
+      cardId: definition.tokenId,
+      name: definition.name,
+      typeLine: definition.typeLine,
+      subtypes: [...definition.subtypes],
+      klCost: 0,
+      power: definition.power,
+      guard: definition.guard,
+      abilities,
+      keywords: [...new Set([...getPrintedKeywords({ abilities }), ...(definition.keywords ?? [])])],
+      isToken: true,
+      ownerId: player.id,
+      controllerId: player.id,
+      zone: isAvatar ? Zone.AVATAR_LINE : Zone.RELIC_SUPPORT_ZONE,
+      damageMarked: 0,
+      tapped: false,
+      enteredPlayOnTurn: state.turnNumber,
+      temporaryModifiers: [],
+    });
+    if (isAvatar) {
+      player.avatarLine.push(token);
+      emitEngineEvent(state, { type: "ON_AVATAR_SUMMONED", playerId: player.id, instanceId: token.instanceId });
+    } else {
+      player.relicSupportZone.push(token);
+    }
+    created.push(token);
+  }
+  return created;
+}
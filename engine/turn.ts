@@ -3,19 +3,23 @@ import type { Player } from "./player";
 import type { Card } from "./card";
 import { Zone } from "./zones";
 import { recalculateKl, checkGodThreshold } from "./resources";
-
-/**
- * Find the active player by id.
- */
-function getActivePlayer(state: GameState): Player {
-  const player = state.players.find((p) => p.id === state.activePlayerId);
-  if (!player) {
-    throw new Error(
-      `Active player with id ${state.activePlayerId} not found in GameState.`
-    );
-  }
-  return player;
-}
+import {
+  Phase,
+  getNextPhase,
+  runPhaseEnterHooks,
+  runPhaseExitHooks,
+} from "./phases";
+import { checkChainEmpty } from "./chain";
+import { emitEngineEvent } from "./events";
+import { expireEndOfTurnModifiers } from "./modifiers";
+import { hasKeyword } from "./keywords";
+import { sendToCrypt } from "./movement";
+import { assertGameInProgress, checkGameInProgress } from "./stateBased";
+import { getNextTurnPlayerId, getTurnPlayers } from "./format";
+import { throwIfViolated, violation, type RuleViolation } from "./violations";
+import { checkOpeningComplete } from "./opening";
+import { beginHandSizeDiscards, checkNoPendingDiscards } from "./handSize";
+import { expirePooledKl } from "./klPool";
 
 /**
  * Ready all permanents under the player's control.
@@ -41,82 +45,198 @@ function readyAllPermanents(player: Player): void {
   }
 }
 
+/**
+ * Once-per-turn abilities come back at every Dawn, for every player's cards
+ * (they can be used on opponents' turns too).
+ */
+function resetOncePerTurnAbilities(state: GameState): void {
+  for (const p of state.players) {
+    for (const card of [p.deity, ...p.avatarLine, ...p.shardRow, ...p.relicSupportZone]) {
+      card.abilitiesUsedThisTurn = [];
+    }
+    if (p.domainZone) p.domainZone.abilitiesUsedThisTurn = [];
+  }
+}
+
+/**
+ * End of turn cleanup: Echo copies go to the Crypt, then "until end of turn"
+ * modifiers and unspent pooled KL expire.
+ */
+function endTurnCleanup(state: GameState): void {
+  for (const p of state.players) {
+    const echoes = [...p.avatarLine, ...p.shardRow, ...p.relicSupportZone]
+      .filter((card) => hasKeyword(card, "ECHO"));
+    echoes.forEach((card) => sendToCrypt(state, p.id, card.instanceId));
+  }
+  expireEndOfTurnModifiers(state);
+  expirePooledKl(state, "END_OF_TURN");
+}
+
 /**
  * Draw a single card from the top of the veiled deck into hand.
  * Top of deck = index 0.
+ * Every engine draw is mandatory: drawing from an empty deck draws nothing
+ * and makes the player lose at the next state-based action check.
  */
-function drawCard(player: Player): void {
+export function drawCard(state: GameState, player: Player): void {
   if (player.veiledDeck.length === 0) {
+    player.drewFromEmptyDeck = true;
     return;
   }
   const card = player.veiledDeck.shift()!;
   card.zone = Zone.HAND;
   player.hand.push(card);
+  emitEngineEvent(state, { type: "ON_CARD_DRAWN", playerId: player.id, instanceId: card.instanceId });
 }
 
 /**
- * Start Phase for the current active player:
+ * Dawn Phase for each player whose turn it is (the active player, plus
+ * teammates on a shared turn):
  * - Ready permanents
- * - Handle draw (first player on turn 1 skips)
- * - Reset KL threshold flag
+ * - Reset KL threshold flag, per-turn play limits and once-per-turn abilities
  * - Recalculate KL and check God threshold
  */
-export function startPhase(state: GameState): void {
-  const player = getActivePlayer(state);
+function dawnPhase(state: GameState): void {
+  resetOncePerTurnAbilities(state);
+
+  for (const player of getTurnPlayers(state)) {
+    readyAllPermanents(player);
+
+    player.klThresholdTriggeredThisTurn = false;
+    player.domainsPlayedThisTurn = 0;
 
-  // 1. Ready permanents
-  readyAllPermanents(player);
+    const oldKl = player.currentKl ?? player.baseKl;
+    const newKl = recalculateKl(state, player);
+    player.currentKl = newKl;
 
-  // 2. Draw step (first player on turn 1 skips draw)
+    checkGodThreshold(player, oldKl, newKl);
+  }
+}
+
+/**
+ * Draw Phase for each player whose turn it is. Turn 1 belongs to the first
+ * player (or their team), who skips the draw.
+ */
+function drawPhase(state: GameState): void {
   const isFirstTurn = state.turnNumber === 1;
-  const isFirstPlayer = player.id === state.firstPlayerId;
-  const shouldSkipDraw = isFirstTurn && isFirstPlayer;
+  if (isFirstTurn) return;
 
-  if (!shouldSkipDraw) {
-    drawCard(player);
+  for (const player of getTurnPlayers(state)) {
+    drawCard(state, player);
+  }
+}
+
+/**
+ * Enter a phase: set it on the state, apply the engine's own phase rules,
+ * then run any registered entry hooks and announce the change.
+ * "At the end of your turn" triggers fire on entering Twilight, so they
+ * resolve before the turn can actually end.
+ */
+function enterPhase(state: GameState, phase: Phase): void {
+  state.phase = phase;
+
+  switch (phase) {
+    case Phase.DAWN:
+      dawnPhase(state);
+      break;
+    case Phase.DRAW:
+      drawPhase(state);
+      break;
+    default:
+      break;
   }
 
-  // 3. KL recalculation & God threshold
-  player.klThresholdTriggeredThisTurn = false;
+  runPhaseEnterHooks(state, phase);
 
-  const oldKl = player.currentKl ?? player.baseKl;
-  const newKl = recalculateKl(player);
-  player.currentKl = newKl;
+  emitEngineEvent(state, { type: "ON_PHASE_CHANGE", playerId: state.activePlayerId, phase });
+  for (const player of getTurnPlayers(state)) {
+    if (phase === Phase.DAWN) {
+      emitEngineEvent(state, { type: "ON_TURN_START", playerId: player.id });
+    } else if (phase === Phase.TWILIGHT) {
+      emitEngineEvent(state, { type: "ON_TURN_END", playerId: player.id });
+    }
+  }
+}
+
+/**
+ * Can the phase move on now? Needs a running game, an empty Shard Chain and
+ * no combat waiting on blocks or a damage assignment order.
+ */
+export function checkAdvancePhase(state: GameState): RuleViolation | null {
+  if (state.turnNumber === 0) {
+    return violation("GAME_NOT_STARTED", "Cannot advance phase before the first turn has started.");
+  }
+  const blocked =
+    checkGameInProgress(state, "advance phase") ??
+    checkChainEmpty(state, "advance phase") ??
+    checkNoPendingDiscards(state, "advance phase");
+  if (blocked) return blocked;
+  if (state.combat) {
+    return violation("COMBAT_PENDING", "Cannot advance phase while declared attackers are waiting for blocks.");
+  }
+  return null;
+}
+
+/**
+ * Move to the next phase of the turn.
+ * Leaving TWILIGHT ends the turn and starts the next player's DAWN, unless
+ * someone has to discard down to their maximum hand size first: then the
+ * game stays in TWILIGHT until they have (see discardToHandSize).
+ * The Shard Chain must be fully resolved first.
+ * Returns the phase the game is now in.
+ */
+export function advancePhase(state: GameState): Phase {
+  throwIfViolated(checkAdvancePhase(state));
+
+  runPhaseExitHooks(state, state.phase);
+  expirePooledKl(state, "END_OF_PHASE");
+
+  const next = getNextPhase(state.phase);
+  if (next === null) {
+    startTurn(state);
+  } else {
+    enterPhase(state, next);
+  }
 
-  checkGodThreshold(player, oldKl, newKl);
+  return state.phase;
 }
 
 /**
- * Advance the game to the next turn and run the Start Phase.
+ * Advance the game to the next turn and enter its Dawn Phase.
  *
  * Behavior:
- * - If turnNumber is 0: this is the very first call:
+ * - If turnNumber is 0: this is the very first call (every opening hand must
+ *   have been kept):
  *   - set turnNumber = 1
  *   - activePlayerId = firstPlayerId
  * - Otherwise:
+ *   - turn players over their maximum hand size must discard first; if any
+ *     are, this stops there and discardToHandSize ends the turn afterwards
+ *   - end the current turn: Echoes are sacrificed, "until end of turn" modifiers
+ *     and pooled KL expire
  *   - increment turnNumber
- *   - rotate activePlayerId to the next player in the players array (cyclic)
- * - Then run startPhase for the active player.
+ *   - pass the turn on (next seat still in the game, or next team on shared
+ *     turns; see getNextTurnPlayerId)
+ * - Then enter DAWN for the active player. Use advancePhase() to move on.
  */
 export function startTurn(state: GameState): void {
   if (state.players.length === 0) {
     throw new Error("GameState has no players.");
   }
+  assertGameInProgress(state, "start a turn");
 
   if (state.turnNumber === 0) {
     // First ever turn
+    throwIfViolated(checkOpeningComplete(state, "start the first turn"));
     state.turnNumber = 1;
     state.activePlayerId = state.firstPlayerId;
   } else {
+    throwIfViolated(checkNoPendingDiscards(state, "end the turn"));
+    if (beginHandSizeDiscards(state)) return;
+    endTurnCleanup(state);
     state.turnNumber += 1;
-    const currentIndex = state.players.findIndex(
-      (p) => p.id === state.activePlayerId
-    );
-    const nextIndex = currentIndex === -1
-      ? 0
-      : (currentIndex + 1) % state.players.length;
-    state.activePlayerId = state.players[nextIndex].id;
+    state.activePlayerId = getNextTurnPlayerId(state);
   }
 
-  startPhase(state);
+  enterPhase(state, Phase.DAWN);
 }
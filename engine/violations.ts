@@ -0,0 +1,110 @@
+/**
+ * Why an action is against the rules, as a machine-readable code.
+ * - GAME_NOT_STARTED / GAME_OVER: nothing can be done before the first turn or after the result
+ * - GAME_ALREADY_STARTED: the match can only be started once
+ * - NOT_YOUR_TURN: only the turn player (or the defending/attacking player in combat) may do this
+ * - NO_PRIORITY: the Shard Chain is open and someone else holds priority
+ * - WRONG_PHASE: not legal in the current phase
+ * - CHAIN_OPEN: needs an empty Shard Chain
+ * - COMBAT_PENDING / NO_COMBAT: combat is (or isn't) waiting on blocks or an order
+ * - NOT_IN_HAND / NOT_ON_BATTLEFIELD: the card isn't where the action needs it
+ * - NOT_PLAYABLE: this card type can't be played that way, or a Spell's or Rite's casting condition isn't met
+ * - INSUFFICIENT_KL / INSUFFICIENT_ESSENCE / INSUFFICIENT_GOD_CHARGES: the cost can't be paid
+ *   (for a card: with currentKl and the pooled KL that may pay for it)
+ * - DOMAIN_LIMIT: the Domain-per-turn limit is used up
+ * - AVATAR_LINE_FULL: the Avatar Line already holds AVATAR_LINE_LIMIT cards
+ * - SUMMONING_SICK: the Avatar entered play this turn and has no Haste
+ * - TAPPED: the card is tapped
+ * - INVALID_TARGET: a target (of a Spell, ability or attack) or a bearer to attach to isn't legal
+ * - INVALID_BLOCK / INVALID_DAMAGE_ORDER: blocks or a damage assignment order break the rules
+ * - ABILITY_UNAVAILABLE: no such ability, already used this turn (or game), or its condition isn't met
+ * - DECISION_PENDING: a player still has to decide something (e.g. keep or mulligan, a resolving Rite's choice, or a trigger's targets) first
+ * - NO_PENDING_DECISION: this player has nothing to decide right now
+ * - INVALID_CHOICE: the decision's choice (or a chosen KL payment) breaks its rules
+ */
+export type RuleViolationCode =
+  | "GAME_NOT_STARTED"
+  | "GAME_OVER"
+  | "GAME_ALREADY_STARTED"
+  | "NOT_YOUR_TURN"
+  | "NO_PRIORITY"
+  | "WRONG_PHASE"
+  | "CHAIN_OPEN"
+  | "COMBAT_PENDING"
+  | "NO_COMBAT"
+  | "NOT_IN_HAND"
+  | "NOT_ON_BATTLEFIELD"
+  | "NOT_PLAYABLE"
+  | "INSUFFICIENT_KL"
+  | "INSUFFICIENT_ESSENCE"
+  | "INSUFFICIENT_GOD_CHARGES"
+  | "DOMAIN_LIMIT"
+  | "AVATAR_LINE_FULL"
+  | "SUMMONING_SICK"
+  | "TAPPED"
+  | "INVALID_TARGET"
+  | "INVALID_BLOCK"
+  | "INVALID_DAMAGE_ORDER"
+  | "ABILITY_UNAVAILABLE"
+  | "DECISION_PENDING"
+  | "NO_PENDING_DECISION"
+  | "INVALID_CHOICE";
+
+/**
+ * A broken rule, as plain data: the code for programs, a sentence for people,
+ * and the numbers or ids behind it (e.g. { cost: 4, available: 2 } for
+ * INSUFFICIENT_KL) so a UI can explain the rejection in its own words.
+ */
+export interface RuleViolation {
+  code: RuleViolationCode;
+  message: string;
+  details: Record<string, unknown>;
+}
+
+/**
+ * What the engine throws when an action breaks a rule. Other errors
+ * (unknown players, corrupt state) stay plain Errors.
+ */
+export class RuleViolationError extends Error {
+  readonly violation: RuleViolation;
+
+  constructor(violation: RuleViolation) {
+    super(violation.message);
+    this.name = "RuleViolationError";
+    this.violation = violation;
+  }
+}
+
+export function violation(
+  code: RuleViolationCode,
+  message: string,
+  details: Record<string, unknown> = {}
+): RuleViolation {
+  return { code, message, details };
+}
+
+/**
+ * Throws a RuleViolationError for a violation returned by a check* function;
+ * does nothing for null.
+ */
+export function throwIfViolated(found: RuleViolation | null): void {
+  if (found) {
+    throw new RuleViolationError(found);
+  }
+}
+
+/**
+ * Run a guard that throws and hand back the violation it threw, or null if
+ * it passed. Anything that isn't a rule violation is rethrown.
+ */
+export function catchViolation(guard: () => void): RuleViolation | null {
+  try {
+    guard();
+    return null;
+  } catch (err) {
+    if (err instanceof RuleViolationError) {
+      return err.violation;
+    }
+    throw err;
+  }
+}
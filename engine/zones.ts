@@ -8,4 +8,5 @@ export enum Zone {
   VEILED_DECK = "VEILED_DECK",
   CRYPT = "CRYPT",
   NULL_ZONE = "NULL_ZONE",
+  SHARD_CHAIN = "SHARD_CHAIN", // Spells waiting to resolve
 }
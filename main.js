@@ -18,6 +18,8 @@
  *    - Game.nextPhase(): Advances to next phase
  *    - Game.endTurn(): Ends turn, switches players
  *    - Phases: dawn -> draw -> main -> clash -> twilight -> (end turn)
+ *    - Seats: state.players in turn order; Game.getOpponentIndex(seat) is the
+ *      opponent a seat attacks and targets, Game.getNextPlayerIndex(seat) the next turn
  * 
  * 3. COMBAT ENGINE:
  *    - Game.declareAttacker(): Player selects attacking Avatar
@@ -61,34 +63,63 @@ const GAME_SETTINGS = {
     sfxVolume: 0.6
 };
 
+// ===== GOD CODE RULES =====
+// GOD_CODE_RULES (thresholdKl, maxCharges, minTurnToSpend, startingCharges)
+// comes with CARD_ABILITIES: scripts/compile-card-effects.js writes the
+// engine's numbers from engine/resources.ts into ec_cards_ionos.abilities.js.
+
+// Cards an Avatar Row holds: no Avatar is played onto a full row and token
+// creation stops there (engine AVATAR_LINE_LIMIT)
+const AVATAR_ROW_LIMIT = 5;
+
+// Compiled effects Game.runAbility resolves, and the subjects it resolves them
+// for; an ability with anything else can't be used (see canRunAbility)
+const RUNNABLE_EFFECT_KINDS = [
+    'DEAL_DAMAGE', 'LOSE_ESSENCE', 'GAIN_ESSENCE', 'DRAW', 'DESTROY', 'CREATE_TOKEN',
+    'SET_ESSENCE_TO_LOWEST', 'SACRIFICE_UNCHOSEN', 'GAIN_KL', 'LOSE_KL', 'MODIFY_STATS'
+];
+const RUNNABLE_SUBJECTS = ['TARGET', 'TARGET_CONTROLLER', 'SELF', 'CONTROLLER', 'EACH_OPPONENT', 'EACH_PLAYER', 'ALL_AVATARS'];
+// Effects a target is glad to get (engine HELPFUL_EFFECTS); the AI aims them at its own side
+const HELPFUL_EFFECT_KINDS = ['GAIN_ESSENCE', 'DRAW', 'GAIN_KL', 'ADD_KL', 'CREATE_TOKEN'];
+
 // ===== ESSENCE CROWN BATTLE ENGINE: HELPER FUNCTIONS =====
+const CARD_KEYWORDS = ['guardian', 'haste', 'swift', 'rush', 'stealth', 'echo', 'crownbound'];
+const KEYWORD_ALIASES = { swift: 'haste', rush: 'haste' };
+
 /**
- * Check if a card has the Guardian keyword (must be attacked first)
+ * Keywords a card has, lower-case: its `keywords` array (tokens, granted
+ * keywords such as Stealth) plus keyword sentences in its effect text
+ * ("Guardian." or "Guardian (reminder text)."). A keyword merely mentioned
+ * inside a sentence ("tokens with Guardian") does not count.
  * @param {Object} card - The card to check
- * @returns {boolean} True if card has Guardian ability
+ * @returns {string[]} Keyword names
  */
-function hasGuardian(card) {
-    if (!card) return false;
-    
-    // Check for Guardian keyword in effect text
-    if (card.effect) {
-        const effect = card.effect.toLowerCase();
-        if (effect.includes('guardian') || effect.includes('must be attacked first')) {
-            return true;
-        }
-    }
+function getCardKeywords(card) {
+    if (!card) return [];
     
-    // Check for Guardian in keywords array
-    if (card.keywords && Array.isArray(card.keywords)) {
-        return card.keywords.some(k => k.toLowerCase() === 'guardian');
-    }
+    const keywords = Array.isArray(card.keywords) ? card.keywords.map(k => k.toLowerCase()) : [];
     
-    // Check for guard flag
-    if (card.guard === true || card.isGuardian === true) {
-        return true;
+    if (card.effect) {
+        card.effect
+            .replace(/\([^)]*\)/g, '')
+            .split(/[.\n]/)
+            .map(sentence => sentence.trim().toLowerCase())
+            .forEach(sentence => {
+                if (CARD_KEYWORDS.includes(sentence)) keywords.push(sentence);
+                if (/^crownbound\s*[-\u2013\u2014]/.test(sentence)) keywords.push('crownbound');
+            });
     }
     
-    return false;
+    return [...new Set(keywords.map(k => KEYWORD_ALIASES[k] || k))];
+}
+
+/**
+ * Check if a card has the Guardian keyword (must be attacked first)
+ * @param {Object} card - The card to check
+ * @returns {boolean} True if card has Guardian ability
+ */
+function hasGuardian(card) {
+    return getCardKeywords(card).includes('guardian');
 }
 
 /**
@@ -97,22 +128,17 @@ function hasGuardian(card) {
  * @returns {boolean} True if card has Haste ability
  */
 function hasHaste(card) {
-    if (!card) return false;
-    
-    if (card.effect) {
-        const effect = card.effect.toLowerCase();
-        if (effect.includes('haste') || effect.includes('swift') || effect.includes('rush')) {
-            return true;
-        }
-    }
-    
-    if (card.keywords && Array.isArray(card.keywords)) {
-        return card.keywords.some(k => 
-            ['haste', 'swift', 'rush'].includes(k.toLowerCase())
-        );
-    }
-    
-    return card.haste === true;
+    return getCardKeywords(card).includes('haste');
+}
+
+/**
+ * Check if a card has Stealth (cannot be attacked or targeted by the
+ * opponent until it attacks, which sets card.stealthRevealed)
+ * @param {Object} card - The card to check
+ * @returns {boolean} True if card has Stealth
+ */
+function hasStealth(card) {
+    return !card?.stealthRevealed && getCardKeywords(card).includes('stealth');
 }
 
 function isBeastCard(card) {
@@ -131,6 +157,50 @@ function isBeastCard(card) {
     return isFromAspects || isFromType;
 }
 
+// ===== SEEDED RANDOM =====
+/**
+ * Seedable PRNG (mulberry32) for every game-relevant random decision:
+ * deck shuffles, sealed/draft pools, tournament pairings, AI choices and boss taunts.
+ * An rng is plain data ({ seed, state }) so it survives JSON/localStorage and a
+ * match, pool or pairing can be reproduced from its seed.
+ * Cosmetic randomness (particles, screen shake, ids) keeps using Math.random.
+ */
+const SeededRandom = {
+    newSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    },
+
+    create(seed = this.newSeed()) {
+        const normalized = seed >>> 0;
+        return { seed: normalized, state: normalized };
+    },
+
+    /** Next float in [0, 1); advances rng.state */
+    next(rng) {
+        rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+        let t = rng.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    },
+
+    int(rng, maxExclusive) {
+        return Math.floor(this.next(rng) * maxExclusive);
+    },
+
+    pick(rng, items) {
+        return items[this.int(rng, items.length)];
+    },
+
+    shuffle(rng, items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = this.int(rng, i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+};
+
 // ===== SUN ALTAR VISUAL HELPERS =====
 const SunAltarUI = {
     domainMap: {
@@ -2262,11 +2332,33 @@ const AIManager = {
     
     selectAIDeity() {
         const deities = getDeities();
-        const aiDeity = deities[Math.floor(Math.random() * deities.length)];
+        const aiDeity = SeededRandom.pick(Game.getMatchRng(), deities);
         Game.state.selectedDeities[1] = aiDeity;
         Game.log(`AI chose ${aiDeity.name}`, 'phase');
     },
     
+    /**
+     * Keep or mulligan the opening hand. Returns null to keep, or { bottom: [cards] }
+     * ('redraw' ignores bottom). A hand with nothing to play in the first turns, or
+     * mostly cards it can't cast for a long time, goes back; easy AI always keeps.
+     */
+    chooseMulligan(seat, rules) {
+        if (this.difficulty === 'easy') return null;
+        const player = Game.state.players[seat];
+        const hand = player.hand;
+        if (hand.length === 0) return null;
+
+        const earlyPlays = hand.filter(c => (c.cost || 0) <= player.klMax);
+        const deadCards = hand.filter(c => (c.cost || 0) > player.klMax + 3);
+        if (earlyPlays.length > 0 && deadCards.length * 2 < hand.length) return null;
+
+        if (rules.mulligan !== 'bottom') return { bottom: [] };
+        // Keep the early plays, bottom the rest (at least the most expensive card)
+        const byCost = [...hand].sort((a, b) => (b.cost || 0) - (a.cost || 0));
+        const bottom = byCost.filter(c => !earlyPlays.includes(c));
+        return { bottom: bottom.length > 0 ? bottom : byCost.slice(0, 1) };
+    },
+    
     takeTurn() {
         if (!Game.state.isAIMatch || Game.state.currentPlayer !== this.aiPlayerIndex) return;
         if (Game.state.gameOver) return;
@@ -2310,10 +2402,16 @@ const AIManager = {
     },
     
     playCards(settings, callback) {
+        // Wait for an open Shard Chain (such as our own Rite) to resolve first
+        if (Game.state.shardChain.active) {
+            setTimeout(() => this.playCards(settings, callback), this.thinkDelay);
+            return;
+        }
         const player = Game.state.players[this.aiPlayerIndex];
-        const playableCards = player.hand.filter(c => c.cost <= player.klCurrent && c.type !== 'Deity');
+        Game.aiUseEssenceCards(this.aiPlayerIndex);
+        const playableCards = player.hand.filter(c => (c.cost || 0) <= Game.getAvailableKl(player, c) && c.type !== 'Deity' && !Game.getPlayViolation(c, this.aiPlayerIndex));
         
-        if (playableCards.length > 0 && Math.random() < settings.playChance) {
+        if (playableCards.length > 0 && SeededRandom.next(Game.getMatchRng()) < settings.playChance) {
             const card = this.chooseBestCard(playableCards, settings);
             if (card) {
                 Game.log(`AI plays ${card.name}`, 'action');
@@ -2326,13 +2424,27 @@ const AIManager = {
         callback();
     },
     
+    /**
+     * A Rite's "choose N Avatars you control": keep the strongest ones.
+     */
+    chooseAvatarsToKeep(avatars, count) {
+        const strength = c => (c.attack || 0) + (c.healthCurrent ?? c.health ?? 0);
+        return [...avatars].sort((a, b) => strength(b) - strength(a)).slice(0, count);
+    },
+    
     chooseBestCard(cards, settings) {
         if (!settings.smartTarget) {
-            return cards[Math.floor(Math.random() * cards.length)];
+            return SeededRandom.pick(Game.getMatchRng(), cards);
         }
         
         const avatars = cards.filter(c => c.type === 'Avatar');
         const spells = cards.filter(c => c.type === 'Spell');
+        const shards = cards.filter(c => c.type === 'Shard');
+        
+        // Claiming is free and every Shard adds KL, so claim before anything else
+        if (shards.length > 0) {
+            return shards[0];
+        }
         
         const player = Game.state.players[this.aiPlayerIndex];
         if (player.avatarRow.length < 3 && avatars.length > 0) {
@@ -2348,11 +2460,11 @@ const AIManager = {
     
     declareAttacks(settings, callback) {
         const player = Game.state.players[this.aiPlayerIndex];
-        const opponent = Game.state.players[1 - this.aiPlayerIndex];
+        const opponent = Game.state.players[Game.getOpponentIndex(this.aiPlayerIndex)];
         
         const attackers = player.avatarRow.filter(c => !c.tapped && c.attack > 0);
         
-        if (attackers.length === 0 || Math.random() > settings.attackChance) {
+        if (attackers.length === 0 || SeededRandom.next(Game.getMatchRng()) > settings.attackChance) {
             callback();
             return;
         }
@@ -2370,10 +2482,10 @@ const AIManager = {
         const targets = opponent.avatarRow.filter(c => c.healthCurrent > 0);
         
         let target = null;
-        if (targets.length > 0 && (settings.smartTarget || Math.random() > 0.3)) {
+        if (targets.length > 0 && (settings.smartTarget || SeededRandom.next(Game.getMatchRng()) > 0.3)) {
             target = settings.smartTarget 
                 ? targets.reduce((best, t) => (!best || t.healthCurrent < best.healthCurrent) ? t : best, null)
-                : targets[Math.floor(Math.random() * targets.length)];
+                : SeededRandom.pick(Game.getMatchRng(), targets);
         }
         
         Game.state.combat.selectedAttacker = attacker;
@@ -3179,7 +3291,7 @@ const CampaignManager = {
     
     showBossTaunt() {
         if (!this.activeBoss || !this.activeBoss.taunt) return;
-        const taunt = this.activeBoss.taunt[Math.floor(Math.random() * this.activeBoss.taunt.length)];
+        const taunt = SeededRandom.pick(Game.getMatchRng(), this.activeBoss.taunt);
         this.showQuickDialogue(taunt);
     },
     
@@ -3225,10 +3337,15 @@ const CampaignManager = {
                     this.showQuickDialogue(`${ability.name}: +1 KL!`);
                 }
                 break;
+            case 'stealth':
+                // Shadow Step: only the boss's first Avatar
+                if (data.card && Game.state.players[1].avatarRow.length === 1) {
+                    data.card.keywords = [...(data.card.keywords || []), 'Stealth'];
+                    this.showQuickDialogue(`${ability.name}: ${data.card.name} vanishes into the shadows!`);
+                }
+                break;
             case 'buff':
-                const avatars = Game.state.players[1].avatarRow;
-                if (avatars.length >= ability.threshold) {
-                    avatars.forEach(a => a.attack = (a.attack || 0) + 1);
+                if (this.refreshBossAura()) {
                     this.showQuickDialogue(`${ability.name}: Pack grows stronger!`);
                 }
                 break;
@@ -3245,6 +3362,23 @@ const CampaignManager = {
         }
     },
     
+    /**
+     * Pack Leader style auras: +1 Attack on each boss Avatar, but only while
+     * the boss has `threshold` or more of them. Re-checked whenever the boss's
+     * board changes. Returns true if the aura is up.
+     */
+    refreshBossAura() {
+        const ability = this.activeBoss?.ability;
+        if (!ability || ability.effect !== 'buff') return false;
+        
+        Game.removeStatBuffs(buff => buff.source === ability.name);
+        const avatars = Game.state.players[1].avatarRow;
+        if (avatars.length < ability.threshold) return false;
+        
+        avatars.forEach(a => Game.addStatBuff(a, ability.name, 1, 'whileActive'));
+        return true;
+    },
+    
     async onBossDefeated(bossId) {
         if (this.progress.completed.includes(bossId)) return;
         
@@ -3326,7 +3460,7 @@ const DeckBuilder = {
         if (aspectFilter) cards = cards.filter(c => c.aspects && c.aspects.includes(aspectFilter));
         
         const container = document.getElementById('deck-card-pool');
-        const types = ['Avatar', 'Spell', 'Domain', 'Relic'];
+        const types = ['Avatar', 'Spell', 'Rite', 'Domain', 'Relic', 'Shard', 'Essence'];
         
         let html = '';
         types.forEach(type => {
@@ -3632,7 +3766,7 @@ const Collection = {
     
     renderCards(container) {
         const cards = ALL_CARDS.filter(c => c.type !== 'Deity');
-        const types = ['Avatar', 'Spell', 'Domain', 'Relic'];
+        const types = ['Avatar', 'Spell', 'Rite', 'Domain', 'Relic', 'Shard', 'Essence'];
         
         let html = '';
         types.forEach(type => {
@@ -3821,6 +3955,7 @@ const SandboxMode = {
             case 'avatar': p.avatarRow.push(instance); break;
             case 'domain': p.domainRow.push(instance); break;
             case 'relic': p.relicRow.push(instance); break;
+            case 'shard': p.shardRow.push(instance); break;
             case 'spell': p.spellRow.push(instance); break;
             case 'graveyard': p.graveyard.push(instance); break;
             case 'deck': p.deck.push(instance); break;
@@ -3840,6 +3975,7 @@ const SandboxMode = {
             case 'avatar': arr = p.avatarRow; break;
             case 'domain': arr = p.domainRow; break;
             case 'relic': arr = p.relicRow; break;
+            case 'shard': arr = p.shardRow; break;
             case 'spell': arr = p.spellRow; break;
             case 'graveyard': arr = p.graveyard; break;
             case 'deck': arr = p.deck; break;
@@ -3860,7 +3996,7 @@ const SandboxMode = {
         
         const zones = {
             hand: p.hand, avatar: p.avatarRow, domain: p.domainRow,
-            relic: p.relicRow, spell: p.spellRow, graveyard: p.graveyard, deck: p.deck
+            relic: p.relicRow, shard: p.shardRow, spell: p.spellRow, graveyard: p.graveyard, deck: p.deck
         };
         
         const from = zones[fromZone];
@@ -3894,30 +4030,67 @@ const SandboxMode = {
         }
     },
     
+    // Bump when the saved shape changes; loadState still reads older saves.
+    SAVE_VERSION: 6,
+
+    /**
+     * A card as saved: its id plus everything that changes during play
+     * (damage, buffs, tapped, Stealth).
+     */
+    snapshotCard(card) {
+        return {
+            id: card.id,
+            attack: card.attack,
+            health: card.healthCurrent,
+            tapped: !!card.tapped,
+            statBuffs: card.statBuffs ? card.statBuffs.map(b => ({ ...b })) : undefined,
+            stealthRevealed: card.stealthRevealed || undefined
+        };
+    },
+
+    /**
+     * Where an attached Relic's bearer sits, by seat and Avatar Row position
+     * (-1 = the Deity), since instance ids change when a state is loaded.
+     */
+    snapshotAttachment(relic) {
+        const bearer = Game.getBearer(relic);
+        if (!bearer) return undefined;
+        const avatarIndex = bearer.card ? Game.state.players[bearer.playerIndex].avatarRow.indexOf(bearer.card) : -1;
+        return { playerIndex: bearer.playerIndex, avatarIndex };
+    },
+
     saveState(name) {
         const state = {
+            version: this.SAVE_VERSION,
             name: name || `State ${Date.now()}`,
             timestamp: Date.now(),
             players: Game.state.players.map(p => ({
                 essence: p.essence,
                 klCurrent: p.klCurrent,
                 klMax: p.klMax,
-                overflow: p.overflow,
-                godCodeCharges: p.godCodeCharges,
+                klPool: (p.klPool || []).map(k => ({ ...k })),
+                godCharges: p.godCharges,
+                klThresholdTriggeredThisTurn: !!p.klThresholdTriggeredThisTurn,
                 godCodeUsed: p.godCodeUsed,
+                passiveUsedThisTurn: !!p.passiveUsedThisTurn,
+                hasDrawnThisTurn: !!p.hasDrawnThisTurn,
                 deity: p.deity ? { id: p.deity.id, name: p.deity.name } : null,
-                hand: p.hand.map(c => c.id),
-                deck: p.deck.map(c => c.id),
-                avatarRow: p.avatarRow.map(c => ({ id: c.id, attack: c.attack, health: c.healthCurrent, tapped: c.tapped })),
-                domainRow: p.domainRow.map(c => c.id),
-                relicRow: p.relicRow.map(c => c.id),
-                spellRow: p.spellRow.map(c => c.id),
-                graveyard: p.graveyard.map(c => c.id),
-                banished: p.banished.map(c => c.id)
+                hand: p.hand.map(c => this.snapshotCard(c)),
+                deck: p.deck.map(c => this.snapshotCard(c)),
+                avatarRow: p.avatarRow.map(c => this.snapshotCard(c)),
+                domainRow: p.domainRow.map(c => this.snapshotCard(c)),
+                relicRow: p.relicRow.map(c => ({ ...this.snapshotCard(c), attachedTo: this.snapshotAttachment(c) })),
+                shardRow: p.shardRow.map(c => this.snapshotCard(c)),
+                spellRow: p.spellRow.map(c => this.snapshotCard(c)),
+                graveyard: p.graveyard.map(c => this.snapshotCard(c)),
+                banished: p.banished.map(c => this.snapshotCard(c))
             })),
             turnNumber: Game.state.turnNumber,
             currentPlayer: Game.state.currentPlayer,
-            currentPhase: Game.state.currentPhase
+            currentPhase: Game.state.currentPhase,
+            drawsThisTurn: Game.state.drawsThisTurn,
+            cardsPlayedThisTurn: Game.state.cardsPlayedThisTurn,
+            spellsPlayedThisTurn: Game.state.spellsPlayedThisTurn
         };
         
         this.savedStates.unshift(state);
@@ -3934,46 +4107,71 @@ const SandboxMode = {
         Game.state.turnNumber = state.turnNumber;
         Game.state.currentPlayer = state.currentPlayer;
         Game.state.currentPhase = state.currentPhase;
+        Game.state.drawsThisTurn = state.drawsThisTurn ?? 0;
+        Game.state.cardsPlayedThisTurn = state.cardsPlayedThisTurn ?? 0;
+        Game.state.spellsPlayedThisTurn = state.spellsPlayedThisTurn ?? 0;
         
-        for (let i = 0; i < 2; i++) {
+        for (let i = 0; i < state.players.length; i++) {
             const ps = state.players[i];
             const p = Game.state.players[i];
             
             p.essence = ps.essence;
             p.klCurrent = ps.klCurrent;
             p.klMax = ps.klMax;
-            p.overflow = ps.overflow;
-            p.godCodeCharges = ps.godCodeCharges ?? 1;
+            p.klPool = (ps.klPool || []).map(k => ({ ...k })); // version 6
+            p.godCharges = ps.godCharges ?? ps.godCodeCharges ?? GOD_CODE_RULES.startingCharges; // version 2 saves: godCodeCharges
+            p.klThresholdTriggeredThisTurn = ps.klThresholdTriggeredThisTurn ?? false;
             p.godCodeUsed = ps.godCodeUsed ?? false;
+            p.passiveUsedThisTurn = ps.passiveUsedThisTurn ?? false;
+            p.hasDrawnThisTurn = ps.hasDrawnThisTurn ?? false;
             
             if (ps.deity) {
                 const deity = ALL_CARDS.find(c => c.id === ps.deity.id || c.id === ps.deity);
                 if (deity) p.deity = Game.createCardInstance(deity);
             }
             
-            const loadCards = (ids) => (ids || []).map(id => {
-                const card = ALL_CARDS.find(c => c.id === id);
-                return card ? Game.createCardInstance(card) : null;
+            // Version 1 saves stored plain card ids (avatars as { id, attack, health, tapped }).
+            const loadCards = (entries) => (entries || []).map(entry => {
+                const data = typeof entry === 'string' ? { id: entry } : entry;
+                const card = ALL_CARDS.find(c => c.id === data.id) || Game.getTokenTemplate(data.id);
+                if (!card) return null;
+                const inst = Game.createCardInstance(card);
+                if (data.attack !== undefined) inst.attack = data.attack;
+                if (data.health !== undefined) inst.healthCurrent = data.health;
+                if (data.tapped !== undefined) inst.tapped = data.tapped;
+                if (data.statBuffs) {
+                    inst.statBuffs = data.statBuffs.map(b => ({ ...b }));
+                    // Only current health is saved; buffed maximum health comes from the buffs.
+                    inst.health = (inst.health || 0) + inst.statBuffs.reduce((sum, b) => sum + (b.health || 0), 0);
+                }
+                if (data.stealthRevealed) inst.stealthRevealed = true;
+                if (data.attachedTo) inst.savedAttachment = data.attachedTo; // version 4
+                return inst;
             }).filter(Boolean);
             
             p.hand = loadCards(ps.hand);
             p.deck = loadCards(ps.deck);
+            p.avatarRow = loadCards(ps.avatarRow);
             p.domainRow = loadCards(ps.domainRow);
             p.relicRow = loadCards(ps.relicRow);
+            p.shardRow = loadCards(ps.shardRow); // version 5
             p.spellRow = loadCards(ps.spellRow);
             p.graveyard = loadCards(ps.graveyard);
             p.banished = loadCards(ps.banished);
-            
-            p.avatarRow = (ps.avatarRow || []).map(data => {
-                const card = ALL_CARDS.find(c => c.id === data.id);
-                if (!card) return null;
-                const inst = Game.createCardInstance(card);
-                inst.attack = data.attack;
-                inst.healthCurrent = data.health;
-                inst.tapped = data.tapped;
-                return inst;
-            }).filter(Boolean);
         }
+
+        // Attach Relics again once every bearer is back; the old bearer buffs
+        // named the Relics' old instance ids and come off in checkAttachments.
+        Game.state.players.forEach((p, i) => p.relicRow.forEach(relic => {
+            const saved = relic.savedAttachment;
+            delete relic.savedAttachment;
+            if (!saved) return;
+            const bearerSeat = Game.state.players[saved.playerIndex];
+            const card = saved.avatarIndex === -1 ? null : bearerSeat?.avatarRow[saved.avatarIndex];
+            if (bearerSeat && card !== undefined) {
+                Game.attachRelic(relic, { playerIndex: saved.playerIndex, card });
+            }
+        }));
         
         Game.render();
         Game.log(`Sandbox: Loaded state "${state.name}"`, 'phase');
@@ -3988,7 +4186,9 @@ const SandboxMode = {
         p.avatarRow = [];
         p.domainRow = [];
         p.relicRow = [];
+        p.shardRow = [];
         p.spellRow = [];
+        p.klPool = [];
         p.graveyard = [];
         p.banished = [];
         Game.render();
@@ -4038,6 +4238,9 @@ const CustomLobby = {
                 victoryCondition: settings.victory || 'essence',
                 avatarWinCount: settings.avatarWinCount || 5,
                 customRules: settings.customRules || [],
+                openingHandSize: settings.openingHandSize ?? 5,
+                mulligan: settings.mulligan || 'redraw',
+                maxHandSize: settings.maxHandSize ?? 7,
                 preset: settings.preset || null
             }
         };
@@ -4133,11 +4336,12 @@ const MatchRecorder = {
     savedMatches: JSON.parse(localStorage.getItem('ec-match-replays') || '[]'),
     liveMatches: [],
     
-    startRecording(matchId, player1Deity, player2Deity, matchMode) {
+    startRecording(matchId, player1Deity, player2Deity, matchMode, seed = null) {
         this.currentMatch = {
             matchId: matchId,
             timestamp: Date.now(),
             matchMode: matchMode,
+            seed: seed,
             player1Deity: player1Deity?.name || 'Unknown',
             player2Deity: player2Deity?.name || 'Unknown',
             winner: null,
@@ -4181,8 +4385,7 @@ const MatchRecorder = {
                 essence: p.essence,
                 klCurrent: p.klCurrent,
                 klMax: p.klMax,
-                overflow: p.overflow,
-                godCodeCharges: p.godCodeCharges,
+                godCharges: p.godCharges,
                 handCount: p.hand.length,
                 deckCount: p.deck.length,
                 graveyardCount: p.graveyard.length,
@@ -4789,6 +4992,10 @@ const EventManager = {
         return this.activeEvent?.rules?.startingKL || 3;
     },
     
+    getMaxHandSize() {
+        return this.activeEvent?.rules?.maxHandSize;
+    },
+    
     hasCustomRule(rule) {
         return this.activeEvent?.rules?.customRules?.includes(rule) || false;
     },
@@ -4805,6 +5012,7 @@ const EventManager = {
                 bannedTypes: eventData.bannedTypes || [],
                 startingEssence: eventData.startingEssence || 23,
                 startingKL: eventData.startingKL || 3,
+                maxHandSize: eventData.maxHandSize ?? 7,
                 customRules: eventData.customRules || []
             },
             icon: eventData.icon || '🎮',
@@ -4830,6 +5038,7 @@ const TournamentManager = {
             id: 'tourney-' + Date.now() + '-' + Math.random().toString(36).substr(2, 4),
             name: options.name || 'Shard Wars Tournament',
             format: options.format || 'swiss',
+            rngSeed: options.rngSeed ?? SeededRandom.newSeed(),
             maxPlayers: options.maxPlayers || 8,
             currentRound: 0,
             maxRounds: options.maxRounds || (options.format === 'elimination' ? Math.ceil(Math.log2(options.maxPlayers || 8)) : 3),
@@ -4921,10 +5130,9 @@ const TournamentManager = {
     },
     
     shufflePlayers(tournament) {
-        for (let i = tournament.players.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [tournament.players[i], tournament.players[j]] = [tournament.players[j], tournament.players[i]];
-        }
+        // Seating is reproducible from tournament.rngSeed (older saves get one on first shuffle)
+        if (tournament.rngSeed === undefined) tournament.rngSeed = SeededRandom.newSeed();
+        SeededRandom.shuffle(SeededRandom.create(tournament.rngSeed), tournament.players);
         tournament.players.forEach((p, idx) => p.seed = idx + 1);
     },
     
@@ -5228,6 +5436,7 @@ const TournamentManager = {
 const LimitedMode = {
     currentPool: [],
     currentDeck: [],
+    poolSeed: null,
     sealedActive: false,
     draftActive: false,
     draftPacks: [],
@@ -5262,6 +5471,7 @@ const LimitedMode = {
             const state = JSON.parse(saved);
             this.currentPool = state.pool || [];
             this.currentDeck = state.deck || [];
+            this.poolSeed = state.poolSeed ?? null;
             this.sealedActive = state.sealedActive || false;
         }
     },
@@ -5270,11 +5480,16 @@ const LimitedMode = {
         localStorage.setItem('ec-limited-state', JSON.stringify({
             pool: this.currentPool,
             deck: this.currentDeck,
+            poolSeed: this.poolSeed,
             sealedActive: this.sealedActive
         }));
     },
     
-    generateSealedPool() {
+    /**
+     * Generate a sealed pool. Pass the seed of an earlier pool to reproduce it exactly.
+     */
+    generateSealedPool(seed = SeededRandom.newSeed()) {
+        const rng = SeededRandom.create(seed);
         const pool = [];
         const nonDeityCards = ALL_CARDS.filter(c => c.type !== 'Deity');
         
@@ -5285,22 +5500,22 @@ const LimitedMode = {
         const shards = nonDeityCards.filter(c => c.rarity === 'Shard');
         
         for (let i = 0; i < this.sealedConfig.guaranteedMythic && mythics.length > 0; i++) {
-            const idx = Math.floor(Math.random() * mythics.length);
+            const idx = SeededRandom.int(rng, mythics.length);
             pool.push({ ...mythics[idx], instanceId: 'sealed-' + Date.now() + '-' + pool.length });
         }
         
         for (let i = 0; i < this.sealedConfig.guaranteedArcane && arcanes.length > 0; i++) {
-            const idx = Math.floor(Math.random() * arcanes.length);
+            const idx = SeededRandom.int(rng, arcanes.length);
             pool.push({ ...arcanes[idx], instanceId: 'sealed-' + Date.now() + '-' + pool.length });
         }
         
         for (let i = 0; i < this.sealedConfig.guaranteedMaster && masters.length > 0; i++) {
-            const idx = Math.floor(Math.random() * masters.length);
+            const idx = SeededRandom.int(rng, masters.length);
             pool.push({ ...masters[idx], instanceId: 'sealed-' + Date.now() + '-' + pool.length });
         }
         
         while (pool.length < this.sealedConfig.poolSize) {
-            const card = this.weightedRandomCard(nonDeityCards);
+            const card = this.weightedRandomCard(nonDeityCards, rng);
             if (card) {
                 pool.push({ ...card, instanceId: 'sealed-' + Date.now() + '-' + pool.length });
             }
@@ -5308,20 +5523,21 @@ const LimitedMode = {
         
         this.currentPool = pool;
         this.currentDeck = [];
+        this.poolSeed = rng.seed;
         this.sealedActive = true;
         this.save();
         return pool;
     },
     
-    weightedRandomCard(cards) {
+    weightedRandomCard(cards, rng) {
         const totalWeight = cards.reduce((sum, c) => sum + (this.rarityWeights[c.rarity] || 10), 0);
-        let random = Math.random() * totalWeight;
+        let random = SeededRandom.next(rng) * totalWeight;
         
         for (const card of cards) {
             random -= (this.rarityWeights[card.rarity] || 10);
             if (random <= 0) return card;
         }
-        return cards[Math.floor(Math.random() * cards.length)];
+        return SeededRandom.pick(rng, cards);
     },
     
     addToDeck(cardInstanceId) {
@@ -5369,18 +5585,18 @@ const LimitedMode = {
         this.save();
     },
     
-    generateDraftPack() {
+    generateDraftPack(rng) {
         const pack = [];
         const nonDeityCards = ALL_CARDS.filter(c => c.type !== 'Deity');
         
         const mythics = nonDeityCards.filter(c => c.rarity === 'Mythic' || c.rarity === 'Arcane');
-        if (mythics.length > 0 && Math.random() < 0.15) {
-            const idx = Math.floor(Math.random() * mythics.length);
+        if (mythics.length > 0 && SeededRandom.next(rng) < 0.15) {
+            const idx = SeededRandom.int(rng, mythics.length);
             pack.push({ ...mythics[idx], instanceId: 'draft-' + Date.now() + '-' + pack.length });
         }
         
         while (pack.length < this.draftConfig.packSize) {
-            const card = this.weightedRandomCard(nonDeityCards);
+            const card = this.weightedRandomCard(nonDeityCards, rng);
             if (card) {
                 pack.push({ ...card, instanceId: 'draft-' + Date.now() + '-' + pack.length });
             }
@@ -5389,14 +5605,16 @@ const LimitedMode = {
         return pack;
     },
     
-    initDraft() {
+    initDraft(seed = SeededRandom.newSeed()) {
+        const rng = SeededRandom.create(seed);
+        this.poolSeed = rng.seed;
         this.draftPacks = [];
         this.draftPickHistory = [];
         this.currentDeck = [];
         this.draftActive = true;
         
         for (let i = 0; i < this.draftConfig.packCount; i++) {
-            this.draftPacks.push(this.generateDraftPack());
+            this.draftPacks.push(this.generateDraftPack(rng));
         }
         
         this.save();
@@ -5562,8 +5780,8 @@ const CosmeticsManager = {
     getCardBackUrl() {
         const equipped = this.getEquipped('cardBack');
         const cosmetic = this.getCosmetic(equipped);
-        if (cosmetic?.image === 'default') return CARD_BACK_URL;
-        return CARD_BACK_URL;
+        if (cosmetic?.image === 'default') return CARD_BACK_IMAGE;
+        return CARD_BACK_IMAGE;
     },
     
     getBoardClass() {
@@ -6087,9 +6305,27 @@ const Game = {
         isSandboxMode: false,
         customLobbySettings: null,
         playerName: 'Player',
+        matchSeed: null, // set before a match to replay it exactly; otherwise a fresh seed is rolled
+        rng: null,
+        format: 'duel', // 'duel' | 'ffa' | 'teams'
+        // Opening hand per format. mulligan: 'redraw' shuffles the hand back for a new one,
+        // 'bottom' puts the chosen cards on the bottom of the deck and draws as many
+        openingRules: {
+            duel: { handSize: 5, mulligan: 'redraw', maxMulligans: 1 },
+            ffa: { handSize: 5, mulligan: 'bottom', maxMulligans: 1 },
+            teams: { handSize: 5, mulligan: 'bottom', maxMulligans: 1 }
+        },
+        opening: null, // { undecided: [seat], mulligansTaken: { seat: n } } until every seat keeps
+        // Cards a player may keep at the end of their turn, per format. Custom lobbies and
+        // events can change it, cards in play can raise or lower it (see getMaxHandSize)
+        maxHandSize: { duel: 7, ffa: 7, teams: 7 },
+        pendingDiscard: null, // { seat, count } while the turn player picks cards to discard
+        firstPlayer: 0, // seat that takes turn 1 (and skips its draw)
+        teams: null, // 'teams' format: seat indices per team, e.g. [[0, 2], [1, 3]]
+        targetOpponent: {}, // seat -> the opponent seat it is targeting (multiplayer)
         players: [
             { 
-                essence: 23, klCurrent: 3, klMax: 3, overflow: 0, godCodeCharges: 1, godCodeUsed: false,
+                essence: 23, klCurrent: 3, klMax: 3, godCharges: GOD_CODE_RULES.startingCharges, klThresholdTriggeredThisTurn: false, godCodeUsed: false,
                 deity: null, 
                 hand: [], 
                 deck: [], 
@@ -6098,12 +6334,14 @@ const Game = {
                 avatarRow: [],
                 domainRow: [],
                 relicRow: [],
+                shardRow: [],
                 spellRow: [],
+                klPool: [], // typed Essence: KL that only pays for some cards (ESSENCE POOL)
                 passiveUsedThisTurn: false,
                 hasDrawnThisTurn: false
             },
             { 
-                essence: 23, klCurrent: 3, klMax: 3, overflow: 0, godCodeCharges: 1, godCodeUsed: false,
+                essence: 23, klCurrent: 3, klMax: 3, godCharges: GOD_CODE_RULES.startingCharges, klThresholdTriggeredThisTurn: false, godCodeUsed: false,
                 deity: null, 
                 hand: [], 
                 deck: [], 
@@ -6112,7 +6350,9 @@ const Game = {
                 avatarRow: [],
                 domainRow: [],
                 relicRow: [],
+                shardRow: [],
                 spellRow: [],
+                klPool: [], // typed Essence: KL that only pays for some cards (ESSENCE POOL)
                 passiveUsedThisTurn: false,
                 hasDrawnThisTurn: false
             }
@@ -6129,15 +6369,16 @@ const Game = {
             summonedThisTurn: [],
             // === ESSENCE CROWN BATTLE ENGINE UPGRADES ===
             declaredAttackers: [], // Array of {card, targetType: 'deity'|'avatar', targetCard?}
-            declaredBlockers: {}, // Map of attackerInstanceId -> blockerCard
+            declaredBlockers: {}, // Map of attackerInstanceId -> blockerCard[] (damage assignment order)
             pendingCombatResolution: false,
             tempDamage: {}, // Map of instanceId -> accumulated damage this combat
             domainsPlayedThisTurn: 0, // Track domain plays per turn (limit 1)
             maxDomainsPerTurn: 1
         },
         spell: {
-            mode: null,
+            mode: null, // null | 'selectTarget' | 'selectBearer' (pendingSpell is then the Relic to attach)
             pendingSpell: null,
+            pendingPayment: null, // how the pending spell's KL is paid (ESSENCE POOL), null = default
             targetType: null
         },
         shardChain: {
@@ -6151,11 +6392,13 @@ const Game = {
         events: {
             ON_AVATAR_SUMMONED: [],
             ON_AVATAR_DESTROYED: [],
+            ON_SHARD_CLAIMED: [],
             ON_ATTACK_DECLARED: [],
             ON_ESSENCE_LOSS: [],
             ON_ESSENCE_GAIN: [],
             ON_CARD_DRAWN: [],
             ON_SPELL_CAST: [],
+            ON_RITE_CAST: [],
             ON_DEITY_ABILITY_USED: [],
             ON_TURN_START: [],
             ON_TURN_END: [],
@@ -6395,7 +6638,8 @@ const Game = {
             matchId,
             this.state.players[0].deity,
             this.state.players[1].deity,
-            this.state.matchMode
+            this.state.matchMode,
+            this.getMatchRng().seed
         );
         
         MatchRecorder.registerLiveMatch(matchId, {
@@ -6422,7 +6666,8 @@ const Game = {
             this.log(`Custom Rules: ${settings.name}`, 'phase');
         }
         
-        for (let p = 0; p < 2; p++) {
+        this.state.targetOpponent = {};
+        for (let p = 0; p < this.state.players.length; p++) {
             const deity = this.state.selectedDeities[p];
             let startingKL = deity.startingKL || 3;
             let startingEssence = deity.health || 23;
@@ -6441,9 +6686,11 @@ const Game = {
             this.state.players[p].essence = startingEssence;
             this.state.players[p].klMax = startingKL;
             this.state.players[p].klCurrent = startingKL;
-            this.state.players[p].overflow = 0;
-            this.state.players[p].godCodeCharges = 1;
+            this.state.players[p].godCharges = GOD_CODE_RULES.startingCharges;
+            this.state.players[p].klThresholdTriggeredThisTurn = false;
             this.state.players[p].godCodeUsed = false;
+            this.state.players[p].klPool = [];
+            this.state.players[p].eliminated = false;
             
             if (useSealedDeck && p === 0) {
                 this.state.players[p].deck = this.state.sealedDeck.map(c => this.createCardInstance(c));
@@ -6456,7 +6703,7 @@ const Game = {
                     }
                 }
                 while (bossDeckCards.length < 30 && mainDeck.length > 0) {
-                    const randomCard = mainDeck[Math.floor(Math.random() * mainDeck.length)];
+                    const randomCard = SeededRandom.pick(this.getMatchRng(), mainDeck);
                     bossDeckCards.push(this.createCardInstance(randomCard));
                 }
                 this.state.players[p].deck = bossDeckCards;
@@ -6470,8 +6717,15 @@ const Game = {
             this.log(`${deity.name}: ${startingEssence} Essence, ${startingKL} KL`, 'action');
         }
 
-        this.drawCard(0, 5);
-        this.drawCard(1, 5);
+        this.dealOpeningHands();
+        this.beginMulligans(() => this.beginFirstTurn());
+    },
+
+    /**
+     * After every seat has kept its opening hand: turn 1 starts for the first player.
+     */
+    beginFirstTurn() {
+        this.state.currentPlayer = this.state.firstPlayer;
         
         // Start battle ambience effects
         BattleEffects.startBattleAmbience();
@@ -6482,10 +6736,191 @@ const Game = {
         
         this.setPhase('dawn');
         this.log('Game started! Shard Wars begin!', 'phase');
-        MatchRecorder.recordAction('TURN_START', { turn: 1, player: 0 }, 0);
+        MatchRecorder.recordAction('TURN_START', { turn: 1, player: this.state.firstPlayer }, this.state.firstPlayer);
         this.render();
     },
 
+    /**
+     * Opening hand rules for the current format; a custom lobby can change
+     * the hand size and mulligan style.
+     */
+    getOpeningRules() {
+        const rules = { ...(this.state.openingRules[this.state.format] || this.state.openingRules.duel) };
+        const custom = this.state.matchMode === 'custom' ? this.state.customLobbySettings : null;
+        if (custom) {
+            if (custom.openingHandSize !== undefined) rules.handSize = custom.openingHandSize;
+            if (custom.mulligan) rules.mulligan = custom.mulligan;
+        }
+        return rules;
+    },
+
+    /**
+     * Opening draws don't count as the turn's draw and fire no draw triggers.
+     */
+    drawOpeningCards(playerIndex, count) {
+        const p = this.state.players[playerIndex];
+        for (let i = 0; i < count && p.deck.length > 0; i++) {
+            p.hand.push(p.deck.pop());
+        }
+    },
+
+    dealOpeningHands() {
+        const { handSize } = this.getOpeningRules();
+        for (let p = 0; p < this.state.players.length; p++) {
+            this.drawOpeningCards(p, handSize);
+            this.log(`Player ${p + 1} drew an opening hand of ${this.state.players[p].hand.length}`, 'action');
+            MatchRecorder.recordAction('OPENING_HAND', { cards: this.state.players[p].hand.map(c => c.id) }, p);
+        }
+    },
+
+    /**
+     * Every seat keeps or mulligans in turn (AI seats decide on their own),
+     * then onDone runs. Sandbox games keep their hands without asking.
+     */
+    beginMulligans(onDone) {
+        const { maxMulligans } = this.getOpeningRules();
+        if (maxMulligans === 0 || this.state.isSandboxMode) {
+            onDone();
+            return;
+        }
+        this.state.opening = {
+            undecided: this.state.players.map((_, i) => i),
+            mulligansTaken: {},
+            onDone
+        };
+        this.nextMulliganDecision();
+    },
+
+    nextMulliganDecision() {
+        const opening = this.state.opening;
+        if (!opening) return;
+        if (opening.undecided.length === 0) {
+            const onDone = opening.onDone;
+            this.state.opening = null;
+            onDone();
+            return;
+        }
+
+        const seat = opening.undecided[0];
+        if (this.state.isAIMatch && seat === AIManager.aiPlayerIndex) {
+            const choice = AIManager.chooseMulligan(seat, this.getOpeningRules());
+            if (choice) {
+                this.mulliganHand(seat, choice.bottom || []);
+            } else {
+                this.keepOpeningHand(seat);
+            }
+            return;
+        }
+        this.showMulliganPrompt(seat);
+    },
+
+    keepOpeningHand(seat) {
+        const opening = this.state.opening;
+        if (!opening || !opening.undecided.includes(seat)) return;
+        opening.undecided = opening.undecided.filter(s => s !== seat);
+        this.log(`Player ${seat + 1} keeps ${this.state.players[seat].hand.length} cards`, 'action');
+        this.nextMulliganDecision();
+    },
+
+    /**
+     * Mulligan under the format's rule. 'redraw' ignores bottomCards; 'bottom'
+     * needs at least one card from the hand. The last allowed mulligan keeps
+     * the new hand.
+     */
+    mulliganHand(seat, bottomCards = []) {
+        const opening = this.state.opening;
+        if (!opening || !opening.undecided.includes(seat)) return;
+        const rules = this.getOpeningRules();
+        const p = this.state.players[seat];
+
+        let count;
+        if (rules.mulligan === 'bottom') {
+            const chosen = bottomCards.filter(c => p.hand.some(h => h.instanceId === c.instanceId));
+            if (chosen.length === 0) return;
+            p.hand = p.hand.filter(h => !chosen.some(c => c.instanceId === h.instanceId));
+            p.deck.unshift(...chosen); // bottom of the deck (cards are drawn from the end)
+            count = chosen.length;
+        } else {
+            count = p.hand.length;
+            p.deck.push(...p.hand);
+            p.hand = [];
+            this.shuffleDeck(seat);
+        }
+        this.drawOpeningCards(seat, count);
+        this.log(`Player ${seat + 1} mulligans ${count} card${count === 1 ? '' : 's'}`, 'action');
+        MatchRecorder.recordAction('MULLIGAN', { count, cards: p.hand.map(c => c.id) }, seat);
+
+        opening.mulligansTaken[seat] = (opening.mulligansTaken[seat] || 0) + 1;
+        if (opening.mulligansTaken[seat] >= rules.maxMulligans) {
+            this.keepOpeningHand(seat);
+        } else {
+            this.nextMulliganDecision();
+        }
+    },
+
+    /**
+     * Keep / mulligan overlay for a human seat. With 'bottom' mulligans the
+     * player clicks the cards to put on the bottom first.
+     */
+    showMulliganPrompt(seat) {
+        const rules = this.getOpeningRules();
+        const hand = this.state.players[seat].hand;
+        const selected = new Set();
+        const overlay = document.createElement('div');
+        overlay.className = 'mulligan-overlay';
+        overlay.innerHTML = `
+            <div class="mulligan-container">
+                <h2>Player ${seat + 1}: Opening Hand</h2>
+                <p>${rules.mulligan === 'bottom'
+                    ? 'Select cards to put on the bottom of your deck, then mulligan to draw as many.'
+                    : 'Mulligan to shuffle this hand back and draw a new one.'}</p>
+                <div class="mulligan-hand">
+                    ${hand.map(card => `
+                        <div class="mulligan-card" data-instance-id="${card.instanceId}">
+                            <img src="${card.image}" alt="${card.name}">
+                            <span>${card.name} (${card.cost ?? 0})</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="mulligan-actions">
+                    <button class="victory-btn" data-choice="keep">Keep</button>
+                    <button class="victory-btn secondary" data-choice="mulligan" ${rules.mulligan === 'bottom' ? 'disabled' : ''}>Mulligan</button>
+                </div>
+            </div>
+        `;
+        const mulliganBtn = overlay.querySelector('[data-choice="mulligan"]');
+        if (rules.mulligan === 'bottom') {
+            overlay.querySelectorAll('.mulligan-card').forEach(el => {
+                el.onclick = () => {
+                    const id = Number(el.dataset.instanceId);
+                    if (selected.has(id)) selected.delete(id); else selected.add(id);
+                    el.classList.toggle('selected', selected.has(id));
+                    mulliganBtn.disabled = selected.size === 0;
+                };
+            });
+        }
+        overlay.querySelector('[data-choice="keep"]').onclick = () => {
+            overlay.remove();
+            this.keepOpeningHand(seat);
+        };
+        mulliganBtn.onclick = () => {
+            overlay.remove();
+            this.mulliganHand(seat, hand.filter(c => selected.has(c.instanceId)));
+        };
+        document.body.appendChild(overlay);
+    },
+
+    /**
+     * The seeded RNG for the current match (created on first use).
+     * Seeded from state.matchSeed when one is set, so a match can be reproduced.
+     */
+    getMatchRng() {
+        if (!this.state.rng) {
+            this.state.rng = SeededRandom.create(this.state.matchSeed ?? undefined);
+        }
+        return this.state.rng;
+    },
+
     createCardInstance(template) {
         return {
             ...template,
@@ -6496,7 +6931,44 @@ const Game = {
         };
     },
 
+    /**
+     * Card data for a token from TOKEN_DEFINITIONS (cards.js), ready for
+     * createCardInstance, or null if there is no such token.
+     */
+    getTokenTemplate(tokenId) {
+        const definition = typeof TOKEN_DEFINITIONS !== 'undefined' ? TOKEN_DEFINITIONS[tokenId] : null;
+        return definition ? { ...definition, id: tokenId, cost: 0, isToken: true } : null;
+    },
+
+    /**
+     * Create `count` tokens on the seat's Avatar Row (engine createToken),
+     * until the row holds AVATAR_ROW_LIMIT cards. Returns the tokens created.
+     */
+    createToken(playerIndex, tokenId, count) {
+        const template = this.getTokenTemplate(tokenId);
+        if (!template) throw new Error(`No token registered as "${tokenId}".`);
+        const row = this.state.players[playerIndex].avatarRow;
+        const created = [];
+        while (created.length < count && row.length < AVATAR_ROW_LIMIT) {
+            const token = this.createCardInstance(template);
+            row.push(token);
+            this.state.combat.summonedThisTurn.push(token.instanceId);
+            this.emitEvent('ON_AVATAR_SUMMONED', { card: token, playerIndex, zone: 'avatarRow' });
+            created.push(token);
+        }
+        return created;
+    },
+
+    /**
+     * A card leaving play goes to the graveyard, except a token, which
+     * ceases to exist.
+     */
+    putInGraveyard(player, card) {
+        if (!card.isToken) player.graveyard.push(card);
+    },
+
     setPhase(phase) {
+        this.expirePooledKl('END_OF_PHASE');
         this.state.currentPhase = phase;
         document.getElementById('phase-name').textContent = this.state.phaseNames[phase];
         document.getElementById('turn-number').textContent = `Turn ${this.state.turnNumber}`;
@@ -6547,7 +7019,7 @@ const Game = {
         const p = this.state.players[playerIndex];
         
         // First player skips draw on turn 1 (first turn starting advantage)
-        if (this.state.turnNumber === 1 && playerIndex === 0) {
+        if (this.state.turnNumber === 1 && playerIndex === this.state.firstPlayer) {
             this.log('First player skips draw on turn 1', 'phase');
             return;
         }
@@ -6602,21 +7074,28 @@ const Game = {
 
     endTurn() {
         if (this.state.isReplayMode || this.state.isSpectatorMode) return;
+        if (this.state.pendingDiscard) return; // already ending, waiting on the discard picker
         MatchRecorder.recordAction('TURN_END', { turn: this.state.turnNumber, player: this.state.currentPlayer }, this.state.currentPlayer);
         this.handleEndTurnPassives(this.state.currentPlayer);
+        this.removeStatBuffs(buff => buff.duration === 'endOfTurn');
         
-        // === ESSENCE CROWN: Enforce hand size limit (default 7) ===
-        this.enforceHandSizeLimit(this.state.currentPlayer);
-        
-        this.state.currentPlayer = 1 - this.state.currentPlayer;
+        // === ESSENCE CROWN: Enforce hand size limit (the turn passes once the discards are chosen) ===
+        this.enforceHandSizeLimit(this.state.currentPlayer, () => this.passTurn());
+    },
+
+    passTurn() {
+        this.state.currentPlayer = this.getNextPlayerIndex(this.state.currentPlayer);
         this.state.turnNumber++;
         this.state.drawsThisTurn = 0;
         this.state.cardsPlayedThisTurn = 0;
         this.state.spellsPlayedThisTurn = 0;
-        this.state.players[0].passiveUsedThisTurn = false;
-        this.state.players[1].passiveUsedThisTurn = false;
-        this.state.players[0].hasDrawnThisTurn = false;
-        this.state.players[1].hasDrawnThisTurn = false;
+        this.state.players.forEach(p => {
+            p.passiveUsedThisTurn = false;
+            p.hasDrawnThisTurn = false;
+            p.klThresholdTriggeredThisTurn = false;
+            (p.relicRow || []).forEach(c => { c.abilitiesUsedThisTurn = []; });
+        });
+        this.expirePooledKl('END_OF_TURN');
         this.state.combat.attackedThisTurn = [];
         this.state.combat.summonedThisTurn = [];
         this.state.combat.mode = null;
@@ -6639,7 +7118,7 @@ const Game = {
         
         if (this.state.matchMode === 'campaign' && this.state.currentPlayer === 1) {
             CampaignManager.applyBossAbility('turn', { turn: this.state.turnNumber });
-            if (Math.random() < 0.25) {
+            if (SeededRandom.next(this.getMatchRng()) < 0.25) {
                 setTimeout(() => CampaignManager.showBossTaunt(), 500);
             }
         }
@@ -6657,90 +7136,305 @@ const Game = {
     // These functions implement the core TCG battle rules per the Essence Crown ruleset
     
     /**
-     * Enforce hand size limit at end of turn (default 7 cards)
-     * If player has more than limit, discard down to limit
+     * Buff a card's Attack (and Essence, for an attached Relic's bearer).
+     * card.attack / card.health stay the values everything reads; the buff is
+     * also recorded on card.statBuffs so it can be taken off again.
+     * duration: 'endOfTurn' (removed in endTurn), 'whileActive' (removed by
+     * whatever grants it, via removeStatBuffs), 'whileAttached' (source is the
+     * attached Relic's instanceId, see checkAttachments) or 'permanent'
      */
-    enforceHandSizeLimit(playerIndex, limit = 7) {
-        const player = this.state.players[playerIndex];
-        if (player.hand.length > limit) {
-            const discardCount = player.hand.length - limit;
-            // AI auto-discards lowest value cards, player would get a prompt
-            if (playerIndex === 1) {
-                // AI: discard highest cost cards first (usually least useful when full hand)
-                player.hand.sort((a, b) => (b.cost || 0) - (a.cost || 0));
-                for (let i = 0; i < discardCount; i++) {
-                    const discarded = player.hand.shift();
-                    player.graveyard.push(discarded);
-                    this.log(`Opponent discarded ${discarded.name} (hand limit)`, 'action');
-                }
-            } else {
-                // TODO: Player gets to choose what to discard via UI
-                // For now, auto-discard oldest cards
-                for (let i = 0; i < discardCount; i++) {
-                    const discarded = player.hand.pop();
-                    player.graveyard.push(discarded);
-                    this.log(`Discarded ${discarded.name} (hand limit: ${limit})`, 'action');
-                }
-            }
-            this.render();
+    addStatBuff(card, source, attack, duration = 'endOfTurn', health = 0) {
+        card.attack = (card.attack || 0) + attack;
+        if (health) {
+            card.health = (card.health || 0) + health;
+            if (card.healthCurrent !== undefined) card.healthCurrent += health;
         }
+        card.statBuffs = card.statBuffs || [];
+        card.statBuffs.push(health ? { source, attack, health, duration } : { source, attack, duration });
     },
     
     /**
-     * Check if a Domain can be played this turn
-     * Returns true if player hasn't hit domain limit
+     * Take off every buff matching `predicate`, wherever the card has gone since
      */
-    canPlayDomain(playerIndex) {
-        const domainsPlayed = this.state.combat.domainsPlayedThisTurn;
-        const limit = this.state.combat.maxDomainsPerTurn;
-        return domainsPlayed < limit;
+    removeStatBuffs(predicate) {
+        this.state.players.forEach(p => {
+            [...p.avatarRow, ...p.domainRow, ...p.hand, ...p.deck, ...p.graveyard, ...p.banished].forEach(card => {
+                if (!card.statBuffs) return;
+                card.statBuffs = card.statBuffs.filter(buff => {
+                    if (!predicate(buff)) return true;
+                    card.attack = (card.attack || 0) - buff.attack;
+                    if (buff.health) {
+                        card.health = (card.health || 0) - buff.health;
+                        if (card.healthCurrent !== undefined) card.healthCurrent -= buff.health;
+                    }
+                    return false;
+                });
+            });
+        });
     },
     
     /**
-     * Track domain play for the turn
-     * Called when a Domain card is successfully played
+     * Maximum hand size for a player: the format's limit (or the custom lobby's /
+     * event's), changed by cards in play that say e.g. "Your maximum hand size is
+     * increased by 2" or "Each opponent's maximum hand size is reduced by 1".
      */
-    recordDomainPlay() {
-        this.state.combat.domainsPlayedThisTurn++;
+    getMaxHandSize(playerIndex) {
+        const custom = this.state.matchMode === 'custom' ? this.state.customLobbySettings : null;
+        let limit = custom?.maxHandSize ?? EventManager.getMaxHandSize() ?? this.state.maxHandSize[this.state.format] ?? 7;
+        
+        this.state.players.forEach((p, controllerIndex) => {
+            if (p.eliminated) return;
+            [p.deity, ...p.avatarRow, ...p.domainRow].forEach(card => {
+                const match = card?.effect?.match(/(your|each opponent's|each player's) maximum hand size is (increased|reduced) by (\d+)/i);
+                if (!match) return;
+                const who = match[1].toLowerCase();
+                const applies = who === "each player's" ||
+                    (who === 'your' ? controllerIndex === playerIndex : !this.areTeammates(controllerIndex, playerIndex));
+                if (applies) limit += (match[2].toLowerCase() === 'increased' ? 1 : -1) * parseInt(match[3]);
+            });
+        });
+        return Math.max(0, limit);
     },
     
     /**
-     * Check if an Avatar has summoning sickness
-     * Returns true if the avatar was summoned this turn
+     * Enforce the hand size limit at end of turn, then run onDone.
+     * The AI discards its most expensive cards; a human player picks which
+     * cards to discard first.
      */
-    hasSummoningSickness(card) {
-        // Cards with Haste/Swift can attack immediately
-        if (hasHaste(card)) {
-            return false;
+    enforceHandSizeLimit(playerIndex, onDone) {
+        const player = this.state.players[playerIndex];
+        const limit = this.getMaxHandSize(playerIndex);
+        const discardCount = player.hand.length - limit;
+        if (discardCount <= 0) {
+            onDone();
+            return;
         }
-        return this.state.combat.summonedThisTurn.includes(card.instanceId);
+        
+        if (playerIndex === 1) {
+            // AI: discard highest cost cards first (usually least useful when full hand)
+            const byCost = [...player.hand].sort((a, b) => (b.cost || 0) - (a.cost || 0));
+            this.discardForHandLimit(playerIndex, byCost.slice(0, discardCount));
+            onDone();
+            return;
+        }
+        
+        this.state.pendingDiscard = { seat: playerIndex, count: discardCount };
+        this.showDiscardPicker(playerIndex, discardCount, limit, cards => {
+            this.state.pendingDiscard = null;
+            this.discardForHandLimit(playerIndex, cards);
+            onDone();
+        });
     },
     
-    /**
-     * Get all valid attackers for the current player
-     * Returns avatars that are untapped, not summoned this turn, and haven't attacked
-     */
-    getValidAttackers(playerIndex) {
+    discardForHandLimit(playerIndex, cards) {
         const player = this.state.players[playerIndex];
-        return player.avatarRow.filter(card => 
-            !card.tapped &&
-            !this.state.combat.attackedThisTurn.includes(card.instanceId) &&
-            !this.hasSummoningSickness(card)
-        );
+        cards.forEach(card => {
+            const idx = player.hand.findIndex(c => c.instanceId === card.instanceId);
+            if (idx === -1) return;
+            const [discarded] = player.hand.splice(idx, 1);
+            player.graveyard.push(discarded);
+            this.log(`${playerIndex === 1 ? 'Opponent discarded' : 'Discarded'} ${discarded.name} (hand limit)`, 'action');
+        });
+        MatchRecorder.recordAction('DISCARD', { cards: cards.map(c => c.id), reason: 'handLimit' }, playerIndex);
+        this.render();
     },
     
     /**
-     * Get all valid blockers for defending player
-     * Returns untapped avatars that can block
+     * Pick exactly `count` cards from the hand to discard; onConfirm gets them.
      */
-    getValidBlockers(playerIndex) {
-        const player = this.state.players[playerIndex];
-        return player.avatarRow.filter(card => 
-            !card.tapped &&
-            !card.cantBlock // Support for "cannot block" effects
-        );
+    showDiscardPicker(playerIndex, count, limit, onConfirm) {
+        this.showCardPicker({
+            title: 'Hand Limit',
+            message: `Your maximum hand size is ${limit}. Choose ${count} card${count === 1 ? '' : 's'} to discard.`,
+            cards: this.state.players[playerIndex].hand,
+            count,
+            confirmLabel: 'Discard'
+        }, onConfirm);
     },
-    
+
+    /**
+     * Overlay for picking `count` of `cards` (hand discards, a Rite's
+     * "choose 1 Avatar you control", an ability's targets), or anywhere from
+     * `minCount` up to `count`; onConfirm gets the picked cards.
+     */
+    showCardPicker({ title, message, cards, count, minCount = count, confirmLabel }, onConfirm) {
+        const selected = new Set();
+        const overlay = document.createElement('div');
+        overlay.className = 'mulligan-overlay';
+        overlay.innerHTML = `
+            <div class="mulligan-container">
+                <h2>${title}</h2>
+                <p>${message}</p>
+                <div class="mulligan-hand">
+                    ${cards.map(card => `
+                        <div class="mulligan-card" data-instance-id="${card.instanceId}">
+                            <img src="${card.image}" alt="${card.name}">
+                            <span>${card.name} (${card.cost ?? 0})</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="mulligan-actions">
+                    <button class="victory-btn" data-choice="confirm" ${minCount > 0 ? 'disabled' : ''}>${confirmLabel} (0/${count})</button>
+                </div>
+            </div>
+        `;
+        const confirmBtn = overlay.querySelector('[data-choice="confirm"]');
+        overlay.querySelectorAll('.mulligan-card').forEach(el => {
+            el.onclick = () => {
+                const id = Number(el.dataset.instanceId);
+                if (selected.has(id)) {
+                    selected.delete(id);
+                } else if (selected.size < count) {
+                    selected.add(id);
+                }
+                el.classList.toggle('selected', selected.has(id));
+                confirmBtn.disabled = selected.size < minCount;
+                confirmBtn.textContent = `${confirmLabel} (${selected.size}/${count})`;
+            };
+        });
+        confirmBtn.onclick = () => {
+            overlay.remove();
+            onConfirm(cards.filter(c => selected.has(c.instanceId)));
+        };
+        document.body.appendChild(overlay);
+    },
+    
+    /**
+     * Check if a Domain can be played this turn
+     * Returns true if player hasn't hit domain limit
+     */
+    canPlayDomain(playerIndex) {
+        const domainsPlayed = this.state.combat.domainsPlayedThisTurn;
+        const limit = this.state.combat.maxDomainsPerTurn;
+        return domainsPlayed < limit;
+    },
+    
+    /**
+     * Why a card can't be played from hand right now, or null if it can.
+     * Same shape as the engine's RuleViolation ({ code, message, details }),
+     * so the UI can explain a rejected play and the AI can skip it up front.
+     * KL and the Domain limit are only enforced with the rules helper on; a
+     * Relic that attaches always needs something to attach to, and an Avatar
+     * room on the Avatar Row.
+     */
+    getPlayViolation(card, playerIndex) {
+        const p = this.state.players[playerIndex];
+        if (!p.hand.some(c => c.instanceId === card.instanceId)) {
+            return { code: 'NOT_IN_HAND', message: `${card.name} is not in your hand.`, details: { instanceId: card.instanceId } };
+        }
+        if (this.getAttachSpec(card) && this.getLegalBearers(card, playerIndex).length === 0) {
+            return {
+                code: 'INVALID_TARGET',
+                message: `${card.name} has nothing it can be attached to.`,
+                details: { instanceId: card.instanceId, attach: this.getAttachSpec(card) }
+            };
+        }
+        if (card.type === 'Avatar' && p.avatarRow.length >= AVATAR_ROW_LIMIT) {
+            return {
+                code: 'AVATAR_LINE_FULL',
+                message: `Your Avatar Row already holds ${AVATAR_ROW_LIMIT} Avatars!`,
+                details: { avatars: p.avatarRow.length, limit: AVATAR_ROW_LIMIT }
+            };
+        }
+        if (card.type === 'Rite') {
+            const ability = this.getRiteAbility(card);
+            if (!ability || !this.canRunAbility(ability)) {
+                return {
+                    code: 'NOT_PLAYABLE',
+                    message: `${card.name} has effects this game can't resolve, so it can't be cast.`,
+                    details: { instanceId: card.instanceId, unsupported: true }
+                };
+            }
+            if (!this.hasAbilityTargets(playerIndex, ability)) {
+                return {
+                    code: 'INVALID_TARGET',
+                    message: `${card.name} has nothing to target.`,
+                    details: { instanceId: card.instanceId, targets: ability.targets }
+                };
+            }
+        }
+        if (!this.state.rulesHelper) return null;
+        const available = this.getAvailableKl(p, card);
+        if (card.cost > available) {
+            return {
+                code: 'INSUFFICIENT_KL',
+                message: `Not enough KL! Need ${card.cost}, have ${available}`,
+                details: { cost: card.cost, available }
+            };
+        }
+        if (card.type === 'Domain' && !this.canPlayDomain(playerIndex)) {
+            const limit = this.state.combat.maxDomainsPerTurn;
+            return {
+                code: 'DOMAIN_LIMIT',
+                message: `Cannot play another Domain this turn! (Limit: ${limit})`,
+                details: { played: this.state.combat.domainsPlayedThisTurn, limit }
+            };
+        }
+        if (card.type === 'Rite' && this.state.shardChain.active) {
+            return {
+                code: 'CHAIN_NOT_EMPTY',
+                message: `${card.name} can't be cast while the Shard Chain is open.`,
+                details: { instanceId: card.instanceId }
+            };
+        }
+        // "Cast this only if you control 3 or more Shards"
+        const unmet = this.getCompiledAbilities(card)
+            .find(a => a.trigger === 'SPELL' && !this.checkAbilityCondition(playerIndex, a.condition));
+        if (unmet) {
+            return {
+                code: 'NOT_PLAYABLE',
+                message: `The condition for casting ${card.name} is not met.`,
+                details: { instanceId: card.instanceId, condition: unmet.condition }
+            };
+        }
+        return null;
+    },
+    
+    /**
+     * Track domain play for the turn
+     * Called when a Domain card is successfully played
+     */
+    recordDomainPlay() {
+        this.state.combat.domainsPlayedThisTurn++;
+    },
+    
+    /**
+     * Check if an Avatar has summoning sickness
+     * Returns true if the avatar was summoned this turn
+     */
+    hasSummoningSickness(card) {
+        // Cards with Haste/Swift can attack immediately
+        if (hasHaste(card)) {
+            return false;
+        }
+        return this.state.combat.summonedThisTurn.includes(card.instanceId);
+    },
+    
+    /**
+     * Get all valid attackers for the current player
+     * Returns avatars that are untapped, not summoned this turn, and haven't attacked
+     */
+    getValidAttackers(playerIndex) {
+        const player = this.state.players[playerIndex];
+        return player.avatarRow.filter(card => 
+            !card.tapped &&
+            !this.state.combat.attackedThisTurn.includes(card.instanceId) &&
+            !this.hasSummoningSickness(card)
+        );
+    },
+    
+    /**
+     * Get all valid blockers for defending player
+     * Returns untapped avatars that can block
+     */
+    getValidBlockers(playerIndex) {
+        const player = this.state.players[playerIndex];
+        return player.avatarRow.filter(card => 
+            !card.tapped &&
+            !card.cantBlock // Support for "cannot block" effects
+        );
+    },
+    
     /**
      * Calculate combat damage using Power vs Guard (attack vs health)
      * Attacker deals its Power to defender's Guard
@@ -6820,7 +7514,7 @@ const Game = {
         const index = player.avatarRow.findIndex(c => c.instanceId === card.instanceId);
         if (index !== -1) {
             player.avatarRow.splice(index, 1);
-            player.graveyard.push(card);
+            this.putInGraveyard(player, card);
             this.log(`${card.name} was destroyed!`, 'damage');
             this.handleOnDeathTrigger(card, playerIndex);
             
@@ -6945,6 +7639,16 @@ const Game = {
             if (this.state.turnNumber < 5) score += 5;
         }
         
+        // Shards are free, add KL every Dawn and keep their Crownbound ability
+        if (card.type === 'Shard') {
+            score += 15;
+        }
+
+        // Essence cards are free and add typed Essence every turn, if they have an ability to use
+        if (card.type === 'Essence' && this.getEssenceAbility(card)) {
+            score += 10;
+        }
+        
         // Aspect synergy bonus
         const dominantAspect = this.aiGetDominantAspect();
         if (dominantAspect) {
@@ -6955,7 +7659,7 @@ const Game = {
         }
         
         // Curve consideration - prefer efficient plays
-        const efficiency = (card.attack || 0) + (card.health || 0) - card.cost;
+        const efficiency = (card.attack || 0) + (card.health || 0) - (card.cost || 0);
         score += efficiency * 0.5;
         
         // Threat response - boost removal when facing big threats
@@ -6990,14 +7694,15 @@ const Game = {
             })[0];
         }
         
-        // No guardians - evaluate all targets
-        if (player.avatarRow.length === 0) {
+        // No guardians - evaluate all targets (Stealth Avatars can't be attacked)
+        const attackable = player.avatarRow.filter(c => !hasStealth(c));
+        if (attackable.length === 0) {
             // Go face!
             return { type: 'deity', playerIndex: 0 };
         }
         
         // Score each potential target
-        const scoredTargets = player.avatarRow.map(target => {
+        const scoredTargets = attackable.map(target => {
             let score = 0;
             const targetHealth = target.currentHealth || target.health;
             const canKill = attacker.attack >= targetHealth;
@@ -7054,13 +7759,17 @@ const Game = {
             const maxCardsPerTurn = 3;
             
             const playNextCard = () => {
-                if (cardsPlayed >= maxCardsPerTurn || ai.klCurrent <= 0) {
+                this.aiUseEssenceCards(1);
+                if (cardsPlayed >= maxCardsPerTurn || (ai.klCurrent <= 0 && ai.klPool.length === 0)) {
                     // Move to combat phase
                     this.aiContinueToCombat();
                     return;
                 }
                 
-                const playableCards = ai.hand.filter(c => c.cost <= ai.klCurrent);
+                const playableCards = ai.hand.filter(c =>
+                    (c.cost || 0) <= this.getAvailableKl(ai, c) && !(this.getAttachSpec(c) && this.getLegalBearers(c, 1).length === 0) &&
+                    !(c.type === 'Avatar' && ai.avatarRow.length >= AVATAR_ROW_LIMIT)
+                );
                 if (playableCards.length === 0) {
                     this.aiContinueToCombat();
                     return;
@@ -7159,6 +7868,7 @@ const Game = {
             
             this.state.combat.attackedThisTurn.push(attacker.instanceId);
             attacker.tapped = true;
+            attacker.stealthRevealed = true;
             
             this.checkWinCondition();
             this.render();
@@ -7179,7 +7889,7 @@ const Game = {
         if (handIndex === -1) return;
         
         ai.hand.splice(handIndex, 1);
-        ai.klCurrent -= card.cost;
+        this.payKlCost(ai, card);
         
         if (card.type === 'Avatar') {
             ai.avatarRow.push(card);
@@ -7199,11 +7909,26 @@ const Game = {
             this.log(`Opponent played Domain: ${card.name}!`, 'action');
             this.handleOnEnterTrigger(card, 1);
             this.animateAICardPlay(card);
+        } else if (card.type === 'Relic' && this.getAttachSpec(card)) {
+            const bearer = this.chooseAIBearer(card, 1);
+            ai.relicRow.push(card);
+            this.attachRelic(card, bearer);
+            this.log(`Opponent attached ${card.name} to ${this.getBearerName(bearer)}!`, 'action');
+            this.handleOnEnterTrigger(card, 1);
+            this.animateAICardPlay(card);
         } else if (card.type === 'Relic' || card.type === 'Crown') {
             ai.domainRow.push(card);
             this.log(`Opponent equipped ${card.name}!`, 'action');
             this.handleOnEnterTrigger(card, 1);
             this.animateAICardPlay(card);
+        } else if (card.type === 'Shard') {
+            this.claimShard(card, 1);
+            this.animateAICardPlay(card);
+        } else if (card.type === 'Essence') {
+            ai.relicRow.push(card);
+            if (/Enters play exhausted/i.test(card.effect || '')) card.tapped = true;
+            this.log(`Opponent played Essence: ${card.name}!`, 'action');
+            this.animateAICardPlay(card);
         }
         
         this.handleAspectTrigger(card, 1);
@@ -7242,7 +7967,7 @@ const Game = {
         if (!deity || !deity.passive) return;
         
         if (deity.passive === 'Perfect Balance') {
-            const opponent = this.state.players[1 - playerIndex];
+            const opponent = this.state.players[this.getOpponentIndex(playerIndex)];
             if (p.essence === opponent.essence) {
                 this.drawCardEffect(playerIndex, 1);
                 this.log(`${deity.passive}: Both Deities have equal Essence, drew 1 card`, 'action');
@@ -7267,21 +7992,132 @@ const Game = {
         if (p.klMax < 13) {
             p.klMax++;
         }
-        p.klCurrent = p.klMax;
+        const oldKL = p.klCurrent;
+        const kl = this.getKlBreakdown(playerIndex);
+        p.klCurrent = kl.total;
+        this.checkGodThreshold(playerIndex, oldKL, p.klCurrent);
         
         // Reset turn counters
         this.state.drawsThisTurn = 0;
         
-        // Untap all permanents (Avatars and Domains)
+        // Untap all permanents (Avatars, Domains and Essence cards)
         p.avatarRow.forEach(c => c.tapped = false);
         p.domainRow.forEach(c => c.tapped = false);
+        (p.relicRow || []).forEach(c => c.tapped = false);
         
         // Check deity dawn passives
         this.handleDawnPassives(playerIndex);
         
-        this.log(`${p.deity.name}: KL restored to ${p.klMax}`, 'action');
+        this.log(`${p.deity.name}: KL restored to ${kl.total} (${this.describeKlBreakdown(kl)})`, 'action');
         this.render();
     },
+
+    /**
+     * A card's compiled abilities (CARD_ABILITIES by card id), or [] when the
+     * compiled file isn't loaded or has nothing for the card.
+     */
+    getCompiledAbilities(card) {
+        if (!card || typeof CARD_ABILITIES === 'undefined') return [];
+        return CARD_ABILITIES[card.id] || [];
+    },
+
+    /**
+     * A compiled ability condition for the seat that controls it (engine
+     * checkCondition): CONTROLS counts their cards in play by type and
+     * aspect, CONTROLS_FEWER_THAN_OPPONENT compares that with each opponent,
+     * ESSENCE_AT_MOST reads their own Essence or, with `targets` from
+     * chooseAbilityTargets, the targeted player's.
+     */
+    checkAbilityCondition(playerIndex, condition, targets = []) {
+        if (!condition) return true;
+        const p = this.state.players[playerIndex];
+        const countControlled = seat => [...seat.avatarRow, ...seat.domainRow, ...(seat.relicRow || []), ...(seat.shardRow || [])].filter(c =>
+            (!condition.typeLine || (c.type || '').toUpperCase() === condition.typeLine) &&
+            (!condition.subtype || (c.aspects || []).includes(condition.subtype))
+        ).length;
+        if (condition.kind === 'CONTROLS') {
+            return countControlled(p) >= condition.atLeast;
+        }
+        if (condition.kind === 'CONTROLS_FEWER_THAN_OPPONENT') {
+            const own = countControlled(p);
+            return this.getOpponentIndices(playerIndex).some(seat => countControlled(this.state.players[seat]) > own);
+        }
+        if (condition.kind === 'ESSENCE_AT_MOST') {
+            const target = condition.player === 'TARGET' ? targets[condition.targetIndex ?? 0] : { seat: playerIndex };
+            return !!target && this.state.players[target.seat].essence <= condition.amount;
+        }
+        return false;
+    },
+
+    /**
+     * "At the start of your turn, gain N KL" (engine isStartOfTurnKlAbility):
+     * counted when KL is restored at Dawn rather than run as a trigger.
+     */
+    isStartOfTurnKlAbility(ability) {
+        const effects = ability.effects || [];
+        return ability.trigger === 'ON_TURN_START' &&
+            (ability.triggerSource ?? 'THIS_CARD') === 'THIS_CARD' &&
+            !(ability.targets || []).length &&
+            effects.length > 0 &&
+            effects.every(e => e.kind === 'GAIN_KL' && e.subject.ref === 'CONTROLLER');
+    },
+
+    /**
+     * What a seat's KL is restored to at Dawn, part by part (engine
+     * getKlBreakdown): the KL maximum, +1 per Shard they have claimed,
+     * STATIC MODIFY_KL effects from any seat's cards that cover them, and
+     * their own start-of-turn KL abilities.
+     * Returns { total, parts: [{ source, label, amount }] }.
+     */
+    getKlBreakdown(playerIndex) {
+        const seat = this.state.players[playerIndex];
+        const parts = [{ source: 'BASE', label: 'Base', amount: seat.klMax }];
+        if (seat.shardRow.length > 0) {
+            parts.push({ source: 'SHARDS', label: seat.shardRow.length === 1 ? 'Shard' : 'Shards', amount: seat.shardRow.length });
+        }
+        if (!this.state.rulesHelper) {
+            return { total: parts.reduce((sum, part) => sum + part.amount, 0), parts };
+        }
+        const covers = (subject, controllerIndex) =>
+            subject.ref === 'EACH_PLAYER' ||
+            (subject.ref === 'CONTROLLER' && controllerIndex === playerIndex) ||
+            (subject.ref === 'EACH_OPPONENT' && !this.areTeammates(controllerIndex, playerIndex));
+
+        this.state.players.forEach((p, controllerIndex) => {
+            if (p.eliminated) return;
+            [p.deity, ...p.avatarRow, ...p.domainRow, ...(p.relicRow || []), ...(p.shardRow || [])].forEach(card => {
+                this.getCompiledAbilities(card).forEach(ability => {
+                    if (!this.checkAbilityCondition(controllerIndex, ability.condition)) return;
+                    let source;
+                    let effects;
+                    if (ability.trigger === 'STATIC') {
+                        source = 'STATIC';
+                        effects = (ability.effects || []).filter(e => e.kind === 'MODIFY_KL' && covers(e.subject, controllerIndex));
+                    } else if (controllerIndex === playerIndex && this.isStartOfTurnKlAbility(ability)) {
+                        source = 'START_OF_TURN';
+                        effects = ability.effects;
+                    } else {
+                        return;
+                    }
+                    const amount = effects
+                        .filter(e => this.checkAbilityCondition(controllerIndex, e.condition))
+                        .reduce((total, e) => total + e.amount, 0);
+                    if (amount !== 0) parts.push({ source, label: ability.label, amount });
+                });
+            });
+        });
+
+        const total = Math.max(0, parts.reduce((sum, part) => sum + part.amount, 0));
+        return { total, parts };
+    },
+
+    // "Base 3 + 1 Solar Flow"
+    describeKlBreakdown(breakdown) {
+        return breakdown.parts.map((part, i) => i === 0
+            ? `${part.label} ${part.amount}`
+            : `${part.amount < 0 ? '-' : '+'} ${Math.abs(part.amount)} ${part.label}`
+        ).join(' ');
+    },
     
     handleDawnPassives(playerIndex) {
         if (!this.state.rulesHelper) return;
@@ -7289,15 +8125,6 @@ const Game = {
         const deity = p.deity;
         if (!deity || !deity.passive) return;
         
-        if (deity.passive === 'Solar Flow') {
-            const hasGlowAvatar = p.avatarRow.some(c => c.aspects && c.aspects.includes('Glow')) ||
-                                  p.domainRow.some(c => c.aspects && c.aspects.includes('Glow'));
-            if (hasGlowAvatar) {
-                this.adjustStat(playerIndex, 'kl', 1);
-                this.log(`${deity.passive}: +1 KL (controlling Glow Avatar)`, 'action');
-            }
-        }
-        
         if (deity.passive === 'Familiar Swarm') {
         }
     },
@@ -7395,7 +8222,7 @@ const Game = {
                     this.log(`${playerIndex === 0 ? 'You' : 'Opponent'} cannot draw - deck is empty!`, 'damage');
                     this.log(`DECK OUT! ${playerIndex === 0 ? 'You lose' : 'Opponent loses'}!`, 'phase');
                     BattleEffects.screenFlash('#ff000055', 500);
-                    this.triggerGameEnd(1 - playerIndex, 'deck_out');
+                    this.eliminatePlayer(playerIndex, 'deck_out');
                     return;
                 } else {
                     this.log(`${playerIndex === 0 ? 'Your' : 'Opponent\'s'} deck is empty!`, 'damage');
@@ -7431,11 +8258,7 @@ const Game = {
     },
 
     shuffleDeck(playerIndex) {
-        const deck = this.state.players[playerIndex].deck;
-        for (let i = deck.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [deck[i], deck[j]] = [deck[j], deck[i]];
-        }
+        SeededRandom.shuffle(this.getMatchRng(), this.state.players[playerIndex].deck);
         this.log(`Player ${playerIndex + 1} shuffled deck`, 'action');
     },
 
@@ -7455,51 +8278,75 @@ const Game = {
                 this.checkWinCondition();
             }
         } else if (stat === 'kl') {
+            const oldKL = p.klCurrent;
             const newKL = p.klCurrent + delta;
-            if (newKL > p.klMax) {
-                const excess = newKL - p.klMax;
-                p.klCurrent = p.klMax;
-                this.adjustStat(playerIndex, 'overflow', excess);
-            } else {
-                p.klCurrent = Math.max(0, newKL);
-            }
+            // Dawn bonuses can put KL above the max; gains don't add to that
+            p.klCurrent = Math.max(0, Math.min(Math.max(p.klMax, oldKL), newKL));
+            // KL that would go above the max still reaches the God threshold
+            this.checkGodThreshold(playerIndex, oldKL, newKL);
         } else if (stat === 'klMax') {
-            const newMax = p.klMax + delta;
-            if (newMax > 13) {
-                const excess = newMax - 13;
-                p.klMax = 13;
-                this.adjustStat(playerIndex, 'overflow', excess);
-            } else {
-                p.klMax = Math.max(1, newMax);
-            }
-        } else if (stat === 'overflow') {
-            p.overflow = Math.max(0, p.overflow + delta);
-            if (p.overflow >= 13 && this.state.rulesHelper && p.godCodeCharges < 2) {
-                p.overflow -= 13;
-                p.godCodeCharges = Math.min(2, p.godCodeCharges + 1);
-                this.log('Essence Crown charged! +1 God Code charge!', 'heal');
-                this.spawnParticles({ type: 'effect' }, 'gold');
-            }
+            p.klMax = Math.max(1, Math.min(13, p.klMax + delta));
         }
         
         this.render();
     },
 
-    playCard(card, playerIndex, zone = 'front') {
+    /**
+     * God Charges (as engine checkGodThreshold): the first time each turn a
+     * player's KL goes from below GOD_CODE_RULES.thresholdKl to at least it,
+     * they gain a God Charge, up to GOD_CODE_RULES.maxCharges.
+     */
+    checkGodThreshold(playerIndex, oldKL, newKL) {
+        if (!this.state.rulesHelper) return;
+        const p = this.state.players[playerIndex];
+        if (p.klThresholdTriggeredThisTurn) return;
+        if (oldKL >= GOD_CODE_RULES.thresholdKl || newKL < GOD_CODE_RULES.thresholdKl) return;
+
+        p.klThresholdTriggeredThisTurn = true;
+        if (p.godCharges < GOD_CODE_RULES.maxCharges) {
+            p.godCharges++;
+            this.log('Essence Crown charged! +1 God Charge!', 'heal');
+            this.spawnParticles({ type: 'effect' }, 'gold');
+        }
+    },
+
+    playCard(card, playerIndex, zone = 'front', bearer = null, payment = null) {
         if (this.state.isReplayMode || this.state.isSpectatorMode) return;
         const p = this.state.players[playerIndex];
-        const handIndex = p.hand.findIndex(c => c.instanceId === card.instanceId);
-        
-        if (handIndex === -1) return;
-        
-        if (this.state.rulesHelper && card.cost > p.klCurrent) {
-            this.log(`Not enough KL! Need ${card.cost}, have ${p.klCurrent}`, 'damage');
+        const violation = this.getPlayViolation(card, playerIndex);
+        if (violation) {
+            if (violation.code !== 'NOT_IN_HAND') this.log(violation.message, 'damage');
+            return;
+        }
+        if (!bearer && this.getAttachSpec(card)) {
+            if (!(this.state.isAIMatch && playerIndex === AIManager.aiPlayerIndex)) {
+                this.beginBearerSelection(card);
+                return;
+            }
+            bearer = this.chooseAIBearer(card, playerIndex);
+        }
+        const isAISeat = this.state.isAIMatch && playerIndex === AIManager.aiPlayerIndex;
+        if (this.state.rulesHelper && !payment && !isAISeat && this.hasKlPaymentChoice(p, card)) {
+            this.showPaymentPicker(card, playerIndex, chosen => this.playCard(card, playerIndex, zone, bearer, chosen));
             return;
         }
+        if (card.type === 'Spell' && !this.state.spell.mode) {
+            const targetType = this.getSpellTargetType(card);
+            if (targetType) {
+                this.state.spell.mode = 'selectTarget';
+                this.state.spell.pendingSpell = card;
+                this.state.spell.pendingPayment = payment;
+                this.state.spell.targetType = targetType;
+                this.showPrompt(`Select a target for ${card.name}`);
+                this.render();
+                return;
+            }
+        }
+        const handIndex = p.hand.findIndex(c => c.instanceId === card.instanceId);
         
         const klBeforePlay = p.klCurrent;
         p.hand.splice(handIndex, 1);
-        p.klCurrent -= card.cost;
+        const paid = this.payKlCost(p, card, payment);
         
         this.state.cardsPlayedThisTurn++;
         
@@ -7516,15 +8363,7 @@ const Game = {
                 CampaignManager.applyBossAbility('summon', { card, playerIndex });
             }
         } else if (card.type === 'Domain') {
-            // === ESSENCE CROWN: Enforce 1 Domain per turn limit ===
-            if (this.state.rulesHelper && !this.canPlayDomain(playerIndex)) {
-                this.log(`Cannot play another Domain this turn! (Limit: ${this.state.combat.maxDomainsPerTurn})`, 'damage');
-                p.hand.push(card);
-                p.klCurrent += card.cost;
-                this.state.cardsPlayedThisTurn--;
-                return;
-            }
-            if (p.domain) p.graveyard.push(p.domain);
+            if (p.domain) this.putInGraveyard(p, p.domain);
             p.domain = card;
             p.domainRow.push(card);
             this.recordDomainPlay();
@@ -7533,18 +8372,6 @@ const Game = {
             MatchRecorder.recordAction('CARD_PLAYED', { cardId: card.id, cardName: card.name, type: card.type, zone: 'domainRow' }, playerIndex);
             this.handleOnEnterTrigger(card, playerIndex);
         } else if (card.type === 'Spell') {
-            const targetType = this.getSpellTargetType(card);
-            if (targetType && !this.state.spell.mode) {
-                this.state.spell.mode = 'selectTarget';
-                this.state.spell.pendingSpell = card;
-                this.state.spell.targetType = targetType;
-                p.klCurrent += card.cost;
-                p.hand.push(card);
-                this.state.cardsPlayedThisTurn--;
-                this.showPrompt(`Select a target for ${card.name}`);
-                this.render();
-                return;
-            }
             p.graveyard.push(card);
             this.state.spellsPlayedThisTurn++;
             this.log(`Player ${playerIndex + 1} cast ${card.name}!`, 'action');
@@ -7552,13 +8379,43 @@ const Game = {
             MatchRecorder.recordAction('CARD_PLAYED', { cardId: card.id, cardName: card.name, type: card.type, zone: 'graveyard' }, playerIndex);
             this.handleSpellEffect(card, playerIndex);
             this.handleDeitySpellPassive(playerIndex);
+        } else if (card.type === 'Rite') {
+            // Rites wait on the Shard Chain; see resolveRite
+            this.log(`Player ${playerIndex + 1} cast ${card.name}!`, 'action');
+            MatchRecorder.recordCardPlayed(card, playerIndex);
+            MatchRecorder.recordAction('CARD_PLAYED', { cardId: card.id, cardName: card.name, type: card.type, zone: 'shardChain' }, playerIndex);
+            this.emitEvent('ON_RITE_CAST', { card, playerIndex });
+            this.chooseAbilityTargets(card, playerIndex, this.getRiteAbility(card), targets => {
+                this.startShardChain({ source: card, controller: playerIndex, targets: targets || [], effect: { type: 'rite' } });
+            });
+        } else if (card.type === 'Relic') {
+            p.relicRow.push(card);
+            if (bearer) {
+                this.attachRelic(card, bearer);
+                this.log(`Player ${playerIndex + 1} attached ${card.name} to ${this.getBearerName(bearer)}`, 'action');
+            } else {
+                this.log(`Player ${playerIndex + 1} played Relic: ${card.name}`, 'action');
+            }
+            MatchRecorder.recordCardPlayed(card, playerIndex);
+            MatchRecorder.recordAction('CARD_PLAYED', { cardId: card.id, cardName: card.name, type: card.type, zone: 'relicRow' }, playerIndex);
+            this.handleOnEnterTrigger(card, playerIndex);
+        } else if (card.type === 'Shard') {
+            this.claimShard(card, playerIndex);
+            MatchRecorder.recordCardPlayed(card, playerIndex);
+            MatchRecorder.recordAction('CARD_PLAYED', { cardId: card.id, cardName: card.name, type: card.type, zone: 'shardRow' }, playerIndex);
+        } else if (card.type === 'Essence') {
+            p.relicRow.push(card);
+            if (/Enters play exhausted/i.test(card.effect || '')) card.tapped = true;
+            this.log(`Player ${playerIndex + 1} played Essence: ${card.name}`, 'action');
+            MatchRecorder.recordCardPlayed(card, playerIndex);
+            MatchRecorder.recordAction('CARD_PLAYED', { cardId: card.id, cardName: card.name, type: card.type, zone: 'relicRow' }, playerIndex);
         }
         
         if (this.state.cardsPlayedThisTurn === 2) {
             this.handleSecondCardPassive(playerIndex);
         }
         
-        if (p.klCurrent === 0 && klBeforePlay === card.cost) {
+        if (p.klCurrent === 0 && klBeforePlay === paid.kl) {
             this.handleExactKLSpendPassive(playerIndex);
         }
         
@@ -7588,7 +8445,7 @@ const Game = {
                 const match = effect.match(/deal (\d+)/i);
                 if (match) {
                     const damage = parseInt(match[1]);
-                    this.adjustStat(1 - playerIndex, 'essence', -damage);
+                    this.adjustStat(this.getOpponentIndex(playerIndex), 'essence', -damage);
                     this.log(`${card.name}: Dealt ${damage} damage to opponent`, 'damage');
                 }
             }
@@ -7597,7 +8454,7 @@ const Game = {
                 const match = effect.match(/loses (\d+) essence/i);
                 if (match) {
                     const amount = parseInt(match[1]);
-                    this.adjustStat(1 - playerIndex, 'essence', -amount);
+                    this.adjustStat(this.getOpponentIndex(playerIndex), 'essence', -amount);
                     this.log(`${card.name}: Opponent lost ${amount} Essence`, 'damage');
                 }
             }
@@ -7641,7 +8498,7 @@ const Game = {
         
         if (deity.passive === 'Shard War Architect' && !p.passiveUsedThisTurn) {
             p.passiveUsedThisTurn = true;
-            this.adjustStat(1 - playerIndex, 'essence', -1);
+            this.adjustStat(this.getOpponentIndex(playerIndex), 'essence', -1);
             this.drawCardEffect(playerIndex, 1);
             this.log(`${deity.passive}: Opponent lost 1 Essence, drew 1 card`, 'action');
         }
@@ -7673,7 +8530,7 @@ const Game = {
         if (deity.passive === 'Familiar Swarm' && !p.passiveUsedThisTurn) {
             if (isBeastCard(card) || card.cost <= 2) {
                 p.passiveUsedThisTurn = true;
-                this.adjustStat(1 - playerIndex, 'essence', -1);
+                this.adjustStat(this.getOpponentIndex(playerIndex), 'essence', -1);
                 this.adjustStat(playerIndex, 'kl', 1);
                 this.log(`${deity.passive}: Beast/low-cost entered - opponent lost 1 Essence, +1 KL!`, 'action');
             }
@@ -7714,7 +8571,7 @@ const Game = {
                 if (target && target.type === 'deity') {
                     this.animateSpellToDeity(card, target.playerIndex, damage);
                 } else {
-                    this.animateSpellToDeity(card, 1 - playerIndex, damage);
+                    this.animateSpellToDeity(card, this.getOpponentIndex(playerIndex), damage);
                 }
             }
         }
@@ -7740,7 +8597,7 @@ const Game = {
             const match = effect.match(/loses (\d+)/i);
             if (match) {
                 const amount = parseInt(match[1]);
-                this.animateSpellToDeity(card, 1 - playerIndex, amount);
+                this.animateSpellToDeity(card, this.getOpponentIndex(playerIndex), amount);
             }
         }
         
@@ -7773,43 +8630,936 @@ const Game = {
             }
         }
     },
-    
-    selectSpellTarget(target, playerIndex) {
-        if (!this.state.spell.mode || !this.state.spell.pendingSpell) return;
-        
-        const spell = this.state.spell.pendingSpell;
-        const casterIndex = this.state.currentPlayer;
-        const p = this.state.players[casterIndex];
-        
-        const handIndex = p.hand.findIndex(c => c.instanceId === spell.instanceId);
-        if (handIndex !== -1) {
-            p.hand.splice(handIndex, 1);
-            p.klCurrent -= spell.cost;
-            p.graveyard.push(spell);
-            this.state.cardsPlayedThisTurn++;
-            this.state.spellsPlayedThisTurn++;
-            
-            this.log(`Player ${casterIndex + 1} cast ${spell.name} on ${target.name || 'target'}!`, 'action');
-            this.handleSpellEffect(spell, casterIndex, { type: target.type, card: target.card, playerIndex: playerIndex, name: target.name });
-            this.handleDeitySpellPassive(casterIndex);
-            this.handleAspectTrigger(spell, casterIndex);
+    
+    selectSpellTarget(target, playerIndex) {
+        if (!this.state.spell.mode || !this.state.spell.pendingSpell) return;
+        
+        const spell = this.state.spell.pendingSpell;
+        const casterIndex = this.state.currentPlayer;
+        const p = this.state.players[casterIndex];
+        
+        if (target.card && playerIndex !== casterIndex && hasStealth(target.card)) {
+            this.showPrompt(`${target.card.name} has Stealth and cannot be targeted!`);
+            return;
+        }
+        
+        const handIndex = p.hand.findIndex(c => c.instanceId === spell.instanceId);
+        if (handIndex !== -1) {
+            p.hand.splice(handIndex, 1);
+            this.payKlCost(p, spell, this.state.spell.pendingPayment);
+            p.graveyard.push(spell);
+            this.state.cardsPlayedThisTurn++;
+            this.state.spellsPlayedThisTurn++;
+            
+            this.log(`Player ${casterIndex + 1} cast ${spell.name} on ${target.name || 'target'}!`, 'action');
+            this.handleSpellEffect(spell, casterIndex, { type: target.type, card: target.card, playerIndex: playerIndex, name: target.name });
+            this.handleDeitySpellPassive(casterIndex);
+            this.handleAspectTrigger(spell, casterIndex);
+        }
+        
+        this.state.spell.mode = null;
+        this.state.spell.pendingSpell = null;
+        this.state.spell.pendingPayment = null;
+        this.state.spell.targetType = null;
+        this.hidePrompt();
+        this.render();
+    },
+    
+    cancelSpellTargeting() {
+        this.state.spell.mode = null;
+        this.state.spell.pendingSpell = null;
+        this.state.spell.pendingPayment = null;
+        this.state.spell.targetType = null;
+        this.hidePrompt();
+        this.render();
+    },
+
+    // ==================== ATTACHMENTS ====================
+    // A Relic that says "Attach to ..." is played onto a bearer (a Deity or an
+    // Avatar). It sits in relicRow with relic.attachedTo = { playerIndex,
+    // instanceId } (instanceId null = the Deity), buffs an Avatar bearer while
+    // attached, and goes to the graveyard once the bearer leaves play.
+
+    /**
+     * What a Relic attaches to, as the engine's AttachSpec ({ kinds, controller }),
+     * or null for a Relic that doesn't attach. Read from the compiled abilities,
+     * else from the "Attach to ..." sentence.
+     */
+    getAttachSpec(card) {
+        if (!card || card.type !== 'Relic') return null;
+        const ability = this.getCompiledAbilities(card).find(a => a.attach);
+        if (ability) return ability.attach;
+
+        const match = (card.effect || '').match(/Attach to (?:an? )?(opposing )?(Deity|Avatar)(?: or (Deity|Avatar))?( you control)?\./i);
+        if (!match) return null;
+        const spec = { kinds: [match[2], match[3]].filter(Boolean).map(kind => kind.toUpperCase()) };
+        if (match[1]) spec.controller = 'OPPONENT';
+        if (match[4]) spec.controller = 'SELF';
+        return spec;
+    },
+
+    /**
+     * Deities and Avatars the player could attach this Relic to, as
+     * { playerIndex, card } (card null = the Deity). Opposing Avatars with
+     * Stealth can't be chosen.
+     */
+    getLegalBearers(card, playerIndex) {
+        const spec = this.getAttachSpec(card);
+        if (!spec) return [];
+        const bearers = [];
+        this.state.players.forEach((p, index) => {
+            if (p.eliminated) return;
+            const opposing = !this.areTeammates(playerIndex, index);
+            if (spec.controller === 'SELF' && index !== playerIndex) return;
+            if (spec.controller === 'OPPONENT' && !opposing) return;
+            if (spec.kinds.includes('DEITY') && p.deity) {
+                bearers.push({ playerIndex: index, card: null });
+            }
+            if (spec.kinds.includes('AVATAR')) {
+                p.avatarRow
+                    .filter(c => !opposing || !hasStealth(c))
+                    .forEach(c => bearers.push({ playerIndex: index, card: c }));
+            }
+        });
+        return bearers;
+    },
+
+    /**
+     * What an attached Relic gives an Avatar bearer, as { attack, health }:
+     * its compiled STATIC effects on BEARER (Guard is Essence, Power is
+     * attack), else "The bearer gets +2 Essence and +1 attack." in its text.
+     */
+    getBearerBonus(relic) {
+        const bonus = { attack: 0, health: 0 };
+        const effects = this.getCompiledAbilities(relic)
+            .filter(a => a.trigger === 'STATIC')
+            .flatMap(a => a.effects || [])
+            .filter(e => e.kind === 'MODIFY_STATS' && e.subject.ref === 'BEARER');
+        if (effects.length > 0) {
+            effects.forEach(e => {
+                bonus.attack += e.power || 0;
+                bonus.health += e.guard || 0;
+            });
+            return bonus;
+        }
+
+        const match = (relic.effect || '').match(/(?:The bearer|That Avatar|Attached Avatar) gets ([+-]\d+ (?:Essence|attack)(?: and [+-]\d+ (?:Essence|attack))?)\./i);
+        if (match) {
+            match[1].split(/ and /i).forEach(part => {
+                const [amount, stat] = part.split(' ');
+                bonus[stat.toLowerCase() === 'essence' ? 'health' : 'attack'] += parseInt(amount);
+            });
+        }
+        return bonus;
+    },
+
+    /**
+     * An attached Relic's bearer as { playerIndex, card } (card null = the
+     * Deity), or null if it isn't attached or the bearer has left play.
+     */
+    getBearer(relic) {
+        const attachedTo = relic.attachedTo;
+        if (!attachedTo) return null;
+        const p = this.state.players[attachedTo.playerIndex];
+        if (!p || p.eliminated) return null;
+        if (attachedTo.instanceId === null) return { playerIndex: attachedTo.playerIndex, card: null };
+        const card = p.avatarRow.find(c => c.instanceId === attachedTo.instanceId);
+        return card ? { playerIndex: attachedTo.playerIndex, card } : null;
+    },
+
+    /**
+     * Relics attached to a seat's Deity (card null) or to one of its Avatars.
+     */
+    getAttachedRelics(playerIndex, card) {
+        const instanceId = card ? card.instanceId : null;
+        return this.state.players.flatMap(p => (p.relicRow || []).filter(r =>
+            r.attachedTo && r.attachedTo.playerIndex === playerIndex && r.attachedTo.instanceId === instanceId
+        ));
+    },
+
+    getBearerName(bearer) {
+        return bearer.card ? bearer.card.name : `Player ${bearer.playerIndex + 1}'s Deity`;
+    },
+
+    /**
+     * Attach a Relic already in relicRow to a bearer from getLegalBearers and
+     * give an Avatar bearer its bonus.
+     */
+    attachRelic(relic, bearer) {
+        relic.attachedTo = { playerIndex: bearer.playerIndex, instanceId: bearer.card ? bearer.card.instanceId : null };
+        const bonus = this.getBearerBonus(relic);
+        if (bearer.card && (bonus.attack || bonus.health)) {
+            this.addStatBuff(bearer.card, relic.instanceId, bonus.attack, 'whileAttached', bonus.health);
+        }
+    },
+
+    /**
+     * State-based, like the engine's: a Relic whose bearer has left play goes
+     * to its controller's graveyard, and bearer buffs from Relics that are no
+     * longer attached come off. Runs whenever the board is drawn.
+     */
+    checkAttachments() {
+        this.state.players.forEach(p => {
+            (p.relicRow || []).filter(r => r.attachedTo && !this.getBearer(r)).forEach(relic => {
+                p.relicRow.splice(p.relicRow.indexOf(relic), 1);
+                delete relic.attachedTo;
+                this.putInGraveyard(p, relic);
+                this.log(`${relic.name} lost its bearer and went to the graveyard`, 'action');
+            });
+        });
+        const attached = new Set(this.state.players.flatMap(p =>
+            (p.relicRow || []).filter(r => r.attachedTo).map(r => r.instanceId)
+        ));
+        this.removeStatBuffs(buff => buff.duration === 'whileAttached' && !attached.has(buff.source));
+    },
+
+    /**
+     * Ask the player where to attach a Relic; clicking a highlighted Deity or
+     * Avatar calls selectBearer. Shares the spell targeting state, with mode
+     * 'selectBearer' and the Relic as pendingSpell.
+     */
+    beginBearerSelection(relic) {
+        this.state.spell.mode = 'selectBearer';
+        this.state.spell.pendingSpell = relic;
+        this.state.spell.targetType = null;
+        this.showPrompt(`Choose where to attach ${relic.name}`);
+        this.render();
+    },
+
+    isBearerChoice(playerIndex, card) {
+        const relic = this.state.spell.pendingSpell;
+        if (this.state.spell.mode !== 'selectBearer' || !relic) return false;
+        return this.getLegalBearers(relic, this.state.currentPlayer)
+            .some(b => b.playerIndex === playerIndex && b.card === card);
+    },
+
+    selectBearer(playerIndex, card) {
+        const relic = this.state.spell.pendingSpell;
+        if (this.state.spell.mode !== 'selectBearer' || !relic) return;
+        if (!this.isBearerChoice(playerIndex, card)) {
+            this.showPrompt(`${relic.name} can't be attached there`);
+            return;
+        }
+        this.cancelSpellTargeting();
+        this.playCard(relic, this.state.currentPlayer, 'front', { playerIndex, card });
+    },
+
+    /**
+     * The AI's bearer for a Relic: its own strongest Avatar, else its Deity,
+     * else the strongest Avatar it may choose (Relics for opposing Avatars).
+     */
+    chooseAIBearer(relic, playerIndex) {
+        const bearers = this.getLegalBearers(relic, playerIndex);
+        const strongest = list => list
+            .filter(b => b.card)
+            .sort((a, b) => (b.card.attack || 0) - (a.card.attack || 0))[0];
+        const own = bearers.filter(b => b.playerIndex === playerIndex);
+        return strongest(own) || own[0] || strongest(bearers) || bearers[0] || null;
+    },
+
+    /**
+     * Relics attached to a Deity (card null) or Avatar, tucked under it in
+     * `container`: a strip of each Relic's art peeks out below the bearer.
+     */
+    renderAttachedRelics(container, playerIndex, card) {
+        const relics = this.getAttachedRelics(playerIndex, card);
+        container.classList.toggle('has-attachments', relics.length > 0);
+        relics.forEach((relic, i) => {
+            const el = document.createElement('div');
+            el.className = 'attached-relic';
+            el.style.setProperty('--attach-index', i);
+            el.title = relic.name;
+            el.innerHTML = `<img src="${relic.image}" alt="${relic.name}">`;
+            el.onmouseenter = () => this.showCardPreview(relic);
+            el.onmouseleave = () => this.hideCardPreview();
+            el.ondblclick = (e) => {
+                e.stopPropagation();
+                this.showCardZoom(relic);
+            };
+            container.appendChild(el);
+        });
+    },
+    
+    // ===== SHARDS =====
+    // Playing a Shard claims it: it goes to the seat's shardRow, adds +1 KL
+    // at every Dawn (getKlBreakdown) and sets off "When you claim" abilities.
+    // Its Crownbound abilities are static and last while it stays in play.
+
+    /**
+     * Put a Shard the seat just played into their shardRow and resolve what
+     * claiming it sets off.
+     */
+    claimShard(shard, playerIndex) {
+        this.state.players[playerIndex].shardRow.push(shard);
+        this.log(`Player ${playerIndex + 1} claimed ${shard.name}`, 'action');
+        this.emitEvent('ON_SHARD_CLAIMED', { card: shard, playerIndex });
+        this.resolveClaimAbilities(shard, playerIndex);
+        setTimeout(() => {
+            AnimationHelper.play('shard-claim', document.querySelector(`.ec-shard[data-card-id="${shard.instanceId}"]`));
+        }, 100);
+    },
+
+    /**
+     * Abilities a claim sets off, as { ability, card, controllerIndex }: the
+     * compiled ON_CLAIM abilities of every card in play, "When you claim
+     * <this Shard>" on the Shard itself and "When you claim a Shard" on the
+     * claiming seat's cards. Without compiled abilities, the Shard's own
+     * "When you claim ..., gain N Essence" is read from its text.
+     */
+    getClaimTriggers(shard, playerIndex) {
+        const triggers = [];
+        if (typeof CARD_ABILITIES === 'undefined') {
+            const match = (shard.effect || '').match(/When you claim [^,]+, (?:gain|heal) (\d+) Essence(?: to your Deity)?\./i);
+            if (match) {
+                const effects = [{ subject: { ref: 'CONTROLLER' }, kind: 'GAIN_ESSENCE', amount: parseInt(match[1]) }];
+                triggers.push({ ability: { label: 'On Claim', effects }, card: shard, controllerIndex: playerIndex });
+            }
+            return triggers;
+        }
+
+        this.state.players.forEach((p, controllerIndex) => {
+            if (p.eliminated) return;
+            [p.deity, ...p.avatarRow, ...p.domainRow, ...(p.relicRow || []), ...p.shardRow].forEach(card => {
+                this.getCompiledAbilities(card).forEach(ability => {
+                    if (ability.trigger !== 'ON_CLAIM') return;
+                    const source = ability.triggerSource ?? 'THIS_CARD';
+                    const fires = source === 'THIS_CARD' ? card === shard
+                        : source === 'SELF' ? controllerIndex === playerIndex
+                        : source === 'OPPONENT' ? !this.areTeammates(controllerIndex, playerIndex)
+                        : true;
+                    if (fires) triggers.push({ ability, card, controllerIndex });
+                });
+            });
+        });
+        return triggers;
+    },
+
+    /**
+     * Resolve what a claim sets off, one trigger after another: each one's
+     * controller chooses its targets (chooseAbilityTargets), then it runs. A
+     * trigger whose effects the game can't run, or that has no legal target,
+     * does nothing.
+     */
+    resolveClaimAbilities(shard, playerIndex) {
+        if (!this.state.rulesHelper) return;
+        const triggers = this.getClaimTriggers(shard, playerIndex).filter(({ ability, controllerIndex }) =>
+            this.checkAbilityCondition(controllerIndex, ability.condition) && this.canRunAbility(ability));
+        const next = () => {
+            const trigger = triggers.shift();
+            if (!trigger) {
+                this.render();
+                return;
+            }
+            const { ability, card, controllerIndex } = trigger;
+            this.chooseAbilityTargets(card, controllerIndex, ability, targets => {
+                if (targets) {
+                    this.runAbility(card, controllerIndex, ability, targets);
+                } else {
+                    this.log(`${card.name}: ${ability.label} has no legal target`, 'action');
+                }
+                next();
+            });
+        };
+        next();
+    },
+
+    /**
+     * One seat gains or loses `amount` Essence or KL, or draws, for a
+     * compiled effect of `card`.
+     */
+    applySeatEffect(card, seat, effect, amount) {
+        if (effect.kind === 'DRAW') {
+            this.drawCardEffect(seat, effect.count);
+            return;
+        }
+        const stat = ['GAIN_KL', 'LOSE_KL'].includes(effect.kind) ? 'kl' : 'essence';
+        const gain = effect.kind === 'GAIN_ESSENCE' || effect.kind === 'GAIN_KL';
+        this.adjustStat(seat, stat, gain ? amount : -amount);
+        this.log(`${card.name}: Player ${seat + 1} ${gain ? 'gained' : 'lost'} ${amount} ${stat === 'kl' ? 'KL' : 'Essence'}`, gain ? 'heal' : 'damage');
+    },
+
+    /**
+     * The seats a player subject (CONTROLLER, EACH_OPPONENT, EACH_PLAYER)
+     * covers, or null for any other subject.
+     */
+    getEffectSeats(controllerIndex, subject) {
+        const seats = {
+            CONTROLLER: () => [controllerIndex],
+            EACH_OPPONENT: () => this.getOpponentIndices(controllerIndex),
+            EACH_PLAYER: () => this.getPlayersInGame()
+        }[subject.ref];
+        return seats ? seats() : null;
+    },
+
+    // ===== RUNNING COMPILED ABILITIES =====
+    // God Codes, claim triggers and Rites run their compiled abilities the
+    // way the engine's executeAbility does: targets first (chooseAbilityTargets),
+    // then each effect in order (runAbility). Targets are { seat, card }, with
+    // card null for a player.
+
+    /**
+     * Can runAbility resolve every effect of this ability? An ability with an
+     * effect, subject or target it can't handle is not used at all, so nothing
+     * ever resolves halfway.
+     */
+    canRunAbility(ability) {
+        const effects = ability.effects || [];
+        return effects.length > 0 &&
+            (ability.targets || []).every(spec => spec.kind !== 'PERMANENT') &&
+            effects.every(effect =>
+                RUNNABLE_EFFECT_KINDS.includes(effect.kind) &&
+                RUNNABLE_SUBJECTS.includes(effect.subject.ref) &&
+                !(effect.kind === 'MODIFY_STATS' && effect.duration === 'WHILE_SOURCE_CONTROLLED'));
+    },
+
+    /**
+     * What a TargetSpec lets the controller pick (engine isLegalTarget):
+     * players or Avatars by controller, cost and subtype. Opponents' Avatars
+     * with Stealth can't be picked.
+     */
+    getAbilityTargetOptions(controllerIndex, spec) {
+        const seats = this.getPlayersInGame().filter(seat =>
+            spec.controller === 'SELF' ? seat === controllerIndex
+                : spec.controller === 'OPPONENT' ? !this.areTeammates(controllerIndex, seat)
+                : true);
+        if (spec.kind === 'PLAYER') return seats.map(seat => ({ seat, card: null }));
+        return seats.flatMap(seat => this.state.players[seat].avatarRow
+            .filter(card =>
+                (this.areTeammates(controllerIndex, seat) || !hasStealth(card)) &&
+                (spec.minCost === undefined || (card.cost || 0) >= spec.minCost) &&
+                (spec.maxCost === undefined || (card.cost || 0) <= spec.maxCost) &&
+                (spec.excludeSubtype === undefined || !(card.aspects || []).includes(spec.excludeSubtype)))
+            .map(card => ({ seat, card })));
+    },
+
+    /**
+     * Does every target the ability must have ("up to" ones aside) have
+     * something to pick?
+     */
+    hasAbilityTargets(controllerIndex, ability) {
+        return (ability.targets || []).every(spec =>
+            spec.optional || this.getAbilityTargetOptions(controllerIndex, spec).length > 0);
+    },
+
+    /**
+     * Choose the ability's targets one TargetSpec at a time; onDone gets them
+     * lined up with ability.targets (null for an "up to" target left out), or
+     * null when a target it must have has nothing to pick. A target with only
+     * one choice is taken without asking and the AI chooses its own
+     * (aiChooseAbilityTarget); people pick on the card picker, where Deities
+     * stand for their players. No card is picked twice for one ability.
+     */
+    chooseAbilityTargets(source, controllerIndex, ability, onDone) {
+        const specs = ability.targets || [];
+        const chosen = [];
+        const next = () => {
+            if (chosen.length === specs.length) {
+                onDone(chosen);
+                return;
+            }
+            const spec = specs[chosen.length];
+            const options = this.getAbilityTargetOptions(controllerIndex, spec)
+                .filter(option => !option.card || !chosen.some(target => target?.card === option.card));
+            if (options.length === 0 && !spec.optional) {
+                onDone(null);
+                return;
+            }
+            if (options.length === 0 || (options.length === 1 && !spec.optional)) {
+                chosen.push(options[0] || null);
+                next();
+                return;
+            }
+            if (this.state.isAIMatch && controllerIndex === AIManager.aiPlayerIndex) {
+                chosen.push(this.aiChooseAbilityTarget(controllerIndex, ability, chosen.length, options));
+                next();
+                return;
+            }
+            const cards = options.map(option => option.card || this.state.players[option.seat].deity);
+            const what = spec.kind === 'PLAYER' ? 'player' : 'Avatar';
+            this.showCardPicker({
+                title: `${source.name}: ${ability.label}`,
+                message: spec.optional
+                    ? `Player ${controllerIndex + 1}: choose up to one target ${what}, or none.`
+                    : `Player ${controllerIndex + 1}: choose a target ${what}.`,
+                cards,
+                count: 1,
+                minCount: spec.optional ? 0 : 1,
+                confirmLabel: 'Target'
+            }, picked => {
+                chosen.push(picked.length > 0 ? options[cards.indexOf(picked[0])] : null);
+                next();
+            });
+        };
+        next();
+    },
+
+    /**
+     * The AI's pick for target `index` (engine suggestTriggerTargets): what
+     * the ability does to its target decides the side, its own for help and
+     * an opponent's otherwise, then the strongest Avatar. An "up to" target
+     * with nothing on the right side is left out.
+     */
+    aiChooseAbilityTarget(controllerIndex, ability, index, options) {
+        const onTarget = (ability.effects || []).filter(effect =>
+            ['TARGET', 'TARGET_CONTROLLER'].includes(effect.subject.ref) && (effect.subject.index ?? 0) === index);
+        const helps = onTarget.length > 0 && onTarget.every(effect => effect.kind === 'MODIFY_STATS'
+            ? (effect.power || 0) + (effect.guard || 0) > 0
+            : HELPFUL_EFFECT_KINDS.includes(effect.kind));
+        const preferred = options.filter(option => this.areTeammates(controllerIndex, option.seat) === helps);
+        const pool = preferred.length > 0 || ability.targets[index].optional ? preferred : options;
+        return pool.reduce((best, option) =>
+            !best || (option.card?.attack || 0) > (best.card?.attack || 0) ? option : best, null);
+    },
+
+    /**
+     * Who or what a compiled effect subject covers, as targets: chosen
+     * targets that are still there, the source itself, every Avatar that
+     * matches, or the seats getEffectSeats gives.
+     */
+    getAbilitySubjects(source, controllerIndex, subject, targets) {
+        const inPlay = target => !target.card || this.state.players[target.seat].avatarRow.includes(target.card);
+        switch (subject.ref) {
+            case 'TARGET': {
+                const target = targets[subject.index ?? 0];
+                return target && inPlay(target) ? [target] : [];
+            }
+            case 'TARGET_CONTROLLER': {
+                const target = targets[subject.index ?? 0];
+                return target ? [{ seat: target.seat, card: null }] : [];
+            }
+            case 'SELF': {
+                const seat = this.state.players.findIndex(p => p.avatarRow.includes(source));
+                return seat === -1 ? [] : [{ seat, card: source }];
+            }
+            case 'ALL_AVATARS':
+                return this.getPlayersInGame()
+                    .filter(seat => subject.controller === 'SELF' ? seat === controllerIndex
+                        : subject.controller === 'OPPONENT' ? !this.areTeammates(controllerIndex, seat)
+                        : true)
+                    .flatMap(seat => this.state.players[seat].avatarRow
+                        .filter(card => !subject.subtype || (card.aspects || []).includes(subject.subtype))
+                        .map(card => ({ seat, card })));
+            default:
+                return (this.getEffectSeats(controllerIndex, subject) || []).map(seat => ({ seat, card: null }));
+        }
+    },
+
+    /**
+     * Run an ability's effects in order (engine executeAbility), with targets
+     * from chooseAbilityTargets and, for Rites, the seats' choices
+     * (collectRiteChoices). Effects whose condition fails are skipped.
+     * - SACRIFICE_UNCHOSEN: every Avatar a seat didn't keep is destroyed
+     * - LOSE_ESSENCE perSacrificed / CREATE_TOKEN perDestroyed: per Avatar
+     *   that seat sacrificed / this ability destroyed so far
+     * - SET_ESSENCE_TO_LOWEST: every seat covered drops to the lowest Essence among them
+     */
+    runAbility(source, controllerIndex, ability, targets = [], choices = []) {
+        const sacrificed = new Map();
+        let destroyed = 0;
+        (ability.effects || []).forEach((effect, effectIndex) => {
+            if (!this.checkAbilityCondition(controllerIndex, effect.condition, targets)) return;
+            const subjects = this.getAbilitySubjects(source, controllerIndex, effect.subject, targets);
+            const seats = subjects.filter(subject => !subject.card).map(subject => subject.seat);
+            const cards = subjects.filter(subject => subject.card);
+
+            switch (effect.kind) {
+                case 'DEAL_DAMAGE':
+                    seats.forEach(seat => this.dealDamageToEssence(seat, effect.amount));
+                    cards.forEach(({ seat, card }) => {
+                        card.healthCurrent = (card.healthCurrent ?? card.health) - effect.amount;
+                        this.log(`${source.name} dealt ${effect.amount} damage to ${card.name}`, 'damage');
+                        if (card.healthCurrent <= 0) this.destroyAvatar(card, seat);
+                    });
+                    break;
+                case 'LOSE_ESSENCE':
+                    seats.forEach(seat => {
+                        const amount = effect.amount * (effect.perSacrificed ? sacrificed.get(seat) || 0 : 1);
+                        if (amount > 0) this.applySeatEffect(source, seat, effect, amount);
+                    });
+                    break;
+                case 'GAIN_ESSENCE':
+                case 'GAIN_KL':
+                case 'LOSE_KL':
+                case 'DRAW':
+                    seats.forEach(seat => this.applySeatEffect(source, seat, effect, effect.amount));
+                    break;
+                case 'DESTROY':
+                    cards.forEach(({ seat, card }) => {
+                        this.destroyAvatar(card, seat);
+                        destroyed++;
+                    });
+                    break;
+                case 'CREATE_TOKEN':
+                    seats.forEach(seat => {
+                        const created = this.createToken(seat, effect.tokenId, effect.count * (effect.perDestroyed ? destroyed : 1));
+                        if (created.length > 0) {
+                            this.log(`${source.name}: Player ${seat + 1} created ${created.length} ${created[0].name}${created.length === 1 ? '' : 's'}`, 'action');
+                        }
+                    });
+                    break;
+                case 'SET_ESSENCE_TO_LOWEST': {
+                    const lowest = Math.min(...seats.map(seat => this.state.players[seat].essence));
+                    seats.forEach(seat => this.adjustStat(seat, 'essence', lowest - this.state.players[seat].essence));
+                    if (seats.length > 0) this.log(`${source.name}: Essence set to ${lowest}`, 'action');
+                    break;
+                }
+                case 'SACRIFICE_UNCHOSEN':
+                    seats.forEach(seat => {
+                        const avatars = this.state.players[seat].avatarRow;
+                        const choice = choices.find(c => c.seat === seat && c.abilityId === ability.id && c.effectIndex === effectIndex);
+                        const kept = choice ? choice.chosen : avatars.slice(0, effect.keep).map(c => c.instanceId);
+                        const doomed = avatars.filter(c => !kept.includes(c.instanceId));
+                        doomed.forEach(avatar => this.destroyAvatar(avatar, seat));
+                        sacrificed.set(seat, (sacrificed.get(seat) || 0) + doomed.length);
+                        if (doomed.length > 0) {
+                            this.log(`${source.name}: Player ${seat + 1} sacrificed ${doomed.map(c => c.name).join(', ')}`, 'damage');
+                        }
+                    });
+                    break;
+                case 'MODIFY_STATS': {
+                    const duration = effect.duration === 'PERMANENT' ? 'permanent' : 'endOfTurn';
+                    const change = [[effect.power, 'Power'], [effect.guard, 'Guard']]
+                        .filter(([amount]) => amount)
+                        .map(([amount, stat]) => `${amount > 0 ? '+' : ''}${amount} ${stat}`)
+                        .join(' and ');
+                    cards.forEach(({ card }) => {
+                        this.addStatBuff(card, ability.id, effect.power || 0, duration, effect.guard || 0);
+                        this.log(`${source.name}: ${card.name} gets ${change}`, 'action');
+                    });
+                    break;
+                }
+            }
+        });
+    },
+
+    /**
+     * Static buffs to Avatars from cards in play, such as "Your Avatars get +1
+     * Essence while you control 3 or more Shards" or a Shard's Crownbound
+     * ability: compiled STATIC MODIFY_STATS effects on ALL_AVATARS, whose
+     * conditions are met (engine getEffectivePower / getEffectiveGuard).
+     * Returns Avatar instanceId -> [{ source, attack, health }].
+     */
+    getStaticAvatarBuffs() {
+        const buffs = new Map();
+        this.state.players.forEach((p, controllerIndex) => {
+            if (p.eliminated) return;
+            [p.deity, ...p.avatarRow, ...p.domainRow, ...(p.relicRow || []), ...p.shardRow].forEach(source => {
+                this.getCompiledAbilities(source)
+                    .filter(a => a.trigger === 'STATIC' && this.checkAbilityCondition(controllerIndex, a.condition))
+                    .flatMap(a => a.effects || [])
+                    .filter(e => e.kind === 'MODIFY_STATS' && e.subject.ref === 'ALL_AVATARS')
+                    .filter(e => this.checkAbilityCondition(controllerIndex, e.condition))
+                    .forEach(effect => {
+                        const controller = effect.subject.controller ?? 'ANY';
+                        this.state.players.forEach((seat, seatIndex) => {
+                            if (seat.eliminated) return;
+                            if (controller === 'SELF' && seatIndex !== controllerIndex) return;
+                            if (controller === 'OPPONENT' && this.areTeammates(controllerIndex, seatIndex)) return;
+                            seat.avatarRow
+                                .filter(avatar => !effect.subject.subtype || (avatar.aspects || []).includes(effect.subject.subtype))
+                                .forEach(avatar => {
+                                    const list = buffs.get(avatar.instanceId) || [];
+                                    list.push({ source: source.instanceId, attack: effect.power || 0, health: effect.guard || 0 });
+                                    buffs.set(avatar.instanceId, list);
+                                });
+                        });
+                    });
+            });
+        });
+        return buffs;
+    },
+
+    /**
+     * Keep every Avatar's 'whileStatic' buffs in step with getStaticAvatarBuffs,
+     * so they come off when the source leaves play or its condition stops
+     * holding. Runs whenever the board is drawn, like checkAttachments.
+     */
+    checkStaticBuffs() {
+        const wanted = this.getStaticAvatarBuffs();
+        const kept = new Set();
+        this.state.players.forEach(p => p.avatarRow.forEach(avatar => {
+            const buffs = wanted.get(avatar.instanceId) || [];
+            const current = (avatar.statBuffs || []).filter(b => b.duration === 'whileStatic');
+            const unchanged = current.length === buffs.length && current.every((b, i) =>
+                b.source === buffs[i].source && b.attack === buffs[i].attack && (b.health || 0) === buffs[i].health);
+            if (unchanged) {
+                current.forEach(b => kept.add(b));
+                return;
+            }
+            this.removeStatBuffs(b => current.includes(b));
+            buffs.forEach(b => this.addStatBuff(avatar, b.source, b.attack, 'whileStatic', b.health));
+            avatar.statBuffs.filter(b => b.duration === 'whileStatic').forEach(b => kept.add(b));
+        }));
+        // Avatars that have left play lose them too.
+        this.removeStatBuffs(b => b.duration === 'whileStatic' && !kept.has(b));
+    },
+
+    renderShardLine(container, playerIndex) {
+        const shards = this.state.players[playerIndex].shardRow;
+        if (shards.length === 0) return;
+        const line = document.createElement('div');
+        line.className = 'ec-shard-line';
+        line.title = `Shards claimed: ${shards.length}`;
+        shards.forEach(shard => {
+            const el = document.createElement('div');
+            el.className = 'ec-shard ec-shard--claimed';
+            el.dataset.cardId = shard.instanceId;
+            el.title = shard.name;
+            el.onmouseenter = () => this.showCardPreview(shard);
+            el.onmouseleave = () => this.hideCardPreview();
+            el.ondblclick = (e) => {
+                e.stopPropagation();
+                this.showCardZoom(shard);
+            };
+            line.appendChild(el);
+        });
+        container.appendChild(line);
+    },
+    
+    // ===== ESSENCE POOL =====
+    // Essence cards sit in relicRow. Using one ("exhaust this: generate 2 Sun
+    // Essence usable only to cast Avatars aligned with Shattered Sun") adds
+    // typed Essence to the seat's klPool, as { id, label, amount,
+    // sourceInstanceId, restriction, expires } like the engine's PooledKl.
+    // A card's cost is paid from pooled KL and klCurrent together; pooled KL
+    // is lost when it expires (END_OF_PHASE, else at the end of the turn).
+
+    /**
+     * Does the card fit the restriction ({ typeLines, domainTag })? A card
+     * aligned with several domains ("Crownline / Shattered Sun") fits any of them.
+     */
+    matchesKlRestriction(restriction, card) {
+        if (!restriction) return true;
+        if (restriction.typeLines && !restriction.typeLines.includes((card.type || '').toUpperCase())) {
+            return false;
+        }
+        if (restriction.domainTag !== undefined) {
+            const tags = (card.domain || '').split('/').map(tag => tag.trim().toLowerCase());
+            if (!tags.includes(restriction.domainTag.toLowerCase())) return false;
+        }
+        return true;
+    },
+
+    // "Avatars aligned with Shattered Sun", for the KL tooltip.
+    describeKlRestriction(restriction) {
+        const types = (restriction.typeLines || ['CARD'])
+            .map(type => `${type.charAt(0)}${type.slice(1).toLowerCase()}s`)
+            .join(' or ');
+        return restriction.domainTag ? `${types} aligned with ${restriction.domainTag}` : types;
+    },
+
+    /**
+     * The seat's pooled KL that can pay for this card, most restricted first
+     * (then the one expiring sooner, then the oldest) so the default payment
+     * keeps the more flexible KL for later.
+     */
+    getUsablePooledKl(p, card) {
+        const typeCount = entry => entry.restriction?.typeLines?.length ?? Number.MAX_SAFE_INTEGER;
+        return (p.klPool || [])
+            .filter(entry => this.matchesKlRestriction(entry.restriction, card))
+            .sort((a, b) =>
+                Number(b.restriction?.domainTag !== undefined) - Number(a.restriction?.domainTag !== undefined) ||
+                typeCount(a) - typeCount(b) ||
+                Number(b.expires === 'END_OF_PHASE') - Number(a.expires === 'END_OF_PHASE') ||
+                a.id - b.id);
+    },
+
+    getAvailableKl(p, card) {
+        return this.getUsablePooledKl(p, card).reduce((total, entry) => total + entry.amount, p.klCurrent);
+    },
+
+    /**
+     * The cheapest way to pay for the card, as { pooled: [{ id, amount }], kl }:
+     * usable pooled KL first, the rest from klCurrent (which may go below 0
+     * with the rules helper off, as it always has).
+     */
+    getDefaultKlPayment(p, card) {
+        let owed = card.cost || 0;
+        const payment = { pooled: [], kl: 0 };
+        this.getUsablePooledKl(p, card).forEach(entry => {
+            if (owed === 0) return;
+            const amount = Math.min(owed, entry.amount);
+            payment.pooled.push({ id: entry.id, amount });
+            owed -= amount;
+        });
+        payment.kl = owed;
+        return payment;
+    },
+
+    /**
+     * Is there more than one way to pay? Only then is the payment picker shown.
+     */
+    hasKlPaymentChoice(p, card) {
+        const sources = this.getUsablePooledKl(p, card).length + (p.klCurrent > 0 ? 1 : 0);
+        return sources > 1 && this.getAvailableKl(p, card) > (card.cost || 0);
+    },
+
+    /**
+     * Pay the card's cost, with `payment` if given (else the default one),
+     * and return how it was paid. Used-up pooled KL leaves the pool.
+     */
+    payKlCost(p, card, payment = null) {
+        const paid = payment || this.getDefaultKlPayment(p, card);
+        paid.pooled.forEach(part => {
+            const entry = p.klPool.find(e => e.id === part.id);
+            if (entry) entry.amount -= part.amount;
+        });
+        p.klPool = (p.klPool || []).filter(entry => entry.amount > 0);
+        p.klCurrent -= paid.kl;
+        return paid;
+    },
+
+    /**
+     * An Essence card's compiled ACTIVATED ability that only adds pooled KL,
+     * or undefined.
+     */
+    getEssenceAbility(card) {
+        return this.getCompiledAbilities(card).find(a =>
+            a.trigger === 'ACTIVATED' && (a.effects || []).length > 0 && a.effects.every(e => e.kind === 'ADD_KL'));
+    },
+
+    /**
+     * Why the seat can't use this Essence card right now, or null if it can.
+     */
+    getEssenceViolation(card, playerIndex) {
+        const ability = this.getEssenceAbility(card);
+        if (!ability) return `${card.name} has no ability to use.`;
+        if (this.state.currentPlayer !== playerIndex) return `${card.name} can only be used on your own turn.`;
+        if (ability.oncePerTurn && (card.abilitiesUsedThisTurn || []).includes(ability.id)) {
+            return `${card.name} has already been used this turn.`;
+        }
+        if (ability.cost?.tapSelf && card.tapped) return `${card.name} is exhausted.`;
+        return null;
+    },
+
+    /**
+     * Use an Essence card in the seat's relicRow: pay its cost (exhaust it or
+     * lose Essence) and add its typed Essence to the seat's klPool. It doesn't
+     * use the Shard Chain, like the engine's KL abilities.
+     */
+    activateEssence(card, playerIndex) {
+        if (this.state.isReplayMode || this.state.isSpectatorMode) return;
+        const reason = this.getEssenceViolation(card, playerIndex);
+        if (reason) {
+            this.log(reason, 'damage');
+            return;
         }
-        
-        this.state.spell.mode = null;
-        this.state.spell.pendingSpell = null;
-        this.state.spell.targetType = null;
-        this.hidePrompt();
+        const p = this.state.players[playerIndex];
+        const ability = this.getEssenceAbility(card);
+        if (ability.cost?.tapSelf) card.tapped = true;
+        if (ability.cost?.essence) this.adjustStat(playerIndex, 'essence', -ability.cost.essence);
+        if (ability.oncePerTurn) card.abilitiesUsedThisTurn = [...(card.abilitiesUsedThisTurn || []), ability.id];
+        p.klPool = p.klPool || [];
+        ability.effects.forEach(effect => {
+            const id = p.klPool.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+            const entry = {
+                id,
+                label: effect.label || 'KL',
+                amount: effect.amount,
+                sourceInstanceId: card.instanceId,
+                restriction: effect.restriction,
+                expires: effect.expires || 'END_OF_TURN'
+            };
+            p.klPool.push(entry);
+            this.log(`${card.name}: Player ${playerIndex + 1} added ${entry.amount} ${entry.label}`, 'action');
+        });
+        MatchRecorder.recordAction('ESSENCE_USED', { cardId: card.id, cardName: card.name }, playerIndex);
         this.render();
     },
-    
-    cancelSpellTargeting() {
-        this.state.spell.mode = null;
-        this.state.spell.pendingSpell = null;
-        this.state.spell.targetType = null;
-        this.hidePrompt();
-        this.render();
+
+    /**
+     * Ask how to pay for a card when there is a choice: an amount from each
+     * usable pooled KL entry and from KL, starting at the default payment.
+     * onConfirm gets the payment once it adds up to the cost.
+     */
+    showPaymentPicker(card, playerIndex, onConfirm) {
+        const p = this.state.players[playerIndex];
+        const cost = card.cost || 0;
+        const usable = this.getUsablePooledKl(p, card);
+        const payment = this.getDefaultKlPayment(p, card);
+        const sources = [
+            ...usable.map(entry => ({
+                key: String(entry.id),
+                label: entry.label,
+                max: entry.amount,
+                value: payment.pooled.find(part => part.id === entry.id)?.amount || 0
+            })),
+            { key: 'kl', label: 'KL', max: Math.max(0, p.klCurrent), value: payment.kl }
+        ];
+        const overlay = document.createElement('div');
+        overlay.className = 'mulligan-overlay';
+        overlay.innerHTML = `
+            <div class="mulligan-container">
+                <h2>Pay for ${card.name}</h2>
+                <p>Choose where the ${cost} KL comes from.</p>
+                <div class="kl-payment">
+                    ${sources.map(source => `
+                        <label class="kl-payment-source">
+                            <span>${source.label} (${source.max} available)</span>
+                            <input type="number" min="0" max="${source.max}" value="${source.value}" data-source="${source.key}">
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="mulligan-actions">
+                    <button class="victory-btn" data-choice="pay">Pay (${cost}/${cost})</button>
+                    <button class="victory-btn secondary" data-choice="cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+        const confirmBtn = overlay.querySelector('[data-choice="pay"]');
+        const inputs = [...overlay.querySelectorAll('input[data-source]')];
+        const read = () => {
+            const chosen = { pooled: [], kl: 0 };
+            inputs.forEach(input => {
+                const source = sources.find(s => s.key === input.dataset.source);
+                const amount = Math.max(0, Math.min(source.max, parseInt(input.value) || 0));
+                if (source.key === 'kl') chosen.kl = amount;
+                else if (amount > 0) chosen.pooled.push({ id: Number(source.key), amount });
+            });
+            return chosen;
+        };
+        const update = () => {
+            const chosen = read();
+            const paid = chosen.pooled.reduce((total, part) => total + part.amount, chosen.kl);
+            confirmBtn.disabled = paid !== cost;
+            confirmBtn.textContent = `Pay (${paid}/${cost})`;
+        };
+        inputs.forEach(input => { input.oninput = update; });
+        confirmBtn.onclick = () => {
+            overlay.remove();
+            onConfirm(read());
+        };
+        overlay.querySelector('[data-choice="cancel"]').onclick = () => overlay.remove();
+        document.body.appendChild(overlay);
     },
-    
+
+    /**
+     * Pooled KL expires: END_OF_PHASE entries when a phase ends, every entry
+     * when the turn ends.
+     */
+    expirePooledKl(expiry) {
+        this.state.players.forEach(p => {
+            p.klPool = expiry === 'END_OF_TURN' ? [] : (p.klPool || []).filter(entry => entry.expires !== 'END_OF_PHASE');
+        });
+    },
+
+    /**
+     * What the AI would spend its Essence cards' KL on: use one when a card in
+     * hand can spend what it adds and the cost is an exhaust, or Essence it
+     * can spare.
+     */
+    aiUseEssenceCards(playerIndex) {
+        const p = this.state.players[playerIndex];
+        (p.relicRow || []).filter(card => card.type === 'Essence').forEach(card => {
+            if (this.getEssenceViolation(card, playerIndex)) return;
+            const ability = this.getEssenceAbility(card);
+            if (ability.cost?.essence && p.essence - ability.cost.essence <= 10) return;
+            const useful = p.hand.some(c => c.type !== 'Essence' &&
+                ability.effects.some(e => this.matchesKlRestriction(e.restriction, c)));
+            if (useful) this.activateEssence(card, playerIndex);
+        });
+    },
+
     animateSpellToDeity(spell, targetPlayerIndex, damage) {
         const overlay = document.getElementById('ai-play-overlay');
         if (!overlay) return;
@@ -7913,7 +9663,7 @@ const Game = {
         
         if (idx !== -1) {
             const destroyed = p[zone].splice(idx, 1)[0];
-            p.graveyard.push(destroyed);
+            this.putInGraveyard(p, destroyed);
             this.log(`${card.name} was destroyed!`, 'damage');
             this.emitEvent('ON_AVATAR_DESTROYED', { card: destroyed, playerIndex, zone });
             this.handleOnDeathTrigger(card, playerIndex);
@@ -7961,7 +9711,7 @@ const Game = {
             this.adjustStat(playerIndex, 'essence', 1);
             this.log('Glow aspect: +1 Essence', 'heal');
         } else if (mainAspect === 'Void') {
-            this.adjustStat(1 - playerIndex, 'essence', -1);
+            this.adjustStat(this.getOpponentIndex(playerIndex), 'essence', -1);
             this.log('Void aspect: -1 to opponent', 'damage');
         } else if (mainAspect === 'Gray') {
             this.drawCardEffect(playerIndex);
@@ -7989,7 +9739,7 @@ const Game = {
             if (idx > -1) p[zone].splice(idx, 1);
         };
         
-        ['hand', 'avatarRow', 'domainRow', 'graveyard', 'banished', 'deck', 'relicRow', 'spellRow'].forEach(removeFrom);
+        ['hand', 'avatarRow', 'domainRow', 'graveyard', 'banished', 'deck', 'relicRow', 'shardRow', 'spellRow'].forEach(removeFrom);
         
         if (toZone === 'deckTop') {
             p.deck.push(card);
@@ -8306,7 +10056,7 @@ const Game = {
             const handCards = document.querySelectorAll('#player-hand .hand-card');
             handCards.forEach((cardEl, i) => {
                 const card = p.hand[i];
-                if (card && card.cost <= p.klCurrent) {
+                if (card && (card.cost || 0) <= this.getAvailableKl(p, card)) {
                     cardEl.classList.add('legal-play');
                 }
             });
@@ -8352,6 +10102,8 @@ const Game = {
     },
 
     render() {
+        this.checkAttachments();
+        this.checkStaticBuffs();
         this.renderStats();
         this.renderDeities();
         this.renderBoard();
@@ -8370,7 +10122,14 @@ const Game = {
             const discardEl = document.getElementById(`${prefix}-graveyard-count`);
             
             if (essenceEl) essenceEl.textContent = player.essence;
-            if (klEl) klEl.textContent = `${player.klCurrent}/${player.klMax}`;
+            if (klEl) {
+                const pooled = (player.klPool || []).reduce((total, entry) => total + entry.amount, 0);
+                klEl.textContent = `${player.klCurrent}/${player.klMax}${pooled > 0 ? ` +${pooled}` : ''}`;
+                klEl.title = [
+                    `KL at Dawn: ${this.describeKlBreakdown(this.getKlBreakdown(p))}`,
+                    ...(player.klPool || []).map(entry => `${entry.amount} ${entry.label}${entry.restriction ? ` (${this.describeKlRestriction(entry.restriction)})` : ''}`)
+                ].join('\n');
+            }
             if (deckEl) deckEl.textContent = player.deck.length;
             if (discardEl) discardEl.textContent = player.graveyard.length;
             
@@ -8426,24 +10185,29 @@ const Game = {
             const playmatSlot = document.getElementById(`${prefix}-deity-slot`);
             
             if (deity && frame) {
-                const godCodeAvailable = player.godCodeCharges > 0 && !player.godCodeUsed && p === this.state.currentPlayer;
+                const godCode = this.getGodCode(deity);
+                const godCodeAvailable = !this.getGodCodeViolation(p);
+                const charges = Array.from({ length: GOD_CODE_RULES.maxCharges }, (_, i) =>
+                    `<span class="charge ${player.godCharges > i ? 'active' : ''}"></span>`).join('');
                 const passiveText = deity.passive ? `${deity.passive}` : '';
                 
                 frame.innerHTML = `
                     <img src="${deity.image}" alt="${deity.name}">
                     <div class="deity-info-overlay">
                         <div class="deity-passive" title="${deity.passiveText || ''}">${passiveText}</div>
-                        <div class="god-code-charges">
-                            <span class="charge ${player.godCodeCharges >= 1 ? 'active' : ''}"></span>
-                            <span class="charge ${player.godCodeCharges >= 2 ? 'active' : ''}"></span>
-                        </div>
+                        <div class="god-code-charges" title="God Charges: ${player.godCharges}/${GOD_CODE_RULES.maxCharges}">${charges}</div>
                         ${godCodeAvailable ? `<button class="god-code-btn" onclick="Game.activateGodCode(${p})">GOD CODE</button>` : ''}
                     </div>
-                    <div class="deity-overflow">OF: ${player.overflow}/13</div>
+                    ${godCode ? `<div class="deity-god-code ${player.godCodeUsed ? 'used' : ''}" title="${godCode.text.replace(/"/g, '&quot;')}">${godCode.name} (${godCode.charges})</div>` : ''}
                 `;
                 
+                this.renderAttachedRelics(frame, p, null);
+                this.renderShardLine(frame.querySelector('.deity-info-overlay'), p);
+                
                 frame.onclick = () => {
-                    if (this.state.spell.mode === 'selectTarget') {
+                    if (this.state.spell.mode === 'selectBearer') {
+                        this.selectBearer(p, null);
+                    } else if (this.state.spell.mode === 'selectTarget') {
                         const targetType = this.state.spell.targetType;
                         if (targetType === 'deity' || targetType === 'any') {
                             this.selectSpellTarget({ type: 'deity', name: `Player ${p + 1}'s Deity` }, p);
@@ -8453,7 +10217,9 @@ const Game = {
                     }
                 };
 
-                if (this.state.spell.mode === 'selectTarget') {
+                if (this.state.spell.mode === 'selectBearer') {
+                    frame.classList.toggle('valid-spell-target', this.isBearerChoice(p, null));
+                } else if (this.state.spell.mode === 'selectTarget') {
                     const targetType = this.state.spell.targetType;
                     if ((targetType === 'deity' || targetType === 'any') && p !== this.state.currentPlayer) {
                         frame.classList.add('valid-spell-target');
@@ -8480,142 +10246,96 @@ const Game = {
         }
     },
     
-    activateGodCode(playerIndex) {
-        const p = this.state.players[playerIndex];
-        const deity = p.deity;
-        
-        if (!deity || p.godCodeCharges <= 0 || p.godCodeUsed) {
-            this.showPrompt('God Code not available!');
-            return;
-        }
-        
-        if (playerIndex !== this.state.currentPlayer) {
-            this.showPrompt('You can only activate your own God Code!');
-            return;
+    /**
+     * A Deity's God Code as data: the compiled GOD_CODE ability from
+     * CARD_ABILITIES when it is loaded, else read from the card's effect text
+     * ("God Code – <name> (once per game): <text>") with `ability` null. Costs
+     * one God Charge unless the data says otherwise. Null for a Deity without
+     * a God Code.
+     */
+    getGodCode(deity) {
+        if (!deity) return null;
+        const ability = this.getCompiledAbilities(deity).find(a => a.trigger === 'GOD_CODE');
+        if (ability) {
+            return {
+                name: ability.label,
+                text: ability.description,
+                charges: ability.cost?.godCharges ?? 1,
+                oncePerGame: !!ability.oncePerGame,
+                ability
+            };
         }
-        
-        p.godCodeCharges--;
-        p.godCodeUsed = true;
-        
-        this.log(`${deity.name} activates ${deity.godCode}!`, 'phase');
-        this.emitEvent('ON_DEITY_ABILITY_USED', { deity, playerIndex, godCode: deity.godCode });
-        this.spawnParticles({ type: 'effect' }, 'gold');
-        this.screenShake('heavy');
-        
-        this.executeGodCode(playerIndex, deity);
-        this.render();
+
+        const match = (deity.effect || '').match(/God Code\s*[–—-]\s*(.+?)\s*(\(once per game\))?\s*:\s*([\s\S]+)$/i);
+        if (!match) return null;
+        return { name: match[1], text: match[3].trim(), charges: 1, oncePerGame: !!match[2], ability: null };
     },
-    
-    executeGodCode(playerIndex, deity) {
-        const godCode = deity.godCode;
-        
-        if (godCode === 'Crown of the Second Sun') {
-            this.state.players[playerIndex].avatarRow.forEach(c => c.attack += 2);
-            this.state.players[playerIndex].domainRow.forEach(c => c.attack += 2);
-            this.adjustStat(1 - playerIndex, 'essence', -4);
-            this.log('Avatars gain +2 Power, opponent loses 4 Essence!', 'damage');
-        }
-        else if (godCode === 'Crown of Absolute Zero') {
-            this.adjustStat(1 - playerIndex, 'kl', -3);
-            this.adjustStat(1 - playerIndex, 'essence', -3);
-            this.log('Opponent loses 3 KL and 3 Essence!', 'damage');
-        }
-        else if (godCode === 'Final Arbitration') {
-            const minEssence = Math.min(
-                this.state.players[0].essence,
-                this.state.players[1].essence
-            );
-            this.state.players[0].essence = minEssence;
-            this.state.players[1].essence = minEssence;
-            this.adjustStat(playerIndex, 'essence', 3);
-            this.log(`Both Deities set to ${minEssence} Essence, then you gain 3!`, 'action');
-        }
-        else if (godCode === 'Call of the Crown Pride') {
-            for (let i = 0; i < 3; i++) {
-                const token = this.createCardInstance({
-                    id: `TOKEN-${Date.now()}-${i}`,
-                    name: 'Glow Beast Token',
-                    type: 'Avatar',
-                    aspects: ['Glow', 'Beast'],
-                    cost: 0,
-                    attack: 2,
-                    health: 2,
-                    effect: 'Guardian',
-                    keywords: ['Guardian', 'Beast'],
-                    image: CARD_BACK_URL
-                });
-                if (this.state.players[playerIndex].avatarRow.length < 5) {
-                    this.state.players[playerIndex].avatarRow.push(token);
-                }
-            }
-            this.adjustStat(playerIndex, 'essence', 3);
-            this.log('Created 3 Glow Beast tokens with Guardian, restored 3 Essence!', 'heal');
+
+    /**
+     * Why the player can't use their God Code right now, as { code, message,
+     * details } like getPlayViolation, or null if they can.
+     */
+    getGodCodeViolation(playerIndex) {
+        const p = this.state.players[playerIndex];
+        const godCode = this.getGodCode(p.deity);
+        if (!godCode) {
+            return { code: 'ABILITY_UNAVAILABLE', message: 'Your Deity has no God Code!', details: {} };
         }
-        else if (godCode === 'Absolute Schedule Lock') {
-            this.log('Opponent cannot gain extra KL or draw extra cards next turn!', 'action');
+        if (!godCode.ability || !this.canRunAbility(godCode.ability)) {
+            return { code: 'ABILITY_UNAVAILABLE', message: `${godCode.name} has effects this game can't resolve.`, details: { unsupported: true } };
         }
-        else if (godCode === 'Golden Aura Cascade') {
-            this.state.players[playerIndex].avatarRow.forEach(c => c.attack += 1);
-            this.log('Your Avatars gain +1 Power and lifesteal this turn!', 'heal');
+        if (godCode.oncePerGame && p.godCodeUsed) {
+            return { code: 'ABILITY_UNAVAILABLE', message: `${godCode.name} has already been used this game!`, details: { oncePerGame: true } };
         }
-        else if (godCode === 'Canon Rewrite') {
-            const p = this.state.players[playerIndex];
-            p.banished.push(...p.hand);
-            p.hand = [];
-            this.drawCardEffect(playerIndex, 5);
-            this.log('Exiled hand, drew 5 cards! Spells cost 1 less this turn!', 'action');
-        }
-        else if (godCode === 'Sanctuary Eclipse') {
-            const opponent = this.state.players[1 - playerIndex];
-            let destroyed = 0;
-            opponent.avatarRow = opponent.avatarRow.filter(c => {
-                if (!isBeastCard(c) && destroyed < 2) {
-                    opponent.graveyard.push(c);
-                    destroyed++;
-                    return false;
-                }
-                return true;
-            });
-            for (let i = 0; i < destroyed; i++) {
-                const token = this.createCardInstance({
-                    id: `TOKEN-${Date.now()}-${i}`,
-                    name: 'Void Beast Token',
-                    type: 'Avatar',
-                    aspects: ['Void', 'Beast'],
-                    cost: 0,
-                    attack: 3,
-                    health: 3,
-                    keywords: ['Beast'],
-                    image: CARD_BACK_URL
-                });
-                if (this.state.players[playerIndex].avatarRow.length < 5) {
-                    this.state.players[playerIndex].avatarRow.push(token);
-                }
-            }
-            this.log(`Destroyed ${destroyed} non-Beast Avatars, created ${destroyed} Void Beast tokens!`, 'damage');
+        if (playerIndex !== this.state.currentPlayer) {
+            return { code: 'NOT_YOUR_TURN', message: 'You can only activate your God Code on your own turn!', details: {} };
+        }
+        if (this.state.turnNumber < GOD_CODE_RULES.minTurnToSpend || p.godCharges < godCode.charges) {
+            return {
+                code: 'INSUFFICIENT_GOD_CHARGES',
+                message: this.state.turnNumber < GOD_CODE_RULES.minTurnToSpend
+                    ? `God Charges can't be spent before turn ${GOD_CODE_RULES.minTurnToSpend}!`
+                    : `${godCode.name} needs ${godCode.charges} God Charge(s), you have ${p.godCharges}!`,
+                details: { amount: godCode.charges, available: p.godCharges, turnNumber: this.state.turnNumber }
+            };
         }
-        else if (godCode === 'Final Shardstorm') {
-            const opponent = this.state.players[1 - playerIndex];
-            let sacrificed = 0;
-            while (opponent.avatarRow.length > 0 && sacrificed < 2) {
-                opponent.graveyard.push(opponent.avatarRow.pop());
-                sacrificed++;
-            }
-            this.adjustStat(1 - playerIndex, 'essence', -4);
-            this.state.players[playerIndex].avatarRow.forEach(c => c.attack += 2);
-            this.log(`Opponent sacrificed ${sacrificed} Avatars, lost 4 Essence! Your Avatars gain +2 Power!`, 'damage');
+        if (!this.checkAbilityCondition(playerIndex, godCode.ability.condition)) {
+            return { code: 'ABILITY_UNAVAILABLE', message: `The condition for ${godCode.name} is not met!`, details: { condition: godCode.ability.condition } };
         }
-        else if (godCode === 'Stillpoint Rewrite') {
-            const opponent = this.state.players[1 - playerIndex];
-            opponent.avatarRow.forEach(c => c.tapped = true);
-            opponent.domainRow.forEach(c => c.tapped = true);
-            this.adjustStat(playerIndex, 'essence', 5);
-            this.drawCardEffect(playerIndex, 3);
-            this.log('Tapped all enemy Avatars, restored 5 Essence, drew 3 cards!', 'heal');
+        if (!this.hasAbilityTargets(playerIndex, godCode.ability)) {
+            return { code: 'INVALID_TARGET', message: `${godCode.name} has nothing to target!`, details: { targets: godCode.ability.targets } };
         }
-        else {
-            this.log(`${deity.godCode} activated!`, 'action');
+        return null;
+    },
+
+    /**
+     * Use the seat's God Code: choose its targets, pay its God Charges and
+     * run its compiled GOD_CODE ability.
+     */
+    activateGodCode(playerIndex) {
+        const p = this.state.players[playerIndex];
+        const deity = p.deity;
+        const violation = this.getGodCodeViolation(playerIndex);
+        
+        if (violation) {
+            this.showPrompt(violation.message);
+            return;
         }
+        
+        const godCode = this.getGodCode(deity);
+        this.chooseAbilityTargets(deity, playerIndex, godCode.ability, targets => {
+            if (!targets) return;
+            p.godCharges -= godCode.charges;
+            if (godCode.oncePerGame) p.godCodeUsed = true;
+
+            this.log(`${deity.name} activates ${godCode.name}!`, 'phase');
+            this.emitEvent('ON_DEITY_ABILITY_USED', { deity, playerIndex, godCode: godCode.name });
+            this.spawnParticles({ type: 'effect' }, 'gold');
+            this.screenShake('heavy');
+
+            this.runAbility(deity, playerIndex, godCode.ability, targets);
+            this.render();
+        });
     },
 
     renderBoard() {
@@ -8628,10 +10348,10 @@ const Game = {
         const zones = [
             { id: 'p1-avatar-row', data: this.state.players[0].avatarRow, player: 0 },
             { id: 'p1-domain-row', data: this.state.players[0].domainRow, player: 0 },
-            { id: 'p1-relic-row', data: this.state.players[0].relicRow || [], player: 0 },
+            { id: 'p1-relic-row', data: (this.state.players[0].relicRow || []).filter(r => !r.attachedTo), player: 0 },
             { id: 'p2-avatar-row', data: this.state.players[1].avatarRow, player: 1 },
             { id: 'p2-domain-row', data: this.state.players[1].domainRow, player: 1 },
-            { id: 'p2-relic-row', data: this.state.players[1].relicRow || [], player: 1 }
+            { id: 'p2-relic-row', data: (this.state.players[1].relicRow || []).filter(r => !r.attachedTo), player: 1 }
         ];
         
         zones.forEach(zone => {
@@ -8649,10 +10369,14 @@ const Game = {
                 slot.innerHTML = '';
                 if (slotLabel) slot.appendChild(slotLabel);
                 
+                slot.classList.remove('has-attachments');
                 if (zone.data[i]) {
                     const cardEl = this.createCardElement(zone.data[i], false, zone.player);
                     slot.appendChild(cardEl);
                     slot.classList.add('active');
+                    if (zone.data[i].type === 'Avatar') {
+                        this.renderAttachedRelics(slot, zone.player, zone.data[i]);
+                    }
                 } else {
                     slot.classList.remove('active');
                 }
@@ -8746,6 +10470,8 @@ const Game = {
             if ((targetType === 'avatar' || targetType === 'any') && card.type === 'Avatar') {
                 el.classList.add('valid-spell-target');
             }
+        } else if (this.state.spell.mode === 'selectBearer' && !isHand && this.isBearerChoice(playerIndex, card)) {
+            el.classList.add('valid-spell-target');
         }
         
         const hasStats = card.type === 'Avatar' && card.attack !== undefined;
@@ -8790,11 +10516,23 @@ const Game = {
                 e.stopPropagation();
                 this.playCard(card, 0);
             };
+        } else if (card.type === 'Essence') {
+            // Only an Essence card with an ability the game can use is clickable
+            if (this.getEssenceAbility(card)) {
+                el.style.cursor = 'pointer';
+                el.onclick = (e) => {
+                    e.stopPropagation();
+                    if (this.state.isAIMatch && playerIndex === AIManager.aiPlayerIndex) return;
+                    this.activateEssence(card, playerIndex);
+                };
+            }
         } else if (card.type === 'Avatar') {
             el.style.cursor = 'pointer';
             el.onclick = (e) => {
                 e.stopPropagation();
-                if (this.state.spell.mode === 'selectTarget') {
+                if (this.state.spell.mode === 'selectBearer') {
+                    this.selectBearer(playerIndex, card);
+                } else if (this.state.spell.mode === 'selectTarget') {
                     const targetType = this.state.spell.targetType;
                     if (targetType === 'avatar' || targetType === 'any') {
                         this.selectSpellTarget({ type: 'avatar', card: card, name: card.name }, playerIndex);
@@ -9481,6 +11219,10 @@ const Game = {
                 <span class="rule-label">Starting KL</span>
                 <span class="rule-value">${event.rules.startingKL}</span>
             </div>
+            <div class="event-rule">
+                <span class="rule-label">Hand Size</span>
+                <span class="rule-value">${event.rules.maxHandSize ?? 7}</span>
+            </div>
             <div class="event-rule">
                 <span class="rule-label">Format</span>
                 <span class="rule-value">${event.format.toUpperCase()}</span>
@@ -9541,7 +11283,7 @@ const Game = {
         const poolGrid = document.getElementById('sealed-pool');
         poolGrid.innerHTML = pool.map(card => `
             <div class="sealed-card" onclick="Game.addCardToDeck('${card.instanceId}')" 
-                 style="background-image: url('${card.image || CARD_BACK_URL}')"
+                 style="background-image: url('${card.image || CARD_BACK_IMAGE}')"
                  title="${card.name} - ${card.rarity}">
                 <div class="rarity-indicator ${card.rarity}"></div>
             </div>
@@ -9550,7 +11292,7 @@ const Game = {
         const deckGrid = document.getElementById('sealed-deck');
         deckGrid.innerHTML = deck.map(card => `
             <div class="sealed-card" onclick="Game.removeCardFromDeck('${card.instanceId}')"
-                 style="background-image: url('${card.image || CARD_BACK_URL}')"
+                 style="background-image: url('${card.image || CARD_BACK_IMAGE}')"
                  title="${card.name} - ${card.rarity}">
                 <div class="rarity-indicator ${card.rarity}"></div>
             </div>
@@ -9794,8 +11536,8 @@ const Game = {
         document.getElementById('sandbox-overlay').classList.remove('hidden');
         
         this.state.selectedDeities = [getDeities()[0], getDeities()[1]];
-        this.startGame();
         SandboxMode.enter();
+        this.startGame();
         
         this.renderSandboxSavedStates();
         this.searchSandboxCards('');
@@ -9960,6 +11702,7 @@ const Game = {
         summary.innerHTML = `
             <p><strong>Essence:</strong> ${lobby.settings.startingEssence}</p>
             <p><strong>Starting KL:</strong> ${lobby.settings.startingKL}</p>
+            <p><strong>Hand Size:</strong> ${lobby.settings.maxHandSize ?? 7}</p>
             <p><strong>Victory:</strong> ${lobby.settings.victoryCondition === 'avatars' 
                 ? `Destroy ${lobby.settings.avatarWinCount} Avatars` 
                 : 'Reduce Essence to 0'}</p>
@@ -10172,7 +11915,7 @@ const Game = {
         this.log(`Declared ${attackers.length} attackers`, 'phase');
         
         // Check if opponent has any valid blockers
-        const defenderIndex = 1 - this.state.currentPlayer;
+        const defenderIndex = this.getOpponentIndex(this.state.currentPlayer);
         const validBlockers = this.getValidBlockers(defenderIndex);
         
         if (validBlockers.length === 0 || defenderIndex === 1) {
@@ -10240,7 +11983,7 @@ const Game = {
                                    attackerPower >= 3;
                 
                 if (shouldBlock) {
-                    this.state.combat.declaredBlockers[attacker.instanceId] = blocker;
+                    this.state.combat.declaredBlockers[attacker.instanceId] = [blocker];
                     usedBlockers.add(blocker.instanceId);
                     this.log(`${blocker.name} blocks ${attacker.name}`, 'action');
                 }
@@ -10252,13 +11995,13 @@ const Game = {
      * Show blocker selection UI for human defender
      */
     showBlockerSelectionUI() {
-        const defenderIndex = 1 - this.state.currentPlayer;
+        const defenderIndex = this.getOpponentIndex(this.state.currentPlayer);
         const validBlockers = this.getValidBlockers(defenderIndex);
         
         const overlay = document.getElementById('blocker-overlay') || this.createBlockerOverlay();
         
         const attackersHtml = this.state.combat.declaredAttackers.map(({ card }) => {
-            const blocker = this.state.combat.declaredBlockers[card.instanceId];
+            const blockers = this.state.combat.declaredBlockers[card.instanceId] || [];
             return `
                 <div class="blocker-attacker-slot" data-attacker-id="${card.instanceId}">
                     <div class="blocker-attacker-card">
@@ -10267,21 +12010,20 @@ const Game = {
                         <div class="blocker-card-stats">${card.attack} / ${card.healthCurrent || card.health}</div>
                     </div>
                     <div class="blocker-arrow">→</div>
-                    <div class="blocker-slot ${blocker ? 'assigned' : 'empty'}" 
+                    <div class="blocker-slot ${blockers.length ? 'assigned' : 'empty'}" 
                          data-attacker-id="${card.instanceId}"
-                         onclick="Game.clearBlocker(${card.instanceId})">
-                        ${blocker ? `
+                         onclick="Game.state.combat.pendingBlocker ? Game.assignBlockerToAttacker(${card.instanceId}) : Game.clearBlocker(${card.instanceId})">
+                        ${blockers.length ? blockers.map(blocker => `
                             <img src="${blocker.image}" alt="${blocker.name}">
                             <div class="blocker-card-name">${blocker.name}</div>
-                        ` : '<span class="no-blocker">No Blocker</span>'}
+                        `).join('') : '<span class="no-blocker">No Blocker</span>'}
                     </div>
                 </div>
             `;
         }).join('');
         
         const blockersHtml = validBlockers.map(card => {
-            const isAssigned = Object.values(this.state.combat.declaredBlockers)
-                .some(b => b?.instanceId === card.instanceId);
+            const isAssigned = this.isBlockerAssigned(card);
             return `
                 <div class="blocker-available-card ${isAssigned ? 'assigned' : ''}" 
                      data-blocker-id="${card.instanceId}"
@@ -10342,17 +12084,14 @@ const Game = {
      * Player selected a blocker to assign
      */
     selectBlocker(blockerInstanceId) {
-        const defenderIndex = 1 - this.state.currentPlayer;
+        const defenderIndex = this.getOpponentIndex(this.state.currentPlayer);
         const player = this.state.players[defenderIndex];
         const blocker = player.avatarRow.find(c => c.instanceId === blockerInstanceId);
         
         if (!blocker) return;
         
-        // Check if already assigned
-        const isAlreadyAssigned = Object.values(this.state.combat.declaredBlockers)
-            .some(b => b?.instanceId === blockerInstanceId);
-        
-        if (isAlreadyAssigned) {
+        // Each Avatar can block only one attacker
+        if (this.isBlockerAssigned(blocker)) {
             this.showPrompt('This blocker is already assigned!');
             return;
         }
@@ -10363,7 +12102,16 @@ const Game = {
     },
     
     /**
-     * Assign pending blocker to an attacker
+     * Is this Avatar already blocking one of the declared attackers?
+     */
+    isBlockerAssigned(card) {
+        return Object.values(this.state.combat.declaredBlockers)
+            .some(list => list.some(b => b.instanceId === card.instanceId));
+    },
+    
+    /**
+     * Assign pending blocker to an attacker. Several blockers may block the
+     * same attacker; they are kept in the order they were assigned.
      */
     assignBlockerToAttacker(attackerInstanceId) {
         const blocker = this.state.combat.pendingBlocker;
@@ -10378,7 +12126,14 @@ const Game = {
         
         if (!attackerData) return;
         
-        this.state.combat.declaredBlockers[attackerInstanceId] = blocker;
+        if (blocker.tapped || this.isBlockerAssigned(blocker)) {
+            this.showPrompt(`${blocker.name} can't block ${attackerData.card.name}!`);
+            this.state.combat.pendingBlocker = null;
+            return;
+        }
+        
+        const blockers = this.state.combat.declaredBlockers[attackerInstanceId] || [];
+        this.state.combat.declaredBlockers[attackerInstanceId] = [...blockers, blocker];
         this.state.combat.pendingBlocker = null;
         this.log(`${blocker.name} will block ${attackerData.card.name}`, 'action');
         
@@ -10389,9 +12144,9 @@ const Game = {
      * Clear a blocker assignment
      */
     clearBlocker(attackerInstanceId) {
-        const blocker = this.state.combat.declaredBlockers[attackerInstanceId];
-        if (blocker) {
-            this.log(`${blocker.name} no longer blocking`, 'action');
+        const blockers = this.state.combat.declaredBlockers[attackerInstanceId];
+        if (blockers) {
+            blockers.forEach(blocker => this.log(`${blocker.name} no longer blocking`, 'action'));
             delete this.state.combat.declaredBlockers[attackerInstanceId];
             this.showBlockerSelectionUI(); // Refresh UI
         }
@@ -10411,7 +12166,8 @@ const Game = {
      * Confirm blocker assignments and proceed to resolution
      */
     confirmBlockers() {
-        const blockerCount = Object.keys(this.state.combat.declaredBlockers).length;
+        const blockerCount = Object.values(this.state.combat.declaredBlockers)
+            .reduce((sum, list) => sum + list.length, 0);
         this.log(`Confirmed ${blockerCount} blockers`, 'phase');
         this.hideBlockerOverlay();
         this.showBlockerSummaryAndResolve();
@@ -10433,12 +12189,12 @@ const Game = {
         
         for (const attackerData of attackers) {
             const attacker = attackerData.card;
-            const blocker = blockers[attacker.instanceId];
+            const attackerBlockers = blockers[attacker.instanceId] || [];
             
             setTimeout(() => {
-                if (blocker) {
+                if (attackerBlockers.length > 0) {
                     // Blocked combat - Power vs Guard exchange
-                    this.resolveBlockedCombat(attacker, blocker);
+                    this.resolveBlockedCombat(attacker, this.orderBlockersForDamage(attacker, attackerBlockers));
                 } else {
                     // Unblocked - damage goes to Essence
                     this.resolveUnblockedAttack(attacker);
@@ -10455,28 +12211,54 @@ const Game = {
     },
     
     /**
-     * Resolve blocked combat using Power vs Guard damage exchange
+     * Damage assignment order for an attacker with several blockers, chosen
+     * for the attacking player: blockers it can finish off first (weakest
+     * first), so its Power kills as many as possible.
+     */
+    orderBlockersForDamage(attacker, blockers) {
+        if (blockers.length < 2) return blockers;
+        const power = attacker.attack || 0;
+        return [...blockers].sort((a, b) => {
+            const aHealth = this.getEffectiveHealth(a);
+            const bHealth = this.getEffectiveHealth(b);
+            const aKillable = aHealth <= power;
+            const bKillable = bHealth <= power;
+            if (aKillable !== bKillable) return aKillable ? -1 : 1;
+            return aHealth - bHealth;
+        });
+    },
+    
+    /**
+     * Resolve blocked combat using Power vs Guard damage exchange.
+     * Every blocker deals its Power to the attacker; the attacker assigns
+     * lethal damage to each blocker in order before moving on, and the last
+     * blocker takes whatever is left.
      */
-    resolveBlockedCombat(attacker, blocker) {
+    resolveBlockedCombat(attacker, blockers) {
         const attackerOwner = this.state.currentPlayer;
-        const defenderOwner = 1 - attackerOwner;
         
-        const { damageToDefender, damageToAttacker } = this.calculateCombatDamage(attacker, blocker);
+        let remaining = attacker.attack || 0;
+        let damageToAttacker = 0;
         
-        this.log(`${attacker.name} (${attacker.attack}) fights ${blocker.name} (${blocker.attack})`, 'action');
+        blockers.forEach((blocker, i) => {
+            const isLast = i === blockers.length - 1;
+            const lethal = Math.max(0, this.getEffectiveHealth(blocker));
+            const damageToDefender = isLast ? remaining : Math.min(remaining, lethal);
+            remaining -= damageToDefender;
+            damageToAttacker += blocker.attack || 0;
+            
+            this.log(`${attacker.name} (${attacker.attack}) fights ${blocker.name} (${blocker.attack})`, 'action');
+            this.applyTempDamage(blocker, damageToDefender);
+            this.spawnDamageNumber(`card-${blocker.instanceId}`, damageToDefender);
+            this.handleOnDealDamageTrigger(attacker, damageToDefender, attackerOwner, false);
+        });
         
-        // Apply temp damage to both
-        this.applyTempDamage(blocker, damageToDefender);
         this.applyTempDamage(attacker, damageToAttacker);
-        
-        // Visual effects
         this.spawnDamageNumber(`card-${attacker.instanceId}`, damageToAttacker);
-        this.spawnDamageNumber(`card-${blocker.instanceId}`, damageToDefender);
         this.screenShake('light');
         
         // Trigger on-attack effects
-        this.handleOnAttackTrigger(attacker, blocker, attackerOwner);
-        this.handleOnDealDamageTrigger(attacker, damageToDefender, attackerOwner, false);
+        this.handleOnAttackTrigger(attacker, blockers[0], attackerOwner);
     },
     
     /**
@@ -10484,7 +12266,7 @@ const Game = {
      */
     resolveUnblockedAttack(attacker) {
         const attackerOwner = this.state.currentPlayer;
-        const defenderIndex = 1 - attackerOwner;
+        const defenderIndex = this.getOpponentIndex(attackerOwner);
         const damage = attacker.attack || 0;
         
         this.log(`${attacker.name} deals ${damage} damage to Essence!`, 'damage');
@@ -10508,6 +12290,7 @@ const Game = {
         for (const attackerData of this.state.combat.declaredAttackers) {
             const attacker = attackerData.card;
             attacker.tapped = true;
+            attacker.stealthRevealed = true;
             this.state.combat.attackedThisTurn.push(attacker.instanceId);
         }
         
@@ -10557,6 +12340,11 @@ const Game = {
             return;
         }
         
+        if (hasStealth(card)) {
+            this.showPrompt(`${card.name} has Stealth and cannot be attacked!`);
+            return;
+        }
+        
         if (!this.validateGuardianTarget(card, playerIndex)) {
             return;
         }
@@ -10567,7 +12355,7 @@ const Game = {
     
     getGuardians(playerIndex) {
         const p = this.state.players[playerIndex];
-        return [...p.avatarRow, ...p.domainRow].filter(c => hasGuardian(c));
+        return [...p.avatarRow, ...p.domainRow].filter(c => hasGuardian(c) && !hasStealth(c));
     },
     
     validateGuardianTarget(target, defenderIndex) {
@@ -10672,13 +12460,14 @@ const Game = {
                 this.dealDamageToDeity(target.playerIndex, attacker.attack);
                 this.handleOnDealDamageTrigger(attacker, attacker.attack, this.state.currentPlayer, true);
             } else {
-                this.dealDamageToCard(target, attacker.attack, 1 - this.state.currentPlayer);
+                this.dealDamageToCard(target, attacker.attack, this.getOpponentIndex(this.state.currentPlayer));
                 this.dealDamageToCard(attacker, target.attack, this.state.currentPlayer);
                 this.handleOnDealDamageTrigger(attacker, attacker.attack, this.state.currentPlayer, false);
             }
 
             this.state.combat.attackedThisTurn.push(attacker.instanceId);
             attacker.tapped = true;
+            attacker.stealthRevealed = true;
             
             this.checkWinCondition();
             this.exitCombatMode();
@@ -10726,7 +12515,7 @@ const Game = {
             if (effect.includes('drain') && effect.includes('kl')) {
                 const match = effect.match(/drain (\d+) kl/i);
                 const amount = match ? parseInt(match[1]) : 1;
-                this.adjustStat(1 - sourceOwner, 'kl', -amount);
+                this.adjustStat(this.getOpponentIndex(sourceOwner), 'kl', -amount);
                 this.log(`${source.name}: Drained ${amount} KL!`, 'damage');
             }
         }
@@ -10810,7 +12599,7 @@ const Game = {
             const idx = player[zone].findIndex(c => c.instanceId === card.instanceId);
             if (idx > -1) {
                 player[zone].splice(idx, 1);
-                player.graveyard.push(card);
+                this.putInGraveyard(player, card);
             }
         });
 
@@ -10819,6 +12608,9 @@ const Game = {
         
         this.handleOnDeathTrigger(card, ownerIndex);
         this.handleDeityDeathPassive(card, ownerIndex);
+        if (this.state.matchMode === 'campaign') {
+            CampaignManager.refreshBossAura();
+        }
         
         const cardEl = document.querySelector(`[data-card-id="${card.instanceId}"]`);
         if (cardEl) {
@@ -10837,7 +12629,7 @@ const Game = {
             if (effect.includes('opponent loses') && effect.includes('essence')) {
                 const match = effect.match(/loses (\d+) essence/i);
                 const amount = match ? parseInt(match[1]) : 1;
-                this.adjustStat(1 - ownerIndex, 'essence', -amount);
+                this.adjustStat(this.getOpponentIndex(ownerIndex), 'essence', -amount);
                 this.log(`${card.name}: Opponent lost ${amount} Essence on death!`, 'damage');
             }
             
@@ -10865,12 +12657,12 @@ const Game = {
         if (!deity || !deity.passive) return;
         
         if (deity.passive === 'Dark Bond' && isBeastCard(card)) {
-            this.adjustStat(1 - ownerIndex, 'essence', -1);
+            this.adjustStat(this.getOpponentIndex(ownerIndex), 'essence', -1);
             this.log(`${deity.passive}: Beast died - opponent lost 1 Essence!`, 'damage');
         }
         
         if (deity.passive === 'Grid Drain') {
-            const opponent = 1 - ownerIndex;
+            const opponent = this.getOpponentIndex(ownerIndex);
             if (this.state.currentPlayer !== ownerIndex) {
                 this.adjustStat(opponent, 'kl', -1);
                 this.log(`${deity.passive}: Enemy Avatar died - drained 1 KL!`, 'damage');
@@ -11006,15 +12798,95 @@ const Game = {
         document.getElementById('action-prompt')?.classList.remove('visible');
     },
 
-    checkWinCondition() {
-        for (let i = 0; i < 2; i++) {
-            if (this.state.players[i].essence <= 0) {
-                this.state.gameOver = true;
-                this.showVictoryScreen(1 - i);
-                return true;
+    // === MULTIPLAYER: seats, teams and opponent choice ===
+    // Seats are indices into state.players. state.format is 'duel', 'ffa' or
+    // 'teams' (state.teams lists the seats of each team, e.g. [[0, 2], [1, 3]]).
+
+    areTeammates(playerIndex, otherIndex) {
+        if (playerIndex === otherIndex) return true;
+        if (this.state.format !== 'teams' || !Array.isArray(this.state.teams)) return false;
+        return this.state.teams.some(team => team.includes(playerIndex) && team.includes(otherIndex));
+    },
+
+    getPlayersInGame() {
+        return this.state.players
+            .map((p, index) => index)
+            .filter(index => !this.state.players[index].eliminated);
+    },
+
+    /**
+     * Opponents of a seat still in the game, in seat order after it.
+     */
+    getOpponentIndices(playerIndex) {
+        const seats = this.state.players.length;
+        const opponents = [];
+        for (let step = 1; step < seats; step++) {
+            const index = (playerIndex + step) % seats;
+            if (!this.state.players[index].eliminated && !this.areTeammates(playerIndex, index)) {
+                opponents.push(index);
             }
         }
-        return false;
+        return opponents;
+    },
+
+    /**
+     * The opponent a seat's attacks and "target opponent" effects go at:
+     * the one it picked with setTargetOpponent while still valid, otherwise
+     * the next opponent in seat order. In a duel this is simply the other seat.
+     */
+    getOpponentIndex(playerIndex) {
+        const opponents = this.getOpponentIndices(playerIndex);
+        const chosen = this.state.targetOpponent?.[playerIndex];
+        if (opponents.includes(chosen)) return chosen;
+        return opponents.length > 0 ? opponents[0] : (playerIndex + 1) % this.state.players.length;
+    },
+
+    setTargetOpponent(playerIndex, opponentIndex) {
+        if (!this.getOpponentIndices(playerIndex).includes(opponentIndex)) return false;
+        this.state.targetOpponent = { ...this.state.targetOpponent, [playerIndex]: opponentIndex };
+        this.log(`Targeting ${this.state.players[opponentIndex].deity?.name || `Player ${opponentIndex + 1}`}`, 'action');
+        return true;
+    },
+
+    /**
+     * Next seat in turn (and priority) order, skipping eliminated players.
+     */
+    getNextPlayerIndex(playerIndex) {
+        const seats = this.state.players.length;
+        for (let step = 1; step <= seats; step++) {
+            const index = (playerIndex + step) % seats;
+            if (!this.state.players[index].eliminated) return index;
+        }
+        return playerIndex;
+    },
+
+    /**
+     * Knock a seat out of the match. The game ends once only one player
+     * (or one team) is left; the human seat wins if it is on that side.
+     */
+    eliminatePlayer(playerIndex, reason = 'essence') {
+        const player = this.state.players[playerIndex];
+        if (player.eliminated || this.state.gameOver) return;
+        player.eliminated = true;
+        player.eliminationReason = reason;
+
+        const remaining = this.getPlayersInGame();
+        if (remaining.length === 0) {
+            this.triggerGameEnd(this.getOpponentIndex(playerIndex), reason);
+        } else if (remaining.every(index => this.areTeammates(remaining[0], index))) {
+            const winnerIndex = remaining.find(index => this.areTeammates(0, index)) ?? remaining[0];
+            this.triggerGameEnd(winnerIndex, reason);
+        } else {
+            this.log(`${player.deity?.name || `Player ${playerIndex + 1}`} has been eliminated!`, 'phase');
+            if (this.state.currentPlayer === playerIndex) this.endTurn();
+        }
+    },
+
+    checkWinCondition() {
+        this.state.players.forEach((p, index) => {
+            if (p.essence <= 0) this.eliminatePlayer(index, 'essence');
+        });
+        return !!this.state.gameOver;
     },
     
     // === ESSENCE CROWN: Game end handler for various win/loss conditions ===
@@ -11155,6 +13027,10 @@ const Game = {
         this.state.turnNumber = 1;
         this.state.currentPhase = 'dawn';
         this.state.currentPlayer = 0;
+        this.state.opening = null;
+        this.state.pendingDiscard = null;
+        this.state.matchSeed = null;
+        this.state.rng = null;
         
         MainMenu.show();
     },
@@ -11180,7 +13056,7 @@ const Game = {
     startShardChain(initialLink) {
         this.state.shardChain.active = true;
         this.state.shardChain.links = [initialLink];
-        this.state.shardChain.priority = 1 - this.state.currentPlayer;
+        this.state.shardChain.priority = this.getNextPlayerIndex(this.state.currentPlayer);
         this.state.shardChain.passCount = 0;
         
         this.log(`Shard Chain activated: ${initialLink.source.name}`, 'phase');
@@ -11190,7 +13066,7 @@ const Game = {
 
     addToShardChain(link) {
         this.state.shardChain.links.push(link);
-        this.state.shardChain.priority = 1 - this.state.shardChain.priority;
+        this.state.shardChain.priority = this.getNextPlayerIndex(this.state.shardChain.priority);
         this.state.shardChain.passCount = 0;
         
         this.log(`Chain Link ${this.state.shardChain.links.length}: ${link.source.name}`, 'action');
@@ -11199,10 +13075,12 @@ const Game = {
     },
 
     passShardChainPriority() {
+        // A resolving Rite is waiting on choices; there's no priority to pass.
+        if (this.state.shardChain.choosing) return;
         this.state.shardChain.passCount++;
-        this.state.shardChain.priority = 1 - this.state.shardChain.priority;
+        this.state.shardChain.priority = this.getNextPlayerIndex(this.state.shardChain.priority);
         
-        if (this.state.shardChain.passCount >= 2) {
+        if (this.state.shardChain.passCount >= this.getPlayersInGame().length) {
             this.resolveShardChain();
         } else {
             this.promptForResponse();
@@ -11211,21 +13089,115 @@ const Game = {
 
     resolveShardChain() {
         this.log('Resolving Shard Chain...', 'phase');
-        
-        while (this.state.shardChain.links.length > 0) {
-            const link = this.state.shardChain.links.pop();
-            this.log(`Resolving: ${link.source.name}`, 'action');
-            
-            if (link.effect) {
-                this.executeShardChainEffect(link);
+        this.resolveNextChainLink();
+    },
+
+    /**
+     * Resolve the top link, then the rest. A Rite's link waits for every
+     * seat's choices first (engine pendingChoices), so the chain picks up
+     * again from the choice overlay.
+     */
+    resolveNextChainLink() {
+        const chain = this.state.shardChain;
+        if (chain.links.length === 0 || this.state.gameOver) {
+            chain.active = false;
+            chain.links = [];
+            this.hideShardChainPanel();
+            this.render();
+            return;
+        }
+        const link = chain.links.pop();
+        this.log(`Resolving: ${link.source.name}`, 'action');
+
+        if (link.effect && link.effect.type === 'rite') {
+            this.collectRiteChoices(link, choices => {
+                this.resolveRite(link, choices);
+                this.resolveNextChainLink();
+            });
+            return;
+        }
+        if (link.effect) {
+            this.executeShardChainEffect(link);
+        }
+        this.resolveNextChainLink();
+    },
+
+    /**
+     * The choices a Rite needs before it resolves (engine getAbilityChoices):
+     * one per seat covered by a SACRIFICE_UNCHOSEN effect that has more
+     * Avatars than it keeps. `chosen` is null until the seat has chosen.
+     */
+    getRiteChoices(link) {
+        const choices = [];
+        const ability = this.getRiteAbility(link.source);
+        if (!ability || !this.checkAbilityCondition(link.controller, ability.condition, link.targets)) return choices;
+        (ability.effects || []).forEach((effect, effectIndex) => {
+            if (effect.kind !== 'SACRIFICE_UNCHOSEN') return;
+            if (!this.checkAbilityCondition(link.controller, effect.condition, link.targets)) return;
+            (this.getEffectSeats(link.controller, effect.subject) || []).forEach(seat => {
+                if (this.state.players[seat].avatarRow.length <= effect.keep) return;
+                choices.push({ seat, abilityId: ability.id, effectIndex, count: effect.keep, chosen: null });
+            });
+        });
+        return choices;
+    },
+
+    /**
+     * Ask every seat for its Rite choice; onDone gets them all once the last
+     * one is in. Nothing happens before that, so the choices are made
+     * simultaneously: the AI decides straight away, people pick on an overlay.
+     */
+    collectRiteChoices(link, onDone) {
+        const chain = this.state.shardChain;
+        const choices = this.getRiteChoices(link);
+        chain.choosing = true;
+        const next = () => {
+            const open = choices.find(choice => choice.chosen === null);
+            if (!open) {
+                chain.choosing = false;
+                onDone(choices);
+                return;
             }
-            
-            setTimeout(() => {}, 300);
+            const avatars = this.state.players[open.seat].avatarRow;
+            if (this.state.isAIMatch && open.seat === AIManager.aiPlayerIndex) {
+                open.chosen = AIManager.chooseAvatarsToKeep(avatars, open.count).map(c => c.instanceId);
+                next();
+                return;
+            }
+            this.showCardPicker({
+                title: link.source.name,
+                message: `Player ${open.seat + 1}: choose ${open.count} Avatar${open.count === 1 ? '' : 's'} to keep. The rest are sacrificed.`,
+                cards: avatars,
+                count: open.count,
+                confirmLabel: 'Keep'
+            }, kept => {
+                open.chosen = kept.map(c => c.instanceId);
+                next();
+            });
+        };
+        next();
+    },
+
+    /**
+     * A Rite's compiled SPELL ability, or undefined. Only a Rite whose
+     * ability runAbility can resolve may be cast (getPlayViolation).
+     */
+    getRiteAbility(card) {
+        return this.getCompiledAbilities(card).find(ability => ability.trigger === 'SPELL');
+    },
+
+    /**
+     * A Rite's link resolves: its SPELL ability runs with the targets chosen
+     * when it was cast and the seats' choices, unless its condition no longer
+     * holds, then the Rite goes to its caster's graveyard.
+     */
+    resolveRite(link, choices) {
+        const { source: card, controller } = link;
+        const ability = this.getRiteAbility(card);
+        if (ability && this.checkAbilityCondition(controller, ability.condition, link.targets)) {
+            this.runAbility(card, controller, ability, link.targets, choices);
         }
-        
-        this.state.shardChain.active = false;
-        this.state.shardChain.links = [];
-        this.hideShardChainPanel();
+        this.state.players[controller].graveyard.push(card);
         this.render();
     },
 
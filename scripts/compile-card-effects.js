@@ -0,0 +1,1059 @@
+#!/usr/bin/env node
+/**
+ * Build-time compiler: card effect text -> structured abilities.
+ *
+ * Reads the card database (ec_cards_ionos.js by default), parses each card's
+ * `effect` string into the CardAbility format from engine/card.ts, and writes
+ * two files next to the database:
+ * - <name>.abilities.js: CARD_ABILITIES keyed by card id, loadable in the
+ *   browser after the card data or with require() in Node, and
+ *   GOD_CODE_RULES, the engine's God Charge numbers (engine/resources.ts)
+ *   for the browser game, which can't import the engine
+ * - <name>.abilities-report.md: which cards compiled fully, partly or not at
+ *   all, and the exact sentences that were not understood
+ *
+ * Only abilities whose every sentence compiled are emitted. A partly compiled
+ * card therefore plays the abilities listed for it and nothing else; the
+ * report is the to-do list for the rest.
+ *
+ * The God Charge numbers are read from the built engine, so build
+ * engine/dist first (see replit.md).
+ *
+ * Usage: node scripts/compile-card-effects.js [path/to/cards.js]
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { pathToFileURL } = require("url");
+
+const DEFAULT_SOURCE = path.join(__dirname, "..", "ec_cards_ionos.js");
+const ENGINE_RESOURCES = path.join(__dirname, "..", "engine", "dist", "resources.js");
+
+const COUNT_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5 };
+
+// ===== LOADING =====
+
+/**
+ * Evaluate the card database file and return its exports.
+ * The generated database has raw line breaks inside quoted effect strings,
+ * which a plain require() rejects, so those are escaped before evaluation.
+ */
+function loadCardDatabase(file) {
+  const source = fs.readFileSync(file, "utf8");
+  let escaped = "";
+  let quote = null;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quote) {
+      if (ch === "\\") {
+        escaped += ch + source[++i];
+        continue;
+      }
+      if (ch === quote) quote = null;
+      if (ch === "\n") {
+        escaped += "\\n";
+        continue;
+      }
+      if (ch !== "\r") escaped += ch;
+    } else if (ch === "/" && source[i + 1] === "/") {
+      const end = source.indexOf("\n", i);
+      escaped += end === -1 ? source.slice(i) : source.slice(i, end);
+      i = end === -1 ? source.length : end - 1;
+    } else {
+      if (ch === "'" || ch === '"' || ch === "`") quote = ch;
+      escaped += ch;
+    }
+  }
+
+  const sandbox = { module: { exports: {} } };
+  vm.runInNewContext(escaped, sandbox, { filename: file });
+  const { CARD_DATABASE, DEITY_DATABASE } = sandbox.module.exports;
+  if (!Array.isArray(CARD_DATABASE)) {
+    throw new Error(`${file} does not export CARD_DATABASE.`);
+  }
+  return { cards: CARD_DATABASE, deities: DEITY_DATABASE || [] };
+}
+
+// ===== TEXT SPLITTING =====
+
+function normalizeText(text) {
+  return text
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .replace(/\s*\b\d+ Power \/ \d+ Toughness\.?\s*$/, "");
+}
+
+/**
+ * Split one line of effect text into sentences. Reminder text in parentheses
+ * is dropped; periods inside double-quoted granted abilities don't split.
+ */
+function splitSentences(line) {
+  const text = line.replace(/\s*\([^)]*\)/g, "").trim();
+  const sentences = [];
+  let current = "";
+  let inQuote = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    current += ch;
+    if (ch === '"') inQuote = !inQuote;
+    if (!inQuote && ch === "." && (i === text.length - 1 || /\s/.test(text[i + 1]))) {
+      sentences.push(current.trim());
+      current = "";
+    }
+  }
+  if (current.trim()) sentences.push(current.trim());
+
+  return sentences.map((s) => s.replace(/\.$/, "").trim()).filter(Boolean);
+}
+
+// ===== TRIGGERS =====
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Sentence openers that start a new triggered ability, with the engine
+ * trigger they map to. `self` matches "this Avatar" or the card's own name;
+ * `source` is the ability's triggerSource when it isn't the card itself.
+ */
+function getTriggerPatterns(card) {
+  const self = `(?:this \\w+|${escapeRegExp(card.name)}|it)`;
+  return [
+    { trigger: "ON_PLAY", label: "On Play", re: /^On Play:\s*(.+)$/i },
+    {
+      trigger: "ON_PLAY",
+      label: "On Play",
+      re: new RegExp(`^When(?:ever)? ${self} enters (?:New Earth|play),\\s*(.+)$`, "i"),
+    },
+    {
+      trigger: "ON_CLAIM",
+      label: "On Claim",
+      re: new RegExp(`^When(?:ever)? you claim ${self},\\s*(.+)$`, "i"),
+    },
+    {
+      trigger: "ON_CLAIM",
+      source: "SELF",
+      label: "Shard Claimed",
+      re: /^When(?:ever)? you claim a Shard,\s*(.+)$/i,
+    },
+    {
+      trigger: "ON_ATTACK",
+      label: "On Attack",
+      re: new RegExp(`^When(?:ever)? ${self} attacks,\\s*(.+)$`, "i"),
+    },
+    {
+      trigger: "ON_DESTROYED",
+      label: "On Destroyed",
+      re: new RegExp(`^When(?:ever)? ${self} (?:dies|is destroyed|is defeated),\\s*(.+)$`, "i"),
+    },
+    {
+      trigger: "ON_DESTROYED",
+      source: "OPPONENT",
+      label: "Enemy Avatar Destroyed",
+      re: /^Whenever an (?:enemy|opposing) Avatar (?:dies|is destroyed),\s*(.+)$/i,
+    },
+    {
+      trigger: "ON_DESTROYED",
+      source: "SELF",
+      label: "Your Avatar Destroyed",
+      re: /^Whenever an(?:other)? Avatar you control (?:dies|is destroyed),\s*(.+)$/i,
+    },
+    {
+      trigger: "ON_DEAL_ESSENCE_DAMAGE",
+      label: "On Essence Damage",
+      re: new RegExp(`^When(?:ever)? ${self} deals Essence damage to a Deity,\\s*(.+)$`, "i"),
+    },
+    {
+      trigger: "ON_TURN_START",
+      label: "Start of Turn",
+      re: /^At the (?:start|beginning) of your (?:turn|Cycle),\s*(.+)$/i,
+    },
+    {
+      trigger: "ON_TURN_END",
+      label: "End of Turn",
+      re: /^At the end of your (?:turn|Cycle),\s*(.+)$/i,
+    },
+  ];
+}
+
+// "Once per Cycle, you may exhaust this: ..." / "..., you may lose 1 Essence: ...":
+// an activated ability, usable once per turn, with that cost.
+const ACTIVATED_ABILITY =
+  /^Once per (?:Cycle|turn), (?:you may )?(exhaust this|lose (\d+) Essence)(?::| to)\s*(.+)$/i;
+
+// Anything that looks like the start of an ability we can't map to a trigger.
+const UNKNOWN_ABILITY_OPENER =
+  /^(?:When|Whenever|At the|At each|Once per|Crownbound|Passive|God Code|While|As long as)\b/i;
+
+// Keyword abilities; the engine reads their ids into Card.keywords.
+const KEYWORD_SENTENCES = [
+  { id: "GUARDIAN", label: "Guardian", re: /^Guardian$/i },
+  { id: "HASTE", label: "Haste", re: /^Haste$/i },
+  { id: "STEALTH", label: "Stealth", re: /^Stealth$/i },
+  { id: "ECHO", label: "Echo", re: /^Echo$/i },
+];
+const CROWNBOUND = { id: "CROWNBOUND", label: "Crownbound" };
+const CROWNBOUND_PREFIX = /^Crownbound\s*-\s*/i;
+// Crownbound abilities only work while the Shard is in play, which is true of
+// every STATIC ability, so this part of the text adds nothing.
+const WHILE_THIS_SHARD = /^As long as you control this Shard,\s*/i;
+// "While you control 3 or more Shards, ...": a static ability with a condition.
+const STATIC_CONDITION_PREFIX = /^(?:While|As long as) (you control [^,]+),\s*(.+)$/i;
+// "Your Avatars get +1 Essence while you control 3 or more Shards" on a permanent.
+const STATIC_AVATARS_SENTENCE =
+  /^Your Avatars (?:get|have) [+-]\d+ (?:Essence|attack)(?: and [+-]\d+ (?:Essence|attack))?(?: while you control .+)?$/i;
+// "Cast this only if ..." on Spells and Rites: the SPELL ability's condition.
+const CAST_ONLY_IF = /^Cast this only if (.+)$/i;
+// "Passive - <name>: <ability>"; the name labels the ability it starts.
+const PASSIVE_PREFIX = /^Passive - ([^:]+):\s*/i;
+// "Attach to ..." on Relics and Supports; what follows may buff the bearer.
+const ATTACH_SENTENCE = /^Attach to (.+)$/i;
+
+// Descriptive sentences on token cards; they carry no rules.
+const IGNORED_SENTENCES = [
+  /^Token Avatar$/i,
+  /^(?:Essence|attack) \d+, (?:Essence|attack) \d+$/i,
+  /^\d+ (?:Essence|attack), \d+ (?:Essence|attack)$/i,
+];
+
+// ===== EFFECTS =====
+
+// The tokens the engine has built in (BUILT_IN_TOKENS in engine/tokens.ts);
+// "Create ..." text only compiles when it names one of these exactly.
+const KNOWN_TOKENS = {
+  GLOW_BEAST: { power: 2, guard: 2, guardian: true },
+  VOID_BEAST: { power: 3, guard: 3, guardian: false },
+};
+
+class UnsupportedText extends Error {}
+
+function parseCount(word) {
+  const lower = word.toLowerCase();
+  if (lower in COUNT_WORDS) return COUNT_WORDS[lower];
+  const n = Number(lower);
+  if (!Number.isInteger(n)) {
+    throw new UnsupportedText(`"${word}" is not a number`);
+  }
+  return n;
+}
+
+/**
+ * "If ..." clauses the engine can check (AbilityCondition).
+ */
+function parseCondition(text, ctx) {
+  let m = text.match(
+    /^you control (?:at least )?(a|an|one|two|three|four|five|\d+)(?: or more)? (?:(Glow|Void|Gray) )?(Avatar|Shard|Domain|Relic)s?$/i
+  );
+  if (m) {
+    const condition = { kind: "CONTROLS", atLeast: parseCount(m[1]), typeLine: m[3].toUpperCase() };
+    if (m[2]) condition.subtype = m[2];
+    return condition;
+  }
+
+  m = text.match(/^you control fewer (?:(Glow|Void|Gray) )?(Avatar|Shard|Domain|Relic)s? than an opponent$/i);
+  if (m) {
+    const condition = { kind: "CONTROLS_FEWER_THAN_OPPONENT", typeLine: m[2].toUpperCase() };
+    if (m[1]) condition.subtype = m[1];
+    return condition;
+  }
+
+  m = text.match(/^(?:that opponent|they|that player) (?:has|have) (\d+) or less Essence$/i);
+  if (m) {
+    if (ctx.lastPlayerTarget === undefined) {
+      throw new UnsupportedText(`"${text}" refers to a player that was not targeted`);
+    }
+    return {
+      kind: "ESSENCE_AT_MOST",
+      player: "TARGET",
+      amount: Number(m[1]),
+      targetIndex: ctx.lastPlayerTarget,
+    };
+  }
+
+  m = text.match(/^(?:you have|your Deity has) (\d+) or less Essence$/i);
+  if (m) {
+    return { kind: "ESSENCE_AT_MOST", player: "CONTROLLER", amount: Number(m[1]) };
+  }
+
+  throw new UnsupportedText(`unknown condition "${text}"`);
+}
+
+function addTarget(ctx, spec) {
+  ctx.targets.push(ctx.optional ? { ...spec, optional: true } : spec);
+  const index = ctx.targets.length - 1;
+  if (spec.kind === "PLAYER") {
+    ctx.lastPlayerTarget = index;
+  } else {
+    ctx.lastCardTarget = index;
+  }
+  return index;
+}
+
+function costFilter(spec, amount, direction) {
+  if (!amount) return spec;
+  return direction.toLowerCase() === "less"
+    ? { ...spec, maxCost: Number(amount) }
+    : { ...spec, minCost: Number(amount) };
+}
+
+/**
+ * "three 2/2 Glow Beast Avatars with Guardian" -> CREATE_TOKEN effect for you.
+ * "Up to" N tokens always creates N.
+ */
+function parseTokens(text) {
+  const m = text.match(
+    /^(?:up to )?(a|an|one|two|three|four|five|\d+) (\d+)\/(\d+) (.+?) Avatars?( with Guardian)?(?: on New Earth)?$/i
+  );
+  if (!m) {
+    throw new UnsupportedText(`unknown tokens "${text}"`);
+  }
+  const tokenId = m[4].toUpperCase().replace(/ /g, "_");
+  const token = KNOWN_TOKENS[tokenId];
+  if (!token || token.power !== Number(m[2]) || token.guard !== Number(m[3]) || token.guardian !== !!m[5]) {
+    throw new UnsupportedText(`no built-in token matches "${text}"`);
+  }
+  return { subject: { ref: "CONTROLLER" }, kind: "CREATE_TOKEN", tokenId, count: parseCount(m[1]) };
+}
+
+function refTarget(ctx, key, text) {
+  if (ctx[key] === undefined) {
+    throw new UnsupportedText(`"${text}" refers to a target that was not chosen`);
+  }
+  return { ref: "TARGET", index: ctx[key] };
+}
+
+/**
+ * Who a leading "X loses/gains ..." phrase refers to.
+ */
+function parsePlayerSubject(text, ctx) {
+  const lower = text.toLowerCase();
+  switch (lower) {
+    case "":
+    case "you":
+    case "your deity":
+      return { ref: "CONTROLLER" };
+    case "each opponent":
+      return { ref: "EACH_OPPONENT" };
+    case "each player":
+    case "each deity":
+    case "both deities":
+      return { ref: "EACH_PLAYER" };
+    case "target opponent":
+      return { ref: "TARGET", index: addTarget(ctx, { kind: "PLAYER", controller: "OPPONENT" }) };
+    case "that opponent":
+    case "that player":
+    case "they":
+      return refTarget(ctx, "lastPlayerTarget", text);
+    case "that deity's controller":
+    case "that deity":
+      // "Whenever X deals Essence damage to a Deity, that Deity's controller ..."
+      return { ref: "EVENT_PLAYER" };
+    case "its controller":
+    case "that avatar's controller":
+      if (ctx.trigger === "ON_DESTROYED" && ctx.lastCardTarget === undefined) {
+        return { ref: "EVENT_PLAYER" };
+      }
+      if (ctx.lastCardTarget === undefined) {
+        throw new UnsupportedText(`"${text}" refers to a target that was not chosen`);
+      }
+      return { ref: "TARGET_CONTROLLER", index: ctx.lastCardTarget };
+    default:
+      throw new UnsupportedText(`unknown player "${text}"`);
+  }
+}
+
+/**
+ * Which Avatars a "... get +N Power" phrase buffs.
+ */
+function parseAvatarSubject(text, ctx) {
+  const lower = text.toLowerCase();
+  if (lower === "it" || lower === ctx.cardName.toLowerCase()) {
+    return { ref: "SELF" };
+  }
+
+  let m = text.match(/^target Avatar( you control)?$/i);
+  if (m) {
+    const spec = m[1] ? { kind: "AVATAR", controller: "SELF" } : { kind: "AVATAR" };
+    return { ref: "TARGET", index: addTarget(ctx, spec) };
+  }
+
+  // "Your Avatars", "Avatars you control", "Beasts you control", "your Glow Avatars"
+  m = text.match(/^your (.+?)s$/i) || text.match(/^(.+?)s you control$/i);
+  if (m) {
+    const words = m[1].split(" ").filter((w) => w.toLowerCase() !== "avatar");
+    if (words.length > 1) {
+      throw new UnsupportedText(`unknown Avatars "${text}"`);
+    }
+    const subject = { ref: "ALL_AVATARS", controller: "SELF" };
+    if (words.length === 1) subject.subtype = words[0];
+    return subject;
+  }
+
+  throw new UnsupportedText(`unknown Avatars "${text}"`);
+}
+
+/**
+ * "Spells or Rites", "Avatars aligned with Shattered Sun" -> KlRestriction.
+ */
+function parseKlRestriction(text) {
+  const m = text.match(/^(.+?)(?: aligned with (.+))?$/i);
+  const typeLines = m[1].split(/,? or |, /i).map((word) => {
+    const type = word.replace(/s$/i, "").toUpperCase();
+    if (!["AVATAR", "SPELL", "RITE", "RELIC", "DOMAIN", "SHARD"].includes(type)) {
+      throw new UnsupportedText(`unknown card type "${word}"`);
+    }
+    return type;
+  });
+  const restriction = { typeLines };
+  if (m[2]) restriction.domainTag = m[2];
+  return restriction;
+}
+
+/**
+ * One effect sentence (without its "If ...," prefix) -> Effect[].
+ * Throws UnsupportedText for anything it doesn't recognise.
+ */
+function parseEffect(text, ctx) {
+  let m;
+
+  m = text.match(/^deal (\d+) (?:Essence )?damage to target (Deity|Avatar)$/i);
+  if (m) {
+    const kind = m[2].toLowerCase() === "deity" ? "PLAYER" : "AVATAR";
+    const index = addTarget(ctx, { kind });
+    return [{ subject: { ref: "TARGET", index }, kind: "DEAL_DAMAGE", amount: Number(m[1]) }];
+  }
+
+  m = text.match(/^deal (\d+) Essence damage to each opponent$/i);
+  if (m) {
+    return [{ subject: { ref: "EACH_OPPONENT" }, kind: "DEAL_DAMAGE", amount: Number(m[1]) }];
+  }
+
+  m = text.match(/^destroy target Avatar(?: with cost (\d+) or (less|more))?$/i);
+  if (m) {
+    const index = addTarget(ctx, costFilter({ kind: "AVATAR" }, m[1], m[2] || ""));
+    return [{ subject: { ref: "TARGET", index }, kind: "DESTROY" }];
+  }
+
+  // "destroy up to two non-Beast Avatars", "... up to one Avatar they control
+  // with cost 3 or less": one optional target per Avatar. "They" is the
+  // targeted opponent, which with one opponent is any opponent.
+  m = text.match(
+    /^destroy up to (a|an|one|two|three|\d+) (?:non-(\w+) )?Avatars?( they control)?(?: with cost (\d+) or (less|more))?$/i
+  );
+  if (m) {
+    let spec = costFilter({ kind: "AVATAR" }, m[4], m[5] || "");
+    if (m[2]) spec.excludeSubtype = m[2];
+    if (m[3]) {
+      if (ctx.lastPlayerTarget === undefined || ctx.targets[ctx.lastPlayerTarget].controller !== "OPPONENT") {
+        throw new UnsupportedText(`"${text}" refers to an opponent that was not targeted`);
+      }
+      spec = { ...spec, controller: "OPPONENT" };
+    }
+    ctx.destroys = true;
+    return Array.from({ length: parseCount(m[1]) }, () => ({
+      subject: { ref: "TARGET", index: addTarget(ctx, { ...spec, optional: true }) },
+      kind: "DESTROY",
+    }));
+  }
+
+  if (/^destroy all Avatars$/i.test(text)) {
+    return [{ subject: { ref: "ALL_AVATARS" }, kind: "DESTROY" }];
+  }
+
+  // "Each player chooses 1 Avatar they control and sacrifices the rest" (Rites)
+  m = text.match(
+    /^(each player|you) chooses? (a|an|one|two|three|\d+) Avatars? (?:they|you) control and sacrifices? the rest$/i
+  );
+  if (m) {
+    ctx.sacrificesUnchosen = true;
+    return [{ subject: parsePlayerSubject(m[1], ctx), kind: "SACRIFICE_UNCHOSEN", keep: parseCount(m[2]) }];
+  }
+
+  m = text.match(
+    /^(?:(.+?) )?loses? (?:an additional )?(\d+)(?: additional)? Essence( for each Avatar (?:they|you) sacrificed this way)?$/i
+  );
+  if (m) {
+    const effect = { subject: parsePlayerSubject(m[1] || "", ctx), kind: "LOSE_ESSENCE", amount: Number(m[2]) };
+    if (m[3]) {
+      if (!ctx.sacrificesUnchosen) {
+        throw new UnsupportedText(`"${text}" refers to a sacrifice that didn't happen`);
+      }
+      effect.perSacrificed = true;
+    }
+    return [effect];
+  }
+
+  m = text.match(/^(?:(.+?) )?(?:gains?|restores?|heals?) (\d+) Essence(?: to (your Deity|each Deity))?$/i);
+  if (m) {
+    if (m[1] && m[3] && m[1].toLowerCase() !== "you") {
+      throw new UnsupportedText(`unknown effect "${text}"`);
+    }
+    const subject = parsePlayerSubject(m[3] || m[1] || "", ctx);
+    return [{ subject, kind: "GAIN_ESSENCE", amount: Number(m[2]) }];
+  }
+
+  m = text.match(/^(?:(you|each player) )?draws? (a|one|two|three|\d+) cards?$/i);
+  if (m) {
+    return [{ subject: parsePlayerSubject(m[1] || "", ctx), kind: "DRAW", count: parseCount(m[2]) }];
+  }
+
+  m = text.match(/^(?:you )?gain \+?(\d+) KL this turn$/i);
+  if (m) {
+    return [{ subject: { ref: "CONTROLLER" }, kind: "GAIN_KL", amount: Number(m[1]) }];
+  }
+
+  // Typed Essence from Essence cards: pooled KL, optionally restricted.
+  m = text.match(
+    /^(?:generate|add) (a|one|two|three|\d+) (?:(Sun|Void) )?Essence(?: (?:usable only|that can only be used) to cast (.+?)| usable for any card type| of any type)?$/i
+  );
+  if (m) {
+    const effect = {
+      subject: { ref: "CONTROLLER" },
+      kind: "ADD_KL",
+      amount: parseCount(m[1]),
+      label: m[2] ? `${m[2]} Essence` : "Essence",
+    };
+    if (m[3]) effect.restriction = parseKlRestriction(m[3]);
+    return [effect];
+  }
+
+  m = text.match(/^(.+?) loses (\d+) KL and (\d+) Essence$/i);
+  if (m) {
+    const subject = parsePlayerSubject(m[1], ctx);
+    return [
+      { subject, kind: "LOSE_KL", amount: Number(m[2]) },
+      { subject, kind: "LOSE_ESSENCE", amount: Number(m[3]) },
+    ];
+  }
+
+  m = text.match(/^set (?:each Deity|each player)'s Essence to the lower of the two values$/i);
+  if (m) {
+    return [{ subject: { ref: "EACH_PLAYER" }, kind: "SET_ESSENCE_TO_LOWEST" }];
+  }
+
+  m = text.match(/^create (.+)$/i);
+  if (m) {
+    return [parseTokens(m[1])];
+  }
+
+  // "For each Avatar destroyed this way, you may create ...": tokens for you
+  // are always taken, so "you may" changes nothing.
+  m = text.match(/^for each Avatar destroyed this way, (?:you may )?create (.+)$/i);
+  if (m) {
+    if (!ctx.destroys) {
+      throw new UnsupportedText(`"${text}" refers to Avatars that weren't destroyed`);
+    }
+    return [{ ...parseTokens(m[1]), perDestroyed: true }];
+  }
+
+  m = text.match(/^(.+?) loses (\d+) KL$/i) || text.match(/^drain (\d+) KL from (.+)$/i);
+  if (m) {
+    const [who, amount] = /^drain/i.test(text) ? [m[2], m[1]] : [m[1], m[2]];
+    return [{ subject: parsePlayerSubject(who, ctx), kind: "LOSE_KL", amount: Number(amount) }];
+  }
+
+  m =
+    text.match(/^until end of turn, (.+?) (?:gets?|gains?) ([+-]\d+) Power$/i) ||
+    text.match(/^(.+?) (?:gets?|gains?) ([+-]\d+) Power (?:until end of turn|this turn)$/i);
+  if (m) {
+    return [
+      { subject: parseAvatarSubject(m[1], ctx), kind: "MODIFY_STATS", power: Number(m[2]), duration: "END_OF_TURN" },
+    ];
+  }
+
+  throw new UnsupportedText(`unknown effect "${text}"`);
+}
+
+/**
+ * "You may" only matters when the effect could cost you something; one that
+ * only takes Essence or KL from other players, or only gives you tokens, is
+ * always taken.
+ */
+function alwaysTaken(effects) {
+  const others = ["EACH_OPPONENT", "EVENT_PLAYER", "TARGET_CONTROLLER"];
+  return effects.every(
+    (e) =>
+      (["LOSE_ESSENCE", "LOSE_KL"].includes(e.kind) && others.includes(e.subject.ref)) ||
+      (e.kind === "CREATE_TOKEN" && e.subject.ref === "CONTROLLER")
+  );
+}
+
+/**
+ * A full sentence: optional "If ...," condition, optional "you may", and one
+ * or more effects joined by ", then" / " and then".
+ */
+function parseSentence(sentence, ctx) {
+  if (/\binstead\b/i.test(sentence)) {
+    throw new UnsupportedText(`replacement ("instead") in "${sentence}"`);
+  }
+  if (/^Choose\b/i.test(sentence) || sentence.startsWith("•")) {
+    throw new UnsupportedText(`player choice in "${sentence}"`);
+  }
+
+  let text = sentence.replace(/^Then,?\s+/i, "");
+  let condition;
+  const ifMatch = text.match(/^If (.+?), (.+)$/i);
+  if (ifMatch) {
+    condition = parseCondition(ifMatch[1], ctx);
+    text = ifMatch[2];
+  }
+
+  const optional = /^you may /i.test(text);
+  if (optional) {
+    text = text.replace(/^you may /i, "");
+  }
+  const targetsBefore = ctx.targets.length;
+  ctx.optional = optional;
+
+  const effects = text
+    .split(/,? (?:and )?then /i)
+    .flatMap((part) => parseEffect(part.trim(), ctx));
+
+  ctx.optional = false;
+  if (optional && ctx.targets.length === targetsBefore && !alwaysTaken(effects)) {
+    // "You may" without a target needs a yes/no prompt the engine doesn't have.
+    throw new UnsupportedText(`optional effect without a target in "${sentence}"`);
+  }
+
+  return condition ? effects.map((e) => ({ ...e, condition })) : effects;
+}
+
+// ===== ABILITIES =====
+
+/**
+ * Group a card's sentences into abilities: a trigger or keyword starts a new
+ * one, everything else continues the current one. Spells and Rites start
+ * with a SPELL ability; other cards start with nothing, so stray text there
+ * is reported as an unsupported static ability.
+ */
+function groupAbilities(card, text) {
+  const triggers = getTriggerPatterns(card);
+  const isSpellLike = ["SPELL", "RITE"].includes(card.type.toUpperCase());
+  const groups = [];
+  let current = null;
+  let attached = false;
+
+  const lines = normalizeText(text)
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean);
+
+  for (const line of lines) {
+    // God Codes are a block of their own that runs to the end of the text.
+    if (/^God Code\b/i.test(line) || current?.godCode) {
+      if (!current?.godCode) {
+        current = { label: "God Code", godCode: true, sentences: [] };
+        groups.push(current);
+      }
+      current.sentences.push(line);
+      continue;
+    }
+
+    let passiveName = line.match(PASSIVE_PREFIX)?.[1];
+    for (let sentence of splitSentences(line.replace(PASSIVE_PREFIX, ""))) {
+      if (IGNORED_SENTENCES.some((re) => re.test(sentence))) continue;
+
+      // "Crownbound - <ability>": the keyword, then the ability as its own group.
+      if (CROWNBOUND_PREFIX.test(sentence)) {
+        if (!groups.some((g) => g.keyword === CROWNBOUND)) {
+          groups.push({ keyword: CROWNBOUND, sentences: ["Crownbound"] });
+        }
+        sentence = sentence.replace(CROWNBOUND_PREFIX, "").replace(WHILE_THIS_SHARD, "");
+        sentence = sentence.charAt(0).toUpperCase() + sentence.slice(1);
+        current = null;
+      }
+
+      if (ATTACH_SENTENCE.test(sentence)) {
+        groups.push({ attach: true, label: "Attach", sentences: [sentence] });
+        current = null;
+        attached = true;
+        continue;
+      }
+
+      const keyword = KEYWORD_SENTENCES.find((k) => k.re.test(sentence));
+      if (keyword) {
+        groups.push({ keyword, sentences: [sentence] });
+        current = null;
+        continue;
+      }
+
+      const activated = sentence.match(ACTIVATED_ABILITY);
+      if (activated) {
+        current = {
+          trigger: "ACTIVATED",
+          label: passiveName ?? "Activated",
+          cost: activated[2] ? { essence: Number(activated[2]) } : { tapSelf: true },
+          oncePerTurn: true,
+          sentences: [sentence],
+          body: activated[3],
+        };
+        groups.push(current);
+        passiveName = undefined;
+        continue;
+      }
+
+      const triggered = triggers.find((t) => t.re.test(sentence));
+      if (triggered) {
+        current = {
+          trigger: triggered.trigger,
+          source: triggered.source,
+          label: passiveName ?? triggered.label,
+          sentences: [sentence],
+          body: sentence.match(triggered.re)[1],
+        };
+        groups.push(current);
+        passiveName = undefined;
+        continue;
+      }
+
+      const conditional = sentence.match(STATIC_CONDITION_PREFIX);
+      if (conditional) {
+        current = {
+          label: passiveName ?? "Static",
+          attached,
+          sentences: [sentence],
+          body: conditional[2],
+          conditionText: conditional[1],
+        };
+        groups.push(current);
+        passiveName = undefined;
+        continue;
+      }
+
+      // A buff to all your Avatars is always on, never part of a trigger.
+      if (!isSpellLike && STATIC_AVATARS_SENTENCE.test(sentence)) {
+        current = { label: passiveName ?? "Static", attached, sentences: [sentence] };
+        groups.push(current);
+        passiveName = undefined;
+        continue;
+      }
+
+      if (UNKNOWN_ABILITY_OPENER.test(sentence) || !current) {
+        current = isSpellLike && groups.length === 0
+          ? { trigger: "SPELL", label: "Spell", sentences: [] }
+          : { label: "Static", attached, sentences: [] };
+        groups.push(current);
+        if (UNKNOWN_ABILITY_OPENER.test(sentence)) current.unknownOpener = true;
+      }
+      current.sentences.push(sentence);
+    }
+  }
+
+  return groups;
+}
+
+function describeGroup(group) {
+  return group.godCode ? group.sentences.join(" ") : `${group.sentences.join(". ")}.`;
+}
+
+const GOD_CODE_HEADER = /^God Code - (.+?) \(once per game\):\s*/i;
+// The printed way to reach a God Code; in the engine that is the God Charge
+// earned by crossing GOD_THRESHOLD_KL, so it compiles to nothing.
+const GOD_CODE_OPENER = /^When your KL would go above 13, instead set it to 13 and (?:activate this(?: effect)?\.?\s*)?/i;
+
+/**
+ * A God Code: a GOD_CODE ability that costs one God Charge and can be used
+ * once per game, labelled with the God Code's name.
+ */
+function compileGodCode(card, group, id, description) {
+  const [first, ...rest] = group.sentences;
+  const header = first.match(GOD_CODE_HEADER);
+  if (!header) {
+    throw new UnsupportedText("God Code without a name and \"(once per game)\"");
+  }
+
+  const ctx = { targets: [], optional: false, trigger: "GOD_CODE", cardName: card.name };
+  const lines = [first.slice(header[0].length).replace(GOD_CODE_OPENER, ""), ...rest];
+  const effects = lines
+    .flatMap((line) => splitSentences(line))
+    .flatMap((sentence) => parseSentence(sentence, ctx));
+  if (effects.length === 0) {
+    throw new UnsupportedText("God Code without an effect");
+  }
+
+  const ability = {
+    id,
+    label: header[1],
+    description,
+    trigger: "GOD_CODE",
+    cost: { godCharges: 1 },
+    oncePerGame: true,
+  };
+  if (ctx.targets.length > 0) ability.targets = ctx.targets;
+  ability.effects = effects;
+  return ability;
+}
+
+/**
+ * "Attach to a Deity or Avatar", "an Avatar you control", "an opposing Avatar"
+ * -> an ability carrying the AttachSpec.
+ */
+function compileAttach(group, id, description) {
+  const what = group.sentences[0].match(ATTACH_SENTENCE)[1];
+  const m = what.match(/^(?:an? )?(opposing )?(Deity|Avatar)(?: or (Deity|Avatar))?( you control)?$/i);
+  if (!m) {
+    throw new UnsupportedText(`unknown bearer "${what}"`);
+  }
+  const attach = { kinds: [m[2], m[3]].filter(Boolean).map((k) => k.toUpperCase()) };
+  if (m[1]) attach.controller = "OPPONENT";
+  if (m[4]) attach.controller = "SELF";
+  return { id, label: group.label, description, attach };
+}
+
+// "The bearer gets +2 Essence and +1 attack". On an Avatar, Essence is its
+// Guard and attack its Power.
+const BEARER_BUFF = /^(?:the bearer|that Avatar|attached Avatar) gets (.+)$/i;
+// "Your Avatars get +1 Essence", optionally "while you control 3 or more Shards".
+const AVATARS_BUFF = /^Your Avatars (?:get|have) (.+?)(?: while (you control .+))?$/i;
+
+/**
+ * "+2 Essence and +1 attack" -> MODIFY_STATS guard/power.
+ */
+function parseStatBonus(text, what) {
+  const effect = { kind: "MODIFY_STATS" };
+  for (const part of text.split(/ and /i)) {
+    const stat = part.match(/^([+-]\d+) (Essence|attack)$/i);
+    if (!stat) {
+      throw new UnsupportedText(`unknown ${what} bonus "${part}"`);
+    }
+    effect[stat[2].toLowerCase() === "essence" ? "guard" : "power"] = Number(stat[1]);
+  }
+  return effect;
+}
+
+/**
+ * Static text. Buffs to the bearer of an attached card and to all of your
+ * Avatars compile as STATIC MODIFY_STATS auras; "While you control ..." and
+ * "... while you control ..." become the ability's or the effect's condition.
+ */
+function compileStatic(card, group, id, description) {
+  const ctx = { targets: [], optional: false, trigger: "STATIC", cardName: card.name };
+  const effects = group.sentences.map((sentence, i) => {
+    const text = i === 0 && group.body ? group.body : sentence;
+    const bearer = text.match(BEARER_BUFF);
+    if (bearer && group.attached) {
+      return { subject: { ref: "BEARER" }, ...parseStatBonus(bearer[1], "bearer") };
+    }
+    const avatars = text.match(AVATARS_BUFF);
+    if (avatars) {
+      const effect = { subject: { ref: "ALL_AVATARS", controller: "SELF" }, ...parseStatBonus(avatars[1], "Avatar") };
+      if (avatars[2]) effect.condition = parseCondition(avatars[2], ctx);
+      return effect;
+    }
+    throw new UnsupportedText("static ability text");
+  });
+
+  const ability = { id, label: group.label, description, trigger: "STATIC" };
+  if (group.conditionText) ability.condition = parseCondition(group.conditionText, ctx);
+  ability.effects = effects;
+  return ability;
+}
+
+function compileGroup(card, group, index) {
+  const id = `${card.id}#${index + 1}`;
+  const description = describeGroup(group);
+
+  if (group.keyword) {
+    return { id: group.keyword.id, label: group.keyword.label, description };
+  }
+  if (group.godCode) {
+    return compileGodCode(card, group, id, description);
+  }
+  if (group.attach) {
+    return compileAttach(group, id, description);
+  }
+  if (!group.trigger) {
+    if (group.unknownOpener) {
+      throw new UnsupportedText("unknown trigger or static ability");
+    }
+    return compileStatic(card, group, id, description);
+  }
+
+  const ctx = { targets: [], optional: false, trigger: group.trigger, cardName: card.name };
+  const effects = [];
+
+  let condition;
+
+  group.sentences.forEach((sentence, i) => {
+    const castOnlyIf = group.trigger === "SPELL" && sentence.match(CAST_ONLY_IF);
+    if (castOnlyIf) {
+      condition = parseCondition(castOnlyIf[1], ctx);
+      return;
+    }
+    // The trigger's own sentence only contributes the text after "On Play:" etc.
+    effects.push(...parseSentence(i === 0 && group.body ? group.body : sentence, ctx));
+  });
+
+  const ability = { id, label: group.label, description, trigger: group.trigger };
+  if (group.source) ability.triggerSource = group.source;
+  if (condition) ability.condition = condition;
+  if (group.cost) ability.cost = group.cost;
+  if (group.oncePerTurn) ability.oncePerTurn = true;
+  if (ctx.targets.length > 0) ability.targets = ctx.targets;
+  ability.effects = effects;
+  return ability;
+}
+
+/**
+ * Compile one card. Returns the abilities that compiled plus the text that
+ * didn't, with a reason for each.
+ */
+function compileCard(card) {
+  const text = (card.effect || "").trim();
+  const abilities = [];
+  const failures = [];
+
+  if (!text) {
+    return { card, abilities, failures, status: "blank" };
+  }
+
+  for (const [index, group] of groupAbilities(card, text).entries()) {
+    try {
+      abilities.push(compileGroup(card, group, index));
+    } catch (err) {
+      if (!(err instanceof UnsupportedText)) throw err;
+      failures.push({ text: describeGroup(group), reason: err.message });
+    }
+  }
+
+  let status = "compiled";
+  if (failures.length > 0) {
+    status = abilities.length > 0 ? "partial" : "unsupported";
+  }
+  return { card, abilities, failures, status };
+}
+
+// ===== OUTPUT =====
+
+/**
+ * The God Charge rules main.js plays by, from the built engine.
+ */
+async function loadGodCodeRules() {
+  const resources = await import(pathToFileURL(ENGINE_RESOURCES).href);
+  return {
+    thresholdKl: resources.GOD_THRESHOLD_KL,
+    maxCharges: resources.MAX_GOD_CHARGES,
+    minTurnToSpend: resources.MIN_TURN_FOR_GOD_CHARGE_SPEND,
+    startingCharges: resources.STARTING_GOD_CHARGES,
+  };
+}
+
+function buildAbilitiesFile(results, godCodeRules, sourceName, reportName) {
+  const entries = results
+    .filter((r) => r.abilities.length > 0)
+    .map((r) => `    ${JSON.stringify(r.card.id)}: ${JSON.stringify(r.abilities, null, 4).replace(/\n/g, "\n    ")},`);
+  const counts = countStatuses(results);
+
+  return [
+    "// Essence Crown: Shard Wars - Compiled card abilities",
+    `// Generated by scripts/compile-card-effects.js from ${sourceName}. Do not edit by hand.`,
+    `// ${counts.compiled} fully compiled, ${counts.partial} partially, ${counts.unsupported} not at all (see ${reportName})`,
+    "",
+    "const CARD_ABILITIES = {",
+    ...entries,
+    "};",
+    "",
+    "// God Charge rules from engine/resources.ts: GOD_THRESHOLD_KL, MAX_GOD_CHARGES,",
+    "// MIN_TURN_FOR_GOD_CHARGE_SPEND and STARTING_GOD_CHARGES",
+    `const GOD_CODE_RULES = ${JSON.stringify(godCodeRules, null, 4)};`,
+    "",
+    "// CommonJS export for Node/testing (ignored in browser)",
+    "if (typeof module !== 'undefined' && module.exports) {",
+    "    module.exports = { CARD_ABILITIES, GOD_CODE_RULES };",
+    "}",
+    "",
+  ].join("\n");
+}
+
+function countStatuses(results) {
+  const counts = { compiled: 0, partial: 0, unsupported: 0, blank: 0 };
+  for (const r of results) counts[r.status] += 1;
+  return counts;
+}
+
+function escapeCell(text) {
+  return text.replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+function buildReport(results, sourceName) {
+  const counts = countStatuses(results);
+  const lines = [
+    `# Card effect compilation report`,
+    "",
+    `Source: \`${sourceName}\` (${results.length} cards). Regenerate with \`node scripts/compile-card-effects.js\`.`,
+    "",
+    "| Status | Cards |",
+    "| --- | --- |",
+    `| Fully compiled | ${counts.compiled} |`,
+    `| Partially compiled | ${counts.partial} |`,
+    `| Not compiled | ${counts.unsupported} |`,
+    `| No effect text | ${counts.blank} |`,
+    "",
+  ];
+
+  const section = (title, status, withFailures) => {
+    const rows = results.filter((r) => r.status === status);
+    if (rows.length === 0) return;
+    lines.push(`## ${title}`, "");
+    if (withFailures) {
+      lines.push("| Card | Name | Type | Not compiled | Reason |", "| --- | --- | --- | --- | --- |");
+      for (const r of rows) {
+        for (const f of r.failures) {
+          lines.push(
+            `| ${r.card.id} | ${escapeCell(r.card.name)} | ${r.card.type} | ${escapeCell(f.text)} | ${escapeCell(f.reason)} |`
+          );
+        }
+      }
+    } else {
+      lines.push("| Card | Name | Type | Abilities |", "| --- | --- | --- | --- |");
+      for (const r of rows) {
+        lines.push(
+          `| ${r.card.id} | ${escapeCell(r.card.name)} | ${r.card.type} | ${r.abilities.map((a) => a.label).join(", ")} |`
+        );
+      }
+    }
+    lines.push("");
+  };
+
+  section("Partially compiled", "partial", true);
+  section("Not compiled", "unsupported", true);
+  section("Fully compiled", "compiled", false);
+
+  return lines.join("\n");
+}
+
+async function main() {
+  const sourceFile = path.resolve(process.argv[2] || DEFAULT_SOURCE);
+  const base = sourceFile.replace(/\.js$/, "");
+  const abilitiesFile = `${base}.abilities.js`;
+  const reportFile = `${base}.abilities-report.md`;
+
+  const { cards, deities } = loadCardDatabase(sourceFile);
+  const results = [...cards, ...deities].map(compileCard);
+  const godCodeRules = await loadGodCodeRules();
+
+  fs.writeFileSync(
+    abilitiesFile,
+    buildAbilitiesFile(results, godCodeRules, path.basename(sourceFile), path.basename(reportFile))
+  );
+  fs.writeFileSync(reportFile, buildReport(results, path.basename(sourceFile)));
+
+  const counts = countStatuses(results);
+  console.log(
+    `Compiled ${results.length} cards: ${counts.compiled} fully, ${counts.partial} partially, ${counts.unsupported} not at all.`
+  );
+  console.log(`Wrote ${path.relative(process.cwd(), abilitiesFile)} and ${path.relative(process.cwd(), reportFile)}`);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = { loadCardDatabase, compileCard };
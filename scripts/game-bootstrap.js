@@ -1,8 +1,17 @@
 import { Zone } from "../engine/dist/zones.js";
 import {
+  checkDiscardToHandSize,
+  checkKeepOpeningHand,
+  checkMulligan,
   createGameFromSetups,
+  describeKlBreakdown,
+  discardToHandSize,
   getActivePlayer,
+  getKlBreakdown,
+  getLegalActions,
   getOpponent,
+  keepOpeningHand,
+  mulligan,
   startTurn,
 } from "../engine/dist/api.js";
 
@@ -13,9 +22,34 @@ const attackAllButton = document.getElementById("attack-all-btn");
 
 let gameState = null;
 
+/**
+ * Structured abilities for a card, from ec_cards_ionos.abilities.js
+ * (generated by scripts/compile-card-effects.js). Cards it could not compile
+ * have none.
+ */
+function getCompiledAbilities(cardId) {
+  if (typeof CARD_ABILITIES === "undefined") return [];
+  return (CARD_ABILITIES[cardId] ?? []).map((ability) => structuredClone(ability));
+}
+
+const ENGINE_KEYWORDS = ["GUARDIAN", "HASTE", "STEALTH", "ECHO", "CROWNBOUND"];
+
+/**
+ * Card.keywords: printed keyword abilities plus any `keywords` array on the
+ * card data (tokens), upper-cased and limited to what the engine knows.
+ */
+function getKeywords(baseCard, abilities) {
+  const names = [
+    ...abilities.map((ability) => ability.id),
+    ...(Array.isArray(baseCard.keywords) ? baseCard.keywords : []),
+  ].map((name) => name.toUpperCase());
+  return [...new Set(names.filter((name) => ENGINE_KEYWORDS.includes(name)))];
+}
+
 function normalizeCard(baseCard, ownerId, zone = Zone.VEILED_DECK) {
   const power = baseCard.power ?? baseCard.attack ?? 0;
   const guard = baseCard.toughness ?? baseCard.health ?? baseCard.essence ?? 1;
+  const abilities = getCompiledAbilities(baseCard.id);
   return {
     cardId: baseCard.id,
     name: baseCard.name,
@@ -27,7 +61,8 @@ function normalizeCard(baseCard, ownerId, zone = Zone.VEILED_DECK) {
     guard,
     startingEssence: baseCard.essence ?? 0,
     baseKl: baseCard.startingKL ?? 0,
-    abilities: [],
+    abilities,
+    keywords: getKeywords(baseCard, abilities),
     isToken: Boolean(baseCard.isToken),
     ownerId,
     controllerId: ownerId,
@@ -72,22 +107,31 @@ function updateMeters(prefix, player) {
   }
 }
 
+// Optional chaining can't be assigned to, so board text goes through here.
+function setText(id, text) {
+  const element = document.getElementById(id);
+  if (element) element.textContent = text;
+}
+
 function updatePlayerPanel(prefix, player) {
-  document.getElementById(`${prefix}-player-name`)?.textContent =
-    prefix === "top" ? "Player Two (P2)" : "Player One (P1)";
-  document.getElementById(`${prefix}-essence`)?.textContent = player.essence;
-  document.getElementById(`${prefix}-kl`)?.textContent = player.currentKl;
-  document.getElementById(`${prefix}-base-kl`)?.textContent = player.baseKl;
-  document.getElementById(`${prefix}-god`)?.textContent = player.godCharges;
-  document.getElementById(`${prefix}-hand`)?.textContent = player.hand.length;
-  document.getElementById(`${prefix}-veiled`)?.textContent = player.veiledDeck.length;
-  document.getElementById(`${prefix}-crypt`)?.textContent = player.crypt.length;
-
-  document.getElementById(`${prefix}-veiled-count`)?.textContent = `${player.veiledDeck.length} card(s)`;
-  document.getElementById(`${prefix}-crypt-count`)?.textContent = `${player.crypt.length} card(s)`;
-  document.getElementById(`${prefix}-domain-count`)?.textContent = `${player.domainZone ? 1 : 0} domain(s)`;
-  document.getElementById(`${prefix}-shard-count`)?.textContent = `${player.shardRow.length} in play`;
-  document.getElementById(`${prefix}-deity`)?.textContent = `${player.deity.name} – Essence ${player.deity.startingEssence ?? player.essence}`;
+  setText(`${prefix}-player-name`, prefix === "top" ? "Player Two (P2)" : "Player One (P1)");
+  setText(`${prefix}-essence`, player.essence);
+  setText(`${prefix}-kl`, player.currentKl);
+  document.getElementById(`${prefix}-kl`)?.setAttribute(
+    "title",
+    `KL at Dawn: ${describeKlBreakdown(getKlBreakdown(gameState, player))}`
+  );
+  setText(`${prefix}-base-kl`, player.baseKl);
+  setText(`${prefix}-god`, player.godCharges);
+  setText(`${prefix}-hand`, player.hand.length);
+  setText(`${prefix}-veiled`, player.veiledDeck.length);
+  setText(`${prefix}-crypt`, player.crypt.length);
+
+  setText(`${prefix}-veiled-count`, `${player.veiledDeck.length} card(s)`);
+  setText(`${prefix}-crypt-count`, `${player.crypt.length} card(s)`);
+  setText(`${prefix}-domain-count`, `${player.domainZone ? 1 : 0} domain(s)`);
+  setText(`${prefix}-shard-count`, `${player.shardRow.length} in play`);
+  setText(`${prefix}-deity`, `${player.deity.name} – Essence ${player.deity.startingEssence ?? player.essence}`);
 
   highlightGodOrbs(prefix, player.godCharges);
   updateMeters(prefix, player);
@@ -102,6 +146,11 @@ function refreshBoard() {
   if (turnIndicator) {
     if (gameState.turnNumber === 0) {
       turnIndicator.textContent = "Turn: Not started • Click “Start Game (P1 Turn 1)”";
+    } else if (gameState.result) {
+      const { result } = gameState;
+      turnIndicator.textContent = result.outcome === "DRAW"
+        ? `Game over on turn ${result.turnNumber} • Draw`
+        : `Game over on turn ${result.turnNumber} • ${result.winnerIds.join(" & ")} win${result.winnerIds.length === 1 ? "s" : ""}`;
     } else {
       const active = getActivePlayer(gameState);
       turnIndicator.textContent = `Turn ${gameState.turnNumber} • Active: ${active?.id ?? "Unknown"}`;
@@ -113,6 +162,117 @@ function refreshBoard() {
   }
 }
 
+let decisionPanel = null;
+
+/**
+ * The first decision the engine is waiting for: a player who still has to
+ * keep or mulligan their opening hand, or to discard down to their hand size
+ * (getLegalActions offers nothing else meanwhile). Null when there is none.
+ */
+function findDecision() {
+  for (const player of gameState.players) {
+    const actions = getLegalActions(gameState, player.id);
+    const mulliganAction = actions.find((action) => action.type === "MULLIGAN");
+    if (mulliganAction) return { player, mulligan: mulliganAction };
+    const discard = actions.find((action) => action.type === "DISCARD");
+    if (discard) return { player, discard };
+  }
+  return null;
+}
+
+/**
+ * Ask for every pending decision in turn on a panel under the turn indicator,
+ * then call onDone. Cards are picked from the deciding player's hand when a
+ * mulligan puts cards on the bottom or a discard is owed; the engine's check
+ * functions explain a choice it won't take.
+ */
+function resolveDecisions(onDone) {
+  const decision = findDecision();
+  if (!decision) {
+    decisionPanel?.remove();
+    decisionPanel = null;
+    onDone();
+    return;
+  }
+  if (!decisionPanel) {
+    decisionPanel = document.createElement("div");
+    decisionPanel.className = "center-panel";
+    turnIndicator?.after(decisionPanel);
+  }
+  decisionPanel.replaceChildren();
+
+  const { player } = decision;
+  const picking = Boolean(decision.discard) || decision.mulligan.rule === "PUT_TO_BOTTOM";
+  const selected = new Set();
+  const title = document.createElement("div");
+  title.className = "center-title";
+  title.textContent = decision.discard
+    ? `${player.id}: discard ${decision.discard.count} card(s) down to your hand size`
+    : `${player.id}: keep your opening hand?`;
+  const message = document.createElement("div");
+  message.className = "center-line";
+  message.textContent = decision.discard
+    ? "Pick the cards to discard."
+    : decision.mulligan.rule === "PUT_TO_BOTTOM"
+      ? "To mulligan, pick the cards to put on the bottom and draw again."
+      : "A mulligan shuffles the whole hand back and draws a new one.";
+
+  const cards = document.createElement("div");
+  cards.className = "hand-cards";
+  for (const card of player.hand) {
+    const button = document.createElement("button");
+    button.className = "card-button";
+    button.textContent = card.name;
+    button.disabled = !picking;
+    button.addEventListener("click", () => {
+      if (!selected.delete(card.instanceId)) selected.add(card.instanceId);
+      button.classList.toggle("selected", selected.has(card.instanceId));
+    });
+    cards.append(button);
+  }
+
+  const act = (check, apply) => {
+    const violation = check();
+    if (violation) {
+      message.textContent = violation.message;
+      return;
+    }
+    apply();
+    refreshBoard();
+    resolveDecisions(onDone);
+  };
+  const buttons = document.createElement("div");
+  buttons.className = "controls";
+  const addButton = (label, onClick, disabled = false) => {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.disabled = disabled;
+    button.addEventListener("click", onClick);
+    buttons.append(button);
+  };
+  if (decision.discard) {
+    addButton("Discard", () => act(
+      () => checkDiscardToHandSize(gameState, player.id, [...selected]),
+      () => discardToHandSize(gameState, player.id, [...selected])
+    ));
+  } else {
+    addButton("Keep", () => act(
+      () => checkKeepOpeningHand(gameState, player.id),
+      () => keepOpeningHand(gameState, player.id)
+    ));
+    addButton(
+      `Mulligan (${decision.mulligan.mulligansLeft} left)`,
+      () => act(
+        () => checkMulligan(gameState, player.id, [...selected]),
+        () => mulligan(gameState, player.id, [...selected])
+      ),
+      decision.mulligan.mulligansLeft === 0
+    );
+  }
+
+  decisionPanel.append(title, message, cards, buttons);
+}
+
 function setupGame() {
   if (typeof DEITY_DATABASE === "undefined" || DEITY_DATABASE.length === 0) {
     console.error("Deity data missing");
@@ -123,16 +283,25 @@ function setupGame() {
   const setupOne = buildPlayerSetup("P1", deityOne, 0);
   const setupTwo = buildPlayerSetup("P2", deityTwo, 20);
   gameState = createGameFromSetups([setupOne, setupTwo], "P1");
+  decisionPanel?.remove();
+  decisionPanel = null;
   refreshBoard();
   attackAllButton.disabled = true;
 }
 
 function handleStart() {
   if (!gameState) setupGame();
-  if (!gameState) return;
-  startTurn(gameState);
-  attackAllButton.disabled = false;
-  refreshBoard();
+  if (!gameState || decisionPanel) return;
+  // Opening hands are decided before turn 1; the last hand size discard
+  // ends the turn by itself.
+  resolveDecisions(() => {
+    startTurn(gameState);
+    refreshBoard();
+    resolveDecisions(() => {
+      attackAllButton.disabled = false;
+      refreshBoard();
+    });
+  });
 }
 
 function handleReset() {